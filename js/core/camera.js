@@ -254,3 +254,13 @@ export function applyRecoil(pitchAmount, yawAmount = 0) {
         camera.quaternion.setFromEuler(euler);
     }
 }
+
+/**
+ * Keep the look inside an arc (driver's sidearm - yaw/pitch are then relative
+ * to the vehicle, which the caller applies)
+ * @param {{maxYaw: number, minPitch: number, maxPitch: number}} arc - Radians from straight ahead
+ */
+export function clampLook(arc) {
+    yaw = THREE.MathUtils.clamp(yaw, -arc.maxYaw, arc.maxYaw);
+    pitch = THREE.MathUtils.clamp(pitch, arc.minPitch, arc.maxPitch);
+}
@@ -1,4 +1,28 @@
 import * as THREE from 'three';
+import { calculateDamage, WEAPON_DEFS } from '../shared/weapon-defs.js';
+
+// Kill feed icons (inline SVG silhouettes, colored by the feed's text color)
+const svgIcon = (width, shapes) =>
+    `<svg viewBox="0 0 ${width} 16" height="1em" fill="currentColor" aria-hidden="true">${shapes}</svg>`;
+
+const WEAPON_ICONS = {
+    PISTOL: svgIcon(40, '<rect x="10" y="3" width="24" height="5"/><rect x="10" y="8" width="6" height="7" rx="1"/>'),
+    SMG: svgIcon(48, '<rect x="2" y="5" width="6" height="3"/><rect x="8" y="4" width="30" height="6"/><rect x="38" y="5" width="8" height="2"/><rect x="18" y="10" width="4" height="5"/><rect x="27" y="10" width="3" height="6"/>'),
+    SNIPER: svgIcon(64, '<rect x="0" y="6" width="12" height="5"/><rect x="12" y="5" width="22" height="4"/><rect x="34" y="6" width="30" height="1.5"/><rect x="16" y="1" width="14" height="3"/><rect x="16" y="9" width="3" height="5"/>'),
+    CHLOBANATOR: svgIcon(52, '<rect x="4" y="3" width="32" height="9" rx="2"/><rect x="36" y="4" width="14" height="5"/><rect x="12" y="12" width="5" height="4"/>')
+};
+WEAPON_ICONS.SMG2 = WEAPON_ICONS.SMG;
+
+const HEADSHOT_ICON = svgIcon(16, '<circle cx="8" cy="8" r="6" fill="none" stroke="currentColor" stroke-width="2"/><circle cx="8" cy="8" r="2"/>');
+const WALLBANG_ICON = svgIcon(18, '<rect x="0" y="1" width="8" height="4"/><rect x="10" y="1" width="8" height="4"/><rect x="4" y="6" width="10" height="4"/><rect x="0" y="11" width="8" height="4"/><rect x="10" y="11" width="8" height="4"/>');
+const VEHICLE_ICON = svgIcon(28, '<path d="M2 9 L6 3 H18 L23 8 H26 V12 H2 Z"/><circle cx="8" cy="13" r="3"/><circle cx="20" cy="13" r="3"/>');
+const EXPLOSION_ICON = svgIcon(16, '<path d="M8 0 L10 5 L15 3 L12 8 L16 11 L10 11 L8 16 L6 11 L0 11 L4 8 L1 3 L6 5 Z"/>');
+
+// What hurt them when it wasn't a bullet (server 'cause')
+const CAUSES = {
+    explosion: { name: 'Explosion', icon: EXPLOSION_ICON },
+    crash: { name: 'Crash', icon: VEHICLE_ICON }
+};
 
 export class DamageSystem {
     constructor(scene, camera, playerManager, networkManager, uiElements) {
@@ -11,27 +35,16 @@ export class DamageSystem {
         this.deathScreen = document.getElementById('death-screen');
         this.killerNameEl = document.getElementById('killer-name');
 
+        this.respawnCountdownEl = document.getElementById('respawn-countdown');
+        this.recapTable = document.getElementById('death-recap-table');
+
         // State
         this.isDead = false;
+        this.respawnAt = null; // Server time the server will respawn us
+        this.countdownTimer = null;
+        this.damageTaken = []; // Hits since our last respawn (death recap)
 
         this.setupNetworkListeners();
-        this.setupUIListeners();
-    }
-
-    setupUIListeners() {
-        const respawnBtn = document.getElementById('respawn-btn');
-        if (respawnBtn) {
-            respawnBtn.addEventListener('click', () => {
-                if (this.isDead) this.respawn();
-            });
-        }
-
-        // MnK Respawn support (Space or Enter)
-        document.addEventListener('keydown', (e) => {
-            if (this.isDead && (e.code === 'Space' || e.code === 'Enter')) {
-                this.respawn();
-            }
-        });
     }
 
     setupNetworkListeners() {
@@ -48,6 +61,7 @@ export class DamageSystem {
 
             if (data.targetId === myId) {
                 console.log("➡️ IS LOCAL PLAYER! Processing damage...");
+                this.recordDamageTaken(data);
                 this.handleLocalPlayerDamaged(data.damage, data.shooterId, data.health, data.armor);
             } else {
                 // Update other player's health bar
@@ -74,10 +88,10 @@ export class DamageSystem {
                 kName = k ? k.name : (data.killerId === myId ? "You" : "Unknown");
             }
 
-            this.addKillFeedMessage(kName, vName);
+            this.addKillFeedMessage(kName, data.teamKill ? `${vName} (TEAMMATE)` : vName, data);
 
             if (data.victimId === myId) {
-                this.handleLocalPlayerKilled(data.killerId, kName);
+                this.handleLocalPlayerKilled(data.killerId, kName, data.respawnAt);
             } else {
                 console.log(`💀 Player ${data.victimId} killed by ${data.killerId}`);
                 // Hide remote player
@@ -85,22 +99,70 @@ export class DamageSystem {
             }
         });
 
+        // Back on a session we died in - same death screen and countdown as before the drop
+        this.networkManager.on('connected', (data) => {
+            if (data.resumed && !data.isAlive) {
+                this.handleLocalPlayerKilled(null, null, data.respawnAt);
+            } else if (this.isDead) {
+                this.hideDeathScreen();
+            }
+        });
+
         // Handle respawns
         this.networkManager.on('player-respawned', (data) => {
             if (data.id !== this.networkManager.getPlayerId()) {
                 this.playerManager.setPlayerDead(data.id, false); // Show player
                 this.playerManager.updatePlayerHealth(data.id, 100);
+            } else {
+                this.damageTaken = []; // Fresh life, fresh recap
+                // Server respawned us (timer ran out / new round) - drop the death screen
+                if (this.isDead) this.hideDeathScreen();
             }
         });
     }
 
-    addKillFeedMessage(killer, victim) {
+    /**
+     * @param {string} killer
+     * @param {string} victim
+     * @param {Object} details - From 'player-killed': { weapon, cause, headshot, distance, wallbang, vehicle, assists }
+     */
+    addKillFeedMessage(killer, victim, details = {}) {
         const feed = document.getElementById('kill-feed');
         if (!feed) return;
 
         const msg = document.createElement('div');
         msg.className = 'kill-msg';
-        msg.innerHTML = `<strong>${killer}</strong> <span style="color:#ccc; font-size: 0.8em">🔫</span> ${victim}`;
+
+        // Names are player input - text nodes only. Icons are our own markup.
+        const killerEl = document.createElement('strong');
+        killerEl.textContent = killer;
+        msg.append(killerEl);
+
+        if (details.assists && details.assists.length > 0) {
+            const assistEl = document.createElement('span');
+            assistEl.className = 'kill-assists';
+            assistEl.textContent = ` + ${details.assists.map(a => a.name).join(' + ')}`;
+            msg.append(assistEl);
+        }
+
+        const icons = document.createElement('span');
+        icons.className = 'kill-icons';
+        const cause = CAUSES[details.cause];
+        icons.title = cause ? cause.name : (WEAPON_DEFS[details.weapon] ? WEAPON_DEFS[details.weapon].name : '');
+        icons.innerHTML = [
+            details.vehicle ? VEHICLE_ICON : '',
+            cause ? cause.icon : (WEAPON_ICONS[details.weapon] || '🔫'),
+            details.wallbang ? `<span class="kill-wallbang">${WALLBANG_ICON}</span>` : '',
+            details.headshot ? `<span class="kill-headshot">${HEADSHOT_ICON}</span>` : ''
+        ].join('');
+        msg.append(icons, document.createTextNode(victim));
+
+        if (typeof details.distance === 'number') {
+            const distanceEl = document.createElement('span');
+            distanceEl.className = 'kill-distance';
+            distanceEl.textContent = `${Math.round(details.distance)}m`;
+            msg.append(distanceEl);
+        }
 
         // Add to top (flex-direction is column-reverse so prepending adds to "bottom" visual if aligned right? 
         // actually standard flex column puts first item at top.
@@ -118,10 +180,10 @@ export class DamageSystem {
     /**
      * Check if a shot hit any remote players
      * @param {THREE.Raycaster} raycaster 
-     * @param {number} damage 
-     * @returns {boolean} True if a player was hit
+     * @param {string} weaponKey - Key into WEAPON_DEFS (damage is looked up, not passed in)
+     * @returns {Object|null} Hit info if a player was hit
      */
-    checkShooting(raycaster, damage) {
+    checkShooting(raycaster, weaponKey) {
         if (!this.playerManager || !this.networkManager) return false;
 
         const remotePlayers = this.playerManager.getPlayers();
@@ -137,19 +199,23 @@ export class DamageSystem {
             const playerGroup = this.findPlayerRoot(hit.object);
             if (playerGroup && playerGroup.userData.id) {
 
-                // Headshot check
-                let finalDamage = damage;
-                let isHeadshot = false;
-
-                // Check if the hit object matches the head mesh stored in userData
-                if (playerGroup.userData.head === hit.object) {
-                    finalDamage *= 2.0;
-                    isHeadshot = true;
+                // Hit zone comes from the body part mesh (tagged in PlayerManager)
+                const zone = hit.object.userData.hitZone || 'torso';
+                const isHeadshot = zone === 'head';
+                if (isHeadshot) {
                     console.log("HEADSHOT!");
                 }
 
-                // Send hit event
-                this.networkManager.sendPlayerHit(playerGroup.userData.id, finalDamage);
+                // Predicted damage from the shared table - the server recomputes its own
+                const finalDamage = calculateDamage(weaponKey, zone, hit.distance);
+
+                // Send hit event (with the ray so the server can re-test it)
+                const { origin, direction } = raycaster.ray;
+                this.networkManager.sendPlayerHit(playerGroup.userData.id, finalDamage, {
+                    origin: { x: origin.x, y: origin.y, z: origin.z },
+                    direction: { x: direction.x, y: direction.y, z: direction.z },
+                    timestamp: playerGroup.userData.renderTime
+                });
 
                 // Visual feedback
                 this.playerManager.setPartDamaged(hit.object);
@@ -158,6 +224,8 @@ export class DamageSystem {
                 return {
                     hit: true,
                     isHeadshot: isHeadshot,
+                    zone: zone,
+                    damage: finalDamage,
                     point: hit.point,
                     object: hit.object
                 };
@@ -212,8 +280,9 @@ export class DamageSystem {
         }, 50);
     }
 
-    handleLocalPlayerKilled(killerId, killerName) {
+    handleLocalPlayerKilled(killerId, killerName, respawnAt = null) {
         this.isDead = true;
+        this.startRespawnCountdown(respawnAt);
         const event = new CustomEvent('local-player-killed', {
             detail: { killerId: killerId }
         });
@@ -234,25 +303,110 @@ export class DamageSystem {
             }
             this.killerNameEl.innerText = name;
         }
-    }
 
-    respawn() {
-        this.isDead = false;
+        this.renderDeathRecap();
+    }
 
-        // Force hide death screen
-        if (this.deathScreen) {
-            this.deathScreen.style.display = 'none';
+    /**
+     * @param {Object} data - 'player-damaged' aimed at us
+     */
+    recordDamageTaken(data) {
+        let attacker = data.shooterName;
+        if (!attacker) {
+            const shooter = this.networkManager.getRemotePlayer(data.shooterId);
+            attacker = shooter ? shooter.name : 'Unknown';
         }
-        document.getElementById('death-screen').style.display = 'none'; // Double tap
 
-        console.log("🔄 Triggering Local Respawn...");
+        this.damageTaken.push({
+            attacker,
+            weapon: data.weapon,
+            cause: data.cause,
+            armorDamage: data.armorDamage || 0,
+            healthDamage: typeof data.healthDamage === 'number' ? data.healthDamage : data.damage,
+            headshot: !!data.headshot
+        });
+    }
 
-        // Dispatch local event for script.js to reset variables
-        document.dispatchEvent(new CustomEvent('local-player-respawn'));
+    /**
+     * Death recap - every hit we took this life, oldest first, with totals
+     */
+    renderDeathRecap() {
+        if (!this.recapTable) return;
+        this.recapTable.replaceChildren();
+
+        const hits = this.damageTaken;
+        this.recapTable.parentElement.style.display = hits.length > 0 ? 'block' : 'none';
+        if (hits.length === 0) return;
+
+        // Names are player input - text nodes only (via textContent)
+        const addRow = (cells, className = '') => {
+            const row = this.recapTable.insertRow();
+            row.className = className;
+            cells.forEach(cell => {
+                const td = row.insertCell();
+                if (cell instanceof Node) td.append(cell);
+                else td.textContent = cell;
+            });
+        };
 
-        // Notify server
-        if (this.networkManager) {
-            this.networkManager.sendPlayerRespawn();
+        const header = this.recapTable.createTHead().insertRow();
+        ['ATTACKER', 'WEAPON', 'ARMOR', 'HEALTH', ''].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            header.append(th);
+        });
+
+        hits.forEach(hit => {
+            let headshot = '';
+            if (hit.headshot) {
+                headshot = document.createElement('span');
+                headshot.className = 'kill-headshot';
+                headshot.title = 'Headshot';
+                headshot.innerHTML = HEADSHOT_ICON;
+            }
+            let weapon = WEAPON_DEFS[hit.weapon] ? WEAPON_DEFS[hit.weapon].name : (hit.weapon || '-');
+            if (CAUSES[hit.cause]) weapon = CAUSES[hit.cause].name;
+            addRow([
+                hit.attacker,
+                weapon,
+                hit.armorDamage ? Math.round(hit.armorDamage) : '-',
+                hit.healthDamage ? Math.round(hit.healthDamage) : '-',
+                headshot
+            ]);
+        });
+
+        const total = (key) => Math.round(hits.reduce((sum, hit) => sum + hit[key], 0));
+        addRow([`${hits.length} hit${hits.length === 1 ? '' : 's'}`, '', total('armorDamage'), total('healthDamage'), ''], 'recap-total');
+    }
+
+    /**
+     * The server respawns us - count down to it on the death screen
+     * @param {number|null} respawnAt - Server time (ms), null if unknown
+     */
+    startRespawnCountdown(respawnAt) {
+        this.respawnAt = respawnAt;
+        clearInterval(this.countdownTimer);
+        this.updateRespawnCountdown();
+        this.countdownTimer = setInterval(() => this.updateRespawnCountdown(), 100);
+    }
+
+    updateRespawnCountdown() {
+        if (!this.respawnCountdownEl) return;
+
+        const remaining = this.respawnAt ? this.respawnAt - this.networkManager.getServerTime() : 0;
+        this.respawnCountdownEl.innerText = remaining > 0
+            ? `RESPAWNING IN ${Math.ceil(remaining / 1000)}`
+            : 'RESPAWNING…';
+    }
+
+    hideDeathScreen() {
+        this.isDead = false;
+        this.respawnAt = null;
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+
+        if (this.deathScreen) {
+            this.deathScreen.style.display = 'none';
         }
     }
 }
@@ -1,11 +1,12 @@
 
 import * as THREE from 'three';
-import { playShootSound, playHitSound, playEmptyClickSound, playMagEjectSound, playMagInsertSound, warmupAudio } from '../input/audio.js';
+import { playShootSound, playHitSound, playEmptyClickSound, playMagEjectSound, playMagInsertSound, playExplosionSound, warmupAudio } from '../input/audio.js';
 import { WEAPONS, hipPosition, adsPosition, createGun, preloadWeaponAssets, prebuildWeaponModels, getWeaponAnimConfig } from '../entities/weapons.js';
 import { createEnvironment, buildLights, preloadEnvironmentAssets } from '../locations/world.js';
 import { createFiringRange } from '../locations/firing-range.js';
-import { CollisionManager } from './collisions.js';
-import { createDirtJumps, getDirtJumpGroundHeight, checkRampSideCollision } from '../locations/dirt-jumps.js';
+import { CollisionManager } from '../shared/collisions.js';
+import { createDirtJumps } from '../locations/dirt-jumps.js';
+import { getDirtJumpGroundHeight, checkRampSideCollision } from '../shared/dirt-jumps.js';
 import { spawnTargets, createTarget, updateTargets as updateTargetPositions } from '../entities/targets.js';
 import { createInputState, registerInputListeners } from '../input/input.js';
 import { setupSettingsUI, toggleSettings } from './settings.js';
@@ -15,17 +16,33 @@ import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { NetworkManager } from '../multiplayer/network-manager.js';
 import { PlayerManager } from '../multiplayer/player-manager.js';
+import { MatchHud } from '../multiplayer/match-hud.js';
+import { ZoneMarkers } from '../multiplayer/zone-markers.js';
+import { Lobby } from '../multiplayer/lobby.js';
+import { StatsScreen } from '../multiplayer/stats-screen.js';
+import { Scoreboard } from '../multiplayer/scoreboard.js';
+import { Killcam } from '../multiplayer/killcam.js';
+import { SpectatorCamera } from '../multiplayer/spectator-camera.js';
+import { VehicleSync } from '../multiplayer/vehicle-sync.js';
+import { Chat } from '../multiplayer/chat.js';
 import { VehicleManager, HOLD_DURATION } from '../entities/vehicles.js';
+import { DEFAULT_MAP, getVehicleSpawns } from '../shared/maps.js';
+import { VEHICLE_DAMAGE, DRIVER_SIDEARM, getLandingDamage, getExplosionDamage } from '../shared/vehicle-types.js';
+import { calculateDamage } from '../shared/weapon-defs.js';
 import { PublicCinema, getCinemaViewingPlatformHeight } from '../locations/public-cinema.js';
 import { DamageSystem } from './damage.js';
+import { MovementPredictor } from '../multiplayer/prediction.js';
+import { MOVEMENT_CONFIG, createMovementState, stepMovement } from '../shared/movement.js';
+import { WeaponState } from '../shared/weapon-state.js';
+import { MAX_HEALTH, MAX_ARMOR, applyDamage, regenerateHealth } from '../shared/vitals.js';
 
 import { LootManager } from '../entities/loot.js';
-import { createMountains, getTerrainHeight } from '../locations/mountains.js';
+import { createMountains } from '../locations/mountains.js';
 import { createTrees, preloadTrees } from '../locations/trees.js';
 import { preloadRadioTower, createRadioTower } from '../locations/radiotower.js';
 import { preloadLookout, createLookout } from '../locations/lookout.js';
 import { preloadWarehouse, createWarehouse } from '../locations/warehouse.js';
-import { initCamera, getCamera, getGunCamera, updateLook as updateCameraLook, updateCameraFov as updateCameraFovModule, syncGunCamera, onCameraResize, setLookSpeeds, getPitch, getYaw, setPitch, isInLandingRecovery, startLandingRecovery, applyRecoil } from './camera.js';
+import { initCamera, getCamera, getGunCamera, updateLook as updateCameraLook, updateCameraFov as updateCameraFovModule, syncGunCamera, onCameraResize, setLookSpeeds, getPitch, getYaw, setPitch, setYaw, isInLandingRecovery, startLandingRecovery, applyRecoil, clampLook } from './camera.js';
 import { HapticController, TrigerEffects } from '../input/haptic.js';
 import { VibrationPatterns } from '../input/vibrations.js';
 
@@ -65,10 +82,8 @@ const GameState = {
     IN_VEHICLE: 'IN_VEHICLE'
 };
 
-// Health Regen State
+// Health Regen State (delay/rate in js/shared/vitals.js)
 let lastDamageTime = 0;
-const REGEN_DELAY = 10000; // 10 seconds
-const REGEN_RATE = 10; // health per second
 
 let camera, scene, renderer;
 let gunScene, gunCamera;
@@ -78,11 +93,9 @@ let gameState = GameState.PLAYING;
 
 // Note: currentLookSpeedH/V, pitch, yaw now managed by camera.js module
 
-// Physics State
-let velocity = new THREE.Vector3();
-let isGrounded = true;
-let isSliding = false;
-let slideTimer = 0;
+// Physics State - stepped by js/shared/movement.js (position is the eye, without head bob)
+const playerState = createMovementState({ x: 0, y: CONFIG.physics.baseHeight, z: 0 });
+const movementPredictor = new MovementPredictor();
 // Landing recovery state - now managed by camera.js module
 let landingDip = 0; // Visual dip amount when landing (crouch effect)
 
@@ -96,9 +109,7 @@ const WEAPON_ORDER = ['SMG', 'SMG2', 'PISTOL', 'SNIPER', 'CHLOBANATOR'];
 let currentWeaponIndex = 0;
 let currentWeapon = WEAPON_ORDER[currentWeaponIndex];
 let currentWeaponAnim = getWeaponAnimConfig(currentWeapon);
-let currentAmmo = WEAPONS[currentWeapon].magSize;
-let reserveAmmo = WEAPONS[currentWeapon].reserveAmmo;
-let isReloading = false;
+const weaponState = new WeaponState(currentWeapon); // Ammo + fire/reload timing
 let emptyClickLocked = false;
 
 // Game State
@@ -108,16 +119,24 @@ const raycaster = new THREE.Raycaster();
 // Multiplayer State
 let networkManager = null;
 let playerManager = null;
+let matchHud = null;
+let zoneMarkers = null;
+let lobby = null;
+let statsScreen = null;
+let chat = null;
+let killcam = null;
+let killcamEnabled = true; // Setting - applied when the killcam is created
+let spectatorCamera = null; // Drives the camera when we joined as a spectator
+let vehicleSync = null; // Shares the room's vehicles (multiplayer)
+let scoreboard = null;
 let multiplayerEnabled = false;
-let playerHealth = 100;
-let playerArmor = 150; // Max 150 = 3 plates
-const MAX_ARMOR = 150;
+let playerHealth = MAX_HEALTH;
+let playerArmor = MAX_ARMOR; // Max 150 = 3 plates
 
 // Input State
 const { keys, mouse } = createInputState();
 let lastGamepadButtons = [];
 let wasSquarePressed = false; // For generic interact/reload detection (Keyboard + Gamepad)
-let lastShootTime = 0;
 
 // Vehicle State
 let vehicleManager = null;
@@ -135,12 +154,6 @@ let pingMarkers = [];
 let lastPingTime = 0;
 let lastSquarePressed = false;
 
-// Mega-Jump State (on-foot)
-let jumpHoldTime = 0;
-let lastJumpPressed = false;
-const MEGA_JUMP_CHARGE_TIME = 0.5; // Seconds to fully charge
-const MEGA_JUMP_MULTIPLIER = 2.5; // Max jump force multiplier
-
 // --- HAPTICS STATE ---
 const haptics = new HapticController();
 const vibes = new VibrationPatterns(haptics);
@@ -205,8 +218,8 @@ document.addEventListener('local-player-damaged', (e) => {
     }
 });
 
-document.addEventListener('local-player-respawn', () => {
-    respawnPlayer();
+document.addEventListener('local-player-respawn', (e) => {
+    respawnPlayer(e.detail);
 });
 
 function preloadImages(urls = []) {
@@ -385,10 +398,10 @@ async function init() {
     // We instantiate it, but connection happens async. We don't await connection to avoid freezing.
     initMultiplayer();
 
-    // Initialize vehicle system
-    // Initialize vehicle system
+    // Initialize vehicle system (the room's vehicles replace these once we join one)
     vehicleManager = new VehicleManager(scene, vibes, haptics);
-    vehicleManager.createMotorbike(new THREE.Vector3(8, 0, -5)); // Spawn motorbike near start
+    vehicleManager.spawnVehicles(getVehicleSpawns(DEFAULT_MAP));
+    vehicleManager.onHardLanding = handleHardLanding;
 
     // Create dirt jump ramps around the map perimeter
     createDirtJumps(scene);
@@ -488,6 +501,10 @@ async function init() {
             }
         },
         onMotionCalibrate: () => { calibrateMotion(); },
+        onKillcamChange: (enabled) => {
+            killcamEnabled = enabled;
+            if (killcam) killcam.setEnabled(enabled);
+        },
         onVoiceMuteMicChange: (muted) => {
             if (networkManager && networkManager.voiceChat) {
                 networkManager.voiceChat.setMute(muted);
@@ -505,12 +522,6 @@ async function init() {
         }
     });
 
-    // Respawn button listener
-    const respawnBtn = document.getElementById('respawn-btn');
-    if (respawnBtn) {
-        respawnBtn.addEventListener('click', respawnPlayer);
-    }
-
     // Initial UI Update
     updateHealthUI();
     updateArmorUI(); // CRITICAL: Ensure armor is visible on load!
@@ -681,6 +692,7 @@ function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(window.devicePixelRatio);
     if (composer) composer.setSize(window.innerWidth, window.innerHeight);
+    if (killcam) killcam.onResize();
 }
 
 function handleInput(delta) {
@@ -721,6 +733,7 @@ function handleInput(delta) {
         crouchPressed: false,
         shootValue: 0,
         adsValue: 0,
+        sidearmShootValue: 0, // Driver's trigger (R2 is the throttle)
         // Vehicle-specific inputs
         accelerate: 0,
         brake: 0,
@@ -780,11 +793,7 @@ function handleInput(delta) {
 
         input.adsValue = activeGamepad.buttons[6] ? activeGamepad.buttons[6].value : 0; // L2
         input.shootValue = activeGamepad.buttons[7] ? activeGamepad.buttons[7].value : 0; // R2
-
-        // Respawn Dead with X (Cross)
-        if (activeGamepad.buttons[0].pressed && window.damageSystem && window.damageSystem.isDead) {
-            window.damageSystem.respawn();
-        }
+        input.sidearmShootValue = activeGamepad.buttons[5] && activeGamepad.buttons[5].pressed ? 1.0 : 0; // R1
 
         // Vehicle controls
         input.accelerate = activeGamepad.buttons[7] ? activeGamepad.buttons[7].value : 0; // R2
@@ -805,8 +814,8 @@ function handleInput(delta) {
             input.toggleCamera = true;
         }
 
-        if (gameState !== GameState.IN_VEHICLE) {
-            if (pressedOnce(3)) { // Triangle - Switch
+        if (!isSpectating()) {
+            if (pressedOnce(3)) { // Triangle - Switch (not while driving - sidearm only)
                 switchWeapon();
             }
         }
@@ -824,9 +833,20 @@ function handleInput(delta) {
             clearPingMarkers();
         }
 
+        // D-Pad LEFT - Text chat
+        if (pressedOnce(14) && chat) {
+            chat.toggle();
+        }
+
+        // Touchpad (held) - Scoreboard
+        if (scoreboard) {
+            scoreboard.setHeld('touchpad', !!currentButtons[17]);
+        }
+
         lastGamepadButtons = currentButtons;
     } else {
         lastGamepadButtons = [];
+        if (scoreboard) scoreboard.setHeld('touchpad', false);
     }
 
     // 2. Keyboard/Mouse Input (Additive)
@@ -843,7 +863,10 @@ function handleInput(delta) {
     if (keys.shift) input.sprintPressed = true;
 
     if (mouse.right) input.adsValue = 1.0;
-    if (mouse.left) input.shootValue = 1.0;
+    if (mouse.left) {
+        input.shootValue = 1.0;
+        input.sidearmShootValue = 1.0;
+    }
 
     // Keyboard vehicle controls (when in vehicle, WASD controls the vehicle)
     if (gameState === GameState.IN_VEHICLE) {
@@ -880,7 +903,7 @@ function handleInput(delta) {
 
     // Generic Interact / Reload Logic (Keyboard + Gamepad)
     if (input.squarePressed && !wasSquarePressed) {
-        if (gameState !== GameState.IN_VEHICLE) {
+        if (gameState !== GameState.IN_VEHICLE && !isSpectating()) {
             let interacted = false;
             if (lootManager) {
                 const loot = lootManager.checkInteraction(camera.position);
@@ -945,12 +968,10 @@ function handleInput(delta) {
     }
 
     // === HEALTH REGENERATION ===
-    if (playerHealth < 100 && playerHealth > 0) { // Don't regen if dead (0 health is dead state usually)
-        const now = performance.now();
-        if (now - lastDamageTime > REGEN_DELAY) {
-            // Regen
-            playerHealth += REGEN_RATE * delta;
-            if (playerHealth > 100) playerHealth = 100;
+    if (playerHealth < MAX_HEALTH && playerHealth > 0) { // Don't regen if dead (0 health is dead state usually)
+        const regenerated = regenerateHealth(playerHealth, performance.now() - lastDamageTime, delta);
+        if (regenerated !== playerHealth) {
+            playerHealth = regenerated;
             updateHealthUI();
 
             // Broadcast health for visual updates on other clients
@@ -978,266 +999,137 @@ function updateAimState(adsValue) {
 
 function updateLook(input, delta) {
     // Delegate to camera module
-    updateCameraLook(input, delta, CONFIG, isGrounded);
+    updateCameraLook(input, delta, CONFIG, playerState.isGrounded);
 }
 
-function updateMovement(input, delta) {
-    let { moveX, moveZ } = input;
-
-    if (Math.abs(moveX) + Math.abs(moveZ) > 1) {
-        const len = Math.sqrt(moveX * moveX + moveZ * moveZ);
-        moveX /= len;
-        moveZ /= len;
-    }
-
-    // Decay landing dip (smooth recovery)
-    landingDip = THREE.MathUtils.lerp(landingDip, 0, 5 * delta); // Slower decay for "heavy" feel
-
-    // NOTE: Landing is instant now, no movement lock needed
-
-    // === MEGA-JUMP SYSTEM ===
-    // Hold jump to charge, release for mega-jump
-    if (isGrounded) {
-        if (input.jumpPressed) {
-            // Charging
-            jumpHoldTime += delta;
-        } else if (lastJumpPressed && jumpHoldTime > 0) {
-            // Released - execute jump
-            const chargeRatio = Math.min(jumpHoldTime / MEGA_JUMP_CHARGE_TIME, 1.0);
-            const jumpMultiplier = 1.0 + (MEGA_JUMP_MULTIPLIER - 1.0) * chargeRatio;
-            velocity.y = CONFIG.movement.jumpForce * jumpMultiplier;
-            isGrounded = false;
-
-            if (chargeRatio > 0.3) {
-                console.log(`🚀 Mega-jump! (${(chargeRatio * 100).toFixed(0)}% charge, ${jumpMultiplier.toFixed(1)}x force)`);
+/**
+ * Level queries for the shared movement step (js/shared/movement.js)
+ * The server runs the same step with only the queries it can answer.
+ */
+const movementWorld = {
+    collide(x, y, z, radius, velocity) {
+        // Use CollisionManager for automatic collision detection against all registered colliders
+        const result = CollisionManager.checkPlayerCollision(x, y, z, radius, velocity);
+        let finalX = result.collided ? result.x : x;
+        let finalZ = result.collided ? result.z : z;
+        let collided = result.collided;
+        let velocityX = result.velocityX;
+        let velocityZ = result.velocityZ;
+
+        // Check target collisions (targets are dynamic, so not in CollisionManager)
+        if (targets && targets.length > 0) {
+            for (const target of targets) {
+                const targetRadius = 1.0; // Match sphere geometry radius
+                const dx = finalX - target.mesh.position.x;
+                const dz = finalZ - target.mesh.position.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                const minDistance = radius + targetRadius;
+
+                if (distance < minDistance) {
+                    // Collision detected - push player out
+                    const angle = Math.atan2(dz, dx);
+                    finalX = target.mesh.position.x + Math.cos(angle) * minDistance;
+                    finalZ = target.mesh.position.z + Math.sin(angle) * minDistance;
+
+                    // Zero out velocity in collision direction
+                    velocityX = 0;
+                    velocityZ = 0;
+                    collided = true;
+                }
             }
-            jumpHoldTime = 0;
-        }
-    } else {
-        jumpHoldTime = 0;
-    }
-    lastJumpPressed = input.jumpPressed;
-
-    if (input.slidePressed && isGrounded && !isSliding && moveZ < -0.5) {
-        isSliding = true;
-        slideTimer = CONFIG.movement.slideDuration;
-    }
-
-    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
-    forward.y = 0;
-    forward.normalize();
-
-    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
-    right.y = 0;
-    right.normalize();
-
-    let speed = CONFIG.movement.walkSpeed;
-    let targetHeight = CONFIG.physics.baseHeight;
-
-    if (isSliding) {
-        speed = CONFIG.movement.slideSpeed;
-        targetHeight = CONFIG.physics.slideHeight;
-        slideTimer -= delta;
-        if (slideTimer <= 0) {
-            isSliding = false;
-        }
-    } else if (input.crouchPressed) {
-        speed = CONFIG.movement.crouchSpeed;
-        targetHeight = CONFIG.physics.slideHeight; // Reuse slide height for crouch
-    } else if (input.sprintPressed && isGrounded && !isADS) {
-        speed = CONFIG.movement.sprintSpeed;
-    }
-
-    // Head Bobbing
-    if (isGrounded && !isSliding && (Math.abs(moveX) > 0.1 || Math.abs(moveZ) > 0.1)) {
-        // Frequency and amplitude based on speed (Running vs Walking)
-        const isSprinting = speed > CONFIG.movement.walkSpeed;
-        const bobFreq = isSprinting ? 14 : 9;
-        const baseAmp = isSprinting ? 0.25 : 0.12;
-        const bobAmp = baseAmp * CONFIG.movement.headBobAmount;
-
-        walkTimer += delta * bobFreq;
-
-        // Apply Sine wave to target height
-        // We use Math.sin for standard up/down bob
-        const bobOffset = Math.sin(walkTimer) * bobAmp;
-        targetHeight += bobOffset;
-
-        // Footstep Haptic Trigger
-        // Trigger on the "down" step (when sin wave crosses 0 going down or hits bottom?)
-        // Ideally peak-down. Math.sin goes 0->1->0->-1->0
-        // We want to trigger around -0.8 (bottom)
-        const inStep = Math.sin(walkTimer) < -0.8;
-        if (inStep && !window._lastStepTriggered) {
-            vibes.playFootstep(isSprinting);
-            window._lastStepTriggered = true;
-        } else if (!inStep) {
-            window._lastStepTriggered = false;
-        }
-
-    } else {
-        // Reset timer when stopped so we always start distinct step
-        walkTimer = 0;
-    }
-
-    if (isSliding) {
-        velocity.x = forward.x * speed;
-        velocity.z = forward.z * speed;
-    } else {
-        const moveVector = new THREE.Vector3()
-            .addScaledVector(right, moveX)
-            .addScaledVector(forward, -moveZ);
-
-        if (isGrounded) {
-            velocity.x = moveVector.x * speed;
-            velocity.z = moveVector.z * speed;
-        } else {
-            // Air Control
-            velocity.x = THREE.MathUtils.lerp(velocity.x, moveVector.x * speed, CONFIG.movement.airControl * delta * 5);
-            velocity.z = THREE.MathUtils.lerp(velocity.z, moveVector.z * speed, CONFIG.movement.airControl * delta * 5);
         }
-    }
-
-    velocity.y -= CONFIG.physics.gravity * delta;
 
-    // Calculate new position
-    const newX = camera.position.x + velocity.x * delta;
-    const newZ = camera.position.z + velocity.z * delta;
-
-    // Check pillar collisions
-    let finalX = newX;
-    let finalZ = newZ;
-    const playerRadius = 0.5; // Player collision radius (increased to prevent clipping)
-
-    // Use CollisionManager for automatic collision detection against all registered colliders
-    const collisionResult = CollisionManager.checkPlayerCollision(
-        finalX, camera.position.y, finalZ, playerRadius, velocity
-    );
-
-    if (collisionResult.collided) {
-        finalX = collisionResult.x;
-        finalZ = collisionResult.z;
-        velocity.x = collisionResult.velocityX;
-        velocity.z = collisionResult.velocityZ;
-    }
+        return collided ? { x: finalX, z: finalZ, velocityX, velocityZ } : null;
+    },
 
-    // Check target collisions (targets are dynamic, so not in CollisionManager)
-    if (targets && targets.length > 0) {
-        for (const target of targets) {
-            const targetRadius = 1.0; // Match sphere geometry radius
-            const dx = finalX - target.mesh.position.x;
-            const dz = finalZ - target.mesh.position.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-            const minDistance = playerRadius + targetRadius;
+    getRampHeight(x, z, y) {
+        // Dirt jump ramps first, then the cinema viewing platform
+        const rampInfo = getDirtJumpGroundHeight(x, z, y);
+        if (rampInfo && rampInfo.onRamp) return rampInfo;
+        return getCinemaViewingPlatformHeight(x, z, y);
+    },
 
-            if (distance < minDistance) {
-                // Collision detected - push player out
-                const angle = Math.atan2(dz, dx);
-                finalX = target.mesh.position.x + Math.cos(angle) * minDistance;
-                finalZ = target.mesh.position.z + Math.sin(angle) * minDistance;
+    getFloorHeight(x, z, y, height) {
+        return CollisionManager.getFloorHeight(x, z, y, height);
+    },
 
-                // Zero out velocity in collision direction
-                velocity.x = 0;
-                velocity.z = 0;
-            }
-        }
+    checkRampSideCollision(x, z, feetY, radius) {
+        return checkRampSideCollision(x, z, feetY, radius);
     }
+};
 
-    camera.position.x = finalX;
-    camera.position.z = finalZ;
-    camera.position.y += velocity.y * delta;
+/**
+ * Movement tunables - the server's while online so prediction matches, local settings offline
+ */
+function getMovementConfig() {
+    if (multiplayerEnabled && networkManager && networkManager.movementConfig) {
+        return networkManager.movementConfig;
+    }
+    return {
+        ...MOVEMENT_CONFIG,
+        ...CONFIG.movement,
+        gravity: CONFIG.physics.gravity,
+        baseHeight: CONFIG.physics.baseHeight,
+        slideHeight: CONFIG.physics.slideHeight
+    };
+}
 
-    // Check dirt jump ramps for ground height
-    let onRamp = false;
-    let rampHeight = 0;
-    let currentSlope = 0;
+/**
+ * Let go of everything held (typing in chat shouldn't leave you running)
+ */
+function releaseHeldInput() {
+    Object.keys(keys).forEach(key => { keys[key] = false; });
+    mouse.left = false;
+    mouse.right = false;
+}
 
-    const rampInfo = getDirtJumpGroundHeight(finalX, finalZ, camera.position.y);
-    if (rampInfo && rampInfo.onRamp) {
-        onRamp = true;
-        rampHeight = rampInfo.height + targetHeight; // Add player height to ramp surface
-        currentSlope = rampInfo.slope || 0;
-    }
+/**
+ * Teleport the local player (respawn, vehicle exit) and drop any unacknowledged inputs
+ */
+function setPlayerPosition(position) {
+    Object.assign(playerState, createMovementState(position));
+    camera.position.set(position.x, position.y, position.z);
+    landingDip = 0;
 
-    // Check cinema viewing platform for ground height
-    if (!onRamp) {
-        const platformInfo = getCinemaViewingPlatformHeight(finalX, finalZ, camera.position.y);
-        if (platformInfo && platformInfo.onRamp) {
-            onRamp = true;
-            rampHeight = platformInfo.height + targetHeight; // Add player height to platform surface
-            currentSlope = 0;
-        }
-    }
+    movementPredictor.reset();
+    if (networkManager) networkManager.clearPendingInputs();
+}
 
+function updateMovement(input, delta) {
+    const moveInput = {
+        moveX: input.moveX,
+        moveZ: input.moveZ,
+        yaw: getYaw(),
+        pitch: getPitch(),
+        jump: !!input.jumpPressed,
+        sprint: !!input.sprintPressed,
+        crouch: !!input.crouchPressed,
+        slide: !!input.slidePressed,
+        ads: isADS
+    };
 
-    // Check mountains for ground height
-    // Only check if we are NOT on a ramp or cinema platform to avoid conflict
-    // But actually, we should check max height to allow blending? 
-    // For now, let's treat mountains as base terrain that can be overridden by ramps if ramps are higher.
-    // Or simpler: Check mountain height always, and if it's higher than current effectively ground, use it.
-    if (!onRamp) {
-        // We use camera x/z.
-        const mountainY = getTerrainHeight(finalX, finalZ);
-        // Mountain height is the surface Y. Player needs targetHeight above it.
-        const mountainSurfaceHeight = mountainY + targetHeight;
-
-        // Compare against current known ground height. 
-        // Since onRamp is false here, the current ground is just the base targetHeight.
-        const currentGround = targetHeight;
-
-        if (mountainSurfaceHeight > currentGround) {
-            // We are on a mountain
-            rampHeight = mountainSurfaceHeight;
-            onRamp = true; // Use logic for "on surface"
-            // Slope calculation?
-            // Simple finite difference for slope approx if needed, but for now just height is enough to walk.
-        }
-    }
+    // Predict locally - the server runs the same step on the same input
+    const step = stepMovement(playerState, moveInput, delta, getMovementConfig(), movementWorld);
 
-    // Check box collider floors (tower platforms, etc.)
-    const floorInfo = CollisionManager.getFloorHeight(finalX, finalZ, camera.position.y, 1.7);
-    if (floorInfo && floorInfo.onFloor) {
-        const floorSurfaceHeight = floorInfo.height + targetHeight;
-        // Use this floor if it's higher than current ground
-        if (!onRamp || floorSurfaceHeight > rampHeight) {
-            rampHeight = floorSurfaceHeight;
-            onRamp = true;
-        }
+    if (multiplayerEnabled && networkManager && networkManager.isConnected()) {
+        networkManager.queueInput(movementPredictor.record(moveInput, delta));
     }
 
-    // Check for ramp side collisions (prevents clipping through sides from below)
-    const feetY = camera.position.y - 1.7;
-    const rampSideCollision = checkRampSideCollision(finalX, finalZ, feetY, playerRadius);
-    if (rampSideCollision) {
-        finalX += rampSideCollision.x;
-        finalZ += rampSideCollision.z;
-        velocity.x = 0;
-        velocity.z = 0;
+    if (step.jumpCharge > 0.3) {
+        console.log(`🚀 Mega-jump! (${(step.jumpCharge * 100).toFixed(0)}% charge)`);
     }
 
-    // Update final position after collision resolution
-    camera.position.x = finalX;
-    camera.position.z = finalZ;
-
-    // Ground collision (modified to account for ramps)
-    const effectiveGroundHeight = onRamp ? rampHeight : targetHeight;
-    if (camera.position.y < effectiveGroundHeight) {
-        // === LANDING DETECTED ===
-        // Capture impact speed before zeroing velocity
-        const impactSpeed = Math.abs(velocity.y);
+    // Decay landing dip (smooth recovery)
+    landingDip = THREE.MathUtils.lerp(landingDip, 0, 5 * delta); // Slower decay for "heavy" feel
 
+    if (step.landed) {
         // Trigger Landing Bob if impact is significant
-        if (impactSpeed > 2.0 && !onRamp) { // Don't bob on ramps to avoid jitter
+        if (step.impactSpeed > 2.0 && !step.onRamp) { // Don't bob on ramps to avoid jitter
             // Calculated dip: stronger impact = deeper dip, max clamped
             // 0.03 multiplier feels "heavy" but not disorienting
-            const dipAmount = Math.min(0.6, impactSpeed * 0.035);
-            landingDip += dipAmount;
-            // console.log(`🛬 Landed! Impact: ${impactSpeed.toFixed(1)}, Dip: ${landingDip.toFixed(2)}`);
+            landingDip += Math.min(0.6, step.impactSpeed * 0.035);
         }
 
-        camera.position.y = effectiveGroundHeight;
-        velocity.y = 0;
-
         // When landing or while grounded, check if we need flip recovery
         if (!isInLandingRecovery()) {
             // Check if pitch is beyond normal looking range
@@ -1247,58 +1139,41 @@ function updateMovement(input, delta) {
 
             // 95° threshold - trigger for any significant flip
             const flipThreshold = Math.PI * 95 / 180; // 95°
-            const needsRecovery = Math.abs(checkPitch) > flipThreshold;
-
-            if (needsRecovery) {
+            if (Math.abs(checkPitch) > flipThreshold) {
                 // Start landing recovery via camera module
                 startLandingRecovery(getPitch());
             }
         }
-
-        isGrounded = true;
-    } else if (camera.position.y > effectiveGroundHeight + 0.1 && isGrounded && !onRamp) {
-        // Snap down if the drop is small (walking down a slope), otherwise fall
-        const snapDistance = 0.8;
-        if (camera.position.y - effectiveGroundHeight < snapDistance && velocity.y <= 0) {
-            camera.position.y = effectiveGroundHeight;
-            velocity.y = 0;
-        } else {
-            isGrounded = false;
-        }
     }
 
-    // Keep grounded while on ramp
-    // Keep grounded while on ramp and snap to surface
-    if (onRamp) {
-        // Snap down if close enough to prevent "stepping" effect on slopes
-        // FIXED: Reduced snap distance from 1.5 to 0.5 to prevent "magnet" effect when jumping
-        // FIXED: Only snap if velocity is not too negative (falling fast = don't snap)
-        const distToGround = camera.position.y - effectiveGroundHeight;
+    // Head Bobbing (visual only - applied on top of the simulated eye height)
+    let bobOffset = 0;
+    const isMoving = Math.abs(input.moveX) > 0.1 || Math.abs(input.moveZ) > 0.1;
+    if (playerState.isGrounded && !playerState.isSliding && isMoving) {
+        // Frequency and amplitude based on speed (Running vs Walking)
+        const isSprinting = step.speed > CONFIG.movement.walkSpeed;
+        const bobFreq = isSprinting ? 14 : 9;
+        const baseAmp = isSprinting ? 0.25 : 0.12;
+        const bobAmp = baseAmp * CONFIG.movement.headBobAmount;
 
-        // If walking down slope (low negative velocity) OR very close to ground
-        const isWalkingDown = velocity.y > -10.0; // Don't snap if falling faster than 10m/s
+        walkTimer += delta * bobFreq;
+        bobOffset = Math.sin(walkTimer) * bobAmp;
 
-        if (velocity.y <= 0 && isWalkingDown && distToGround < 0.5 && distToGround > -0.5) {
-            camera.position.y = effectiveGroundHeight;
-            velocity.y = 0;
-            isGrounded = true;
-        } else {
-            // If we are high above (jumping or falling), ensure we are not marked as grounded
-            if (distToGround > 0.1) {
-                isGrounded = false;
-            }
+        // Footstep Haptic Trigger - around the bottom of the sine wave
+        const inStep = Math.sin(walkTimer) < -0.8;
+        if (inStep && !window._lastStepTriggered) {
+            vibes.playFootstep(isSprinting);
+            window._lastStepTriggered = true;
+        } else if (!inStep) {
+            window._lastStepTriggered = false;
         }
+    } else {
+        // Reset timer when stopped so we always start distinct step
+        walkTimer = 0;
     }
 
-    // Smooth height transition (only when grounded and not on ramp)
-    if (isGrounded && !onRamp) {
-        // Apply landingDip to target height (temporarily crouch)
-        const smoothedHeight = targetHeight - landingDip;
-        camera.position.y = THREE.MathUtils.lerp(camera.position.y, smoothedHeight, 10 * delta);
-    }
-
-    camera.position.x = Math.max(-1000, Math.min(1000, camera.position.x));
-    camera.position.z = Math.max(-1000, Math.min(1000, camera.position.z));
+    const { position } = playerState;
+    camera.position.set(position.x, position.y + bobOffset - landingDip, position.z);
 }
 
 function buildFirstPersonArms(animConfig) {
@@ -1403,7 +1278,7 @@ function updateArmsRig(delta) {
     const baseHand = cfg?.hands?.left;
     if (!baseFore || !baseHand) return;
 
-    const horizontalSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    const horizontalSpeed = Math.hypot(playerState.velocity.x, playerState.velocity.z);
     const isMoving = horizontalSpeed > 0.1;
     const isSprinting = isMoving && !isADS && horizontalSpeed > CONFIG.movement.walkSpeed * 1.05;
 
@@ -1414,7 +1289,7 @@ function updateArmsRig(delta) {
     const handTargetRot = (baseHand.rotation || new THREE.Euler()).clone();
 
     // Movement swing when not ADS/reloading
-    if (!isReloading && isMoving && !isADS) {
+    if (!weaponState.isReloading && isMoving && !isADS) {
         // Debug: push arm to the right while moving, snap back when idle/ADS
         const offset = isSprinting ? -.5 : -.5;
 
@@ -1423,7 +1298,7 @@ function updateArmsRig(delta) {
     }
 
     // Movement swing when not ADS/reloading
-    if (!isReloading && isMoving && !isADS) {
+    if (!weaponState.isReloading && isMoving && !isADS) {
         // Debug: push arm to the right while moving, snap back when idle/ADS
         const offset = isSprinting ? -.5 : -.5;
         foreTargetPos.x += offset;
@@ -1432,7 +1307,7 @@ function updateArmsRig(delta) {
     }
 
     // Movement swing when not ADS/reloading
-    if (!isReloading && isMoving && !isADS) {
+    if (!weaponState.isReloading && isMoving && !isADS) {
         // Debug: push arm to the right while moving, snap back when idle/ADS
         const offset = isSprinting ? .1 : .1;
         foreTargetPos.y += offset;
@@ -1442,7 +1317,7 @@ function updateArmsRig(delta) {
 
 
     // Reload pose: move off grip towards mag area
-    if (isReloading) {
+    if (weaponState.isReloading) {
         foreTargetPos.add(new THREE.Vector3(0, -.5, 0));
         handTargetPos.add(new THREE.Vector3(0, -.5, 0));
         //  foreTargetRot.x = THREE.MathUtils.lerp(foreTargetRot.x, -Math.PI / 2 + 0.3, 0.5);
@@ -1469,7 +1344,7 @@ function updateGunRig(delta) {
     let targetRotX = 0;
     let targetRotZ = 0;
 
-    if (isReloading) {
+    if (weaponState.isReloading) {
         const reloadPos = currentWeaponAnim.fp?.reloadPosition;
         const reloadRot = currentWeaponAnim.fp?.reloadRotation;
         targetPos = reloadPos || weaponHip;
@@ -1478,10 +1353,10 @@ function updateGunRig(delta) {
     }
 
     // Apply movement offsets (for gun/right-hand pose) when walking/sprinting and not ADS/reloading
-    const horizontalSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    const horizontalSpeed = Math.hypot(playerState.velocity.x, playerState.velocity.z);
     const isMoving = horizontalSpeed > 0.1;
     const isSprinting = isMoving && !isADS && horizontalSpeed > CONFIG.movement.walkSpeed * 1.05;
-    if (!isReloading && isMoving && !isADS) {
+    if (!weaponState.isReloading && isMoving && !isADS) {
         const moveOffsets = currentWeaponAnim.fp?.moveOffsets;
         const offset = isSprinting ? moveOffsets?.sprint : moveOffsets?.walk;
         if (offset) {
@@ -1491,7 +1366,7 @@ function updateGunRig(delta) {
 
     // Apply light sway/bob based on movement (per-weapon tunable)
     const posWithOffsets = targetPos.clone();
-    if (!isReloading) {
+    if (!weaponState.isReloading) {
         const speedNorm = Math.min(1, horizontalSpeed / CONFIG.movement.sprintSpeed);
         const walkThreshold = CONFIG.movement.walkSpeed * 0.4;
         const sprintThreshold = CONFIG.movement.walkSpeed * 1.05;
@@ -1518,7 +1393,7 @@ function updateGunRig(delta) {
     gunGroup.rotation.x = THREE.MathUtils.lerp(gunGroup.rotation.x, targetRotX, 10 * delta);
     gunGroup.rotation.z = THREE.MathUtils.lerp(gunGroup.rotation.z, targetRotZ, 10 * delta);
 
-    if (!isReloading) {
+    if (!weaponState.isReloading) {
         gunGroup.rotation.x = THREE.MathUtils.lerp(gunGroup.rotation.x, 0, 5 * delta);
     }
 }
@@ -1532,7 +1407,7 @@ function updateScopeOverlay() {
     const scopeOverlay = document.getElementById('scope-overlay');
     if (!scopeOverlay) return;
 
-    if (currentWeapon === 'SNIPER' && isADS && !isReloading) {
+    if (currentWeapon === 'SNIPER' && isADS && !weaponState.isReloading) {
         scopeOverlay.style.display = 'block';
         // Hide gun immediately when sniper ADS starts to prevent barrel blocking scope
         if (gunGroup) {
@@ -1576,27 +1451,31 @@ function updateArmorUI() {
 
 }
 
-function respawnPlayer() {
-    playerHealth = 100;
-    playerArmor = 150;
+/**
+ * Full health/armor at a spawn point
+ * @param {Object} spawn - { position, yaw } chosen by the server (origin when offline)
+ */
+function respawnPlayer(spawn = null) {
+    const position = spawn && spawn.position ? spawn.position : { x: 0, y: CONFIG.physics.baseHeight, z: 0 };
+    const yaw = spawn && typeof spawn.yaw === 'number' ? spawn.yaw : 0;
+
+    playerHealth = MAX_HEALTH;
+    playerArmor = MAX_ARMOR;
     updateHealthUI();
     updateArmorUI();
-    camera.position.set(0, CONFIG.physics.baseHeight, 0); // Reset position
-    velocity.set(0, 0, 0); // Reset velocity
-    isGrounded = true;
-    isSliding = false;
-    isLandingRecovery = false;
-    pitch = 0;
-    yaw = 0;
-    const euler = new THREE.Euler(pitch, yaw, 0, 'YXZ');
-    camera.quaternion.setFromEuler(euler);
+    setPlayerPosition(position); // Reset position & velocity
+    setPitch(0);
+    setYaw(yaw);
+    camera.quaternion.setFromEuler(new THREE.Euler(0, yaw, 0, 'YXZ'));
     console.log("Player respawned!");
 }
 
 function shoot(intensity) {
-    if (isReloading) return;
+    // Fire rate, ammo and reload timing come from the shared WeaponState
+    const shot = weaponState.tryFire(performance.now());
+
     // Check ammo
-    if (currentAmmo <= 0) {
+    if (shot === 'empty') {
         if (!emptyClickLocked) {
             playEmptyClickSound();
             emptyClickLocked = true;
@@ -1604,13 +1483,7 @@ function shoot(intensity) {
         return;
     }
 
-    const weapon = WEAPONS[currentWeapon];
-    const now = performance.now();
-    if (now - lastShootTime > weapon.fireRate) {
-        lastShootTime = now;
-
-        // Decrement ammo
-        currentAmmo--;
+    if (shot === 'fired') {
         updateAmmoDisplay();
 
         playShootSound(currentWeapon);
@@ -1624,19 +1497,6 @@ function shoot(intensity) {
             else vibes.smg(); // Default for automatics
         }
 
-        // Notify other players
-        if (multiplayerEnabled && networkManager && networkManager.isConnected()) {
-            const direction = raycaster.ray.direction;
-            networkManager.sendPlayerFired(
-                { x: camera.position.x, y: camera.position.y, z: camera.position.z },
-                { x: direction.x, y: direction.y, z: direction.z }
-            );
-
-            // Send Health Update occasionally or on change?
-            // Actually, we should send it when damage happens or via heartbeat.
-            // But for regen, we need to broadcast it.
-        }
-
         if (gunGroup) {
             gunGroup.position.z += 0.05;
             gunGroup.rotation.x += 0.05;
@@ -1649,19 +1509,46 @@ function shoot(intensity) {
 
         raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
 
+        // Drivers fire one-handed - their shots go wide
+        if (vehicleManager && vehicleManager.isDriving()) {
+            scatterShot(raycaster.ray.direction, DRIVER_SIDEARM.spread);
+        }
+
+        // Notify other players (after aiming, so they see where this shot went)
+        if (multiplayerEnabled && networkManager && networkManager.isConnected()) {
+            const direction = raycaster.ray.direction;
+            networkManager.sendPlayerFired(
+                { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+                { x: direction.x, y: direction.y, z: direction.z }
+            );
+
+            // Send Health Update occasionally or on change?
+            // Actually, we should send it when damage happens or via heartbeat.
+            // But for regen, we need to broadcast it.
+        }
+
         const muzzleWorldPos = getMuzzleWorldPosition();
         const missPoint = raycaster.ray.origin.clone().add(raycaster.ray.direction.clone().multiplyScalar(50));
 
         let intersectObjects = targets.map(t => t.mesh);
         const intersects = raycaster.intersectObjects(intersectObjects);
 
-        const tracerEnd = intersects.length > 0 ? intersects[0].point : missPoint;
+        // Vehicles stop bullets - players behind one are safe, riders get hit through the gaps
+        const vehicleHit = vehicleManager ? vehicleManager.raycast(raycaster, vehicleManager.getCurrentVehicle()) : null;
+
+        let tracerEnd = intersects.length > 0 ? intersects[0].point : missPoint;
+        if (vehicleHit && (intersects.length === 0 || vehicleHit.distance < intersects[0].distance)) {
+            tracerEnd = vehicleHit.point;
+        }
         createTracer(muzzleWorldPos, tracerEnd);
 
         // 1. Check PvP Hits via DamageSystem
+        let pvpHit = false;
         if (window.damageSystem) {
-            const weaponDamage = WEAPONS[currentWeapon].damage;
-            const pvpResult = window.damageSystem.checkShooting(raycaster, weaponDamage);
+            raycaster.far = vehicleHit ? vehicleHit.distance : Infinity;
+            const pvpResult = window.damageSystem.checkShooting(raycaster, currentWeapon);
+            raycaster.far = Infinity;
+            pvpHit = !!(pvpResult && pvpResult.hit);
 
             if (pvpResult && pvpResult.hit) {
                 playHitSound();
@@ -1676,7 +1563,15 @@ function shoot(intensity) {
             }
         }
 
-        // 2. Check Target Hits
+        // 2. Check Vehicle Hits
+        if (vehicleHit && !pvpHit) {
+            playHitSound();
+            showHitMarker();
+            createImpact(vehicleHit.point, raycaster.ray.direction.clone().negate());
+            hitVehicle(vehicleHit.vehicle, vehicleHit.distance);
+        }
+
+        // 3. Check Target Hits
         if (intersects.length > 0) {
             const hitObject = intersects[0].object;
             const hitPoint = intersects[0].point;
@@ -1704,6 +1599,16 @@ function shoot(intensity) {
     }
 }
 
+/**
+ * Knock a shot's direction off by up to `spread` (rad) each way
+ */
+function scatterShot(direction, spread) {
+    direction.x += (Math.random() * 2 - 1) * spread;
+    direction.y += (Math.random() * 2 - 1) * spread;
+    direction.z += (Math.random() * 2 - 1) * spread;
+    direction.normalize();
+}
+
 function createMuzzleFlash() {
     const flash = new THREE.PointLight(0xffff00, 1, 5);
     flash.position.copy(getMuzzleWorldPosition());
@@ -1845,12 +1750,56 @@ function createImpact(position, normal = new THREE.Vector3(0, 0, 1)) {
     animateParticles();
 }
 
+/**
+ * Fireball, flash and smoke where a vehicle blew up
+ */
+function createExplosion(position) {
+    const flash = new THREE.PointLight(0xff8833, 8, VEHICLE_DAMAGE.explosionRadius * 3);
+    flash.position.copy(position);
+    scene.add(flash);
+
+    const fireGeometry = new THREE.SphereGeometry(1, 16, 12);
+    const fireMaterial = new THREE.MeshBasicMaterial({ color: 0xffaa33, transparent: true, opacity: 0.9 });
+    const fireball = new THREE.Mesh(fireGeometry, fireMaterial);
+    fireball.position.copy(position);
+    scene.add(fireball);
+
+    const smokeGeometry = new THREE.SphereGeometry(1, 12, 8);
+    const smokeMaterial = new THREE.MeshBasicMaterial({ color: 0x333333, transparent: true, opacity: 0.6, depthWrite: false });
+    const smoke = new THREE.Mesh(smokeGeometry, smokeMaterial);
+    smoke.position.copy(position);
+    scene.add(smoke);
+
+    const startTime = performance.now();
+    function animateExplosion() {
+        const elapsed = (performance.now() - startTime) / 1000;
+        if (elapsed > 2.5) {
+            [flash, fireball, smoke].forEach(object => scene.remove(object));
+            fireGeometry.dispose();
+            fireMaterial.dispose();
+            smokeGeometry.dispose();
+            smokeMaterial.dispose();
+            return;
+        }
+
+        // Fireball pops out and burns away in half a second, the smoke rises and fades behind it
+        const fire = Math.min(1, elapsed / 0.5);
+        fireball.scale.setScalar(1 + fire * VEHICLE_DAMAGE.explosionRadius * 0.4);
+        fireMaterial.opacity = 0.9 * (1 - fire);
+        flash.intensity = 8 * Math.max(0, 1 - elapsed / 0.4);
+
+        smoke.scale.setScalar(1 + elapsed * 2);
+        smoke.position.y = position.y + elapsed * 1.5;
+        smokeMaterial.opacity = 0.6 * (1 - elapsed / 2.5);
+        requestAnimationFrame(animateExplosion);
+    }
+    animateExplosion();
+}
+
 function resetGame() {
     gameState = GameState.PLAYING;
-    isSliding = false;
-    isReloading = false;
+    weaponState.cancelReload();
     emptyClickLocked = false;
-    velocity.set(0, 0, 0);
     updateAmmoDisplay();
     targets = spawnTargets(scene, targets);
     respawnPlayer(); // Reset health and armor
@@ -1863,10 +1812,11 @@ function handleVehicleInteraction(input, delta) {
 
     const squarePressed = input.squarePressed;
 
-    // Track square button hold time
+    // Track square button hold time - a tap reloads while riding, holding it gets off
     if (squarePressed) {
         squareHoldTime += delta;
     } else {
+        if (gameState === GameState.IN_VEHICLE && squareHoldTime > 0 && squareHoldTime < HOLD_DURATION) reload();
         squareHoldTime = 0;
     }
 
@@ -1876,28 +1826,16 @@ function handleVehicleInteraction(input, delta) {
         lastSquarePressed = true;
 
         if (gameState === GameState.IN_VEHICLE) {
-            // Exit vehicle
-            const exitPos = vehicleManager.exitVehicle();
-            if (exitPos) {
-                camera.position.copy(exitPos);
-
-                // Check if exiting on a ramp - use ramp height instead of ground
-                const rampInfo = getDirtJumpGroundHeight(exitPos.x, exitPos.z, exitPos.y + 1.7);
-                if (rampInfo && rampInfo.onRamp) {
-                    camera.position.y = rampInfo.height + CONFIG.physics.baseHeight;
-                } else {
-                    camera.position.y = CONFIG.physics.baseHeight;
-                }
-
-                gameState = GameState.PLAYING;
-                console.log('🚶 Exited vehicle');
-            }
+            // Exit vehicle (and hand it back to the server)
+            const vehicle = leaveVehicle();
+            if (vehicle && isVehicleShared()) vehicleSync.exit(vehicle);
         } else if (gameState === GameState.PLAYING) {
-            // Try to enter vehicle
-            const vehicle = vehicleManager.enterVehicle(camera.position);
-            if (vehicle) {
-                gameState = GameState.IN_VEHICLE;
-                console.log('🏍️ Entered vehicle');
+            // Try to enter vehicle - online the server has to give it to us first
+            const vehicle = vehicleManager.getNearestVehicle(camera.position);
+            if (vehicle && isVehicleShared()) {
+                vehicleSync.requestEnter(vehicle);
+            } else if (vehicle) {
+                boardVehicle(vehicle);
             }
         }
     }
@@ -1908,45 +1846,256 @@ function handleVehicleInteraction(input, delta) {
     }
 }
 
+/**
+ * Vehicles are the room's (entering/exiting goes through the server)
+ */
+function isVehicleShared() {
+    return !!vehicleSync && multiplayerEnabled && networkManager.isConnected();
+}
+
+/**
+ * @param {string} seat - 'driver' or 'passenger' (the server picks online)
+ */
+function boardVehicle(vehicle, seat = 'driver') {
+    vehicleManager.boardVehicle(vehicle, seat);
+    gameState = GameState.IN_VEHICLE;
+    Object.assign(playerState.velocity, { x: 0, y: 0, z: 0 }); // The gun rig sways with it
+
+    // Drivers look around from straight ahead, sidearm in hand
+    if (seat === 'driver') {
+        setYaw(0);
+        setPitch(0);
+        equipWeapon(DRIVER_SIDEARM.weapon);
+    }
+    console.log(`🏍️ Entered ${vehicle.name} (${seat})`);
+}
+
+/**
+ * Get off next to the vehicle
+ * @returns {Vehicle|null} The vehicle we were on
+ */
+function leaveVehicle() {
+    const vehicle = vehicleManager.getCurrentVehicle();
+    const wasDriving = vehicleManager.isDriving();
+    const exitPos = vehicleManager.exitVehicle();
+    if (!exitPos) return null;
+
+    // Check if exiting on a ramp - use ramp height instead of ground
+    const rampInfo = getDirtJumpGroundHeight(exitPos.x, exitPos.z, exitPos.y + 1.7);
+    const groundY = rampInfo && rampInfo.onRamp ? rampInfo.height : 0;
+    setPlayerPosition({ x: exitPos.x, y: groundY + CONFIG.physics.baseHeight, z: exitPos.z });
+
+    // Driver's look was relative to the vehicle - keep facing the same way, and put the sidearm away
+    if (wasDriving) {
+        setYaw(vehicle.mesh.rotation.y + getYaw());
+        camera.quaternion.setFromEuler(new THREE.Euler(getPitch(), getYaw(), 0, 'YXZ'));
+        equipWeapon(WEAPON_ORDER[currentWeaponIndex]);
+    }
+
+    gameState = GameState.PLAYING;
+    console.log('🚶 Exited vehicle');
+    return vehicle;
+}
+
+/**
+ * Our bullet hit a vehicle - online the server re-tests it and works out the damage
+ */
+function hitVehicle(vehicle, distance) {
+    if (isVehicleShared()) {
+        const { origin, direction } = raycaster.ray;
+        networkManager.sendVehicleHit(vehicle.id, {
+            origin: { x: origin.x, y: origin.y, z: origin.z },
+            direction: { x: direction.x, y: direction.y, z: direction.z }
+        });
+        return;
+    }
+
+    if (vehicleManager.damageVehicle(vehicle, calculateDamage(currentWeapon, 'torso', distance))) {
+        explodeVehicle(vehicle);
+    }
+}
+
+/**
+ * The vehicle we're driving came down hard - it and we take damage, a big
+ * one throws us off. Online the server decides (and takes us off itself).
+ */
+function handleHardLanding(vehicle, impactSpeed) {
+    if (hapticsConnected) vibes.impact();
+
+    if (isVehicleShared()) {
+        networkManager.sendVehicleLanded(vehicle.id, impactSpeed);
+        return;
+    }
+
+    const damage = getLandingDamage(impactSpeed);
+    if (damage <= 0) return;
+
+    damageLocalPlayer(damage * VEHICLE_DAMAGE.riderShare);
+    if (vehicleManager.damageVehicle(vehicle, damage)) {
+        explodeVehicle(vehicle);
+    } else if (impactSpeed >= VEHICLE_DAMAGE.throwSpeed) {
+        console.log('🤕 Thrown off');
+        leaveVehicle();
+    }
+}
+
+/**
+ * Offline wreck - off it, boom, and the blast reaches us if we're close
+ * (online the server sends all of that)
+ */
+function explodeVehicle(vehicle) {
+    if (vehicle === vehicleManager.getCurrentVehicle()) leaveVehicle();
+    showVehicleExplosion(vehicle.getPosition());
+    damageLocalPlayer(getExplosionDamage(playerState.position.distanceTo(vehicle.getPosition())));
+}
+
+/**
+ * Explosion effect, sound and rumble - louder and stronger the closer it is
+ */
+function showVehicleExplosion(position) {
+    createExplosion(position);
+
+    const closeness = Math.max(0, 1 - camera.position.distanceTo(position) / (VEHICLE_DAMAGE.explosionRadius * 10));
+    playExplosionSound(closeness);
+    if (hapticsConnected && closeness > 0.8) vibes.impact();
+}
+
+/**
+ * Offline damage from the world (crashes, explosions) - online it comes from the server
+ */
+function damageLocalPlayer(damage) {
+    if (damage <= 0) return;
+    document.dispatchEvent(new CustomEvent('local-player-damaged', { detail: { damage } }));
+}
+
 function updateVehiclePrompt() {
     const prompt = document.getElementById('vehicle-prompt');
     if (!prompt || !vehicleManager) return;
 
+    const nearestVehicle = gameState === GameState.PLAYING && !isSpectating()
+        ? vehicleManager.getNearestVehicle(camera.position)
+        : null;
+
     if (gameState === GameState.IN_VEHICLE) {
-        // Show exit prompt
+        // Show exit prompt (and how to right a rolled-over buggy)
+        const vehicle = vehicleManager.getCurrentVehicle();
+        const flip = vehicleManager.isDriving() && vehicle.isRolledOver
+            ? 'Hold <span class="button-icon">✕</span> to Flip Over · '
+            : '';
+        const sidearm = vehicleManager.isDriving() ? '<span class="button-icon">R1</span> Sidearm · ' : '';
         prompt.style.display = 'block';
-        prompt.innerHTML = 'Hold <span class="button-icon">□</span> to Exit Vehicle';
-    } else if (gameState === GameState.PLAYING && vehicleManager.isPlayerNearVehicle(camera.position)) {
-        // Show enter prompt
+        prompt.innerHTML = `${sidearm}${flip}Hold <span class="button-icon">□</span> to Exit Vehicle`;
+    } else if (nearestVehicle) {
+        // Show enter prompt - someone's driving it: ride along
+        const action = nearestVehicle.getFreeSeat() === 'passenger' ? 'Ride as Passenger' : 'Enter Vehicle';
         prompt.style.display = 'block';
-        prompt.innerHTML = 'Hold <span class="button-icon">□</span> to Enter Vehicle';
+        prompt.innerHTML = `Hold <span class="button-icon">□</span> to ${action}`;
     } else {
         prompt.style.display = 'none';
     }
 }
 
 /**
- * Update the vehicle HUD (speedometer & gear indicator)
+ * Update the vehicle HUD (speedometer, gear indicator & health)
  */
 function updateVehicleHUD() {
     const hudEl = document.getElementById('vehicle-hud');
     if (!hudEl) return;
 
-    if (gameState === GameState.IN_VEHICLE && vehicleManager) {
+    if (gameState === GameState.IN_VEHICLE && vehicleManager && vehicleManager.isInVehicle()) {
         const vehicle = vehicleManager.getCurrentVehicle();
         if (vehicle) {
             hudEl.style.display = 'flex';
 
+            // Passengers only see the vehicle's health
+            const driving = vehicleManager.isDriving();
+            document.getElementById('speedometer').style.display = driving ? '' : 'none';
+            document.getElementById('gear-indicator').style.display = driving ? '' : 'none';
+
             // Speed in km/h (multiply m/s by 3.6)
             const speedKmh = Math.round(vehicle.getSpeed() * 3.6);
             document.getElementById('speed-value').textContent = speedKmh;
             document.getElementById('gear-value').textContent = vehicle.getCurrentGear();
+
+            const health = Math.max(0, vehicle.health / vehicle.maxHealth);
+            const healthFill = document.getElementById('vehicle-health-fill');
+            healthFill.style.width = `${health * 100}%`;
+            healthFill.classList.toggle('critical', health <= 0.25);
         }
     } else {
         hudEl.style.display = 'none';
     }
 }
 
+/**
+ * Gun in hand - rig, FOV, scope and trigger (on foot and in either vehicle seat)
+ * @param {number} triggerValue - 0..1
+ */
+function updateWeapon(delta, triggerValue) {
+    updateGunRig(delta);
+    updateArmsRig(delta);
+    updateCameraFov(delta);
+    updateScopeOverlay();
+
+    // Show gun (unless sniper scope overlay is active)
+    const scopeActive = currentWeapon === 'SNIPER' && isADS && !weaponState.isReloading;
+    if (gunGroup && !scopeActive) gunGroup.visible = true;
+    if (armsGroup) armsGroup.visible = !scopeActive;
+
+    if (triggerValue <= 0.1) {
+        emptyClickLocked = false;
+    }
+
+    if (triggerValue > 0.1) {
+        shoot(triggerValue);
+    }
+}
+
+/**
+ * Driver's view - the vehicle's, turned by their look (kept inside the sidearm's arc)
+ */
+function updateDriverCamera() {
+    clampLook(DRIVER_SIDEARM);
+    vehicleManager.updateCamera(camera, { yaw: getYaw(), pitch: getPitch() });
+    camera.updateMatrixWorld(); // Shots are aimed from it before the next render - it moves fast
+}
+
+// === SPECTATOR MODE ===
+
+function isSpectating() {
+    return !!(spectatorCamera && spectatorCamera.isActive);
+}
+
+/**
+ * Camera + held weapon of the spectated player (free camera: no weapon)
+ */
+function updateSpectator(input, delta) {
+    spectatorCamera.update(delta, input);
+
+    const weapon = spectatorCamera.getTargetWeapon();
+    if (weapon && WEAPONS[weapon] && weapon !== currentWeapon) {
+        showWeaponModel(weapon);
+    }
+
+    const showGun = !!weapon;
+    if (gunGroup) gunGroup.visible = showGun;
+    if (armsGroup) armsGroup.visible = showGun;
+    if (showGun) {
+        updateGunRig(delta);
+        updateArmsRig(delta);
+    }
+}
+
+/**
+ * Hold a weapon model (spectators show what the followed player has out)
+ */
+function showWeaponModel(weapon) {
+    currentWeapon = weapon;
+    currentWeaponAnim = getWeaponAnimConfig(weapon);
+    gunGroup = createGun(gunScene, gunCamera, weapon, gunGroup);
+    attachArmsToGun(weapon);
+}
+
 function animate(time) {
     try {
         const rawDelta = (time - lastTime) / 1000;
@@ -1955,6 +2104,7 @@ function animate(time) {
         const delta = Math.min(rawDelta, 0.1);
 
         const input = handleInput(delta);
+        updateWeaponState();
 
         // Sync environment if needed (do this every frame or check)
         if (scene.environment && !gunScene.environment) {
@@ -1972,48 +2122,43 @@ function animate(time) {
 
 
 
-        // Handle vehicle entry/exit (Square button hold)
-        handleVehicleInteraction(input, delta);
+        // Handle vehicle entry/exit (Square button hold) - spectators only watch
+        if (!isSpectating()) handleVehicleInteraction(input, delta);
 
         // Update based on game state
-        if (gameState === GameState.IN_VEHICLE) {
-            // Vehicle mode
-            vehicleManager.update(delta, input);
-            vehicleManager.updateCamera(camera);
+        if (isSpectating()) {
+            updateSpectator(input, delta);
+        } else if (gameState === GameState.IN_VEHICLE) {
+            if (vehicleManager.isDriving()) {
+                // Vehicle mode - the sidearm aims around straight ahead, no ADS with a hand on the bars
+                vehicleManager.update(delta, input);
+                updateAimState(0);
+                updateLook(input, delta);
+                updateDriverCamera();
+
+                // Toggle camera with right d-pad
+                if (input.toggleCamera) {
+                    vehicleManager.toggleCameraMode();
+                }
 
-            // Toggle camera with right d-pad
-            if (input.toggleCamera) {
-                vehicleManager.toggleCameraMode();
+                updateWeapon(delta, input.sidearmShootValue);
+                updateDriverCamera(); // Recoil kicked the look
+            } else {
+                // Passenger - full loadout; the seat moves with the driver's vehicle (after vehicleSync.update)
+                updateAimState(input.adsValue);
+                updateLook(input, delta);
+                updateWeapon(delta, input.shootValue);
             }
-
-            // Hide gun when in vehicle
-            if (gunGroup) gunGroup.visible = false;
-            if (armsGroup) armsGroup.visible = false;
         } else {
             // Normal on-foot mode
             updateAimState(input.adsValue);
             updateLook(input, delta);
             updateMovement(input, delta);
-            updateGunRig(delta);
-            updateArmsRig(delta);
-            updateCameraFov(delta);
-            updateScopeOverlay();
-
-            // Show gun when on foot (unless sniper scope overlay is active)
-            const scopeActive = currentWeapon === 'SNIPER' && isADS && !isReloading;
-            if (gunGroup && !scopeActive) gunGroup.visible = true;
-            if (armsGroup) armsGroup.visible = !scopeActive;
-
-            if (input.shootValue <= 0.1) {
-                emptyClickLocked = false;
-            }
-
-            if (input.shootValue > 0.1) {
-                shoot(input.shootValue);
-            }
+            updateWeapon(delta, input.shootValue);
         }
 
         updateTargetPositions(targets, delta);
+        vehicleManager.respawnWrecks(); // Offline wrecks (the server respawns the room's)
         updateVehiclePrompt();
         updateVehicleHUD();
 
@@ -2022,7 +2167,7 @@ function animate(time) {
             publicCinema.update(camera.position, camera, renderer);
 
             // Handle cinema interaction (Triangle when not in vehicle)
-            if (gameState !== GameState.IN_VEHICLE && input.trianglePressed && !publicCinema.isBlockingInput()) {
+            if (gameState !== GameState.IN_VEHICLE && !isSpectating() && input.trianglePressed && !publicCinema.isBlockingInput()) {
                 publicCinema.interact();
             }
         }
@@ -2033,16 +2178,30 @@ function animate(time) {
 
         // Multiplayer sync
         if (multiplayerEnabled && networkManager && networkManager.isConnected()) {
-            // Send your position to other players
-            networkManager.sendPlayerUpdate(
-                { x: camera.position.x, y: camera.position.y, z: camera.position.z },
-                { x: camera.rotation.x, y: camera.rotation.y, z: camera.rotation.z },
-                currentWeapon,
-                playerHealth
-            );
+            // Send your predicted position (on foot) or vehicle position to the server
+            const sentPosition = gameState === GameState.IN_VEHICLE ? camera.position : playerState.position;
+            if (!isSpectating()) {
+                networkManager.sendPlayerUpdate(
+                    { x: sentPosition.x, y: sentPosition.y, z: sentPosition.z },
+                    { x: camera.rotation.x, y: camera.rotation.y, z: camera.rotation.z },
+                    currentWeapon,
+                    playerHealth
+                );
+                if (gameState === GameState.IN_VEHICLE) vehicleSync.sendState();
+            }
 
-            // Update remote players
-            playerManager.update(camera, delta);
+            // Update remote players and vehicles (the killcam poses players while it replays)
+            if (killcam && killcam.isActive) {
+                killcam.update(delta);
+            } else {
+                vehicleSync.update(delta, networkManager.getServerTime());
+                if (gameState === GameState.IN_VEHICLE && !vehicleManager.isDriving()) vehicleManager.updateCamera(camera);
+                playerManager.update(camera, delta, networkManager.getServerTime());
+            }
+
+            // Match timer + capture zones
+            if (matchHud) matchHud.update(gameState === GameState.IN_VEHICLE || isSpectating() ? camera.position : playerState.position);
+            if (zoneMarkers) zoneMarkers.update(delta);
         }
 
         // Update ping marker labels
@@ -2063,6 +2222,10 @@ function renderScene() {
     // if (composer) {
     //     composer.render();
     // } else {
+    if (killcam && killcam.isActive) {
+        renderer.render(scene, killcam.camera); // Our gun isn't in the killer's view
+        return;
+    }
     renderer.render(scene, camera);
     // Also render gunScene on top manually since composer isn't doing it
     renderer.autoClear = false;
@@ -2073,9 +2236,9 @@ function renderScene() {
 }
 
 function updateAmmoDisplay() {
-    const ammoText = isReloading ?
+    const ammoText = weaponState.isReloading ?
         `RELOADING...` :
-        `${currentAmmo} / ${reserveAmmo} [${WEAPONS[currentWeapon].name}]`;
+        `${weaponState.ammo} / ${weaponState.reserve} [${WEAPONS[currentWeapon].name}]`;
     document.getElementById('ammo').innerText = ammoText;
 }
 
@@ -2108,35 +2271,39 @@ async function updateWeaponHaptics(weaponName) {
 }
 
 function switchWeapon() {
-    if (isReloading) return;
+    if (weaponState.isReloading) return;
+    if (vehicleManager && vehicleManager.isDriving()) return; // Sidearm only
     currentWeaponIndex = (currentWeaponIndex + 1) % WEAPON_ORDER.length;
 
     // Skip un-owned weapons? (Assuming all owned for now)
 
-    currentWeapon = WEAPON_ORDER[currentWeaponIndex];
-    currentWeaponAnim = getWeaponAnimConfig(currentWeapon);
+    equipWeapon(WEAPON_ORDER[currentWeaponIndex]);
+
+    // Reset ADS if holding it
+    if (isADS) {
+        // Re-apply ads speed? maintained by update loop
+    }
+}
+
+/**
+ * Take a weapon out (full ammo) - nothing to do if it's already in hand
+ */
+function equipWeapon(weapon) {
+    if (weapon === currentWeapon) return;
 
     // Update Ammo Info
-    currentAmmo = WEAPONS[currentWeapon].magSize;
-    reserveAmmo = WEAPONS[currentWeapon].reserveAmmo; // Simplified: refilled on swap for prototype
-    updateAmmoDisplay();
+    weaponState.equip(weapon);
 
     // Rebuild gun model group
-    gunGroup = createGun(gunScene, gunCamera, currentWeapon, gunGroup);
-    attachArmsToGun(currentWeapon);
+    showWeaponModel(weapon);
+    updateAmmoDisplay();
 
     updateWeaponHaptics(currentWeapon);
-
-    // Reset ADS if holding it
-    if (isADS) {
-        // Re-apply ads speed? maintained by update loop
-    }
 }
 
 function reload() {
-    if (isReloading || currentAmmo === WEAPONS[currentWeapon].magSize || reserveAmmo <= 0) return;
+    if (!weaponState.startReload(performance.now())) return;
 
-    isReloading = true;
     updateAmmoDisplay(); // Shows "RELOADING..."
 
     playMagEjectSound();
@@ -2149,18 +2316,17 @@ function reload() {
         playMagInsertSound();
     }, WEAPONS[currentWeapon].reloadTime * 1000 * 0.6); // Play insert sound at 60% of reload time
 
-    // Complete reload
-    setTimeout(() => {
-        const weapon = WEAPONS[currentWeapon];
-        const ammoNeeded = weapon.magSize - currentAmmo;
-        const ammoToLoad = Math.min(ammoNeeded, reserveAmmo);
+    // Reload completes in updateWeaponState()
+}
 
-        currentAmmo += ammoToLoad;
-        reserveAmmo -= ammoToLoad;
-        isReloading = false;
+/**
+ * Advance reload timing (called every frame)
+ */
+function updateWeaponState() {
+    if (weaponState.update(performance.now())) {
         emptyClickLocked = false;
         updateAmmoDisplay();
-    }, WEAPONS[currentWeapon].reloadTime * 1000);
+    }
 }
 
 function showHitMarker() {
@@ -2180,14 +2346,58 @@ async function initMultiplayer() {
             y: camera.position.y,
             z: camera.position.z
         });
+
+        // Pick a room in the lobby first
+        statsScreen = new StatsScreen(networkManager.serverUrl);
+        lobby = new Lobby(networkManager.serverUrl, {
+            onShowStats: () => statsScreen.show(networkManager.profileId)
+        });
+        const choice = await chooseRoom();
+        if (!choice) {
+            console.log('🎮 Playing offline');
+            multiplayerEnabled = false;
+            updateMultiplayerStatus();
+            return;
+        }
+        applyRoomChoice(choice);
+
+        // Full room / wrong password - back to the lobby
+        networkManager.on('join-error', async (data) => {
+            const retry = await lobby.show(`Couldn't join: ${data.reason}`);
+            if (retry) {
+                applyRoomChoice(retry);
+                if (!retry.spectator && !networkManager.voiceChat.localStream) await networkManager.initVoiceChat();
+                networkManager.sendJoin();
+            } else {
+                networkManager.disconnect();
+            }
+        });
+
         await networkManager.connect();
-        await networkManager.initVoiceChat();
+        if (!choice.spectator) await networkManager.initVoiceChat(); // Spectators have no voice (the server won't relay it)
 
         // Populate audio device dropdowns
         populateAudioOutputDevices();
         populateAudioInputDevices();
 
         playerManager = new PlayerManager(scene);
+        matchHud = new MatchHud(networkManager);
+        zoneMarkers = new ZoneMarkers(scene, networkManager);
+        chat = new Chat(networkManager, { onOpen: releaseHeldInput });
+        scoreboard = new Scoreboard(networkManager);
+        killcam = new Killcam(scene, playerManager, networkManager);
+        killcam.setEnabled(killcamEnabled);
+        spectatorCamera = new SpectatorCamera(camera, playerManager, networkManager);
+        vehicleSync = new VehicleSync(vehicleManager, playerManager, networkManager, {
+            onBoard: (vehicle, seat) => {
+                if (gameState !== GameState.PLAYING) return false; // Died / got busy while asking
+                boardVehicle(vehicle, seat);
+                return true;
+            },
+            onForcedExit: () => leaveVehicle(),
+            onRejected: (reason) => setConnectionBanner(reason.toUpperCase(), 3000),
+            onDestroyed: (vehicle, data) => showVehicleExplosion(new THREE.Vector3(data.position.x, data.position.y, data.position.z))
+        });
         multiplayerEnabled = true;
 
         console.log('✅ Multiplayer enabled!');
@@ -2201,6 +2411,26 @@ async function initMultiplayer() {
     }
 }
 
+/**
+ * Room to join - ?room=<id> links skip the lobby (add &spectate=1 to watch)
+ * @returns {Promise<Object|null>} { roomId, password, name, spectator } or null to play offline
+ */
+function chooseRoom() {
+    const params = new URLSearchParams(window.location.search);
+    const roomParam = params.get('room');
+    if (roomParam) {
+        return Promise.resolve({ roomId: roomParam, password: null, name: null, spectator: params.get('spectate') === '1' });
+    }
+    return lobby.show();
+}
+
+function applyRoomChoice(choice) {
+    networkManager.setRoomId(choice.roomId);
+    networkManager.setRoomPassword(choice.password);
+    networkManager.setSpectating(choice.spectator);
+    if (choice.name) networkManager.setPlayerName(choice.name);
+}
+
 async function populateAudioOutputDevices() {
     if (!networkManager || !networkManager.voiceChat) return;
 
@@ -2255,13 +2485,66 @@ async function populateAudioInputDevices() {
 function setupMultiplayerEvents() {
     // When connected
     networkManager.on('connected', (data) => {
-        console.log('✅ Connected! Player ID:', data.playerId);
+        console.log(`✅ ${data.resumed ? 'Session resumed' : 'Connected'}! Player ID:`, data.playerId);
+        multiplayerEnabled = true;
+        setConnectionBanner(null);
         updateMultiplayerStatus();
 
-        // Add all existing players
+        // Nobody rides across a reconnect - the server took us off when we dropped
+        if (gameState === GameState.IN_VEHICLE) leaveVehicle();
+
+        // Start where the server put us so prediction and simulation agree
+        if (data.position) {
+            setPlayerPosition(data.position);
+        }
+
+        // Picked up where we left off - the server's vitals are the truth
+        if (data.resumed && typeof data.health === 'number') {
+            playerHealth = data.health;
+            playerArmor = data.armor || 0;
+            updateHealthUI();
+            updateArmorUI();
+        }
+
+        // Add all existing players (fresh list after a reconnect)
+        playerManager.clear();
         data.players.forEach(player => {
             playerManager.addPlayer(player);
+            if (player.connected === false) {
+                playerManager.setPlayerConnected(player.id, false);
+            }
         });
+
+        // The room's vehicles, with whoever is riding them seated
+        vehicleSync.applyRoster(data.vehicles);
+
+        // Watching only - the spectator camera takes over from our player
+        document.body.classList.toggle('spectating', data.spectator);
+        if (data.spectator) {
+            spectatorCamera.start();
+        } else {
+            spectatorCamera.stop();
+        }
+    });
+
+    // Connection dropped - socket.io is retrying with backoff
+    networkManager.on('reconnecting', (data) => {
+        setConnectionBanner(`RECONNECTING… (attempt ${data.attempt})`);
+        updateMultiplayerStatus();
+    });
+
+    // Anti-cheat warning / kick
+    networkManager.on('server-warning', (data) => {
+        setConnectionBanner(data.message.toUpperCase(), 5000);
+    });
+
+    networkManager.on('kicked', (data) => {
+        setConnectionBanner(data.reason.toUpperCase());
+    });
+
+    // Someone else's connection dropped / came back
+    networkManager.on('player-connection', (data) => {
+        playerManager.setPlayerConnected(data.id, data.connected);
     });
 
     // When a new player joins
@@ -2278,10 +2561,16 @@ function setupMultiplayerEvents() {
         updateMultiplayerStatus();
     });
 
+    // Server re-simulated our inputs - rewind and replay if it disagrees
+    networkManager.on('movement-ack', (ack) => {
+        if (gameState === GameState.IN_VEHICLE) return; // Vehicle position isn't predicted
+        movementPredictor.reconcile(ack, playerState, getMovementConfig(), movementWorld);
+    });
+
     // When a player moves
     networkManager.on('player-moved', (data) => {
         if (data.id !== networkManager.getPlayerId()) {
-            playerManager.updatePlayerPosition(data.id, data.position, data.rotation);
+            playerManager.updatePlayerPosition(data.id, data.position, data.rotation, data.timestamp);
             if (data.health !== undefined) {
                 playerManager.updatePlayerHealth(data.id, data.health);
             }
@@ -2289,8 +2578,14 @@ function setupMultiplayerEvents() {
     });
 
     networkManager.on('player-fired', (data) => {
-        if (data.id !== networkManager.getPlayerId()) {
+        if (isSpectating() && data.id === spectatorCamera.targetId) {
+            // Their shot, from their eyes
+            playShootSound(data.weapon);
+            createMuzzleFlash();
+        } else if (data.id !== networkManager.getPlayerId()) {
             playerManager.showMuzzleFlash(data.id);
+            // Fired from a vehicle - traced from their seat, so you can tell where it came from
+            if (data.vehicleId && data.direction) playerManager.showTracer(data.id, data.direction);
         }
     });
 
@@ -2318,6 +2613,7 @@ function setupMultiplayerEvents() {
                 detail: { killerId: data.killerId }
             });
             document.dispatchEvent(event);
+            killcam.start(data);
         } else {
             playerManager.setPlayerDead(data.victimId, true);
         }
@@ -2325,7 +2621,10 @@ function setupMultiplayerEvents() {
 
     networkManager.on('player-respawned', (data) => {
         if (data.id === networkManager.getPlayerId()) {
-            const event = new CustomEvent('local-player-respawn');
+            // Server picked the spawn point
+            const event = new CustomEvent('local-player-respawn', {
+                detail: { position: data.position, yaw: data.yaw }
+            });
             document.dispatchEvent(event);
         } else {
             playerManager.setPlayerDead(data.id, false);
@@ -2344,27 +2643,12 @@ function setupMultiplayerEvents() {
 
         // 1. Force Local Update (Client Prediction) for immediate feedback
         // This ensures the UI *always* reacts instantly to the red flash.
-        let predictedArmor = playerArmor;
-        let predictedHealth = playerHealth;
-        let actualDamage = damage;
-
-        if (isNaN(predictedArmor)) predictedArmor = MAX_ARMOR;
-
-        // Armor absorbs damage first
-        if (predictedArmor > 0) {
-            const absorbed = Math.min(predictedArmor, damage);
-            predictedArmor -= absorbed;
-            actualDamage -= absorbed;
-        }
-
-        // Remaining damage hits health
-        if (actualDamage > 0) {
-            predictedHealth = Math.max(0, predictedHealth - actualDamage);
-        }
+        // Armor absorbs damage first, same math as the server
+        const predicted = applyDamage({ health: playerHealth, armor: playerArmor }, damage);
 
         // Apply prediction immediately
-        playerArmor = predictedArmor;
-        playerHealth = predictedHealth;
+        playerArmor = predicted.armor;
+        playerHealth = predicted.health;
         updateArmorUI();
         updateHealthUI();
 
@@ -2396,27 +2680,51 @@ function setupMultiplayerEvents() {
         updateArmorUI();
     });
 
-    document.addEventListener('local-player-respawn', () => {
+    document.addEventListener('local-player-respawn', (e) => {
         console.log("♻️ Respawing: Resetting Health/Armor");
-        respawnPlayer();
+        respawnPlayer(e.detail);
     });
     // When disconnected
-    networkManager.on('disconnected', () => {
+    networkManager.on('disconnected', (data) => {
         console.log('🔌 Disconnected from server');
         multiplayerEnabled = false;
+        playerManager.clear(); // Re-added from 'player-assigned' when we're back
+        if (data && data.reconnecting) setConnectionBanner('CONNECTION LOST - RECONNECTING…');
         updateMultiplayerStatus();
     });
 }
 
+/**
+ * Connection banner - lost connection, warnings, kicks (null hides it)
+ * @param {number} duration - Hide again after this many ms (0 = stay up)
+ */
+let connectionBannerTimer = null;
+function setConnectionBanner(text, duration = 0) {
+    const banner = document.getElementById('connection-banner');
+    if (!banner) return;
+
+    clearTimeout(connectionBannerTimer);
+    banner.innerText = text || '';
+    banner.classList.toggle('visible', !!text);
+    if (text && duration) {
+        connectionBannerTimer = setTimeout(() => setConnectionBanner(null), duration);
+    }
+}
+
 
 function updateMultiplayerStatus() {
     const mpStatus = document.getElementById('mp-status');
     if (!mpStatus) return;
 
     if (multiplayerEnabled && networkManager && networkManager.isConnected()) {
-        const playerCount = networkManager.getRemotePlayers().length + 1;
-        mpStatus.innerText = `ONLINE (${playerCount})`;
+        const playerCount = networkManager.getRemotePlayers().length + (networkManager.spectating ? 0 : 1);
+        const room = networkManager.room;
+        const status = networkManager.spectating ? 'SPECTATING' : 'ONLINE';
+        mpStatus.innerText = room ? `${status} (${playerCount}/${room.maxPlayers}) - ${room.name}` : `${status} (${playerCount})`;
         mpStatus.style.color = '#0f0';
+    } else if (networkManager && networkManager.reconnecting) {
+        mpStatus.innerText = 'RECONNECTING…';
+        mpStatus.style.color = '#ffcc00';
     } else {
         mpStatus.innerText = 'OFFLINE';
         mpStatus.style.color = '#888';
@@ -27,6 +27,7 @@ const settingsItems = [
     { id: 'motion-fov-scale', type: 'checkbox' },
     { id: 'motion-fov-scale-strength', type: 'slider', min: 0, max: 1, step: 0.05 },
     { id: 'motion-deadzone', type: 'slider', min: 0, max: 1, step: 0.001 },
+    { id: 'killcam-enabled', type: 'checkbox' },
     { id: 'voice-mute-mic', type: 'checkbox' },
     { id: 'voice-deafen', type: 'checkbox' },
     { id: 'voice-volume', type: 'slider', min: 0, max: 1, step: 0.05 }
@@ -116,6 +117,7 @@ export function setupSettingsUI({
     onMotionDeadzoneChange,
     onMotionConnect,
     onMotionCalibrate,
+    onKillcamChange,
     onVoiceMuteMicChange,
     onVoiceDeafenChange,
     onVoiceVolumeChange
@@ -149,6 +151,7 @@ export function setupSettingsUI({
         motionFovScale: true,
         motionFovScaleStrength: 1.0,
         motionDeadzone: 0,
+        killcamEnabled: true,
         voiceMuteMic: false,
         voiceDeafen: false,
         voiceVolume: 1.0
@@ -601,6 +604,17 @@ export function setupSettingsUI({
         });
     }
 
+    const killcamToggle = document.getElementById('killcam-enabled');
+    if (killcamToggle) {
+        killcamToggle.checked = settingsState.killcamEnabled;
+        killcamToggle.addEventListener('change', (e) => {
+            const checked = e.target.checked;
+            settingsState.killcamEnabled = checked;
+            onKillcamChange(checked);
+            saveSettings(settingsState);
+        });
+    }
+
     const voiceMuteMic = document.getElementById('voice-mute-mic');
     if (voiceMuteMic) {
         voiceMuteMic.checked = settingsState.voiceMuteMic;
@@ -682,6 +696,7 @@ export function setupSettingsUI({
     onMotionFovScaleChange(settingsState.motionFovScale);
     onMotionFovScaleStrengthChange(settingsState.motionFovScaleStrength);
     onMotionDeadzoneChange(settingsState.motionDeadzone);
+    onKillcamChange(settingsState.killcamEnabled);
     onVoiceMuteMicChange(settingsState.voiceMuteMic);
     onVoiceDeafenChange(settingsState.voiceDeafen);
     onVoiceVolumeChange(settingsState.voiceVolume);
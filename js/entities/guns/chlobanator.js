@@ -1,19 +1,11 @@
 import * as THREE from 'three';
 import { DEFAULT_FP_ANIM, DEFAULT_TP_ANIM } from '../weapon-constants.js';
+import { WEAPON_DEFS } from '../../shared/weapon-defs.js';
 
 export const CHLOBANATOR_DATA = {
-    name: 'CHLOBANATOR',
-    damage: 100,
-    magSize: 30,
-    reserveAmmo: 120,
-    reloadTime: 2.0,
-    fireRate: 100,
+    ...WEAPON_DEFS.CHLOBANATOR,
     hipPosition: new THREE.Vector3(0.2, -0.3, -0.8),
-    adsPosition: new THREE.Vector3(0, -0.105, -0.7),
-    barrelLength: 0.3,
-    zoomFOV: 50,
-    recoil: { hip: 0.03, ads: 0.01 },
-    spread: { hip: 0.02, ads: 0.005 }
+    adsPosition: new THREE.Vector3(0, -0.105, -0.7)
 };
 
 export const CHLOBANATOR_ANIM = {
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { DEFAULT_FP_ANIM, DEFAULT_TP_ANIM } from '../weapon-constants.js';
+import { WEAPON_DEFS } from '../../shared/weapon-defs.js';
 
 const textureLoader = new THREE.TextureLoader();
 const fbxLoader = new FBXLoader();
@@ -49,18 +50,9 @@ const pistolTextureCache = new Map();
 
 // --- DATA ---
 export const PISTOL_DATA = {
-    name: 'Pistol',
-    damage: 20,
-    magSize: 30,
-    reserveAmmo: 120,
-    reloadTime: 2.0,
-    fireRate: 100,
+    ...WEAPON_DEFS.PISTOL,
     hipPosition: new THREE.Vector3(0.2, -0.3, -0.8),
-    adsPosition: new THREE.Vector3(0, -0.05, -0.6),
-    barrelLength: 0.3,
-    zoomFOV: 50,
-    recoil: { hip: 0.03, ads: 0.01 },
-    spread: { hip: 0.02, ads: 0.005 }
+    adsPosition: new THREE.Vector3(0, -0.05, -0.6)
 };
 
 export const PISTOL_ANIM = {
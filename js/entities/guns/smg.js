@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { DEFAULT_FP_ANIM, DEFAULT_TP_ANIM } from '../weapon-constants.js';
+import { WEAPON_DEFS } from '../../shared/weapon-defs.js';
 
 const textureLoader = new THREE.TextureLoader();
 let smgMetalTexture = null;
@@ -13,18 +14,9 @@ function getSmgMetalTexture() {
 }
 
 export const SMG_DATA = {
-    name: 'SMG',
-    damage: 12,
-    magSize: 50,
-    reserveAmmo: 150,
-    reloadTime: 1.5,
-    fireRate: 100,
+    ...WEAPON_DEFS.SMG,
     hipPosition: new THREE.Vector3(0.2, -0.3, -.8),
-    adsPosition: new THREE.Vector3(0, -0.1, -0.4),
-    barrelLength: 0.3,
-    zoomFOV: 60,
-    recoil: { hip: 0.03, ads: 0.01 },
-    spread: { hip: 0.015, ads: 0.005 }
+    adsPosition: new THREE.Vector3(0, -0.1, -0.4)
 };
 
 export const SMG_ANIM = {
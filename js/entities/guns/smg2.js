@@ -1,19 +1,11 @@
 import * as THREE from 'three';
 import { DEFAULT_FP_ANIM, DEFAULT_TP_ANIM } from '../weapon-constants.js';
+import { WEAPON_DEFS } from '../../shared/weapon-defs.js';
 
 export const SMG2_DATA = {
-    name: 'SMG Type 2',
-    damage: 12,
-    magSize: 35,
-    reserveAmmo: 150,
-    reloadTime: 1.2,
-    fireRate: 150,
+    ...WEAPON_DEFS.SMG2,
     hipPosition: new THREE.Vector3(0.2, -0.25, -0.85),
-    adsPosition: new THREE.Vector3(0, -0.1, -0.75),
-    barrelLength: 0.3,
-    zoomFOV: 60,
-    recoil: { hip: 0.04, ads: 0.01 },
-    spread: { hip: 0.02, ads: 0.01 }
+    adsPosition: new THREE.Vector3(0, -0.1, -0.75)
 };
 
 export const SMG2_ANIM = {
@@ -1,19 +1,11 @@
 import * as THREE from 'three';
 import { DEFAULT_FP_ANIM, DEFAULT_TP_ANIM } from '../weapon-constants.js';
+import { WEAPON_DEFS } from '../../shared/weapon-defs.js';
 
 export const SNIPER_DATA = {
-    name: 'Sniper',
-    damage: 90,
-    magSize: 5,
-    reserveAmmo: 20,
-    reloadTime: 3.0,
-    fireRate: 800,
+    ...WEAPON_DEFS.SNIPER,
     hipPosition: new THREE.Vector3(0.2, -0.3, -.8),
-    adsPosition: new THREE.Vector3(0, -0.095, -0.3),
-    barrelLength: 0.6,
-    zoomFOV: 20,
-    recoil: { hip: 0.08, ads: 0.02 },
-    spread: { hip: 0.0, ads: 0.0 }
+    adsPosition: new THREE.Vector3(0, -0.095, -0.3)
 };
 
 export const SNIPER_ANIM = {
@@ -2,22 +2,42 @@
  * Vehicle System - Complete rewrite with improved collision and physics
  * 
  * Key improvements:
- * - Smooth ground following with lerp (no hard snaps)
+ * - Per-wheel ground probes (terrain, ramps, floors) on spring/damper suspension
  * - Proper edge detection (can drive off ramp sides)
  * - Better airborne physics with terminal velocity
  * - Soft landing system (minimal speed loss on smooth landings)
  * - Improved collision response
+ *
+ * In multiplayer a vehicle is shared (js/multiplayer/vehicle-sync.js): only
+ * the driver's client runs update(); everyone else - passengers included -
+ * poses it from the network with animateRemote().
  */
 
 import * as THREE from 'three';
-import { CollisionManager } from '../core/collisions.js';
-import { getDirtJumpGroundHeightVehicle, checkRampSideCollision } from '../locations/dirt-jumps.js';
+import { CollisionManager } from '../shared/collisions.js';
+import { getDirtJumpGroundHeightVehicle, checkRampSideCollision } from '../shared/dirt-jumps.js';
 import { getTerrainHeight, getTerrainNormal } from '../locations/mountains.js';
+import { getVehicleType, SEAT_FIELDS, VEHICLE_DAMAGE } from '../shared/vehicle-types.js';
 
 // Vehicle interaction constants
 const INTERACTION_DISTANCE = 3.0;
 const HOLD_DURATION = 0.5;
 
+// Suspension
+const WHEEL_DROOP = 0.3; // m a wheel hangs below its rest position before it leaves the ground
+const MAX_GROUND_VELOCITY = 15; // m/s the ground under the wheels can rise/fall (caps steps)
+
+// Motorbike
+const WHEEL_SPIN_PER_SPEED = 3; // Wheel spin (rad/s) per m/s of speed
+const MOTORBIKE_WHEEL_Y = 0.35; // Wheel hubs at rest (local)
+
+// Buggy
+const BUGGY_WHEEL_RADIUS = 0.45;
+const BUGGY_WHEEL_Y = -0.1; // Wheel hubs at rest (local)
+const FLIP_HOLD_DURATION = 1.0; // Seconds holding jump to right a rolled-over buggy
+const ROLLED_SIDE_HEIGHT = 0.8; // Origin above the ground lying on its side
+const ROLLED_ROOF_HEIGHT = 1.2; // ...and on its roll cage
+
 /**
  * Base Vehicle class - common functionality for all vehicles
  */
@@ -28,13 +48,28 @@ class Vehicle {
         this.mesh.rotation.order = 'YXZ'; // Important for independent yaw (spin)
         this.mesh.position.copy(position);
 
+        // Network identity - shared with the server (see getVehicleSpawns)
+        this.id = null;
+        this.type = null;
+        this.riderId = null; // Player driving it (multiplayer, may be someone else)
+        this.passengerId = null;
+        this.spawn = null; // { x, z, yaw } it respawns at (offline)
+        this.respawnAt = null; // performance.now() an offline wreck comes back
+
         // State
         this.isOccupied = false;
         this.isCrashing = false;
+        this.isDestroyed = false; // Wrecked - hidden until it respawns
+        this.maxHealth = 100;
+        this.health = this.maxHealth; // Online the server's (snapshots), offline VehicleManager.damageVehicle
+        this.onHardLanding = null; // (impactSpeed) => {} - set by VehicleManager
         this.cameraMode = '1st'; // Force 1st person
+        this.engineProfile = 'motorbike'; // Controller rumble (ENGINE_PROFILES)
 
         // Movement physics
         this.speed = 0;
+        this.lean = 0; // Steering (-1..1) - turns the handlebars, synced to other players
+        this.wheelSpin = 0; // rad/s
         this.momentum = new THREE.Vector3(); // For airborne movement
         this.maxSpeed = 30;
         this.maxReverseSpeed = 10;
@@ -60,12 +95,14 @@ class Vehicle {
         this.airControlAccel = 8.0; // How fast rotation ramps up
         this.rotationVelocity = { pitch: 0, yaw: 0, roll: 0 }; // Current rotation speeds
 
-        // Ground following
-        this.groundSnapSpeed = 25; // Increased from 15 for faster/smoother ramp following
-        this.maxBumpHeight = 2.0;  // Can climb steps/bumps up to this height instantly
-        this.lastGroundHeight = 0;
-        this.lastGroundHeight = 0;
-        this.lastOnRamp = false;
+        // Ground following (probeWheels) + suspension
+        this.wheelContacts = [{ x: 0, z: -1.0 }, { x: 0, z: 0.9 }]; // Local x/z of each wheel, -z = front
+        this.wheelRadius = 0.4;
+        this.wheelCompression = this.wheelContacts.map(() => 0); // m per wheel (animateParts)
+        this.suspensionStiffness = 180; // Spring (m/s² per m compressed)
+        this.suspensionDamping = 18; // Damper (m/s² per m/s)
+        this.suspensionTravel = 0.25; // m it compresses before bottoming out
+        this.lastGroundHeight = null; // Body rest height last frame (null = just got on)
         this.lastJumpPressed = false;
 
         // Bunnyhop charge system (hold X to charge, release to hop)
@@ -76,6 +113,8 @@ class Vehicle {
         // Camera offsets
         this.firstPersonOffset = new THREE.Vector3(0, 1.8, -0.3);
         this.thirdPersonOffset = new THREE.Vector3(0, 3, 8);
+        this.passengerOffset = null; // Passenger's eye (null = no passenger seat)
+        this.exitDistance = 2; // Sideways from the seat when getting off
 
         // Automatic gear system
         this.currentGear = 1;
@@ -90,9 +129,10 @@ class Vehicle {
 
     enter() {
         this.isOccupied = true;
+        this.lastGroundHeight = null;
 
         if (this.vibes) {
-            this.vibes.startEngine();
+            this.vibes.startEngine(this.engineProfile);
             // Set Triggers to resistance for throttle/brake?
             if (this.haptic && this.haptic.connected) {
                 // Throttle (R2) - Soft spring
@@ -107,6 +147,7 @@ class Vehicle {
     exit() {
         this.isOccupied = false;
         this.speed = 0;
+        this.wheelSpin = 0;
         this.verticalVelocity = 0;
         this.isAirborne = false;
 
@@ -421,44 +462,26 @@ class Vehicle {
     }
 
     /**
-     * Handle ground detection, ramp physics, and airborne state
+     * Ground following: probe under every wheel, ride on a spring/damper
+     * The body sits on the average of the wheels' ground heights and is
+     * pitched/rolled to the plane through them. Springs only push, so when the
+     * ground falls away faster than the wheels can follow (ramp lips, crests,
+     * edges) the vehicle leaves it with the vertical speed it had.
      */
     updateGroundPhysics(delta) {
-        const currentX = this.mesh.position.x;
-        const currentZ = this.mesh.position.z;
-        const currentY = this.mesh.position.y;
-
-        // Find ground info at current position using vehicle-specific function
-        const rampInfo = getDirtJumpGroundHeightVehicle(currentX, currentZ, currentY);
-
-        // Get mountain terrain height
-        const mountainY = getTerrainHeight(currentX, currentZ);
-        const mountainGroundHeight = mountainY + this.groundOffset;
-
-        let targetGroundHeight = mountainGroundHeight;
-        let onRamp = false;
-        let rampData = null;
-
-        // Check if ramp overrides mountain
-        if (rampInfo) {
-            const rampHeight = rampInfo.height + this.groundOffset;
-            if (rampHeight > mountainGroundHeight) {
-                targetGroundHeight = rampHeight;
-                onRamp = true;
-                rampData = rampInfo;
-            }
+        const ground = this.probeWheels();
+        const targetHeight = ground.height + this.groundOffset;
+
+        // How fast the ground under us rises/falls (the damper works against it)
+        let targetVelocity = 0;
+        if (this.lastGroundHeight !== null && delta > 0) {
+            targetVelocity = THREE.MathUtils.clamp(
+                (targetHeight - this.lastGroundHeight) / delta, -MAX_GROUND_VELOCITY, MAX_GROUND_VELOCITY
+            );
         }
 
-        // No artificial launch boost - physics handles everything naturally
-
-        // === EDGE FALL DETECTION ===
-        // If we were on a ramp and now we're not (lateral movement), start falling
-        if (this.lastOnRamp && !onRamp && !this.isAirborne && currentY > 1) {
-            this.isAirborne = true;
-            this.verticalVelocity = 0;
-        }
+        const sag = this.getSuspensionSag();
 
-        // === AIRBORNE PHYSICS ===
         if (this.isAirborne) {
             // Apply gravity
             this.verticalVelocity -= this.gravity * delta;
@@ -467,132 +490,167 @@ class Vehicle {
             // Apply vertical movement
             this.mesh.position.y += this.verticalVelocity * delta;
 
-            // Check for landing
-            if (this.mesh.position.y <= targetGroundHeight) {
-                this.handleLanding(targetGroundHeight, rampData);
-            }
-        } else if (onRamp) {
-            // === ON RAMP - FOLLOW SURFACE ===
-            // Smooth interpolation to ground height
-            const heightDiff = targetGroundHeight - currentY;
-
-            if (Math.abs(heightDiff) > 0.01) {
-                // Check if this is a small bump we can climb
-                if (heightDiff > 0 && heightDiff <= this.maxBumpHeight) {
-                    // Small step/bump - INSTANT climb for smooth transitions
-                    this.mesh.position.y = targetGroundHeight;
-                } else if (heightDiff > 0) {
-                    // Ascending ramp - normal smooth follow
-                    this.mesh.position.y = THREE.MathUtils.lerp(
-                        currentY, targetGroundHeight, this.groundSnapSpeed * delta
-                    );
-
-                    // Transfer some horizontal speed to vertical
-                    if (rampData && rampData.slope > 0 && Math.abs(this.speed) > 2) {
-                        const slopeForce = Math.abs(this.speed) * rampData.slope * delta * 0.5;
-                        this.verticalVelocity = Math.max(this.verticalVelocity || 0, slopeForce);
-                    }
-                } else {
-                    // Descending - follow ground
-                    // SNAP DOWN if close enough (prevents flying off ramp start)
-                    if (heightDiff > -2.0) {
-                        this.mesh.position.y = targetGroundHeight;
-                    } else {
-                        this.mesh.position.y = THREE.MathUtils.lerp(
-                            currentY, targetGroundHeight, this.groundSnapSpeed * delta * 0.5
-                        );
-                    }
-                }
-            } else {
-                this.mesh.position.y = targetGroundHeight;
+            // Wheels reached the ground - how hard is the speed into it, not just down
+            // (landing ramps fall away under us)
+            if (this.verticalVelocity <= 0 && this.mesh.position.y <= targetHeight + sag) {
+                this.handleLanding(targetHeight, ground.rampData, Math.max(0, targetVelocity - this.verticalVelocity));
             }
+        } else {
+            this.updateSuspension(delta, targetHeight, targetVelocity);
+
+            // Align to the plane through the contact points
+            this.mesh.rotation.x = THREE.MathUtils.lerp(this.mesh.rotation.x, ground.pitch, 10 * delta);
+            this.mesh.rotation.z = THREE.MathUtils.lerp(this.mesh.rotation.z, ground.roll + this.getLeanAngle(), 10 * delta);
+        }
+
+        this.updateWheelCompression(ground);
+
+        // Store state for next frame
+        this.lastGroundHeight = targetHeight;
+
+        // === LANDING ASSIST ===
+        // If falling and close to ground, gently align to upright to help landing
+        if (this.isAirborne && this.verticalVelocity < 0) {
+            const distToGround = this.mesh.position.y - targetHeight;
+            if (distToGround < 4.0) {
+                // Strength increases as we get closer
+                const assistStrength = 4.0 * delta * (1.0 - (distToGround / 4.0));
 
-            // Align to Ramp Normal (if available)
-            // Uses simple pitch alignment for ramps based on slope
-            if (rampData && rampData.slope !== undefined) {
-                // Convert slope to pitch
-                // This is a simplification; ideally we'd use the normal
-                const targetPitch = -Math.atan(rampData.slope);
-                this.mesh.rotation.x = THREE.MathUtils.lerp(this.mesh.rotation.x, targetPitch, 5 * delta);
-                this.mesh.rotation.z = THREE.MathUtils.lerp(this.mesh.rotation.z, 0, 5 * delta);
+                // Align to the ground under the wheels
+                this.mesh.rotation.x = THREE.MathUtils.lerp(this.mesh.rotation.x, ground.pitch, assistStrength);
+                this.mesh.rotation.z = THREE.MathUtils.lerp(this.mesh.rotation.z, ground.roll, assistStrength);
             }
+        }
+    }
 
-        } else {
-            // === ON MOUNTAIN (or flat ground) ===
-            // We treated mountain as base, so targetGroundHeight IS the ground.
+    /**
+     * Spring/damper between the body and the ground under the wheels
+     * Rests at targetHeight; compresses up to suspensionTravel, then the body
+     * rides on the wheels (bottoms out).
+     */
+    updateSuspension(delta, targetHeight, targetVelocity) {
+        const sag = this.getSuspensionSag();
+        const compression = targetHeight - this.mesh.position.y + sag;
+
+        // Springs push, never pull - fully extended, only gravity acts
+        let accel = -this.gravity;
+        if (compression > 0) {
+            const spring = this.suspensionStiffness * compression;
+            const damper = this.suspensionDamping * (targetVelocity - this.verticalVelocity);
+            accel += Math.max(0, spring + damper);
+        }
 
-            // Terrain Alignment
-            const normal = getTerrainNormal(currentX, currentZ);
+        this.verticalVelocity += accel * delta;
+        this.mesh.position.y += this.verticalVelocity * delta;
 
-            // Convert World Normal to Local Space (relative to Yaw)
-            // Code: localNormal = normal.applyAxisAngle(Y_Up, -yaw)
-            const localNormal = normal.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), -this.mesh.rotation.y);
+        // Bottomed out
+        const lowest = targetHeight - this.suspensionTravel;
+        if (this.mesh.position.y < lowest) {
+            this.mesh.position.y = lowest;
+            this.verticalVelocity = Math.max(this.verticalVelocity, 0);
+        }
 
-            // Clac target Pitch (X) and Roll (Z)
-            // localNormal.z = sin(pitch)
-            // localNormal.y = cos(pitch) * cos(roll)
-            // localNormal.x = -cos(pitch) * sin(roll)
+        // Ground dropped further than the wheels reach
+        if (this.mesh.position.y > targetHeight + sag + WHEEL_DROOP) {
+            this.isAirborne = true;
+        }
+    }
+
+    /**
+     * Spring compression holding the vehicle's weight at rest (m)
+     */
+    getSuspensionSag() {
+        return this.gravity / this.suspensionStiffness;
+    }
 
-            const targetPitch = Math.asin(THREE.MathUtils.clamp(localNormal.z, -1, 1));
-            const targetRoll = Math.atan2(-localNormal.x, localNormal.y);
+    /**
+     * Ground under each wheel (wheelContacts): terrain, dirt-jump ramps and
+     * collider floors, whichever is highest
+     * @returns {{contacts: Object[], height: number, pitch: number, roll: number, rampData: Object|null}}
+     */
+    probeWheels() {
+        const { position, quaternion, rotation } = this.mesh;
+        const yawOnly = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), rotation.y);
+        let rampData = null;
 
-            // Smoothly interpolate rotation
-            this.mesh.rotation.x = THREE.MathUtils.lerp(this.mesh.rotation.x, targetPitch, 10 * delta);
-            this.mesh.rotation.z = THREE.MathUtils.lerp(this.mesh.rotation.z, targetRoll, 10 * delta);
+        const contacts = this.wheelContacts.map(wheel => {
+            const flat = new THREE.Vector3(wheel.x, 0, wheel.z).applyQuaternion(yawOnly);
+            const x = position.x + flat.x;
+            const z = position.z + flat.z;
 
+            // Body height above this wheel, as the vehicle is tilted now
+            const bodyY = position.y + new THREE.Vector3(wheel.x, 0, wheel.z).applyQuaternion(quaternion).y;
 
-            // If we are significantly above the mountain surface, fall.
-            const snapDistance = 1.0; // Distance to snap down
+            // Terrain - a wheel on a slope touches it off-center and sits higher
+            const normal = getTerrainNormal(x, z);
+            let height = getTerrainHeight(x, z) + this.wheelRadius * (1 / Math.max(normal.y, 0.5) - 1);
 
-            if (currentY > targetGroundHeight + 0.1) {
-                // Check if we should snap down or fall
-                if (currentY - targetGroundHeight < snapDistance && this.verticalVelocity <= 0) {
-                    // Snap down (Smooth Terrain Traversal)
-                    this.mesh.position.y = targetGroundHeight;
-                    this.isAirborne = false;
-                    this.verticalVelocity = 0;
-                } else {
-                    // Too high - Fall
-                    this.isAirborne = true;
-                    this.verticalVelocity = 0;
-                }
-            } else {
-                // On ground
-                this.mesh.position.y = targetGroundHeight;
-                this.isAirborne = false;
-                this.verticalVelocity = 0;
+            const ramp = getDirtJumpGroundHeightVehicle(x, z, bodyY);
+            if (ramp && ramp.height > height) {
+                height = ramp.height;
+                rampData = ramp;
             }
-        }
 
-        // Store state for next frame
-        this.lastGroundHeight = targetGroundHeight;
-        this.lastOnRamp = onRamp;
+            const floor = CollisionManager.getFloorHeight(x, z, bodyY, this.groundOffset);
+            if (floor && floor.height > height) {
+                height = floor.height;
+            }
 
-        // === LANDING ASSIST ===
-        // If falling and close to ground, gently align to upright to help landing
-        if (this.isAirborne && this.verticalVelocity < 0) {
-            const distToGround = currentY - targetGroundHeight;
-            if (distToGround < 4.0) {
-                // Strength increases as we get closer
-                const assistStrength = 4.0 * delta * (1.0 - (distToGround / 4.0));
+            return { x: wheel.x, z: wheel.z, height, bodyY };
+        });
 
-                // Align Pitch (X) to 0 (flat) or slope if we had it
-                // For now, just try to land flat-ish
-                this.mesh.rotation.x = THREE.MathUtils.lerp(this.mesh.rotation.x, 0, assistStrength);
+        // Plane through the contacts: front/rear tilt it up/down, right/left roll it
+        // (a bike's wheels are in line - it gets no roll from the ground)
+        const mean = (list, key) => list.reduce((sum, c) => sum + c[key], 0) / list.length;
+        const front = contacts.filter(c => c.z < 0);
+        const rear = contacts.filter(c => c.z > 0);
+        const left = contacts.filter(c => c.x < 0);
+        const right = contacts.filter(c => c.x > 0);
+
+        let pitch = 0;
+        if (front.length && rear.length) {
+            const wheelbase = mean(rear, 'z') - mean(front, 'z');
+            pitch = Math.atan2(mean(front, 'height') - mean(rear, 'height'), wheelbase);
+        }
 
-                // Align Roll (Z) to 0 (upright)
-                this.mesh.rotation.z = THREE.MathUtils.lerp(this.mesh.rotation.z, 0, assistStrength);
-            }
+        let roll = 0;
+        if (left.length && right.length) {
+            const track = mean(right, 'x') - mean(left, 'x');
+            roll = Math.atan2(mean(right, 'height') - mean(left, 'height'), track);
         }
+
+        return { contacts, height: mean(contacts, 'height'), pitch, roll, rampData };
+    }
+
+    /**
+     * How far each wheel is pushed up into its arch (m, negative = hanging)
+     */
+    updateWheelCompression(ground) {
+        ground.contacts.forEach((contact, i) => {
+            const compression = contact.height + this.groundOffset - contact.bodyY;
+            this.wheelCompression[i] = THREE.MathUtils.clamp(compression, -WHEEL_DROOP, this.suspensionTravel);
+        });
+    }
+
+    /**
+     * Extra roll on the ground (bikes lean into turns)
+     */
+    getLeanAngle() {
+        return 0;
     }
 
     /**
      * Handle landing impact
+     * @param {number} groundImpact - Speed into the ground (m/s) - hard ones damage the vehicle
      */
-    handleLanding(groundHeight, groundInfo) {
+    handleLanding(groundHeight, groundInfo, groundImpact = 0) {
         const impactSpeed = Math.abs(this.verticalVelocity);
         this.lastImpactSpeed = impactSpeed;
 
+        if (groundImpact >= VEHICLE_DAMAGE.hardLandingSpeed && this.onHardLanding) {
+            this.onHardLanding(groundImpact);
+        }
+
         // Check orientation
         // Normalize angles to -PI...PI
         const normalizeAngle = (a) => {
@@ -614,9 +672,8 @@ class Vehicle {
             return;
         }
 
-        this.mesh.position.y = groundHeight;
+        // Keep the downward speed - the suspension soaks it up
         this.isAirborne = false;
-        this.verticalVelocity = 0;
 
         // Landing on a ramp (especially landing ramp) should be smooth
         const isLandingRamp = groundInfo && groundInfo.type === 'landing';
@@ -665,8 +722,82 @@ class Vehicle {
         return this.mesh.position.clone();
     }
 
-    getExitPosition() {
-        const exitOffset = new THREE.Vector3(-2, 0, 0);
+    /**
+     * What the rider sends to everyone else
+     */
+    getNetworkState() {
+        const { position, rotation } = this.mesh;
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
+            speed: this.speed,
+            lean: this.lean,
+            wheelSpin: this.wheelSpin
+        };
+    }
+
+    /**
+     * Someone else is riding - the pose is set by VehicleSync, this moves the parts
+     */
+    animateRemote(delta, state) {
+        this.speed = state.speed;
+        this.lean = state.lean;
+        this.wheelSpin = state.wheelSpin;
+        this.wheelCompression.fill(0); // Not probed here - wheels at rest
+        this.animateParts(delta);
+    }
+
+    /**
+     * Wheels, handlebars... from speed/lean/wheelSpin/wheelCompression (override in subclass)
+     */
+    animateParts(delta) {
+    }
+
+    /**
+     * Wrecked (hidden) or back in one piece - the caller puts it where it respawns
+     */
+    setDestroyed(destroyed) {
+        this.isDestroyed = destroyed;
+        this.respawnAt = null;
+        this.mesh.visible = !destroyed;
+        this.speed = 0;
+        this.lean = 0;
+        this.wheelSpin = 0;
+        this.verticalVelocity = 0;
+        this.isAirborne = false;
+        this.isCrashing = false;
+        if (!destroyed) this.health = this.maxHealth;
+    }
+
+    /**
+     * Player in a seat (multiplayer)
+     * @param {string} seat - 'driver' or 'passenger'
+     */
+    getOccupant(seat) {
+        return this[SEAT_FIELDS[seat]] || null;
+    }
+
+    /**
+     * First seat nobody is in (null = full)
+     */
+    getFreeSeat() {
+        return getVehicleType(this.type).seats.find(seat => !this.getOccupant(seat)) || null;
+    }
+
+    /**
+     * Eye position of a seat in the world
+     */
+    getSeatPosition(seat) {
+        const offset = seat === 'passenger' ? this.passengerOffset : this.firstPersonOffset;
+        return this.mesh.position.clone().add(offset.clone().applyQuaternion(this.mesh.quaternion));
+    }
+
+    /**
+     * Where to stand after getting off - the driver's side (left), passengers the other
+     */
+    getExitPosition(seat = 'driver') {
+        const side = seat === 'passenger' ? 1 : -1;
+        const exitOffset = new THREE.Vector3(side * this.exitDistance, 0, 0);
         exitOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.mesh.rotation.y);
         return this.mesh.position.clone().add(exitOffset);
     }
@@ -693,8 +824,15 @@ class Motorbike extends Vehicle {
         this.acceleration = 22;
         this.handling = 3.0;
         this.name = 'Motorbike';
-        this.groundOffset = 0.35;
+        this.groundOffset = getVehicleType('motorbike').groundOffset;
+        this.maxHealth = getVehicleType('motorbike').maxHealth;
+        this.health = this.maxHealth;
         this.launchMinSpeed = 10;
+        this.type = 'motorbike';
+
+        // Rider's eye (our camera, and where other players see the rider's head)
+        this.firstPersonOffset.set(0, 1.6, -0.4);
+        this.maxHandlebarTurn = 0.4; // rad at full lean
 
         this.createModel();
         scene.add(this.mesh);
@@ -769,14 +907,15 @@ class Motorbike extends Vehicle {
         rightFork.rotation.x = 0.3;
         this.chassis.add(rightFork);
 
-        // Handlebars
+        // Handlebars (pivot on the steering stem so they can turn)
         this.handlebars = new THREE.Group();
+        this.handlebars.position.set(0, 0, -0.7);
 
         const handlebarStem = new THREE.Mesh(
             new THREE.CylinderGeometry(0.03, 0.03, 0.5),
             chromeMaterial
         );
-        handlebarStem.position.set(0, 1.15, -0.7);
+        handlebarStem.position.set(0, 1.15, 0);
         this.handlebars.add(handlebarStem);
 
         const handlebarCross = new THREE.Mesh(
@@ -784,19 +923,19 @@ class Motorbike extends Vehicle {
             chromeMaterial
         );
         handlebarCross.rotation.z = Math.PI / 2;
-        handlebarCross.position.set(0, 1.35, -0.7);
+        handlebarCross.position.set(0, 1.35, 0);
         this.handlebars.add(handlebarCross);
 
         // Grips
         const gripGeometry = new THREE.CylinderGeometry(0.035, 0.035, 0.15);
         const leftGrip = new THREE.Mesh(gripGeometry, seatMaterial);
         leftGrip.rotation.z = Math.PI / 2;
-        leftGrip.position.set(-0.45, 1.35, -0.7);
+        leftGrip.position.set(-0.45, 1.35, 0);
         this.handlebars.add(leftGrip);
 
         const rightGrip = new THREE.Mesh(gripGeometry, seatMaterial);
         rightGrip.rotation.z = Math.PI / 2;
-        rightGrip.position.set(0.45, 1.35, -0.7);
+        rightGrip.position.set(0.45, 1.35, 0);
         this.handlebars.add(rightGrip);
 
         this.chassis.add(this.handlebars);
@@ -839,12 +978,12 @@ class Motorbike extends Vehicle {
         // WHEELS (Separate from chassis, attached to main mesh)
         // Front wheel
         this.frontWheel = this.createWheel(tireMaterial, chromeMaterial);
-        this.frontWheel.position.set(0, 0.35, -1.0);
+        this.frontWheel.position.set(0, MOTORBIKE_WHEEL_Y, -1.0);
         this.mesh.add(this.frontWheel);
 
         // Rear wheel
         this.rearWheel = this.createWheel(tireMaterial, chromeMaterial);
-        this.rearWheel.position.set(0, 0.35, 0.9);
+        this.rearWheel.position.set(0, MOTORBIKE_WHEEL_Y, 0.9);
         this.mesh.add(this.rearWheel);
     }
 
@@ -880,87 +1019,346 @@ class Motorbike extends Vehicle {
 
         if (!this.isOccupied) return;
 
-        // Animate wheels based on speed
-        const wheelRotation = this.speed * delta * 3;
+        // Animate wheels and handlebars (pitch and lean come from the ground physics)
+        this.wheelSpin = this.speed * WHEEL_SPIN_PER_SPEED;
+        this.lean = THREE.MathUtils.lerp(this.lean, input.steer, 0.2);
+        this.animateParts(delta);
+    }
+
+    // Lean into turns, more the faster we go
+    getLeanAngle() {
+        return -this.lean * 0.15 * Math.min(1, Math.abs(this.speed) / 10);
+    }
+
+    animateParts(delta) {
+        const wheelRotation = this.wheelSpin * delta;
         if (this.frontWheel) {
             this.frontWheel.rotation.x += wheelRotation;
+            this.frontWheel.position.y = MOTORBIKE_WHEEL_Y + this.wheelCompression[0];
         }
         if (this.rearWheel) {
             this.rearWheel.rotation.x += wheelRotation;
+            this.rearWheel.position.y = MOTORBIKE_WHEEL_Y + this.wheelCompression[1];
         }
+        if (this.handlebars) {
+            this.handlebars.rotation.y = -this.lean * this.maxHandlebarTurn;
+        }
+    }
 
-        // Lean the bike based on steering (only when grounded)
-        if (!this.isAirborne) {
-            const targetLean = -input.steer * 0.15 * Math.min(1, Math.abs(this.speed) / 10);
-            this.mesh.rotation.z = THREE.MathUtils.lerp(this.mesh.rotation.z, targetLean, 0.1);
+    updateFirstPersonCamera(camera) {
+        // Position: Relative to bike
+        const eyeOffset = this.firstPersonOffset.clone();
+        eyeOffset.applyQuaternion(this.mesh.quaternion); // Rotate offset by bike rotation
+        camera.position.copy(this.mesh.position).add(eyeOffset);
+
+        // Rotation: Match bike rotation exactly
+        // We might want to add a slight offset or smoothing, but for now lock it
+        camera.quaternion.copy(this.mesh.quaternion);
+
+        // Rotate camera 180 deg around Y if the model is backward? 
+        // No, model forward is -Z. Camera forward is -Z. Should be fine.
+        // But wait, if we want to "look" around while driving?
+        // User said "when looking up... flip". This implies looking IS flipping.
+        // So we don't need independent camera look.
+    }
+}
+
+/**
+ * Buggy - Four wheels, two seats side by side
+ * Stays flat to the ground instead of leaning into turns, is wider than the
+ * bike and heavier in the air. A bad landing leaves it on its side or roof
+ * until the driver holds jump to flip it back over.
+ */
+class Buggy extends Vehicle {
+    constructor(scene, position) {
+        super(scene, position);
+
+        // Buggy-specific settings
+        this.maxSpeed = 38; // 137 km/h
+        this.acceleration = 18;
+        this.brakeForce = 30;
+        this.handling = 2.0;
+        this.friction = 0.975;
+        this.gearSpeedLimits = [0, 10, 18, 26, 32, 36, 38];
+        this.name = 'Buggy';
+        this.type = 'buggy';
+        this.engineProfile = 'buggy';
+        this.groundOffset = getVehicleType('buggy').groundOffset;
+        this.maxHealth = getVehicleType('buggy').maxHealth;
+        this.health = this.maxHealth;
+        this.collisionRadius = 1.4;
+        this.launchMinSpeed = 12;
+        this.jumpForce = 10; // Heavy - barely leaves the ground
+        this.airControlSpeed = 4.0;
+        this.airControlAccel = 4.0;
+
+        // Four wheels (same order as this.wheels), softer springs
+        this.wheelContacts = [
+            { x: -0.85, z: -1.1 }, { x: -0.85, z: 1.1 },
+            { x: 0.85, z: -1.1 }, { x: 0.85, z: 1.1 }
+        ];
+        this.wheelRadius = BUGGY_WHEEL_RADIUS;
+        this.wheelCompression = this.wheelContacts.map(() => 0);
+        this.suspensionStiffness = 120;
+        this.suspensionDamping = 14;
+        this.suspensionTravel = 0.35;
+
+        // Seats: driver on the left, passenger on the right
+        this.firstPersonOffset.set(-0.4, 1.0, 0.1);
+        this.passengerOffset = new THREE.Vector3(0.4, 1.0, 0.1);
+        this.exitDistance = 2.5;
+        this.maxWheelSteer = 0.5; // rad at full steer
+
+        // Roll-over
+        this.isRolledOver = false;
+        this.rolledOverGround = 0; // Terrain height it came to rest on
+        this.flipHoldTime = 0;
+
+        this.createModel();
+        scene.add(this.mesh);
+    }
+
+    createModel() {
+        // Materials
+        const frameMaterial = new THREE.MeshStandardMaterial({
+            color: 0x3a4a2a,
+            roughness: 0.6,
+            metalness: 0.5
+        });
+
+        const cageMaterial = new THREE.MeshStandardMaterial({
+            color: 0x222222,
+            roughness: 0.4,
+            metalness: 0.9
+        });
+
+        const seatMaterial = new THREE.MeshStandardMaterial({
+            color: 0x2d2d2d,
+            roughness: 0.8,
+            metalness: 0.1
+        });
+
+        const tireMaterial = new THREE.MeshStandardMaterial({
+            color: 0x111111,
+            roughness: 0.9,
+            metalness: 0.0
+        });
+
+        const accentMaterial = new THREE.MeshStandardMaterial({
+            color: 0xff9933,
+            roughness: 0.4,
+            metalness: 0.6,
+            emissive: 0xff9933,
+            emissiveIntensity: 0.2
+        });
+
+        // Chassis Group (everything but the wheels)
+        this.chassis = new THREE.Group();
+        this.mesh.add(this.chassis);
+
+        // Floor pan
+        const floor = new THREE.Mesh(new THREE.BoxGeometry(1.3, 0.12, 2.4), frameMaterial);
+        floor.position.set(0, 0.05, 0);
+        this.chassis.add(floor);
+
+        // Nose
+        const nose = new THREE.Mesh(new THREE.BoxGeometry(1.1, 0.3, 0.6), accentMaterial);
+        nose.position.set(0, 0.25, -1.2);
+        this.chassis.add(nose);
+
+        // Engine box (rear)
+        const engine = new THREE.Mesh(new THREE.BoxGeometry(1.0, 0.4, 0.6), frameMaterial);
+        engine.position.set(0, 0.3, 1.1);
+        this.chassis.add(engine);
+
+        // Seats
+        for (const x of [-0.4, 0.4]) {
+            const base = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.15, 0.5), seatMaterial);
+            base.position.set(x, 0.35, 0.15);
+            this.chassis.add(base);
+
+            const back = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.6, 0.12), seatMaterial);
+            back.position.set(x, 0.65, 0.45);
+            this.chassis.add(back);
         }
 
-        // Pitch based on acceleration/airborne
-        if (!this.isAirborne) {
-            // When grounded, level out (or we could align to ground normal later)
-            this.mesh.rotation.x = THREE.MathUtils.lerp(this.mesh.rotation.x, 0, 0.1);
-            // Reset roll when grounded
-            this.mesh.rotation.z = THREE.MathUtils.lerp(this.mesh.rotation.z, 0, 0.1);
-        } else {
-            // In air: Manual control (handled in handleInput), no auto-leveling
-            // Just apply a tiny bit of drag to rotation? No, user wants full control.
+        // Roll cage: four posts, two side rails, two cross bars
+        const postGeometry = new THREE.CylinderGeometry(0.04, 0.04, 1.1);
+        for (const x of [-0.65, 0.65]) {
+            for (const z of [-0.4, 0.7]) {
+                const post = new THREE.Mesh(postGeometry, cageMaterial);
+                post.position.set(x, 0.6, z);
+                this.chassis.add(post);
+            }
+
+            const rail = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 1.1), cageMaterial);
+            rail.rotation.x = Math.PI / 2;
+            rail.position.set(x, 1.15, 0.15);
+            this.chassis.add(rail);
+        }
+        for (const z of [-0.4, 0.7]) {
+            const bar = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 1.3), cageMaterial);
+            bar.rotation.z = Math.PI / 2;
+            bar.position.set(0, 1.15, z);
+            this.chassis.add(bar);
         }
 
-        // === SUSPENSION ANIMATION ===
-        if (!this.suspensionY) this.suspensionY = 0;
+        // Steering wheel (turns on its column with the steering)
+        this.steeringWheel = new THREE.Group();
+        this.steeringWheel.position.set(-0.4, 0.7, -0.3);
+        this.steeringWheel.rotation.x = -Math.PI / 3;
+        const rim = new THREE.Mesh(new THREE.TorusGeometry(0.15, 0.025, 8, 16), seatMaterial);
+        rim.rotation.x = Math.PI / 2;
+        this.steeringWheel.add(rim);
+        this.chassis.add(this.steeringWheel);
 
-        // Target suspension compression
-        let targetSuspension = 0;
+        // Headlights
+        const headlightMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffee,
+            emissive: 0xffffee,
+            emissiveIntensity: 0.5
+        });
+        for (const x of [-0.4, 0.4]) {
+            const headlight = new THREE.Mesh(new THREE.SphereGeometry(0.1, 8, 8), headlightMaterial);
+            headlight.position.set(x, 0.3, -1.5);
+            this.chassis.add(headlight);
+        }
 
-        if (!this.isAirborne) {
-            // Compress based on speed/bumps (simple noise)
-            if (Math.abs(this.speed) > 1) {
-                targetSuspension = -0.02 * Math.sin(Date.now() * 0.02);
-            }
-        } else {
-            // Extend suspension in air
-            targetSuspension = 0.05;
+        // WHEELS (attached to main mesh) - each on a pivot at its hub, the
+        // front ones steer; the wheel moves up/down inside it with the suspension
+        this.wheels = [];
+        this.frontWheelPivots = [];
+        this.wheelContacts.forEach(({ x, z }) => {
+            const pivot = new THREE.Group();
+            pivot.position.set(x, BUGGY_WHEEL_Y, z);
+            this.mesh.add(pivot);
+
+            const wheel = this.createWheel(tireMaterial, cageMaterial);
+            pivot.add(wheel);
+            this.wheels.push(wheel);
+            if (z < 0) this.frontWheelPivots.push(pivot);
+        });
+    }
+
+    createWheel(tireMaterial, hubMaterial) {
+        const wheelGroup = new THREE.Group();
+
+        // Fat tire
+        const tire = new THREE.Mesh(
+            new THREE.CylinderGeometry(BUGGY_WHEEL_RADIUS, BUGGY_WHEEL_RADIUS, 0.35, 16),
+            tireMaterial
+        );
+        tire.rotation.z = Math.PI / 2;
+        wheelGroup.add(tire);
+
+        // Hub (off-center bolts show the spin)
+        const hub = new THREE.Mesh(new THREE.CylinderGeometry(0.18, 0.18, 0.37, 6), hubMaterial);
+        hub.rotation.z = Math.PI / 2;
+        wheelGroup.add(hub);
+
+        return wheelGroup;
+    }
+
+    enter() {
+        super.enter();
+
+        // Left on its side / roof - by us or by whoever drove it last
+        const upright = Math.cos(this.mesh.rotation.x) * Math.cos(this.mesh.rotation.z);
+        if (upright < 0.5) {
+            this.isRolledOver = true;
+            this.rolledOverGround = getTerrainHeight(this.mesh.position.x, this.mesh.position.z);
         }
+    }
+
+    update(delta, input) {
+        if (!this.isOccupied) return;
+
+        if (this.isRolledOver) {
+            this.updateRolledOver(delta, input);
+            this.animateParts(delta);
+            return;
+        }
+
+        super.update(delta, input);
 
-        // Smoothly interpolate
-        this.suspensionY = THREE.MathUtils.lerp(this.suspensionY, targetSuspension, 0.2);
+        // No leaning - the base physics keep it flat to the ground
+        this.wheelSpin = this.speed / BUGGY_WHEEL_RADIUS;
+        this.lean = THREE.MathUtils.lerp(this.lean, input.steer, 0.2);
+        this.animateParts(delta);
+    }
 
-        // Apply to chassis
-        if (this.chassis) {
-            this.chassis.position.y = this.suspensionY;
+    /**
+     * On its side / roof: settle, then hold jump to flip back over
+     */
+    updateRolledOver(delta, input) {
+        // Come to rest on the nearest side (roll) or the roof (pitch)
+        const quarter = Math.PI / 2;
+        const targetX = Math.round(this.mesh.rotation.x / Math.PI) * Math.PI;
+        const targetZ = Math.round(this.mesh.rotation.z / quarter) * quarter;
+        this.mesh.rotation.x = THREE.MathUtils.lerp(this.mesh.rotation.x, targetX, 5.0 * delta);
+        this.mesh.rotation.z = THREE.MathUtils.lerp(this.mesh.rotation.z, targetZ, 5.0 * delta);
+
+        const onSide = Math.abs(Math.sin(this.mesh.rotation.z)) > 0.7;
+        const restHeight = this.rolledOverGround + (onSide ? ROLLED_SIDE_HEIGHT : ROLLED_ROOF_HEIGHT);
+        this.mesh.position.y = THREE.MathUtils.lerp(this.mesh.position.y, restHeight, 5.0 * delta);
+
+        // Wheels spin down in the air
+        this.speed = 0;
+        this.lean = 0;
+        this.wheelSpin = THREE.MathUtils.lerp(this.wheelSpin, 0, 2.0 * delta);
+        if (this.vibes) this.vibes.updateEngine(10); // Idle
+
+        this.flipHoldTime = input.jumpPressed ? this.flipHoldTime + delta : 0;
+        if (this.flipHoldTime >= FLIP_HOLD_DURATION) {
+            // Hop up and let the crash recovery turn it upright
+            this.isRolledOver = false;
+            this.flipHoldTime = 0;
+            this.mesh.position.y = this.rolledOverGround + this.groundOffset + 0.5;
+            this.lastGroundHeight = null;
+            this.isCrashing = true;
+            if (this.vibes) this.vibes.impact();
         }
     }
 
-    // Override handleLanding to add suspension impact
-    handleLanding(groundHeight, groundInfo) {
-        super.handleLanding(groundHeight, groundInfo);
+    // Bad landings roll it over instead of the base crash recovery
+    handleLanding(groundHeight, groundInfo, groundImpact = 0) {
+        super.handleLanding(groundHeight, groundInfo, groundImpact);
+        if (!this.isCrashing) return;
 
-        // Dynamic compression based on impact speed
-        // impactSpeed usually 0-50. 
-        // Small jump ~10 -> -0.1
-        // Big jump ~30 -> -0.3
-        const compression = Math.min(0.4, (this.lastImpactSpeed || 0) * 0.015);
-        this.suspensionY = -compression;
+        console.log('🙃 Buggy rolled over');
+        this.isCrashing = false;
+        this.isRolledOver = true;
+        this.rolledOverGround = groundHeight - this.groundOffset;
+        this.flipHoldTime = 0;
+        this.speed = 0;
+        if (this.vibes) this.vibes.impact();
     }
 
-    updateFirstPersonCamera(camera) {
-        // Position: Relative to bike
-        const eyeOffset = new THREE.Vector3(0, 1.6, -0.4);
-        eyeOffset.applyQuaternion(this.mesh.quaternion); // Rotate offset by bike rotation
-        camera.position.copy(this.mesh.position).add(eyeOffset);
+    animateParts(delta) {
+        const wheelRotation = this.wheelSpin * delta;
+        this.wheels.forEach((wheel, i) => {
+            wheel.rotation.x += wheelRotation;
+            wheel.position.y = this.wheelCompression[i];
+        });
+        this.frontWheelPivots.forEach(pivot => {
+            pivot.rotation.y = -this.lean * this.maxWheelSteer;
+        });
+        this.steeringWheel.rotation.y = -this.lean * Math.PI / 2;
+    }
 
-        // Rotation: Match bike rotation exactly
-        // We might want to add a slight offset or smoothing, but for now lock it
+    updateFirstPersonCamera(camera) {
+        // Locked to the buggy like the bike - VehicleManager turns it by the driver's look
+        camera.position.copy(this.getSeatPosition('driver'));
         camera.quaternion.copy(this.mesh.quaternion);
-
-        // Rotate camera 180 deg around Y if the model is backward? 
-        // No, model forward is -Z. Camera forward is -Z. Should be fine.
-        // But wait, if we want to "look" around while driving?
-        // User said "when looking up... flip". This implies looking IS flipping.
-        // So we don't need independent camera look.
     }
 }
 
+// Vehicle type (js/shared/vehicle-types.js) -> class
+const VEHICLE_CLASSES = {
+    motorbike: Motorbike,
+    buggy: Buggy
+};
+
 /**
  * VehicleManager - Manages all vehicles in the game
  */
@@ -968,27 +1366,127 @@ export class VehicleManager {
     constructor(scene, vibes, haptic) {
         this.scene = scene;
         this.vehicles = [];
+        this.currentVehicle = null;
+        this.currentSeat = null; // 'driver' or 'passenger'
         this.vibes = vibes;
         this.haptic = haptic;
+        this.onHardLanding = null; // (vehicle, impactSpeed) => {} - the one we drive came down hard
     }
 
-    createMotorbike(position) {
-        const motorbike = new Motorbike(this.scene, position);
+    /**
+     * @param {string} type - 'motorbike', 'buggy'
+     * @param {THREE.Vector3} position
+     * @param {string} id - Network id (getVehicleSpawns) - defaults to the next free one
+     * @returns {Vehicle|null} null for an unknown type
+     */
+    createVehicle(type, position, id = null) {
+        const VehicleClass = VEHICLE_CLASSES[type];
+        if (!VehicleClass) {
+            console.warn(`⚠️ Unknown vehicle type: ${type}`);
+            return null;
+        }
+
+        const vehicle = new VehicleClass(this.scene, position);
         // Inject haptics into vehicle
-        motorbike.vibes = this.vibes;
-        motorbike.haptic = this.haptic;
+        vehicle.vibes = this.vibes;
+        vehicle.haptic = this.haptic;
+        vehicle.id = id || `${type}-${this.vehicles.filter(v => v.type === type).length + 1}`;
+        vehicle.onHardLanding = (impactSpeed) => {
+            if (this.onHardLanding) this.onHardLanding(vehicle, impactSpeed);
+        };
 
-        this.vehicles.push(motorbike);
-        return motorbike;
+        this.vehicles.push(vehicle);
+        return vehicle;
     }
 
+    /**
+     * Park a map's vehicles on the ground at their spawns
+     * @param {Object[]} spawns - getVehicleSpawns(mapId)
+     */
+    spawnVehicles(spawns) {
+        spawns.forEach(spawn => {
+            const vehicle = this.createVehicle(spawn.type, new THREE.Vector3(spawn.x, 0, spawn.z), spawn.id);
+            if (!vehicle) return;
+            vehicle.spawn = spawn;
+            this.parkAtSpawn(vehicle);
+        });
+    }
+
+    parkAtSpawn(vehicle) {
+        const { spawn } = vehicle;
+        vehicle.mesh.position.set(spawn.x, getTerrainHeight(spawn.x, spawn.z) + vehicle.groundOffset, spawn.z);
+        vehicle.mesh.rotation.set(0, spawn.yaw, 0);
+    }
+
+    /**
+     * Offline damage - online the server keeps vehicle health (VehicleSync)
+     * @returns {boolean} True if this wrecked it (get whoever is on it off)
+     */
+    damageVehicle(vehicle, damage) {
+        if (vehicle.isDestroyed || !(damage > 0)) return false;
+
+        vehicle.health = Math.max(0, vehicle.health - damage);
+        if (vehicle.health > 0) return false;
+
+        vehicle.setDestroyed(true);
+        vehicle.respawnAt = performance.now() + VEHICLE_DAMAGE.respawnDelayMs;
+        console.log(`💥 ${vehicle.name} wrecked`);
+        return true;
+    }
+
+    /**
+     * Offline wrecks back at their spawns once their delay is over (every frame)
+     */
+    respawnWrecks(now = performance.now()) {
+        this.vehicles.forEach(vehicle => {
+            if (!vehicle.isDestroyed || !vehicle.respawnAt || now < vehicle.respawnAt || !vehicle.spawn) return;
+
+            vehicle.respawnAt = null;
+            this.parkAtSpawn(vehicle);
+            vehicle.setDestroyed(false);
+            console.log(`🏍️ ${vehicle.name} respawned`);
+        });
+    }
+
+    /**
+     * First vehicle a shot hits
+     * @param {THREE.Raycaster} raycaster
+     * @param {Vehicle|null} exclude - The one we're on
+     * @returns {{vehicle: Vehicle, point: THREE.Vector3, distance: number}|null}
+     */
+    raycast(raycaster, exclude = null) {
+        let closest = null;
+        this.vehicles.forEach(vehicle => {
+            if (vehicle === exclude || vehicle.isDestroyed) return;
+
+            const hit = raycaster.intersectObject(vehicle.mesh, true)[0];
+            if (hit && (!closest || hit.distance < closest.distance)) {
+                closest = { vehicle, point: hit.point, distance: hit.distance };
+            }
+        });
+        return closest;
+    }
+
+    removeVehicle(vehicle) {
+        if (vehicle === this.currentVehicle) {
+            if (this.isDriving()) vehicle.exit();
+            this.currentVehicle = null;
+            this.currentSeat = null;
+        }
+        this.scene.remove(vehicle.mesh);
+        this.vehicles = this.vehicles.filter(v => v !== vehicle);
+    }
+
+    getVehicle(id) {
+        return this.vehicles.find(vehicle => vehicle.id === id) || null;
+    }
 
     getNearestVehicle(playerPosition) {
         let nearest = null;
         let nearestDistance = Infinity;
 
         for (const vehicle of this.vehicles) {
-            if (vehicle.isOccupied) continue;
+            if (vehicle.isOccupied || vehicle.isDestroyed || !vehicle.getFreeSeat()) continue;
 
             const distance = playerPosition.distanceTo(vehicle.getPosition());
             if (distance < INTERACTION_DISTANCE && distance < nearestDistance) {
@@ -1007,18 +1505,28 @@ export class VehicleManager {
     enterVehicle(playerPosition) {
         const vehicle = this.getNearestVehicle(playerPosition);
         if (vehicle) {
-            vehicle.enter();
-            this.currentVehicle = vehicle;
+            this.boardVehicle(vehicle);
             return vehicle;
         }
         return null;
     }
 
+    /**
+     * Get on a specific vehicle (multiplayer: once the server gave us a seat)
+     * @param {string} seat - 'driver' drives it, a 'passenger' rides along
+     */
+    boardVehicle(vehicle, seat = 'driver') {
+        if (seat === 'driver') vehicle.enter();
+        this.currentVehicle = vehicle;
+        this.currentSeat = seat;
+    }
+
     exitVehicle() {
         if (this.currentVehicle) {
-            const exitPos = this.currentVehicle.getExitPosition();
-            this.currentVehicle.exit();
+            const exitPos = this.currentVehicle.getExitPosition(this.currentSeat);
+            if (this.isDriving()) this.currentVehicle.exit();
             this.currentVehicle = null;
+            this.currentSeat = null;
             return exitPos;
         }
         return null;
@@ -1028,19 +1536,37 @@ export class VehicleManager {
         return this.currentVehicle;
     }
 
+    getCurrentSeat() {
+        return this.currentSeat;
+    }
+
     isInVehicle() {
+        return this.isDriving() || this.currentSeat === 'passenger';
+    }
+
+    isDriving() {
         return this.currentVehicle !== null && this.currentVehicle.isOccupied;
     }
 
     update(delta, input) {
-        if (this.currentVehicle && this.currentVehicle.isOccupied) {
+        if (this.isDriving()) {
             this.currentVehicle.update(delta, input);
         }
     }
 
-    updateCamera(camera) {
-        if (this.currentVehicle && this.currentVehicle.isOccupied) {
+    /**
+     * Driver: camera locked to the vehicle, turned by their sidearm look.
+     * Passenger: only moved to the seat (they look around freely)
+     * @param {{yaw: number, pitch: number}|null} look - Driver's, from straight ahead (rad)
+     */
+    updateCamera(camera, look = null) {
+        if (this.isDriving()) {
             this.currentVehicle.updateCamera(camera);
+            if (look) {
+                camera.quaternion.multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(look.pitch, look.yaw, 0, 'YXZ')));
+            }
+        } else if (this.currentVehicle) {
+            camera.position.copy(this.currentVehicle.getSeatPosition(this.currentSeat));
         }
     }
 
@@ -155,6 +155,40 @@ export function playHitSound() {
     osc.stop(audioCtx.currentTime + 0.1);
 }
 
+/**
+ * Vehicle blowing up - a noise burst through a closing low-pass, quieter further away
+ * @param {number} volume - 0..1
+ */
+export function playExplosionSound(volume = 1) {
+    resumeIfSuspended();
+    if (muted || volume <= 0) return;
+
+    const duration = 1.2;
+    const buffer = audioCtx.createBuffer(1, Math.floor(audioCtx.sampleRate * duration), audioCtx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+    }
+
+    const source = audioCtx.createBufferSource();
+    source.buffer = buffer;
+
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(1200, audioCtx.currentTime);
+    filter.frequency.exponentialRampToValueAtTime(60, audioCtx.currentTime + duration);
+
+    const gain = audioCtx.createGain();
+    gain.gain.setValueAtTime(0.9 * volume, audioCtx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(masterGain);
+    source.start();
+    source.stop(audioCtx.currentTime + duration);
+}
+
 export function playEmptyClickSound() {
     resumeIfSuspended();
     if (muted) return;
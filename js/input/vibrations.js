@@ -3,7 +3,16 @@
  * usage:
  * const vibes = new VibrationPatterns(hapticController);
  * await vibes.helicopter();
+ * vibes.startEngine('buggy'); // Engine loop with a vehicle's profile
  */
+
+// Engine loop feel per vehicle (Vehicle.engineProfile)
+// left/right: motor balance, jitter: random pulse size, interval: loop rate (ms)
+export const ENGINE_PROFILES = {
+    motorbike: { left: 1.0, right: 0.6, jitter: 20, interval: 50 },  // Buzzy single cylinder
+    buggy: { left: 1.2, right: 0.25, jitter: 40, interval: 90 }      // Slow, heavy thump
+};
+
 export class VibrationPatterns {
     constructor(hapticController) {
         this.haptic = hapticController;
@@ -67,12 +76,15 @@ export class VibrationPatterns {
     // === VEHICLES ===
 
     /**
-     * Start Motorbike Engine Loop
+     * Start Engine Loop
      * Call updateEngine(intensity) to change rumble on the fly
+     * @param {string} profile - ENGINE_PROFILES key
      */
-    async startEngine() {
+    async startEngine(profile = 'motorbike') {
         if (!this.ds || this.engineInterval) return;
 
+        const engine = ENGINE_PROFILES[profile] || ENGINE_PROFILES.motorbike;
+
         // Start a loop that just applies the current `this.engineIntensity`
         // We pulse it slightly to feel like an engine
 
@@ -82,13 +94,13 @@ export class VibrationPatterns {
             // Base Rumble
             const base = this.engineIntensity;
             // Pulse added to base
-            const pulse = base + (Math.random() * 20 - 10);
+            const pulse = base + (Math.random() - 0.5) * engine.jitter;
 
             // Left heavier (engine block), Right lighter (vibration)
-            this.ds.setVibrationL.setVibration(Math.max(0, Math.min(255, pulse)));
-            this.ds.setVibrationR.setVibration(Math.max(0, Math.min(255, pulse * 0.6)));
+            this.ds.setVibrationL.setVibration(Math.max(0, Math.min(255, pulse * engine.left)));
+            this.ds.setVibrationR.setVibration(Math.max(0, Math.min(255, pulse * engine.right)));
 
-        }, 50); // 20hz update
+        }, engine.interval);
     }
 
     stopEngine() {
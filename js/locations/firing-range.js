@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { CollisionManager } from '../core/collisions.js';
+import { CollisionManager } from '../shared/collisions.js';
 
 /**
  * Firing Range System - Self-contained module for the firing range area
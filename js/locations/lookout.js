@@ -1,377 +1,17 @@
 import * as THREE from 'three';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
-import { CollisionManager } from '../core/collisions.js';
+import { LOOKOUT_POSITION } from '../shared/landmarks.js';
+import { LOOKOUT_COLLISIONS, addLookoutColliders, getLookoutShapeBase } from '../shared/lookout.js';
 
 // Lookout tower configuration
 const LOOKOUT_PATH = 'extras/tower/wooden watch tower2.fbx';
 const LOOKOUT_TEXTURE_PATH = 'extras/tower/textures/Wood_Tower_Col.jpg';
 const LOOKOUT_NORMAL_PATH = 'extras/tower/textures/Wood_Tower_Nor.jpg';
-const LOOKOUT_POSITION = { x: -181.8, y: 15.7, z: 124.9 };
 const LOOKOUT_SCALE = 0.05; // Adjust if needed
 
-// Collision vertical offset - adjust this if collisions don't align with the model
-// Positive = move collisions UP, Negative = move collisions DOWN
-const COLLISION_Y_OFFSET = 5; // Tweak this value to align collisions with the tower
-
 // Debug: Set to true to see collision boxes as semi-transparent shapes
 const SHOW_DEBUG_COLLISIONS = true;
 
-// Collision shapes for the lookout tower (relative to LOOKOUT_POSITION)
-// These define walkable floors, stairs, and blocking walls
-// Generated with collision-editor.html
-const LOOKOUT_COLLISIONS = [
-    {
-        type: 'box',
-        offset: { x: 6, y: 0, z: 6 },
-        size: { width: 0.5, height: 38, depth: 0.5 },
-        name: 'box_3',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: -6, y: 0, z: 6 },
-        size: { width: 0.5, height: 38, depth: 0.5 },
-        name: 'box_4',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: -6, y: 0, z: -6 },
-        size: { width: 0.5, height: 38, depth: 0.5 },
-        name: 'box_5',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: 6, y: 0, z: -6 },
-        size: { width: 0.5, height: 38, depth: 0.5 },
-        name: 'box_6',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: 8.5, y: 0, z: 8.5 },
-        size: { width: 1, height: 38, depth: 1 },
-        name: 'box_7',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: 8.5, y: 0, z: -8.5 },
-        size: { width: 1, height: 38, depth: 1 },
-        name: 'box_8',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: -8.5, y: 0, z: 8.5 },
-        size: { width: 1, height: 38, depth: 1 },
-        name: 'box_9',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: -8.5, y: 0, z: -8.5 },
-        size: { width: 1, height: 38, depth: 1 },
-        name: 'box_10',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: 8.5, y: 29, z: 1.5 },
-        size: { width: 0.5, height: 2, depth: 14 },
-        name: 'box_11',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: -8.5, y: 29, z: 0 },
-        size: { width: 0.5, height: 2, depth: 16 },
-        name: 'box_12',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: 0, y: 29, z: 8.5 },
-        size: { width: 16, height: 2, depth: 0.5 },
-        name: 'box_13',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: 1.5, y: 29, z: -5.5 },
-        size: { width: 14.5, height: 2, depth: 0.5 },
-        name: 'box_14',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: -5.5, y: 29, z: 4 },
-        size: { width: 0.5, height: 9, depth: 4 },
-        name: 'box_15',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: -5.5, y: 29, z: -4 },
-        size: { width: 0.5, height: 9, depth: 4 },
-        name: 'box_16',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: 5.5, y: 29, z: -4 },
-        size: { width: 0.5, height: 9, depth: 4 },
-        name: 'box_17',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: 5.5, y: 29, z: 4 },
-        size: { width: 0.5, height: 9, depth: 4 },
-        name: 'box_18',
-        color: 0xff0000
-    },
-    {
-        type: 'box',
-        offset: { x: 0, y: 38, z: 0 },
-        size: { width: 21, height: 0.5, depth: 21 },
-        name: 'box_19',
-        color: 0x00ff00
-    },
-    {
-        type: 'box',
-        offset: { x: 0, y: 29, z: 1.5 },
-        size: { width: 18, height: 0.5, depth: 15 },
-        name: 'box_20',
-        color: 0x00ff00
-    },
-    {
-        type: 'box',
-        offset: { x: -1, y: 0, z: -7 },
-        size: { width: 1, height: 0.5, depth: 3.5 },
-        name: 'stairs_1',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -2, y: 0.5, z: -7 },
-        size: { width: 1, height: 0.5, depth: 3.5 },
-        name: 'stairs_2',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -3, y: 1, z: -7 },
-        size: { width: 1, height: 0.5, depth: 3.5 },
-        name: 'stairs_3',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -4, y: 1.5, z: -7 },
-        size: { width: 1, height: 0.5, depth: 3.5 },
-        name: 'stairs_4',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -5, y: 2, z: -7 },
-        size: { width: 1, height: 0.5, depth: 3.5 },
-        name: 'stairs_5',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 2.5, z: -7 },
-        size: { width: 4, height: 0.5, depth: 3.5 },
-        name: 'stairs_landing_1',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 3.5, z: -4 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_6',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 3, z: -5 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_7',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 4, z: -3 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_8',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 4.5, z: -2 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_9',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 5, z: -1 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_10',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 6, z: 1 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_11',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 5.5, z: 0 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_12',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 6.5, z: 2 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_13',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 7, z: 3 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_14',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 7.5, z: 4 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_15',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 8, z: 5 },
-        size: { width: 4, height: 0.5, depth: 1 },
-        name: 'stairs_16',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 8.5, z: 7.5 },
-        size: { width: 4, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: 7.5, y: 15.5, z: 7.5 },
-        size: { width: 4, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_mirrorX',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: 7.5, y: 22, z: -7.5 },
-        size: { width: 4, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_mirrorX_mirrorZ',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -7.5, y: 28.5, z: -7.5 },
-        size: { width: 4, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_mirrorX_mirrorZ_mirrorX',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -5, y: 9, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -4, y: 9.5, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -3, y: 10, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -2, y: 10.5, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy_copy_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: -1, y: 11, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy_copy_copy_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: 0, y: 11.5, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: 1, y: 12, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: 2, y: 12.5, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: 3, y: 13, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy_copy_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: 4, y: 13.5, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy_copy_copy_copy',
-        color: 0xffff00
-    },
-    {
-        type: 'box',
-        offset: { x: 5, y: 14, z: 7.5 },
-        size: { width: 1, height: 0.5, depth: 4 },
-        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy_copy_copy_copy_copy',
-        color: 0xffff00
-    }
-];
-
 let loadedLookout = null;
 let debugMeshes = []; // Store debug meshes for cleanup
 
@@ -444,7 +84,7 @@ export async function preloadLookout() {
 /**
  * Create a debug visualization mesh for a collision shape
  */
-function createDebugMesh(collisionDef, worldPos) {
+function createDebugMesh(collisionDef) {
     let geometry;
 
     if (collisionDef.type === 'box') {
@@ -475,11 +115,8 @@ function createDebugMesh(collisionDef, worldPos) {
     mesh.renderOrder = 999;  // Render last (on top)
 
     // Position at world coordinates
-    mesh.position.set(
-        worldPos.x + collisionDef.offset.x,
-        worldPos.y + collisionDef.offset.y + COLLISION_Y_OFFSET + (collisionDef.size.height / 2),
-        worldPos.z + collisionDef.offset.z
-    );
+    const base = getLookoutShapeBase(collisionDef);
+    mesh.position.set(base.x, base.y + collisionDef.size.height / 2, base.z);
 
     // Add bright wireframe overlay
     const wireframeMat = new THREE.MeshBasicMaterial({
@@ -525,43 +162,18 @@ export function createLookout(scene) {
     console.log('🏗️ [Lookout] Bounding box size:', size, 'Center:', center);
     console.log('🏗️ [Lookout] Adding', LOOKOUT_COLLISIONS.length, 'collision shapes...');
 
-    // Add collision shapes
-    LOOKOUT_COLLISIONS.forEach((collisionDef, index) => {
-        const worldX = LOOKOUT_POSITION.x + collisionDef.offset.x;
-        const worldY = LOOKOUT_POSITION.y + collisionDef.offset.y + COLLISION_Y_OFFSET;
-        const worldZ = LOOKOUT_POSITION.z + collisionDef.offset.z;
-
-        if (collisionDef.type === 'box') {
-            CollisionManager.addBox({
-                name: `lookout_${collisionDef.name}`,
-                centerX: worldX,
-                centerZ: worldZ,
-                width: collisionDef.size.width,
-                depth: collisionDef.size.depth,
-                height: collisionDef.size.height,
-                baseY: worldY
-            });
-        } else if (collisionDef.type === 'cylinder') {
-            CollisionManager.addCylinder({
-                name: `lookout_${collisionDef.name}`,
-                x: worldX,
-                z: worldZ,
-                radius: collisionDef.size.radius,
-                height: collisionDef.size.height,
-                baseY: worldY
-            });
-        }
-
-        console.log(`🏗️ [Lookout] Added collision: ${collisionDef.name} at (${worldX.toFixed(1)}, ${worldY.toFixed(1)}, ${worldZ.toFixed(1)})`);
+    // Add collision shapes (the server has the same ones - js/shared/lookout.js)
+    addLookoutColliders();
 
-        // Create debug visualization
-        if (SHOW_DEBUG_COLLISIONS) {
-            const debugMesh = createDebugMesh(collisionDef, LOOKOUT_POSITION);
+    // Create debug visualization
+    if (SHOW_DEBUG_COLLISIONS) {
+        LOOKOUT_COLLISIONS.forEach(collisionDef => {
+            const debugMesh = createDebugMesh(collisionDef);
             scene.add(debugMesh.solid);
             scene.add(debugMesh.wireframe);
             debugMeshes.push(debugMesh.solid, debugMesh.wireframe);
-        }
-    });
+        });
+    }
 
     if (SHOW_DEBUG_COLLISIONS) {
         console.log('🔍 [Lookout] Debug collision meshes visible - set SHOW_DEBUG_COLLISIONS to false to hide');
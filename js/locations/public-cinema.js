@@ -11,7 +11,7 @@
 
 import * as THREE from 'three';
 import { CSS3DRenderer, CSS3DObject } from 'three/addons/renderers/CSS3DRenderer.js';
-import { CollisionManager } from '../core/collisions.js';
+import { CollisionManager } from '../shared/collisions.js';
 
 // Constants
 const CINEMA_INTERACTION_DISTANCE = 15.0; // Show prompt only when close to screen
@@ -1,11 +1,11 @@
 import * as THREE from 'three';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
-import { CollisionManager } from '../core/collisions.js';
+import { CollisionManager } from '../shared/collisions.js';
+import { TOWER_POSITION } from '../shared/landmarks.js';
 
 // Tower configuration
 const TOWER_PATH = 'extras/tower/tower.fbx';
 const TOWER_TEXTURE_PATH = 'extras/tower/TowerTexture.png';
-const TOWER_POSITION = { x: 179.5, y: 24.7, z: 181.1 };
 const TOWER_SCALE = 0.1; // Adjust if needed
 
 // Fence configuration - Add more positions to extend the fence
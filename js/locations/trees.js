@@ -3,7 +3,7 @@ import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
 import { getTerrainHeight } from './mountains.js';
-import { CollisionManager } from '../core/collisions.js';
+import { CollisionManager } from '../shared/collisions.js';
 
 // Tree 1 (FBX)
 const TREE1_PATH = 'assets/trees/tree1/Tree.fbx';
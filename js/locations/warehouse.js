@@ -1,10 +1,10 @@
 import * as THREE from 'three';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
-import { CollisionManager } from '../core/collisions.js';
+import { CollisionManager } from '../shared/collisions.js';
+import { WAREHOUSE_POSITION } from '../shared/landmarks.js';
 
 // Warehouse configuration
 const WAREHOUSE_PATH = 'extras/old_warehouse/old_warehouse01_upgrade.fbx';
-const WAREHOUSE_POSITION = { x: 152.06, y: -3.00, z: 23.70 };
 const WAREHOUSE_ROTATION = { x: 0.0, y: -79.2, z: 0.0 };
 const WAREHOUSE_SCALE = .05; // Larger scale - FBX units vary
 
@@ -0,0 +1,257 @@
+/**
+ * Chat - Text chat overlay
+ * Enter (or D-Pad Left) opens the input, Tab switches between all/team, Esc
+ * closes. Lines fade out a while after they arrive; opening the chat shows the
+ * whole scrollback. Slash commands are run by the server (/w, /me) except the
+ * channel shortcuts and /help, which never leave the client.
+ *
+ * Everything from the network is cleaned with sanitizeChatText and rendered
+ * with textContent only.
+ *
+ * Usage:
+ *   const chat = new Chat(networkManager, { onOpen: releaseKeys });
+ *   if (chat.isOpen) return; // Don't move/shoot while typing
+ */
+
+import { TEAMS } from '../shared/game-modes.js';
+import { CHAT_MAX_LENGTH, sanitizeChatText } from '../shared/chat.js';
+
+// Lines kept in the scrollback
+const MAX_LINES = 100;
+
+// How long a line stays up while the chat is closed (ms)
+const LINE_VISIBLE_MS = 8000;
+
+const CHANNEL_SHORTCUTS = {
+    '/all': 'all', '/a': 'all',
+    '/team': 'team', '/t': 'team'
+};
+
+const HELP_LINES = [
+    'Enter: chat · Tab: switch all/team · Esc: close',
+    '/t <message>: team · /a <message>: all',
+    '/w <name> <message>: whisper · /me <action>: emote'
+];
+
+export class Chat {
+    /**
+     * @param {NetworkManager} networkManager
+     * @param {Object} options - { onOpen, onClose } callbacks (e.g. release held keys)
+     */
+    constructor(networkManager, options = {}) {
+        this.networkManager = networkManager;
+        this.onOpen = options.onOpen || null;
+        this.onClose = options.onClose || null;
+
+        // UI Elements
+        this.container = document.getElementById('chat-box');
+        this.log = document.getElementById('chat-log');
+        this.form = document.getElementById('chat-form');
+        this.input = document.getElementById('chat-input');
+        this.channelLabel = document.getElementById('chat-channel');
+
+        // State
+        this.isOpen = false;
+        this.channel = 'all';
+
+        this.input.maxLength = CHAT_MAX_LENGTH;
+
+        this.setupUIListeners();
+        this.setupNetworkListeners();
+
+        // History may have arrived before we were created
+        this.setHistory(networkManager.chatHistory);
+    }
+
+    setupUIListeners() {
+        // Enter opens the chat (unless something else has the keyboard)
+        window.addEventListener('keydown', (e) => {
+            if (this.isOpen || e.key !== 'Enter' || isTyping(e.target)) return;
+            e.preventDefault();
+            this.open();
+        });
+
+        // Keep typing away from the game's key handlers
+        ['keydown', 'keyup'].forEach(type => {
+            this.input.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                this.setChannel(this.channel === 'all' ? 'team' : 'all');
+            }
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.send(this.input.value);
+            this.close();
+        });
+
+        // Clicking away closes it
+        this.input.addEventListener('blur', () => {
+            if (this.isOpen) this.close(false);
+        });
+    }
+
+    setupNetworkListeners() {
+        this.networkManager.on('chat-message', (message) => this.addMessage(message));
+        this.networkManager.on('chat-history', (messages) => this.setHistory(messages));
+    }
+
+    /**
+     * Show the input (and the whole scrollback)
+     * @param {string} channel - 'all' or 'team' (defaults to the last one used)
+     */
+    open(channel = this.channel) {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.setChannel(channel);
+
+        this.container.classList.add('open');
+        this.log.scrollTop = this.log.scrollHeight;
+        document.exitPointerLock();
+        this.input.focus();
+
+        if (this.onOpen) this.onOpen();
+    }
+
+    /**
+     * Hide the input
+     * @param {boolean} relock - Take the mouse back for the game
+     */
+    close(relock = true) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+
+        this.input.value = '';
+        this.container.classList.remove('open');
+        this.input.blur();
+        if (relock) {
+            document.body.requestPointerLock().catch(() => {
+                // Needs a user gesture - the next click will lock again
+            });
+        }
+
+        if (this.onClose) this.onClose();
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    setChannel(channel) {
+        // Team chat only means something in team modes
+        this.channel = channel === 'team' && this.networkManager.team ? 'team' : 'all';
+        this.channelLabel.innerText = this.channel === 'team' ? 'TEAM' : 'ALL';
+        this.channelLabel.className = `chat-channel-${this.channel}`;
+    }
+
+    /**
+     * Send what was typed - channel shortcuts and /help are handled here
+     */
+    send(raw) {
+        let text = sanitizeChatText(raw);
+        let channel = this.channel;
+        if (!text) return;
+
+        const [first, ...rest] = text.split(' ');
+        const shortcut = CHANNEL_SHORTCUTS[first.toLowerCase()];
+        if (shortcut) {
+            this.setChannel(shortcut);
+            channel = this.channel;
+            text = rest.join(' ');
+            if (!text) return; // "/t" alone just switches channel
+        } else if (first.toLowerCase() === '/help') {
+            HELP_LINES.forEach(line => this.addMessage({ type: 'system', message: line }));
+            return;
+        }
+
+        this.networkManager.sendChatMessage(text, channel);
+    }
+
+    /**
+     * Replace the scrollback (join / reconnect)
+     */
+    setHistory(messages = []) {
+        this.log.innerHTML = '';
+        messages.forEach(message => this.addMessage(message, false));
+    }
+
+    /**
+     * Append a line
+     * @param {Object} message - From the server ({ type, channel, playerName, message, ... })
+     * @param {boolean} fresh - Show it over the game for a while (history lines start faded)
+     */
+    addMessage(message, fresh = true) {
+        const line = this.createLine(message);
+        if (!line) return;
+
+        const atBottom = this.log.scrollTop + this.log.clientHeight >= this.log.scrollHeight - 4;
+        this.log.appendChild(line);
+        while (this.log.children.length > MAX_LINES) {
+            this.log.firstChild.remove();
+        }
+        if (atBottom || !this.isOpen) this.log.scrollTop = this.log.scrollHeight;
+
+        if (fresh) {
+            setTimeout(() => line.classList.add('faded'), LINE_VISIBLE_MS);
+        } else {
+            line.classList.add('faded');
+        }
+    }
+
+    /**
+     * Build a line element from text nodes only
+     */
+    createLine(message) {
+        if (!message || typeof message !== 'object') return null;
+        const text = sanitizeChatText(message.message);
+        if (!text) return null;
+
+        const line = document.createElement('div');
+        line.className = `chat-line chat-${message.type || 'chat'}`;
+
+        if (message.type === 'system') {
+            line.textContent = text;
+            return line;
+        }
+
+        const myId = this.networkManager.getPlayerId();
+        const name = sanitizeChatText(message.playerName) || 'Unknown';
+
+        if (message.type === 'whisper') {
+            const outgoing = message.playerId === myId;
+            const other = outgoing ? sanitizeChatText(message.targetName) : name;
+            line.append(createSpan('chat-tag', outgoing ? `[to ${other}] ` : `[from ${other}] `));
+            line.append(document.createTextNode(text));
+            return line;
+        }
+
+        if (message.channel === 'team') {
+            line.append(createSpan('chat-tag', '[TEAM] '));
+        }
+
+        const nameSpan = createSpan('chat-name', message.type === 'emote' ? `* ${name} ` : `${name}: `);
+        const team = TEAMS[message.team];
+        if (team) nameSpan.style.color = team.color;
+        line.append(nameSpan, document.createTextNode(text));
+        return line;
+    }
+}
+
+function createSpan(className, text) {
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    return span;
+}
+
+function isTyping(target) {
+    return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+}
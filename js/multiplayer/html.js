@@ -0,0 +1,17 @@
+/**
+ * HTML - Helpers for the overlays that build their markup as strings
+ * (lobby, scoreboard, match HUD). Anything a player or room owner typed
+ * goes through escapeHtml before it lands in innerHTML.
+ */
+
+const HTML_ENTITIES = {
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+};
+
+/**
+ * Safe to put in element content and quoted attributes
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => HTML_ENTITIES[c]);
+}
@@ -0,0 +1,162 @@
+/**
+ * Snapshot Interpolation - Smooth remote player movement
+ * Remote players are rendered slightly in the past (INTERPOLATION_DELAY_MS)
+ * so there are always two server states to blend between. When packets are
+ * late we extrapolate from the last known velocity for a short while.
+ */
+
+// How far behind server time remote players are rendered (ms)
+export const INTERPOLATION_DELAY_MS = 100;
+
+// Max time we'll guess ahead of the newest state before freezing (ms)
+export const MAX_EXTRAPOLATION_MS = 250;
+
+// States kept per player
+const BUFFER_SIZE = 30;
+
+/**
+ * Tracks the offset between local Date.now() and the server clock
+ */
+export class ServerClock {
+    constructor() {
+        this.offset = 0;
+        this.synced = false;
+    }
+
+    /**
+     * Feed a server timestamp received just now
+     */
+    update(serverTime) {
+        if (typeof serverTime !== 'number') return;
+        const sample = serverTime - Date.now();
+
+        if (!this.synced) {
+            this.offset = sample;
+            this.synced = true;
+        } else if (sample > this.offset) {
+            // Packet arrived faster than usual - that's the better estimate
+            this.offset = sample;
+        } else {
+            // Drift slowly towards slower samples so clock changes are still followed
+            this.offset += (sample - this.offset) * 0.05;
+        }
+    }
+
+    /**
+     * Current estimated server time
+     */
+    now() {
+        return Date.now() + this.offset;
+    }
+
+    /**
+     * Server time remote players should be rendered at
+     */
+    getRenderTime() {
+        return this.now() - INTERPOLATION_DELAY_MS;
+    }
+
+    reset() {
+        this.offset = 0;
+        this.synced = false;
+    }
+}
+
+/**
+ * Timestamped state history for a single remote player
+ */
+export class SnapshotBuffer {
+    constructor(size = BUFFER_SIZE) {
+        this.size = size;
+        this.states = [];
+    }
+
+    /**
+     * Add a state at server time `time`
+     */
+    push(time, position, rotation) {
+        const last = this.states[this.states.length - 1];
+        if (last && time <= last.time) return; // Out of order / duplicate
+
+        this.states.push({
+            time,
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: rotation
+                ? { x: rotation.x, y: rotation.y, z: rotation.z }
+                : { x: 0, y: 0, z: 0 }
+        });
+
+        if (this.states.length > this.size) {
+            this.states.shift();
+        }
+    }
+
+    /**
+     * Get the state at a given server time
+     * @returns {Object|null} { position, rotation, extrapolated } or null if empty
+     */
+    sample(renderTime) {
+        const states = this.states;
+        if (states.length === 0) return null;
+
+        const first = states[0];
+        if (states.length === 1 || renderTime <= first.time) {
+            return { position: first.position, rotation: first.rotation, extrapolated: false };
+        }
+
+        // Interpolate between the two states around renderTime
+        for (let i = states.length - 1; i > 0; i--) {
+            const a = states[i - 1];
+            const b = states[i];
+            if (renderTime >= a.time && renderTime <= b.time) {
+                const t = (renderTime - a.time) / (b.time - a.time);
+                return {
+                    position: lerpVector(a.position, b.position, t),
+                    rotation: lerpAngles(a.rotation, b.rotation, t),
+                    extrapolated: false
+                };
+            }
+        }
+
+        // Newer than anything we have - extrapolate briefly along the last velocity
+        const a = states[states.length - 2];
+        const b = states[states.length - 1];
+        const ahead = Math.min(renderTime - b.time, MAX_EXTRAPOLATION_MS);
+        const t = 1 + ahead / (b.time - a.time);
+        return {
+            position: lerpVector(a.position, b.position, t),
+            rotation: b.rotation,
+            extrapolated: true
+        };
+    }
+
+    clear() {
+        this.states = [];
+    }
+}
+
+export function lerpVector(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
+
+/**
+ * Lerp Euler components along the shortest arc
+ */
+export function lerpAngles(a, b, t) {
+    return {
+        x: lerpAngle(a.x, b.x, t),
+        y: lerpAngle(a.y, b.y, t),
+        z: lerpAngle(a.z, b.z, t)
+    };
+}
+
+function lerpAngle(a, b, t) {
+    let diff = (b - a) % (Math.PI * 2);
+    if (diff > Math.PI) diff -= Math.PI * 2;
+    if (diff < -Math.PI) diff += Math.PI * 2;
+    return a + diff * t;
+}
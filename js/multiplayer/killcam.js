@@ -0,0 +1,267 @@
+/**
+ * Killcam - Replay of your death through the killer's eyes
+ * Keeps the last few seconds of snapshots (everyone's position/rotation) and
+ * 'player-fired' events. When we're killed it plays the final seconds back
+ * from the killer's eye with its own camera, posing the other players (and a
+ * stand-in for us) from the buffer. While it runs, script.js renders through
+ * `killcam.camera` and leaves remote player meshes to it.
+ *
+ * Usage:
+ *   const killcam = new Killcam(scene, playerManager, networkManager);
+ *   killcam.start(data); // 'player-killed' where we're the victim
+ *   if (killcam.isActive) killcam.update(delta); else playerManager.update(...);
+ */
+
+import * as THREE from 'three';
+import { SnapshotBuffer } from './interpolation.js';
+import { playShootSound } from '../input/audio.js';
+
+// How much of the lead-up to the kill is replayed (ms)
+export const KILLCAM_DURATION_MS = 5000;
+
+// History kept - a bit more than a replay (snapshots arrive at 20Hz)
+const HISTORY_MS = KILLCAM_DURATION_MS + 1000;
+const HISTORY_STATES = Math.ceil(HISTORY_MS / 50) + 10;
+
+// Short respawn delays: play faster (up to this), then replay less
+const MAX_PLAYBACK_RATE = 2;
+const MIN_REPLAY_MS = 1500; // Not worth showing anything shorter
+
+// Linger on the kill before handing back to the death screen (ms)
+const END_HOLD_MS = 600;
+
+const TRACER_LENGTH = 150;
+const TRACER_LIFE_MS = 150;
+
+export class Killcam {
+    constructor(scene, playerManager, networkManager) {
+        this.scene = scene;
+        this.playerManager = playerManager;
+        this.networkManager = networkManager;
+
+        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+
+        // UI Elements
+        this.deathScreen = document.getElementById('death-screen');
+        this.banner = document.getElementById('killcam-banner');
+
+        // State
+        this.enabled = true;
+        this.history = new Map(); // playerId -> SnapshotBuffer
+        this.shots = []; // 'player-fired' events, oldest first
+        this.playback = null;
+
+        this.setupNetworkListeners();
+    }
+
+    setupNetworkListeners() {
+        this.networkManager.on('snapshot', (snapshot) => {
+            snapshot.players.forEach(state => {
+                let buffer = this.history.get(state.id);
+                if (!buffer) {
+                    buffer = new SnapshotBuffer(HISTORY_STATES);
+                    this.history.set(state.id, buffer);
+                }
+                buffer.push(snapshot.timestamp, state.position, state.rotation);
+            });
+        });
+
+        this.networkManager.on('player-fired', (data) => {
+            this.shots.push(data);
+            const cutoff = data.timestamp - HISTORY_MS;
+            while (this.shots.length > 0 && this.shots[0].timestamp < cutoff) {
+                this.shots.shift();
+            }
+        });
+
+        this.networkManager.on('player-left', (data) => {
+            this.history.delete(data.id);
+        });
+
+        this.networkManager.on('player-respawned', (data) => {
+            if (data.id === this.networkManager.getPlayerId()) this.stop();
+        });
+
+        this.networkManager.on('disconnected', () => {
+            this.stop();
+            this.history.clear();
+            this.shots = [];
+        });
+    }
+
+    get isActive() {
+        return this.playback !== null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.stop();
+    }
+
+    onResize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+    }
+
+    /**
+     * Replay the lead-up to our death, if there's anything worth showing
+     * @param {Object} kill - 'player-killed': { killerId, killerName, respawnAt, timestamp }
+     * @returns {boolean} Whether the killcam started
+     */
+    start(kill) {
+        this.stop();
+
+        const myId = this.networkManager.getPlayerId();
+        if (!this.enabled || !kill.killerId || kill.killerId === myId) return false;
+
+        const killerHistory = this.history.get(kill.killerId);
+        if (!killerHistory || killerHistory.states.length < 2) return false;
+
+        // Has to be over before the server respawns us
+        const now = this.networkManager.getServerTime();
+        const available = kill.respawnAt ? kill.respawnAt - now - END_HOLD_MS : Infinity;
+        const rate = Math.min(MAX_PLAYBACK_RATE, Math.max(1, KILLCAM_DURATION_MS / available));
+        const duration = Math.min(KILLCAM_DURATION_MS, available * rate);
+        if (duration < MIN_REPLAY_MS) return false;
+
+        const endTime = kill.timestamp || now;
+        this.playback = {
+            killerId: kill.killerId,
+            endTime,
+            time: endTime - duration,
+            lastShotTime: endTime - duration,
+            rate,
+            saved: new Map(), // playerId -> mesh state to put back afterwards
+            standIn: this.createStandIn(myId)
+        };
+
+        // Remote players are ours until we stop
+        this.playerManager.players.forEach((mesh, id) => {
+            this.playback.saved.set(id, {
+                mesh,
+                position: mesh.position.clone(),
+                rotation: mesh.rotation.clone(),
+                visible: mesh.visible
+            });
+        });
+
+        this.banner.textContent = `KILLCAM · ${kill.killerName || 'Unknown'}`;
+        this.deathScreen.classList.add('killcam-active');
+        console.log(`🎬 Killcam: ${Math.round(duration)}ms from ${kill.killerName}'s view${rate > 1 ? ` at ${rate.toFixed(1)}x` : ''}`);
+
+        this.update(0);
+        return true;
+    }
+
+    /**
+     * Us, as the killer saw us (we have no mesh of our own)
+     */
+    createStandIn(myId) {
+        if (!this.history.has(myId)) return null;
+
+        const mesh = this.playerManager.createPlayerMesh({
+            id: myId,
+            name: this.networkManager.playerName,
+            team: this.networkManager.team
+        });
+        mesh.visible = false;
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    update(delta) {
+        const playback = this.playback;
+        if (!playback) return;
+
+        playback.time += delta * 1000 * playback.rate;
+        if (playback.time >= playback.endTime + END_HOLD_MS * playback.rate) {
+            this.stop();
+            return;
+        }
+        const time = Math.min(playback.time, playback.endTime);
+
+        // Look through the killer's eyes (rotation is their camera's)
+        const eye = this.history.get(playback.killerId)?.sample(time);
+        if (eye) {
+            this.camera.position.set(eye.position.x, eye.position.y, eye.position.z);
+            this.camera.rotation.set(eye.rotation.x, eye.rotation.y, eye.rotation.z);
+        }
+
+        this.playerManager.players.forEach((mesh, id) => {
+            this.poseMesh(mesh, id === playback.killerId ? null : this.history.get(id), time);
+        });
+        if (playback.standIn) {
+            this.poseMesh(playback.standIn, this.history.get(this.networkManager.getPlayerId()), time);
+        }
+
+        // Shots fired since the last frame
+        this.shots.forEach(shot => {
+            if (shot.timestamp <= playback.lastShotTime || shot.timestamp > time) return;
+            this.replayShot(shot, shot.id === playback.killerId);
+        });
+        playback.lastShotTime = time;
+    }
+
+    /**
+     * Put a player mesh where the buffer had it (hidden if we know nothing)
+     */
+    poseMesh(mesh, history, time) {
+        const state = history ? history.sample(time) : null;
+        mesh.visible = !!state;
+        if (!state) return;
+
+        mesh.position.set(state.position.x, state.position.y, state.position.z);
+        mesh.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z);
+        if (mesh.userData.nameTag) mesh.userData.nameTag.lookAt(this.camera.position);
+        if (mesh.userData.healthBar) mesh.userData.healthBar.lookAt(this.camera.position);
+    }
+
+    replayShot(shot, byKiller) {
+        let start;
+        if (byKiller) {
+            // From just below the eye, like a held gun
+            playShootSound(shot.weapon);
+            start = new THREE.Vector3(0.2, -0.2, -0.5).applyQuaternion(this.camera.quaternion).add(this.camera.position);
+        } else {
+            this.playerManager.showMuzzleFlash(shot.id);
+            start = new THREE.Vector3(shot.position.x, shot.position.y, shot.position.z);
+        }
+
+        const direction = new THREE.Vector3(shot.direction.x, shot.direction.y, shot.direction.z).normalize();
+        this.createTracer(start, start.clone().addScaledVector(direction, TRACER_LENGTH));
+    }
+
+    createTracer(start, end) {
+        const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+        const material = new THREE.LineBasicMaterial({ color: 0xffdd88, transparent: true, opacity: 0.6 });
+        const tracer = new THREE.Line(geometry, material);
+        this.scene.add(tracer);
+
+        setTimeout(() => {
+            this.scene.remove(tracer);
+            geometry.dispose();
+            material.dispose();
+        }, TRACER_LIFE_MS);
+    }
+
+    /**
+     * End the replay and hand remote players back to PlayerManager
+     */
+    stop() {
+        const playback = this.playback;
+        if (!playback) return;
+        this.playback = null;
+
+        playback.saved.forEach(({ mesh, position, rotation, visible }, id) => {
+            mesh.position.copy(position);
+            mesh.rotation.copy(rotation);
+            mesh.visible = visible;
+            // Died while we were watching - lay the corpse back down
+            if (mesh.userData.isDead) this.playerManager.setPlayerDead(id, true);
+        });
+        if (playback.standIn) this.scene.remove(playback.standIn);
+
+        this.deathScreen.classList.remove('killcam-active');
+        console.log('🎬 Killcam finished');
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * Lobby - Room browser shown before connecting
+ * Lists rooms from GET /api/rooms, creates rooms (POST /api/rooms) and checks
+ * passwords before handing the choice to initMultiplayer. WATCH joins a room
+ * as a spectator (it has its own slots, so full rooms can still be watched).
+ *
+ * Usage:
+ *   const choice = await new Lobby(getServerUrl(), { onShowStats }).show();
+ *   if (choice) { networkManager.setRoomId(choice.roomId); ... } // null = play offline
+ */
+
+import { GAME_MODES } from '../shared/game-modes.js';
+import { escapeHtml } from './html.js';
+
+const NAME_STORAGE_KEY = 'fps_player_name';
+const REFRESH_INTERVAL_MS = 5000;
+
+export class Lobby {
+    /**
+     * @param {string} serverUrl
+     * @param {Object} options - { onShowStats } callback for the MY STATS button
+     */
+    constructor(serverUrl, options = {}) {
+        this.serverUrl = serverUrl;
+        this.onShowStats = options.onShowStats || null;
+
+        // UI Elements
+        this.screen = document.getElementById('lobby-screen');
+        this.nameInput = document.getElementById('lobby-name');
+        this.roomList = document.getElementById('lobby-room-list');
+        this.errorEl = document.getElementById('lobby-error');
+        this.createForm = document.getElementById('lobby-create');
+        this.modeSelect = document.getElementById('lobby-create-mode');
+
+        // State
+        this.resolve = null;
+        this.refreshTimer = null;
+        this.rooms = [];
+
+        this.populateModes();
+        this.setupUIListeners();
+
+        const savedName = localStorage.getItem(NAME_STORAGE_KEY);
+        if (savedName) this.nameInput.value = savedName;
+    }
+
+    populateModes() {
+        this.modeSelect.innerHTML = Object.entries(GAME_MODES)
+            .map(([key, mode]) => `<option value="${key}">${mode.name}</option>`)
+            .join('');
+    }
+
+    setupUIListeners() {
+        // Keep lobby clicks/keys away from the game (pointer lock, movement keys)
+        ['click', 'mousedown', 'keydown', 'keyup'].forEach(type => {
+            this.screen.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        document.getElementById('lobby-refresh').addEventListener('click', () => this.refresh());
+        document.getElementById('lobby-offline').addEventListener('click', () => this.finish(null));
+        document.getElementById('lobby-stats').addEventListener('click', () => {
+            if (this.onShowStats) this.onShowStats();
+        });
+
+        this.createForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createRoom();
+        });
+
+        // Join buttons are rebuilt on every refresh - delegate
+        this.roomList.addEventListener('click', (e) => {
+            const joinButton = e.target.closest('[data-join]');
+            if (joinButton) this.joinRoom(joinButton.dataset.join);
+
+            const watchButton = e.target.closest('[data-spectate]');
+            if (watchButton) this.joinRoom(watchButton.dataset.spectate, true);
+        });
+    }
+
+    /**
+     * Open the lobby
+     * @param {string} error - Message to show (e.g. why the last join failed)
+     * @returns {Promise<Object|null>} { roomId, password, name, spectator } or null to play offline
+     */
+    show(error = '') {
+        this.screen.style.display = 'flex';
+        this.setError(error);
+        this.refresh();
+        this.refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+        });
+    }
+
+    finish(choice) {
+        clearInterval(this.refreshTimer);
+        this.screen.style.display = 'none';
+        if (choice && choice.name) localStorage.setItem(NAME_STORAGE_KEY, choice.name);
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve(choice);
+    }
+
+    getPlayerName() {
+        return this.nameInput.value.trim().slice(0, 24);
+    }
+
+    setError(message) {
+        this.errorEl.innerText = message || '';
+    }
+
+    // --- API ---
+
+    async request(path, body = null) {
+        const response = await fetch(`${this.serverUrl}${path}`, body ? {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        } : undefined);
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error (${response.status})`);
+        }
+        return data;
+    }
+
+    async refresh() {
+        try {
+            const data = await this.request('/api/rooms');
+            this.rooms = data.rooms || [];
+            this.renderRooms();
+        } catch (error) {
+            console.warn('⚠️ Lobby: could not load rooms:', error.message);
+            this.roomList.innerHTML = '<div class="lobby-empty">Server unreachable - you can still play offline</div>';
+        }
+    }
+
+    renderRooms() {
+        if (this.rooms.length === 0) {
+            this.roomList.innerHTML = '<div class="lobby-empty">No rooms yet - create one</div>';
+            return;
+        }
+
+        // Keep typed passwords across refreshes
+        const typed = {};
+        this.roomList.querySelectorAll('[data-password]').forEach(input => {
+            typed[input.dataset.password] = input.value;
+        });
+
+        // Everything from the server is escaped - room ids included
+        this.roomList.innerHTML = this.rooms.map(room => {
+            const id = escapeHtml(room.id);
+            const players = Number(room.players) || 0;
+            const maxPlayers = Number(room.maxPlayers) || 0;
+            const spectators = Number(room.spectators) || 0;
+            return `
+            <div class="lobby-room">
+                <div class="lobby-room-info">
+                    <span class="lobby-room-name">${room.locked ? '🔒 ' : ''}${escapeHtml(room.name)}</span>
+                    <span class="lobby-room-meta">${escapeHtml(room.modeName)} · ${escapeHtml(room.mapName)} · ${escapeHtml(String(room.state).toUpperCase())}</span>
+                </div>
+                <span class="lobby-room-players">${players}/${maxPlayers}${spectators ? ` · 👁️ ${spectators}` : ''}</span>
+                ${room.locked ? `<input type="password" class="lobby-room-password" data-password="${id}" placeholder="Password">` : ''}
+                <button data-join="${id}" ${players >= maxPlayers ? 'disabled' : ''}>JOIN</button>
+                <button data-spectate="${id}" class="lobby-watch">WATCH</button>
+            </div>
+        `;
+        }).join('');
+
+        Object.entries(typed).forEach(([id, value]) => {
+            const input = this.getPasswordInput(id);
+            if (input) input.value = value;
+        });
+    }
+
+    /**
+     * Password box of a locked room (ids aren't safe to put in a selector)
+     */
+    getPasswordInput(roomId) {
+        return Array.from(this.roomList.querySelectorAll('[data-password]'))
+            .find(input => input.dataset.password === roomId) || null;
+    }
+
+    /**
+     * @param {boolean} spectator - Watch instead of play
+     */
+    async joinRoom(roomId, spectator = false) {
+        const input = this.getPasswordInput(roomId);
+        const password = input ? input.value : null;
+
+        try {
+            // Check the password / free slot first so mistakes stay in the lobby
+            await this.request(`/api/rooms/${encodeURIComponent(roomId)}/verify`, { password, spectator });
+            this.finish({ roomId, password, name: this.getPlayerName(), spectator });
+        } catch (error) {
+            this.setError(error.message);
+        }
+    }
+
+    async createRoom() {
+        const form = this.createForm.elements;
+        const timeLimitMinutes = Number(form['lobby-create-time'].value);
+
+        const options = {
+            name: form['lobby-create-name'].value,
+            mode: form['lobby-create-mode'].value,
+            maxPlayers: Number(form['lobby-create-max'].value),
+            password: form['lobby-create-password'].value,
+            rules: {
+                scoreLimit: form['lobby-create-score'].value === '' ? undefined : Number(form['lobby-create-score'].value),
+                timeLimit: timeLimitMinutes ? Math.round(timeLimitMinutes * 60) : undefined,
+                friendlyFire: form['lobby-create-ff'].checked
+            }
+        };
+
+        try {
+            const { room } = await this.request('/api/rooms', options);
+            console.log(`🏠 Created room ${room.id} (${room.name})`);
+            this.finish({ roomId: room.id, password: options.password, name: this.getPlayerName(), spectator: false });
+        } catch (error) {
+            this.setError(error.message);
+        }
+    }
+}
@@ -0,0 +1,327 @@
+/**
+ * Match HUD - Match timer, score bar, capture zones and end-of-match screen
+ * Driven entirely by the server's 'match-state' / 'match-ended' events (zone
+ * progress rides on world snapshots); the clock counts down against the
+ * estimated server time.
+ */
+
+import { MATCH_STATES, TEAMS, TEAM_IDS } from '../shared/game-modes.js';
+import { CAPTURE_ZONES, findZoneAt } from '../shared/capture-zones.js';
+import { escapeHtml } from './html.js';
+
+// How long a capture announcement stays up (ms)
+const ANNOUNCEMENT_DURATION = 3000;
+
+export class MatchHud {
+    constructor(networkManager) {
+        this.networkManager = networkManager;
+
+        // UI Elements
+        this.container = document.getElementById('match-hud');
+        this.modeLabel = document.getElementById('match-mode');
+        this.stateLabel = document.getElementById('match-state');
+        this.timerEl = document.getElementById('match-timer');
+        this.scoreBar = document.getElementById('match-score-bar');
+        this.endScreen = document.getElementById('match-end-screen');
+        this.endTitle = document.getElementById('match-end-title');
+        this.endReason = document.getElementById('match-end-reason');
+        this.endStandings = document.getElementById('match-end-standings');
+        this.endCountdown = document.getElementById('match-end-countdown');
+        this.zonesEl = document.getElementById('match-zones');
+        this.zoneCapture = document.getElementById('zone-capture');
+        this.zoneCaptureLabel = document.getElementById('zone-capture-label');
+        this.zoneCaptureFill = document.getElementById('zone-capture-fill');
+        this.zoneAnnouncement = document.getElementById('zone-announcement');
+
+        // State
+        this.state = null;
+        this.nextMatchAt = null;
+        this.lastTimerText = null;
+        this.zoneStates = null;
+        this.zoneBadges = new Map();
+        this.playerPosition = null;
+        this.announcementTimer = null;
+
+        this.setupNetworkListeners();
+
+        // State may have arrived with player-assigned before we were created
+        if (networkManager.matchState) {
+            this.state = networkManager.matchState;
+            this.render();
+        }
+    }
+
+    setupNetworkListeners() {
+        this.networkManager.on('match-state', (state) => {
+            this.state = state;
+            this.render();
+
+            if (state.state !== MATCH_STATES.ENDED) {
+                this.hideEndScreen();
+            }
+        });
+
+        this.networkManager.on('match-ended', (data) => {
+            this.showEndScreen(data);
+        });
+
+        // Zone progress comes with every world snapshot
+        this.networkManager.on('snapshot', (snapshot) => {
+            if (snapshot.zones) this.setZoneStates(snapshot.zones);
+        });
+
+        this.networkManager.on('zone-event', (event) => {
+            this.announceZoneEvent(event);
+        });
+
+        this.networkManager.on('disconnected', () => {
+            this.state = null;
+            if (this.container) this.container.style.display = 'none';
+            this.setZoneStates(null);
+            this.hideEndScreen();
+        });
+    }
+
+    // --- HUD ---
+
+    render() {
+        if (!this.container || !this.state) return;
+        this.container.style.display = 'flex';
+
+        this.modeLabel.innerText = this.state.modeName.toUpperCase();
+        this.stateLabel.innerText = this.getStateText();
+        this.container.dataset.state = this.state.state;
+        this.lastTimerText = null; // Force the timer to redraw
+
+        this.renderScoreBar();
+        this.setZoneStates(this.state.zones);
+        this.update();
+    }
+
+    getStateText() {
+        const state = this.state;
+        if (state.state === MATCH_STATES.WARMUP) {
+            const playerCount = this.networkManager.getRemotePlayers().length + 1;
+            return state.endsAt
+                ? 'WARMUP - STARTING IN'
+                : `WARMUP - WAITING FOR PLAYERS (${playerCount}/${state.minPlayers})`;
+        }
+        if (state.state === MATCH_STATES.ENDED) return 'MATCH OVER';
+        return `FIRST TO ${state.scoreLimit}`;
+    }
+
+    renderScoreBar() {
+        const state = this.state;
+        const myId = this.networkManager.getPlayerId();
+        const limit = Math.max(state.scoreLimit || 1, 1);
+        const sides = [];
+
+        if (state.teams) {
+            TEAM_IDS.forEach(teamId => {
+                sides.push({
+                    label: TEAMS[teamId].name + (teamId === this.networkManager.team ? ' (YOU)' : ''),
+                    score: state.teamScores[teamId] || 0,
+                    color: TEAMS[teamId].color
+                });
+            });
+        } else {
+            // FFA - you vs the leader (or the runner-up if you're leading)
+            const myScore = state.scores[myId] || 0;
+            const leader = state.leader;
+            const rival = leader && leader.id !== myId ? leader : this.findRunnerUp(myId);
+
+            sides.push({ label: 'YOU', score: myScore, color: TEAMS.blue.color });
+            sides.push({
+                label: rival ? rival.name : '---',
+                score: rival ? rival.score : 0,
+                color: TEAMS.red.color
+            });
+        }
+
+        this.scoreBar.innerHTML = sides.map(side => `
+            <div class="match-score-side">
+                <span class="match-score-label" style="color: ${side.color}">${escapeHtml(side.label)}</span>
+                <div class="match-score-track">
+                    <div class="match-score-fill" style="width: ${Math.min(100, side.score / limit * 100)}%; background: ${side.color}"></div>
+                </div>
+                <span class="match-score-value">${side.score}</span>
+            </div>
+        `).join('');
+    }
+
+    findRunnerUp(myId) {
+        let best = null;
+        Object.entries(this.state.scores).forEach(([id, score]) => {
+            if (id === myId || (best && best.score >= score)) return;
+            const player = this.networkManager.getRemotePlayer(id);
+            best = { id, name: player ? player.name : 'Unknown', score };
+        });
+        return best;
+    }
+
+    // --- Capture Zones ---
+
+    /**
+     * Show zone ownership/progress (null hides the zone HUD)
+     */
+    setZoneStates(zones) {
+        this.zoneStates = Array.isArray(zones) ? zones : null;
+        if (!this.zonesEl) return;
+
+        if (!this.zoneStates) {
+            this.zonesEl.innerHTML = '';
+            this.zoneBadges.clear();
+            if (this.zoneCapture) this.zoneCapture.style.display = 'none';
+            return;
+        }
+
+        this.zoneStates.forEach(zone => {
+            let badge = this.zoneBadges.get(zone.id);
+            if (!badge) {
+                badge = document.createElement('div');
+                badge.className = 'zone-badge';
+                badge.innerHTML = `<div class="zone-badge-fill"></div><span>${zone.id}</span>`;
+                this.zonesEl.appendChild(badge);
+                this.zoneBadges.set(zone.id, badge);
+            }
+
+            const fill = badge.firstChild;
+            fill.style.height = `${zone.progress * 100}%`;
+            fill.style.background = getTeamColor(zone.team);
+            badge.style.borderColor = getTeamColor(zone.owner);
+            badge.classList.toggle('contested', zone.contested);
+        });
+    }
+
+    /**
+     * Capture bar for the zone the local player is standing in
+     */
+    updateZoneCapture(playerPosition) {
+        if (!this.zoneCapture) return;
+
+        const zone = this.zoneStates && playerPosition ? findZoneAt(playerPosition) : null;
+        const state = zone ? this.zoneStates.find(z => z.id === zone.id) : null;
+        if (!state) {
+            this.zoneCapture.style.display = 'none';
+            return;
+        }
+
+        const myTeam = this.networkManager.team;
+        let action = 'CAPTURING';
+        if (state.contested) action = 'CONTESTED';
+        else if (state.owner === myTeam && state.progress >= 1) action = 'HOLDING';
+        else if (state.team && state.team !== myTeam) action = 'NEUTRALIZING';
+
+        this.zoneCaptureLabel.innerText = `${action} ${zone.id} - ${zone.name.toUpperCase()}`;
+        this.zoneCaptureFill.style.width = `${state.progress * 100}%`;
+        this.zoneCaptureFill.style.background = getTeamColor(state.team);
+        this.zoneCapture.style.display = 'flex';
+    }
+
+    announceZoneEvent(event) {
+        if (!this.zoneAnnouncement) return;
+        const zone = CAPTURE_ZONES.find(z => z.id === event.zoneId);
+        const zoneName = zone ? `${zone.id} - ${zone.name.toUpperCase()}` : event.zoneId;
+        const ours = event.team === this.networkManager.team;
+
+        if (event.type === 'captured') {
+            this.zoneAnnouncement.innerText = ours ? `ZONE ${zoneName} CAPTURED` : `ZONE ${zoneName} LOST`;
+        } else {
+            this.zoneAnnouncement.innerText = `ZONE ${zoneName} NEUTRALIZED`;
+        }
+        this.zoneAnnouncement.style.color = getTeamColor(event.team);
+        this.zoneAnnouncement.classList.add('visible');
+
+        clearTimeout(this.announcementTimer);
+        this.announcementTimer = setTimeout(() => {
+            this.zoneAnnouncement.classList.remove('visible');
+        }, ANNOUNCEMENT_DURATION);
+    }
+
+    /**
+     * Tick the countdowns (call every frame)
+     * @param {Object} playerPosition - Local player position (for the zone capture bar)
+     */
+    update(playerPosition = null) {
+        if (playerPosition) this.playerPosition = playerPosition;
+        this.updateZoneCapture(this.playerPosition);
+        if (!this.state) return;
+        const now = this.networkManager.getServerTime();
+
+        const timerText = this.state.endsAt ? formatTime(this.state.endsAt - now) : '--:--';
+        if (timerText !== this.lastTimerText) {
+            this.timerEl.innerText = timerText;
+            this.lastTimerText = timerText;
+        }
+
+        if (this.nextMatchAt && this.endCountdown) {
+            this.endCountdown.innerText = Math.max(0, Math.ceil((this.nextMatchAt - now) / 1000));
+        }
+    }
+
+    // --- End Screen ---
+
+    showEndScreen(data) {
+        if (!this.endScreen) return;
+        const myId = this.networkManager.getPlayerId();
+        const myTeam = this.networkManager.team;
+        const winner = data.winner;
+
+        let title = 'DRAW';
+        if (winner && winner.team) {
+            title = winner.team === myTeam ? 'VICTORY' : `${winner.name} WINS`;
+        } else if (winner) {
+            title = winner.id === myId ? 'VICTORY' : `${winner.name} WINS`;
+        }
+        this.endTitle.innerText = title;
+        this.endTitle.style.color = winner && winner.team ? TEAMS[winner.team].color : '';
+
+        const reasonText = {
+            score: 'Score limit reached',
+            time: 'Time limit reached',
+            admin: 'Match ended by an admin'
+        };
+        let reason = reasonText[data.reason] || '';
+        if (data.teamScores && this.state && this.state.teams) {
+            reason += ` - ${TEAM_IDS.map(t => `${TEAMS[t].name} ${data.teamScores[t]}`).join(' : ')}`;
+        }
+        this.endReason.innerText = reason;
+
+        this.endStandings.innerHTML = `
+            <tr><th>#</th><th>PLAYER</th><th>SCORE</th><th>K</th><th>D</th><th>A</th></tr>
+            ${(data.standings || []).map((p, i) => `
+                <tr class="${p.id === myId ? 'is-me' : ''}" style="${p.team ? `color: ${TEAMS[p.team].color}` : ''}">
+                    <td>${i + 1}</td>
+                    <td>${escapeHtml(p.name)}</td>
+                    <td>${p.score}</td>
+                    <td>${p.kills}</td>
+                    <td>${p.deaths}</td>
+                    <td>${p.assists || 0}</td>
+                </tr>
+            `).join('')}
+        `;
+
+        this.nextMatchAt = data.nextMatchAt;
+        this.endScreen.style.display = 'flex';
+        this.update();
+    }
+
+    hideEndScreen() {
+        this.nextMatchAt = null;
+        if (this.endScreen) this.endScreen.style.display = 'none';
+    }
+}
+
+function getTeamColor(team) {
+    return team && TEAMS[team] ? TEAMS[team].color : '#ffffff';
+}
+
+/**
+ * ms -> "m:ss"
+ */
+function formatTime(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
@@ -4,6 +4,49 @@
  */
 
 import { VoiceChat } from './voice-chat.js';
+import { ServerClock } from './interpolation.js';
+
+// Session token survives reloads of this tab, not new tabs (each tab is its own player)
+const SESSION_STORAGE_KEY = 'fps_session_token';
+
+// Lifetime stats profile ({ id, token }) - shared by every tab, kept across visits
+const PROFILE_STORAGE_KEY = 'fps_profile';
+
+// Auto-reconnect backoff (socket.io manager options)
+const RECONNECT_OPTIONS = {
+    reconnection: true,
+    reconnectionAttempts: Infinity,
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 10000,
+    randomizationFactor: 0.5
+};
+
+/**
+ * Which server to talk to: ?mpServer=... or window.MULTIPLAYER_SERVER, then
+ * localhost when running locally, otherwise the public server
+ */
+export function getServerUrl() {
+    const host = window.location.hostname;
+    const isLocalhost = ['localhost', '127.0.0.1'].includes(host);
+    const params = new URLSearchParams(window.location.search);
+
+    // Override sources: query (?mpServer=...), then global (for manual dev/testing)
+    const override = params.get('mpServer') || window.MULTIPLAYER_SERVER;
+
+    const prodUrl = 'https://fps.ditchworld.com';
+    const devUrl = 'http://localhost:3000';
+
+    // If we’re on the public domain, always use the public server.
+    // If we’re served from a file/other host, prefer the public server unless explicitly overridden.
+    // Only use localhost when explicitly requested or when running on localhost.
+    return override
+        ? override
+        : host.endsWith('ditchworld.com')
+            ? prodUrl
+            : isLocalhost
+                ? devUrl
+                : prodUrl;
+}
 
 export class NetworkManager {
     constructor() {
@@ -13,47 +56,73 @@ export class NetworkManager {
         this.playerId = null;
         this.remotePlayers = new Map();
         this.initialPosition = { x: 0, y: 1.6, z: 0 };
-        // Use current origin in production; fallback to localhost for local dev
-        const host = window.location.hostname;
-        const isLocalhost = ['localhost', '127.0.0.1'].includes(host);
-        const params = new URLSearchParams(window.location.search);
-
-        // Override sources: query (?mpServer=...), then global (for manual dev/testing)
-        const override = params.get('mpServer') || window.MULTIPLAYER_SERVER;
-
-        const prodUrl = 'https://fps.ditchworld.com';
-        const devUrl = 'http://localhost:3000';
-
-        // If we’re on the public domain, always use the public server.
-        // If we’re served from a file/other host, prefer the public server unless explicitly overridden.
-        // Only use localhost when explicitly requested or when running on localhost.
-        this.serverUrl = override
-            ? override
-            : host.endsWith('ditchworld.com')
-                ? prodUrl
-                : isLocalhost
-                    ? devUrl
-                    : prodUrl;
+        this.serverUrl = getServerUrl();
         console.log('🌐 Multiplayer server URL:', this.serverUrl);
         this.roomId = 'default';
+        this.roomPassword = null;
+        this.room = null; // Lobby summary of the room we joined
         this.playerName = 'Player' + Math.floor(Math.random() * 1000);
+        this.team = null;
+        this.spectating = false; // Join as a spectator (watch only - no player of our own)
+        this.matchState = null;
+        this.scoreboard = null; // Latest room scoreboard (kills, deaths, ping, ...)
+        this.chatHistory = []; // Recent room chat from the server (for a chat overlay created later)
+
+        // Resumable session - lets a dropped connection reclaim the same player
+        this.sessionToken = sessionStorage.getItem(SESSION_STORAGE_KEY);
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+
+        // Lifetime stats profile (id is public, token proves it's ours)
+        const profile = loadProfile();
+        this.profileId = profile.id;
+        this.profileToken = profile.token;
 
         // Update rate (20 updates per second)
         this.updateInterval = 50; // ms
         this.lastUpdate = 0;
+        this.lastVehicleUpdate = 0;
+
+        // Server timestamp of the latest remote state we've applied (used for lag compensation)
+        this.lastServerTimestamp = 0;
+        this.lastServerTick = 0;
+        this.serverClock = new ServerClock();
+
+        // Movement inputs applied locally but not yet sent (see prediction.js)
+        this.pendingInputs = [];
+        // Movement tunables the server simulates with (sent on join)
+        this.movementConfig = null;
 
         // Event handlers
         this.eventHandlers = {
             'connected': [],
             'disconnected': [],
+            'reconnecting': [],
+            'join-error': [],
             'player-joined': [],
             'player-left': [],
+            'player-connection': [],
             'player-moved': [],
+            'snapshot': [],
             'player-fired': [],
             'player-damaged': [],
             'player-killed': [],
             'player-respawned': [],
+            'hit-rejected': [],
+            'server-warning': [],
+            'kicked': [],
+            'movement-ack': [],
+            'match-state': [],
+            'match-ended': [],
+            'scoreboard': [],
+            'zone-event': [],
+            'vehicle-entered': [],
+            'vehicle-exited': [],
+            'vehicle-enter-rejected': [],
+            'vehicle-destroyed': [],
+            'vehicle-respawned': [],
             'chat-message': [],
+            'chat-history': [],
             'voice-connected': [],
             'cinema-url': []
         };
@@ -124,38 +193,66 @@ export class NetworkManager {
      */
     initializeSocket() {
         this.socket = io(this.serverUrl, {
-            transports: ['websocket', 'polling']
+            transports: ['websocket', 'polling'],
+            ...RECONNECT_OPTIONS
         });
 
-        // Connection established
+        // Connection established (first time or after a drop)
         this.socket.on('connect', () => {
-            console.log('🌐 Connected to server');
+            console.log(this.reconnecting ? '🌐 Reconnected to server' : '🌐 Connected to server');
             this.connected = true;
+            this.reconnecting = false;
+            this.reconnectAttempt = 0;
+            this.sendJoin();
+        });
 
-            // Join game
-            this.socket.emit('player-join', {
-                name: this.playerName,
-                roomId: this.roomId,
-                position: this.initialPosition
-            });
+        // Backoff retries while the connection is down
+        this.socket.io.on('reconnect_attempt', (attempt) => {
+            this.reconnecting = true;
+            this.reconnectAttempt = attempt;
+            console.log(`🔄 Reconnecting (attempt ${attempt})...`);
+            this.trigger('reconnecting', { attempt });
         });
 
         // Player assigned (receive your ID and existing players)
         this.socket.on('player-assigned', (data) => {
             this.playerId = data.id;
-            console.log(`✅ Assigned player ID: ${this.playerId}`);
+            this.setSessionToken(data.sessionToken);
+            this.setProfile(data.profile);
+            this.lastServerTick = 0; // Server may have restarted its tick counter
+            this.serverClock.reset();
+            this.pendingInputs = [];
+            this.movementConfig = data.movement || null;
+            this.team = data.team || null;
+            this.room = data.room || null;
+            this.spectating = !!data.spectator;
+            console.log(`✅ ${data.spectator ? 'Spectating as' : data.resumed ? 'Resumed' : 'Assigned'} player ID: ${this.playerId}${this.team ? ` (team ${this.team})` : ''}`);
             console.log(`📋 Existing players:`, data.players.length);
 
             // Add existing players
+            this.remotePlayers.clear();
             data.players.forEach(player => {
                 this.remotePlayers.set(player.id, player);
             });
 
             this.trigger('connected', {
                 playerId: this.playerId,
-                players: data.players
+                position: data.position,
+                team: this.team,
+                players: data.players,
+                vehicles: data.vehicles || [],
+                resumed: !!data.resumed,
+                spectator: !!data.spectator,
+                health: data.health,
+                armor: data.armor,
+                isAlive: data.isAlive !== false,
+                respawnAt: data.respawnAt || null
             });
 
+            if (data.match) {
+                this.handleMatchState(data.match);
+            }
+
             // Connect voice to existing players
             // If voice is already ready, connect immediately; otherwise queue for later
             if (this.voiceChat && this.voiceChat.localStream) {
@@ -197,16 +294,81 @@ export class NetworkManager {
             this.voiceChat.removePeer(data.id);
         });
 
-        // Player moved
-        this.socket.on('player-moved', (data) => {
+        // A player's connection dropped / came back (their spot is held meanwhile)
+        this.socket.on('player-connection', (data) => {
             const player = this.remotePlayers.get(data.id);
             if (player) {
-                player.position = data.position;
-                player.rotation = data.rotation;
-                player.weapon = data.weapon;
-                player.health = data.health;
+                player.connected = data.connected;
             }
-            this.trigger('player-moved', data);
+            this.trigger('player-connection', data);
+        });
+
+        // Room refused us (full / wrong password)
+        this.socket.on('join-error', (data) => {
+            this.setSessionToken(null); // Whatever session we had is gone
+            console.warn(`🚫 Couldn't join room ${data.roomId}: ${data.reason}`);
+            this.trigger('join-error', data);
+        });
+
+        // World snapshot (one per server tick, all players in the room)
+        this.socket.on('world-snapshot', (snapshot) => {
+            this.handleSnapshot(snapshot);
+        });
+
+        // Server processed our movement inputs (may include a correction)
+        this.socket.on('movement-ack', (ack) => {
+            this.trigger('movement-ack', ack);
+        });
+
+        // Game mode state (warmup/live/ended, scores, clock)
+        this.socket.on('match-state', (data) => {
+            this.handleMatchState(data);
+        });
+
+        // Match finished - winner and standings
+        this.socket.on('match-ended', (data) => {
+            this.serverClock.update(data.serverTime);
+            this.trigger('match-ended', data);
+        });
+
+        // Room scoreboard (on score changes and every couple of seconds for ping)
+        this.socket.on('scoreboard', (data) => {
+            this.scoreboard = data;
+            this.trigger('scoreboard', data);
+        });
+
+        // Server measuring our round trip - answer right away
+        this.socket.on('ping-check', (sentAt, ack) => {
+            if (typeof ack === 'function') ack();
+        });
+
+        // KOTH zone captured / neutralized
+        this.socket.on('zone-event', (data) => {
+            this.trigger('zone-event', data);
+        });
+
+        // Someone got on / off a vehicle (us included)
+        this.socket.on('vehicle-entered', (data) => {
+            this.trigger('vehicle-entered', data);
+        });
+
+        this.socket.on('vehicle-exited', (data) => {
+            this.trigger('vehicle-exited', data);
+        });
+
+        // Server gave the vehicle we asked for to someone else (or we can't get on)
+        this.socket.on('vehicle-enter-rejected', (data) => {
+            console.warn(`⛔ Couldn't get on ${data.vehicleId}: ${data.reason}`);
+            this.trigger('vehicle-enter-rejected', data);
+        });
+
+        // A vehicle was wrecked (it blew up) / is back at its spawn
+        this.socket.on('vehicle-destroyed', (data) => {
+            this.trigger('vehicle-destroyed', data);
+        });
+
+        this.socket.on('vehicle-respawned', (data) => {
+            this.trigger('vehicle-respawned', data);
         });
 
         // Player fired weapon
@@ -223,6 +385,12 @@ export class NetworkManager {
             this.trigger('player-damaged', data);
         });
 
+        // Server rejected one of our hits
+        this.socket.on('hit-rejected', (data) => {
+            console.warn(`⛔ Hit on ${data.targetId} rejected: ${data.reason}`);
+            this.trigger('hit-rejected', data);
+        });
+
         // Player killed
         this.socket.on('player-killed', (data) => {
             this.trigger('player-killed', data);
@@ -243,17 +411,46 @@ export class NetworkManager {
             this.trigger('chat-message', data);
         });
 
+        // Recent room chat (sent right after we join)
+        this.socket.on('chat-history', (data) => {
+            this.chatHistory = Array.isArray(data.messages) ? data.messages : [];
+            this.trigger('chat-history', this.chatHistory);
+        });
+
         // Disconnected
-        this.socket.on('disconnect', () => {
-            console.log('🔌 Disconnected from server');
+        this.socket.on('disconnect', (reason) => {
+            console.log(`🔌 Disconnected from server (${reason})`);
             this.connected = false;
             this.remotePlayers.clear();
-            this.trigger('disconnected');
+
+            // socket.io retries dropped transports by itself; a server-side
+            // disconnect (session taken over elsewhere) is final
+            this.reconnecting = reason !== 'io server disconnect' && reason !== 'io client disconnect';
+            this.trigger('disconnected', { reason, reconnecting: this.reconnecting });
+        });
+
+        // Anti-cheat: we're close to being kicked
+        this.socket.on('server-warning', (data) => {
+            console.warn(`⚠️ Server warning: ${data.message}`);
+            this.trigger('server-warning', data);
+        });
+
+        // Thrown out by the server - our session is gone, don't resume it
+        this.socket.on('kicked', (data) => {
+            console.warn(`👢 Kicked from server: ${data.reason}`);
+            this.setSessionToken(null);
+            this.trigger('kicked', data);
         });
 
         // Connection error
         this.socket.on('connect_error', (error) => {
             console.error('❌ Connection error:', error.message);
+
+            // Refused by the server (banned) - socket.io won't retry that
+            if (error.data && error.data.banned) {
+                this.setSessionToken(null);
+                this.trigger('kicked', { reason: error.message });
+            }
         });
 
         // --- Voice Chat Signaling ---
@@ -298,8 +495,107 @@ export class NetworkManager {
         });
     }
 
+    /**
+     * Apply a batched world snapshot from the server tick.
+     * Fires 'player-moved' per remote player so existing listeners keep working.
+     */
+    handleSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.players)) return;
+
+        // Ignore stale/out-of-order snapshots
+        if (snapshot.tick <= this.lastServerTick) return;
+        this.lastServerTick = snapshot.tick;
+        this.lastServerTimestamp = snapshot.timestamp;
+        this.serverClock.update(snapshot.timestamp);
+
+        this.trigger('snapshot', snapshot);
+
+        snapshot.players.forEach((state) => {
+            if (state.id === this.playerId) return;
+
+            const player = this.remotePlayers.get(state.id);
+            if (player) {
+                player.position = state.position;
+                player.rotation = state.rotation;
+                player.weapon = state.weapon;
+                player.health = state.health;
+            }
+
+            this.trigger('player-moved', {
+                ...state,
+                tick: snapshot.tick,
+                timestamp: snapshot.timestamp
+            });
+        });
+    }
+
+    /**
+     * Ask to join the current room (on connect, or again after a 'join-error')
+     */
+    sendJoin() {
+        if (!this.socket) return;
+
+        this.socket.emit('player-join', {
+            sessionToken: this.spectating ? null : this.sessionToken, // Server resumes our old player if it's still held
+            profileToken: this.profileToken, // Lifetime stats carry over
+            name: this.playerName,
+            roomId: this.roomId,
+            password: this.roomPassword,
+            position: this.initialPosition,
+            spectator: this.spectating
+        });
+    }
+
+    /**
+     * Remember (or forget, with null) the token for resuming our session
+     */
+    setSessionToken(token) {
+        this.sessionToken = token || null;
+        if (this.sessionToken) {
+            sessionStorage.setItem(SESSION_STORAGE_KEY, this.sessionToken);
+        } else {
+            sessionStorage.removeItem(SESSION_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Remember the stats profile the server put us on
+     * @param {Object} profile - { id, token }
+     */
+    setProfile(profile) {
+        if (!profile || !profile.id || !profile.token) return;
+        this.profileId = profile.id;
+        this.profileToken = profile.token;
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+    }
+
+    /**
+     * Store the latest match state and pass it on
+     */
+    handleMatchState(state) {
+        this.matchState = state;
+        this.serverClock.update(state.serverTime);
+        this.trigger('match-state', state);
+    }
+
+    /**
+     * Queue a numbered movement input - sent with the next player update
+     */
+    queueInput(command) {
+        this.pendingInputs.push(command);
+    }
+
+    /**
+     * Drop inputs that haven't been sent yet (respawn / teleport)
+     */
+    clearPendingInputs() {
+        this.pendingInputs = [];
+    }
+
     /**
      * Send player position update to server
+     * Position is our predicted position after the queued inputs - the server
+     * re-simulates the inputs and only accepts it if they add up.
      */
     sendPlayerUpdate(position, rotation, weapon, health) {
         if (!this.connected || !this.socket) return;
@@ -311,12 +607,67 @@ export class NetworkManager {
             position: position,
             rotation: rotation,
             weapon: weapon,
-            health: health
+            health: health,
+            inputs: this.pendingInputs
         });
 
+        this.pendingInputs = [];
         this.lastUpdate = now;
     }
 
+    /**
+     * Ask the server for a vehicle - answered with 'vehicle-entered' or 'vehicle-enter-rejected'
+     */
+    sendVehicleEnter(vehicleId) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('vehicle-enter', { vehicleId });
+    }
+
+    sendVehicleExit(vehicleId) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('vehicle-exit', { vehicleId });
+    }
+
+    /**
+     * Send the state of the vehicle we're riding (same rate as player updates)
+     * @param {string} vehicleId
+     * @param {Object} state - Vehicle.getNetworkState()
+     * @param {boolean} force - Send now, even if we sent one moments ago (getting off)
+     */
+    sendVehicleUpdate(vehicleId, state, force = false) {
+        if (!this.connected || !this.socket) return;
+
+        const now = Date.now();
+        if (!force && now - this.lastVehicleUpdate < this.updateInterval) return;
+
+        this.socket.emit('vehicle-update', { vehicleId, ...state });
+        this.lastVehicleUpdate = now;
+    }
+
+    /**
+     * We shot a vehicle - the server re-tests the ray and works out the damage
+     * @param {Object} shot - { origin, direction, timestamp } like sendPlayerHit
+     */
+    sendVehicleHit(vehicleId, shot) {
+        if (!this.connected || !this.socket) return;
+
+        this.socket.emit('vehicle-hit', {
+            vehicleId,
+            origin: shot.origin,
+            direction: shot.direction,
+            timestamp: shot.timestamp || this.serverClock.getRenderTime()
+        });
+    }
+
+    /**
+     * The vehicle we're driving came down hard
+     * @param {number} impactSpeed - m/s into the ground
+     */
+    sendVehicleLanded(vehicleId, impactSpeed) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('vehicle-landed', { vehicleId, impactSpeed });
+    }
+
     /**
      * Notify server that player fired weapon
      */
@@ -331,33 +682,34 @@ export class NetworkManager {
 
     /**
      * Notify server that player hit another player
+     * @param {string} targetId
+     * @param {number} damage
+     * @param {Object} shot - { origin, direction } of the ray, re-tested by the server
      */
-    sendPlayerHit(targetId, damage) {
+    sendPlayerHit(targetId, damage, shot = {}) {
         if (!this.connected || !this.socket) return;
 
         this.socket.emit('player-hit', {
             targetId: targetId,
-            damage: damage
+            damage: damage,
+            origin: shot.origin,
+            direction: shot.direction,
+            // Server time of the world state we were looking at when we fired
+            timestamp: shot.timestamp || this.serverClock.getRenderTime()
         });
     }
 
-    /**
-     * Notify server that player respawned
-     */
-    sendPlayerRespawn() {
-        if (!this.connected || !this.socket) return;
-
-        this.socket.emit('player-respawn');
-    }
-
     /**
      * Send chat message
+     * @param {string} message - Text or slash command (/w name ..., /me ...)
+     * @param {string} channel - 'all' or 'team'
      */
-    sendChatMessage(message) {
+    sendChatMessage(message, channel = 'all') {
         if (!this.connected || !this.socket) return;
 
         this.socket.emit('chat-message', {
-            message: message
+            message: message,
+            channel: channel
         });
     }
 
@@ -431,6 +783,13 @@ export class NetworkManager {
         return this.connected;
     }
 
+    /**
+     * Get estimated current server time (ms)
+     */
+    getServerTime() {
+        return this.serverClock.now();
+    }
+
     /**
      * Get player ID
      */
@@ -463,4 +822,32 @@ export class NetworkManager {
     setRoomId(roomId) {
         this.roomId = roomId;
     }
+
+    /**
+     * Join as a spectator instead of a player (sent on join)
+     */
+    setSpectating(spectating) {
+        this.spectating = !!spectating;
+    }
+
+    /**
+     * Set password for a locked room (sent on join)
+     */
+    setRoomPassword(password) {
+        this.roomPassword = password || null;
+    }
+}
+
+/**
+ * Saved stats profile
+ * @returns {Object} { id, token } (nulls before the first multiplayer game)
+ */
+function loadProfile() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+        if (saved && typeof saved.id === 'string' && typeof saved.token === 'string') return saved;
+    } catch {
+        // Corrupt entry - the server hands out a new profile
+    }
+    return { id: null, token: null };
 }
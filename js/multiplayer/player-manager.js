@@ -4,9 +4,18 @@
  */
 
 import * as THREE from 'three';
+import { SnapshotBuffer, INTERPOLATION_DELAY_MS } from './interpolation.js';
+import { TEAMS } from '../shared/game-modes.js';
 
 const DEFAULT_SPAWN_Y = 1.6;
 
+// Leg swing (rad, forward) while sitting on a vehicle
+const SEATED_LEG_ANGLE = 0.5;
+
+// Tracers on shots fired from vehicles
+const TRACER_LENGTH = 150;
+const TRACER_LIFE_MS = 150;
+
 export class PlayerManager {
     constructor(scene) {
         this.scene = scene;
@@ -30,6 +39,7 @@ export class PlayerManager {
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
         body.position.set(0, -0.5, 0);
         body.castShadow = true;
+        body.userData.hitZone = 'torso';
         group.add(body);
 
         // Head
@@ -42,6 +52,7 @@ export class PlayerManager {
         const head = new THREE.Mesh(headGeometry, headMaterial);
         head.position.set(0, 0, 0);
         head.castShadow = true;
+        head.userData.hitZone = 'head';
         group.add(head);
 
         // LeftArm
@@ -55,6 +66,7 @@ export class PlayerManager {
         leftarm.position.set(0.4, -0.8, 0);
         leftarm.rotation.z = 0.16;
         leftarm.castShadow = true;
+        leftarm.userData.hitZone = 'torso'; // The server's torso hitbox covers the arms
         group.add(leftarm);
 
         // RightArm
@@ -68,6 +80,7 @@ export class PlayerManager {
         rightarm.position.set(-0.4, -0.8, 0);
         rightarm.rotation.z = -0.16;
         rightarm.castShadow = true;
+        rightarm.userData.hitZone = 'torso';
         group.add(rightarm);
 
         // LeftLeg Pivot (for animation)
@@ -84,6 +97,7 @@ export class PlayerManager {
         const leftleg = new THREE.Mesh(leftlegGeometry, leftlegMaterial);
         leftleg.position.set(0, -0.45, 0); // Offset: center is 0.45 down from hip
         leftleg.castShadow = true;
+        leftleg.userData.hitZone = 'limbs';
         leftLegPivot.add(leftleg);
 
         // RightLeg Pivot (for animation)
@@ -100,6 +114,7 @@ export class PlayerManager {
         const rightleg = new THREE.Mesh(rightlegGeometry, rightlegMaterial);
         rightleg.position.set(0, -0.45, 0); // Offset: center is 0.45 down from hip
         rightleg.castShadow = true;
+        rightleg.userData.hitZone = 'limbs';
         rightLegPivot.add(rightleg);
 
         // Simple weapon indicator (box)
@@ -119,7 +134,8 @@ export class PlayerManager {
         weaponSocket.add(weapon);
 
         // Nametag (sprite with text)
-        const nameTag = this.createNameTag(playerData.name);
+        const team = TEAMS[playerData.team];
+        const nameTag = this.createNameTag(playerData.name, team ? team.color : 'white');
         nameTag.position.y = 1.5;
         group.add(nameTag);
 
@@ -144,6 +160,8 @@ export class PlayerManager {
             velocity: new THREE.Vector3(),
             walkTimer: 0,
             lastPosition: new THREE.Vector3(),
+            snapshots: new SnapshotBuffer(),
+            renderTime: 0, // Server time this mesh currently shows (sent with hits for lag compensation)
             isMoving: false
         };
 
@@ -152,8 +170,10 @@ export class PlayerManager {
 
     /**
      * Create a nametag sprite
+     * @param {string} name
+     * @param {string} color - Text color (team color in team modes)
      */
-    createNameTag(name) {
+    createNameTag(name, color = 'white') {
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
         canvas.width = 256;
@@ -165,7 +185,7 @@ export class PlayerManager {
 
         // Draw text
         context.font = 'Bold 32px Arial';
-        context.fillStyle = 'white';
+        context.fillStyle = color;
         context.textAlign = 'center';
         context.textBaseline = 'middle';
         context.fillText(name, canvas.width / 2, canvas.height / 2);
@@ -268,13 +288,18 @@ export class PlayerManager {
     /**
      * Update player position with interpolation
      */
-    updatePlayerPosition(playerId, position, rotation) {
+    updatePlayerPosition(playerId, position, rotation, timestamp) {
         const playerMesh = this.players.get(playerId);
         if (!playerMesh) return;
 
         // Store target position and rotation
         playerMesh.userData.targetPosition.set(position.x, position.y, position.z);
         playerMesh.userData.targetRotation.set(rotation.x, rotation.y, rotation.z);
+
+        // Buffer timestamped states for interpolation
+        if (typeof timestamp === 'number') {
+            playerMesh.userData.snapshots.push(timestamp, position, rotation);
+        }
     }
 
     /**
@@ -352,19 +377,36 @@ export class PlayerManager {
 
     /**
      * Update all players (call this in animation loop)
+     * @param {THREE.Camera} camera
+     * @param {number} deltaTime
+     * @param {number} [serverTime] - Estimated current server time (NetworkManager.getServerTime)
      */
-    update(camera, deltaTime) {
+    update(camera, deltaTime, serverTime = Date.now()) {
+        // Render remote players slightly in the past so we can interpolate between real states
+        const renderTime = serverTime - INTERPOLATION_DELAY_MS;
+
         this.players.forEach((playerMesh, playerId) => {
             // Disable updates if dead (keep corpse still)
             if (playerMesh.userData.isDead) return;
 
-            // Smooth interpolation to target position
-            playerMesh.position.lerp(playerMesh.userData.targetPosition, 0.2);
+            // Riding - VehicleSync seats them on the vehicle
+            if (playerMesh.userData.seated) {
+                this.updateLabels(playerMesh, camera);
+                return;
+            }
 
-            // Smooth rotation
-            playerMesh.rotation.x += (playerMesh.userData.targetRotation.x - playerMesh.rotation.x) * 0.2;
-            playerMesh.rotation.y += (playerMesh.userData.targetRotation.y - playerMesh.rotation.y) * 0.2;
-            playerMesh.rotation.z += (playerMesh.userData.targetRotation.z - playerMesh.rotation.z) * 0.2;
+            const state = playerMesh.userData.snapshots.sample(renderTime);
+            if (state) {
+                playerMesh.position.set(state.position.x, state.position.y, state.position.z);
+                playerMesh.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z);
+                playerMesh.userData.renderTime = renderTime;
+            } else {
+                // No timestamped states yet - ease towards the last known target
+                playerMesh.position.lerp(playerMesh.userData.targetPosition, 0.2);
+                playerMesh.rotation.x += (playerMesh.userData.targetRotation.x - playerMesh.rotation.x) * 0.2;
+                playerMesh.rotation.y += (playerMesh.userData.targetRotation.y - playerMesh.rotation.y) * 0.2;
+                playerMesh.rotation.z += (playerMesh.userData.targetRotation.z - playerMesh.rotation.z) * 0.2;
+            }
 
             // Calculate movement speed for animation
             const positionDelta = playerMesh.position.distanceTo(playerMesh.userData.lastPosition || playerMesh.position);
@@ -415,25 +457,46 @@ export class PlayerManager {
                 );
             }
 
-            // Make nametag always face camera
-            if (playerMesh.userData.nameTag) {
-                playerMesh.userData.nameTag.lookAt(camera.position);
-            }
+            this.updateLabels(playerMesh, camera);
+        });
+    }
 
-            // Make health bar face camera
-            if (playerMesh.userData.healthBar) {
-                playerMesh.userData.healthBar.lookAt(camera.position);
-            }
+    /**
+     * Nametag and health bar face the camera (hidden when too far away)
+     */
+    updateLabels(playerMesh, camera) {
+        // Make nametag always face camera
+        if (playerMesh.userData.nameTag) {
+            playerMesh.userData.nameTag.lookAt(camera.position);
+        }
 
-            // Hide nametag if too far away
-            const distance = camera.position.distanceTo(playerMesh.position);
-            if (playerMesh.userData.nameTag) {
-                playerMesh.userData.nameTag.visible = distance < this.nameTagDistance;
-            }
-            if (playerMesh.userData.healthBar) {
-                playerMesh.userData.healthBar.visible = distance < this.nameTagDistance;
-            }
-        });
+        // Make health bar face camera
+        if (playerMesh.userData.healthBar) {
+            playerMesh.userData.healthBar.lookAt(camera.position);
+        }
+
+        // Hide nametag if too far away
+        const distance = camera.position.distanceTo(playerMesh.position);
+        if (playerMesh.userData.nameTag) {
+            playerMesh.userData.nameTag.visible = distance < this.nameTagDistance;
+        }
+        if (playerMesh.userData.healthBar) {
+            playerMesh.userData.healthBar.visible = distance < this.nameTagDistance;
+        }
+    }
+
+    /**
+     * Riding a vehicle - the snapshots stop moving the mesh and the legs bend
+     * onto the seat (VehicleSync poses it with the vehicle)
+     */
+    setPlayerSeated(playerId, seated) {
+        const playerMesh = this.players.get(playerId);
+        if (!playerMesh || !!playerMesh.userData.seated === seated) return;
+
+        playerMesh.userData.seated = seated;
+        const legAngle = seated ? SEATED_LEG_ANGLE : 0;
+        playerMesh.userData.leftLegPivot.rotation.x = legAngle;
+        playerMesh.userData.rightLegPivot.rotation.x = legAngle;
     }
 
     /**
@@ -459,6 +522,7 @@ export class PlayerManager {
                 // Reset
                 playerMesh.rotation.x = 0;
                 playerMesh.position.y = 0; // Will be corrected by position update
+                playerMesh.userData.snapshots.clear(); // Don't interpolate from the corpse to the spawn
                 // Restore color
                 if (playerMesh.userData.body) {
                     playerMesh.userData.body.material.color.set(this.getPlayerColor(playerId));
@@ -501,6 +565,29 @@ export class PlayerManager {
         }, 30);
     }
 
+    /**
+     * Tracer along a player's shot, starting from where we see them (riders
+     * are seated on our copy of the vehicle, not where they fired from)
+     * @param {Object} direction - Shot direction { x, y, z }
+     */
+    showTracer(playerId, direction) {
+        const playerMesh = this.players.get(playerId);
+        if (!playerMesh) return;
+
+        const dir = new THREE.Vector3(direction.x, direction.y, direction.z).normalize();
+        const start = playerMesh.position.clone().addScaledVector(dir, 0.5); // Clear of their head
+        const geometry = new THREE.BufferGeometry().setFromPoints([start, start.clone().addScaledVector(dir, TRACER_LENGTH)]);
+        const material = new THREE.LineBasicMaterial({ color: 0xffdd88, transparent: true, opacity: 0.6 });
+        const tracer = new THREE.Line(geometry, material);
+        this.scene.add(tracer);
+
+        setTimeout(() => {
+            this.scene.remove(tracer);
+            geometry.dispose();
+            material.dispose();
+        }, TRACER_LIFE_MS);
+    }
+
     /**
      * Get all player meshes
      */
@@ -508,6 +595,21 @@ export class PlayerManager {
         return Array.from(this.players.values());
     }
 
+    /**
+     * Fade out players whose connection dropped (server holds their spot for a while)
+     */
+    setPlayerConnected(playerId, connected) {
+        const playerMesh = this.players.get(playerId);
+        if (!playerMesh) return;
+
+        playerMesh.userData.connected = connected;
+        playerMesh.traverse((child) => {
+            if (!child.material) return;
+            child.material.transparent = !connected || child.isSprite;
+            child.material.opacity = connected ? 1 : 0.35;
+        });
+    }
+
     /**
      * Get specific player mesh
      */
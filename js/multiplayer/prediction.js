@@ -0,0 +1,77 @@
+/**
+ * Movement Prediction - Client side of server-authoritative movement
+ * The local player moves immediately using the shared step in
+ * js/shared/movement.js. Every input is numbered and kept until the server
+ * acknowledges it; when the server corrects us we rewind to its state and
+ * replay the inputs it hasn't seen yet.
+ */
+
+import { stepMovement, cloneMovementState } from '../shared/movement.js';
+
+// Unacknowledged inputs kept for replay (~2s at 60fps)
+const MAX_PENDING_INPUTS = 120;
+
+export class MovementPredictor {
+    constructor() {
+        this.nextSeq = 1;
+        this.pending = [];
+        // Acks for inputs at or before this seq belong to a previous life (respawn)
+        this.resetSeq = 0;
+        this.corrections = 0;
+    }
+
+    /**
+     * Number an input that has just been applied locally
+     * @returns {Object} The input with its `seq` and `delta`
+     */
+    record(input, delta) {
+        const command = { ...input, delta, seq: this.nextSeq++ };
+        this.pending.push(command);
+
+        if (this.pending.length > MAX_PENDING_INPUTS) {
+            this.pending.shift();
+        }
+        return command;
+    }
+
+    /**
+     * Apply a 'movement-ack' from the server
+     * @param {Object} ack - { seq, corrected, state }
+     * @param {Object} state - Local movement state (mutated on correction)
+     * @param {Object} config - Movement config the server simulates with
+     * @param {Object} world - Same world queries used for local prediction
+     * @returns {boolean} True if the local state was corrected
+     */
+    reconcile(ack, state, config, world) {
+        if (!ack || !Number.isInteger(ack.seq) || ack.seq <= this.resetSeq) return false;
+
+        // Everything up to ack.seq has been processed by the server
+        while (this.pending.length > 0 && this.pending[0].seq <= ack.seq) {
+            this.pending.shift();
+        }
+
+        if (!ack.corrected || !ack.state) return false;
+
+        // Rewind to the authoritative state and replay what the server hasn't seen
+        const before = { ...state.position };
+        Object.assign(state, cloneMovementState(ack.state));
+        for (const command of this.pending) {
+            stepMovement(state, command, command.delta, config, world);
+        }
+
+        this.corrections++;
+        const dx = state.position.x - before.x;
+        const dy = state.position.y - before.y;
+        const dz = state.position.z - before.z;
+        console.log(`↩️ Movement corrected by ${Math.sqrt(dx * dx + dy * dy + dz * dz).toFixed(2)}m (replayed ${this.pending.length} inputs)`);
+        return true;
+    }
+
+    /**
+     * Forget pending inputs (respawn / teleport) - late acks for them are ignored
+     */
+    reset() {
+        this.resetSeq = this.nextSeq - 1;
+        this.pending = [];
+    }
+}
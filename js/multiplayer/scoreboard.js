@@ -0,0 +1,135 @@
+/**
+ * Scoreboard - Hold-to-show list of everyone in the room
+ * Shown while Tab (or the DualSense touchpad) is held. Rows come from the
+ * server's 'scoreboard' event (kills, deaths, assists, score, ping); in team
+ * modes players are grouped under their team, leading team first.
+ *
+ * Usage:
+ *   const scoreboard = new Scoreboard(networkManager);
+ *   scoreboard.setHeld('touchpad', gamepad.buttons[17].pressed); // Keyboard is handled here
+ */
+
+import { TEAMS, TEAM_IDS } from '../shared/game-modes.js';
+import { escapeHtml } from './html.js';
+
+// Ping colors (ms)
+const PING_GOOD = 80;
+const PING_OK = 150;
+
+export class Scoreboard {
+    constructor(networkManager) {
+        this.networkManager = networkManager;
+
+        // UI Elements
+        this.container = document.getElementById('scoreboard');
+        this.title = document.getElementById('scoreboard-title');
+        this.table = document.getElementById('scoreboard-table');
+
+        // State
+        this.heldBy = new Set(); // Input sources holding it open ('keyboard', 'touchpad')
+
+        this.setupUIListeners();
+        this.setupNetworkListeners();
+    }
+
+    setupUIListeners() {
+        window.addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab' || isTyping(e.target)) return;
+            e.preventDefault(); // Don't move focus around the page
+            this.setHeld('keyboard', true);
+        });
+        window.addEventListener('keyup', (e) => {
+            if (e.key === 'Tab') this.setHeld('keyboard', false);
+        });
+
+        // Alt-tabbing away never delivers the keyup
+        window.addEventListener('blur', () => {
+            this.heldBy.clear();
+            this.updateVisibility();
+        });
+    }
+
+    setupNetworkListeners() {
+        this.networkManager.on('scoreboard', () => {
+            if (this.isVisible) this.render();
+        });
+    }
+
+    get isVisible() {
+        return this.heldBy.size > 0;
+    }
+
+    /**
+     * @param {string} source - Input holding it ('keyboard', 'touchpad')
+     * @param {boolean} held
+     */
+    setHeld(source, held) {
+        if (held === this.heldBy.has(source)) return;
+        if (held) this.heldBy.add(source);
+        else this.heldBy.delete(source);
+        this.updateVisibility();
+    }
+
+    updateVisibility() {
+        if (this.isVisible) this.render();
+        this.container.style.display = this.isVisible ? 'flex' : 'none';
+    }
+
+    render() {
+        const data = this.networkManager.scoreboard;
+        const match = this.networkManager.matchState;
+        const room = this.networkManager.room;
+        this.title.innerText = [room && room.name, match && match.modeName].filter(Boolean).join(' · ') || 'SCOREBOARD';
+
+        if (!data) {
+            this.table.innerHTML = '<tr><td class="scoreboard-empty">Waiting for the server…</td></tr>';
+            return;
+        }
+
+        const header = '<tr><th>PLAYER</th><th>SCORE</th><th>K</th><th>D</th><th>A</th><th>PING</th></tr>';
+
+        if (!data.teams) {
+            this.table.innerHTML = header + data.players.map(p => this.renderRow(p)).join('');
+            return;
+        }
+
+        // Leading team on top
+        const teamScores = (match && match.teamScores) || {};
+        const teams = [...TEAM_IDS].sort((a, b) => (teamScores[b] || 0) - (teamScores[a] || 0));
+
+        this.table.innerHTML = header + teams.map(team => `
+            <tr class="scoreboard-team" style="color: ${TEAMS[team].color}">
+                <td colspan="5">${TEAMS[team].name}</td>
+                <td>${teamScores[team] || 0}</td>
+            </tr>
+            ${data.players.filter(p => p.team === team).map(p => this.renderRow(p)).join('')}
+        `).join('');
+    }
+
+    renderRow(player) {
+        const isMe = player.id === this.networkManager.getPlayerId();
+        const classes = [isMe ? 'is-me' : '', player.connected === false ? 'is-away' : ''].join(' ');
+        const color = player.team && TEAMS[player.team] ? `color: ${TEAMS[player.team].color}` : '';
+
+        return `
+            <tr class="${classes}" style="${color}">
+                <td>${escapeHtml(player.name)}${player.connected === false ? ' (away)' : ''}</td>
+                <td>${player.score}</td>
+                <td>${player.kills}</td>
+                <td>${player.deaths}</td>
+                <td>${player.assists}</td>
+                <td class="${getPingClass(player.ping)}">${player.ping === null ? '-' : player.ping}</td>
+            </tr>
+        `;
+    }
+}
+
+function getPingClass(ping) {
+    if (ping === null) return '';
+    if (ping <= PING_GOOD) return 'ping-good';
+    return ping <= PING_OK ? 'ping-ok' : 'ping-bad';
+}
+
+function isTyping(target) {
+    return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+}
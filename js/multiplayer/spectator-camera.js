@@ -0,0 +1,197 @@
+/**
+ * Spectator Camera - Free-fly or first-person view of another player
+ * Drives the main camera when we joined a room as a spectator (we have no
+ * player of our own). The free camera flies with the movement inputs;
+ * following a player puts the camera at their eye with their view angles,
+ * interpolated like every remote player, and hides their mesh. script.js
+ * shows the followed player's weapon model from getTargetWeapon().
+ *
+ * Controls: shoot = next player, aim = previous player, interact = free camera
+ * on/off. Free camera: move + look, jump/crouch = up/down, sprint = faster.
+ *
+ * Usage:
+ *   const spectatorCamera = new SpectatorCamera(camera, playerManager, networkManager);
+ *   spectatorCamera.start();
+ *   spectatorCamera.update(delta, input); // every frame, instead of moving our player
+ *   const weapon = spectatorCamera.getTargetWeapon(); // null in the free camera
+ */
+
+import * as THREE from 'three';
+
+const FLY_SPEED = 12; // m/s
+const FLY_SPRINT_MULTIPLIER = 3;
+const LOOK_SPEED = 2.0; // rad/s at full look input (same as on foot)
+const MAX_PITCH = Math.PI / 2 - 0.05;
+
+export class SpectatorCamera {
+    constructor(camera, playerManager, networkManager) {
+        this.camera = camera;
+        this.playerManager = playerManager;
+        this.networkManager = networkManager;
+
+        // UI Elements
+        this.hud = document.getElementById('spectator-hud');
+        this.targetLabel = document.getElementById('spectator-target');
+
+        // State
+        this.active = false;
+        this.targetId = null; // Followed player (null = free camera)
+        this.yaw = 0;
+        this.pitch = 0;
+        this.held = { next: false, previous: false, toggle: false }; // Buttons down last frame
+
+        this.setupNetworkListeners();
+    }
+
+    setupNetworkListeners() {
+        // Followed player gone - move on to the next one
+        this.networkManager.on('player-left', (data) => {
+            if (this.active && data.id === this.targetId) this.cycle(1, data.id);
+        });
+
+        this.networkManager.on('disconnected', () => {
+            this.setTarget(null);
+        });
+    }
+
+    get isActive() {
+        return this.active;
+    }
+
+    /**
+     * Take over the camera - follows the first player, if there is one
+     */
+    start() {
+        this.active = true;
+        this.setTarget(null);
+        this.cycle(1);
+        console.log('👁️ Spectating');
+    }
+
+    stop() {
+        this.setTarget(null);
+        this.active = false;
+        this.updateHud();
+    }
+
+    /**
+     * @param {number} delta - Seconds
+     * @param {Object} input - Frame input from handleInput
+     */
+    update(delta, input) {
+        if (!this.active) return;
+
+        if (this.wasPressed('next', input.shootValue > 0.1)) this.cycle(1);
+        if (this.wasPressed('previous', input.adsValue > 0.1)) this.cycle(-1);
+        if (this.wasPressed('toggle', input.squarePressed)) {
+            if (this.targetId) this.setTarget(null);
+            else this.cycle(1);
+        }
+
+        if (this.targetId) {
+            this.updateFollow();
+        } else {
+            this.updateFreeFly(delta, input);
+        }
+    }
+
+    wasPressed(button, down) {
+        const pressed = down && !this.held[button];
+        this.held[button] = down;
+        return pressed;
+    }
+
+    updateFollow() {
+        const mesh = this.playerManager.getPlayer(this.targetId);
+        if (!mesh) {
+            this.setTarget(null);
+            return;
+        }
+
+        // Our eye is inside their body - only their corpse is worth seeing
+        mesh.visible = !!mesh.userData.isDead;
+
+        // Hold the last view while they're down
+        if (mesh.userData.isDead) return;
+
+        // Mesh position/rotation are their eye and camera angles, already interpolated
+        this.camera.position.copy(mesh.position);
+        this.camera.rotation.set(mesh.rotation.x, mesh.rotation.y, mesh.rotation.z);
+    }
+
+    updateFreeFly(delta, input) {
+        this.yaw -= input.lookX * LOOK_SPEED * delta;
+        this.pitch = THREE.MathUtils.clamp(this.pitch - input.lookY * LOOK_SPEED * delta, -MAX_PITCH, MAX_PITCH);
+        this.camera.quaternion.setFromEuler(new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ'));
+
+        // Fly where we look; up/down stays vertical
+        const move = new THREE.Vector3(input.moveX, 0, input.moveZ);
+        if (move.lengthSq() > 1) move.normalize();
+        move.applyQuaternion(this.camera.quaternion);
+        if (input.jumpPressed) move.y += 1;
+        if (input.crouchPressed) move.y -= 1;
+
+        const speed = FLY_SPEED * (input.sprintPressed ? FLY_SPRINT_MULTIPLIER : 1);
+        this.camera.position.addScaledVector(move, speed * delta);
+    }
+
+    /**
+     * Follow the next/previous player (free camera when there's nobody)
+     * @param {number} direction - 1 or -1
+     * @param {string} skipId - Player that's on their way out
+     */
+    cycle(direction, skipId = null) {
+        const ids = Array.from(this.playerManager.players.keys()).filter(id => id !== skipId);
+        if (ids.length === 0) {
+            this.setTarget(null);
+            return;
+        }
+
+        const index = ids.indexOf(this.targetId);
+        const next = index === -1
+            ? (direction > 0 ? 0 : ids.length - 1)
+            : (index + direction + ids.length) % ids.length;
+        this.setTarget(ids[next]);
+    }
+
+    setTarget(playerId) {
+        const previous = this.targetId ? this.playerManager.getPlayer(this.targetId) : null;
+        if (previous) previous.visible = true;
+
+        this.targetId = playerId;
+
+        // Free camera carries on from the view we had
+        if (!playerId) {
+            const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+            this.yaw = euler.y;
+            this.pitch = THREE.MathUtils.clamp(euler.x, -MAX_PITCH, MAX_PITCH);
+        }
+        this.updateHud();
+    }
+
+    /**
+     * Weapon the followed player has out (null in the free camera / while they're dead)
+     * @returns {string|null} Weapon key
+     */
+    getTargetWeapon() {
+        if (!this.targetId) return null;
+
+        const mesh = this.playerManager.getPlayer(this.targetId);
+        if (!mesh || mesh.userData.isDead) return null;
+
+        const player = this.networkManager.getRemotePlayer(this.targetId);
+        return player && player.weapon ? player.weapon : null;
+    }
+
+    updateHud() {
+        if (!this.hud) return;
+
+        this.hud.style.display = this.active ? 'block' : 'none';
+        if (!this.active) return;
+
+        const player = this.targetId ? this.networkManager.getRemotePlayer(this.targetId) : null;
+        this.targetLabel.textContent = this.targetId
+            ? `SPECTATING ${player ? player.name : 'Unknown'}`
+            : 'FREE CAMERA';
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Stats Screen - Lifetime stats of a profile
+ * Reads GET /api/players/:id/stats. The profile id comes from the server on
+ * join (NetworkManager keeps it), so there is nothing to show before the
+ * first multiplayer game.
+ *
+ * Usage:
+ *   const statsScreen = new StatsScreen(getServerUrl());
+ *   statsScreen.show(networkManager.profileId);
+ */
+
+import { WEAPON_DEFS } from '../shared/weapon-defs.js';
+
+export class StatsScreen {
+    constructor(serverUrl) {
+        this.serverUrl = serverUrl;
+
+        // UI Elements
+        this.screen = document.getElementById('stats-screen');
+        this.title = document.getElementById('stats-title');
+        this.summary = document.getElementById('stats-summary');
+        this.weaponTable = document.getElementById('stats-weapons');
+        this.message = document.getElementById('stats-message');
+
+        this.setupUIListeners();
+    }
+
+    setupUIListeners() {
+        // Keep clicks/keys away from the game and the lobby underneath
+        ['click', 'mousedown', 'keydown', 'keyup'].forEach(type => {
+            this.screen.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        document.getElementById('stats-close').addEventListener('click', () => this.hide());
+        this.screen.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hide();
+        });
+    }
+
+    /**
+     * Open the screen and load a profile's stats
+     * @param {string|null} profileId
+     */
+    async show(profileId) {
+        this.screen.style.display = 'flex';
+        this.title.innerText = 'STATS';
+        this.summary.innerHTML = '';
+        this.weaponTable.innerHTML = '';
+
+        if (!profileId) {
+            this.setMessage('Play a multiplayer match to start tracking your stats');
+            return;
+        }
+
+        this.setMessage('Loading…');
+        try {
+            const response = await fetch(`${this.serverUrl}/api/players/${encodeURIComponent(profileId)}/stats`);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(data.error || `Server error (${response.status})`);
+
+            this.setMessage('');
+            this.render(data);
+        } catch (error) {
+            console.warn('⚠️ Stats: could not load:', error.message);
+            this.setMessage(`Couldn't load stats: ${error.message}`);
+        }
+    }
+
+    hide() {
+        this.screen.style.display = 'none';
+    }
+
+    setMessage(text) {
+        this.message.innerText = text;
+    }
+
+    render({ name, stats }) {
+        this.title.innerText = `STATS · ${name}`;
+
+        const tiles = [
+            ['Kills', stats.kills],
+            ['Deaths', stats.deaths],
+            ['Assists', stats.assists],
+            ['K/D', stats.kdRatio.toFixed(2)],
+            ['Headshots', stats.headshots],
+            ['Accuracy', `${stats.accuracy}%`],
+            ['Longest Kill', `${stats.longestKill}m`],
+            ['Time Played', formatDuration(stats.timePlayed)]
+        ];
+        this.summary.innerHTML = tiles.map(([label, value]) => `
+            <div class="stats-tile">
+                <span class="stats-value">${value}</span>
+                <span class="stats-label">${label}</span>
+            </div>
+        `).join('');
+
+        const weapons = Object.entries(stats.weapons).sort((a, b) => b[1].kills - a[1].kills);
+        if (weapons.length === 0) return;
+
+        this.weaponTable.innerHTML = `
+            <tr><th>Weapon</th><th>Kills</th><th>Headshots</th><th>Shots</th><th>Hits</th><th>Accuracy</th></tr>
+            ${weapons.map(([key, weapon]) => `
+                <tr>
+                    <td>${WEAPON_DEFS[key] ? WEAPON_DEFS[key].name : key}</td>
+                    <td>${weapon.kills}</td>
+                    <td>${weapon.headshots}</td>
+                    <td>${weapon.shotsFired}</td>
+                    <td>${weapon.shotsHit}</td>
+                    <td>${weapon.shotsFired ? Math.round((weapon.shotsHit / weapon.shotsFired) * 100) : 0}%</td>
+                </tr>
+            `).join('')}
+        `;
+    }
+}
+
+/**
+ * 3725 -> "1h 2m"
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
@@ -0,0 +1,285 @@
+/**
+ * Vehicle Sync - Vehicles shared by everyone in the room
+ * The server keeps the room's vehicles and who sits in each seat
+ * (server/vehicles.js). The driver's client simulates its vehicle and streams
+ * the state; everyone else - its passenger too - renders it from the
+ * snapshots, interpolated like remote players, with the riders' meshes
+ * sitting on it, turned to where they aim. Getting on is a request: we only
+ * board once the server gives us a seat, so two players can never sit in the
+ * same one. Health is the server's too - it comes with the snapshots, and
+ * wrecks vanish in an explosion until the server respawns them.
+ *
+ * Usage:
+ *   const vehicleSync = new VehicleSync(vehicleManager, playerManager, networkManager, {
+ *       onBoard: (vehicle, seat) => true, // Server gave us a seat - false if we can't get on any more
+ *       onForcedExit: (vehicle) => {},   // Server took us off it (death, respawn, reset, wreck)
+ *       onRejected: (reason) => {},
+ *       onDestroyed: (vehicle, data) => {} // Blew up ('vehicle-destroyed') - show the explosion
+ *   });
+ *   vehicleSync.applyRoster(data.vehicles); // on 'connected', after the players are added
+ *   vehicleSync.requestEnter(vehicle);
+ *   vehicleSync.update(delta, serverTime);  // every frame, before playerManager.update
+ *   vehicleSync.sendState();                // every frame while riding
+ */
+
+import * as THREE from 'three';
+import { SnapshotBuffer, INTERPOLATION_DELAY_MS } from './interpolation.js';
+import { SEAT_FIELDS } from '../shared/vehicle-types.js';
+
+const SEATS = Object.keys(SEAT_FIELDS);
+
+export class VehicleSync {
+    constructor(vehicleManager, playerManager, networkManager, callbacks = {}) {
+        this.vehicleManager = vehicleManager;
+        this.playerManager = playerManager;
+        this.networkManager = networkManager;
+        this.callbacks = callbacks;
+
+        // Vehicle id -> { snapshots, speed, lean, wheelSpin } from the server
+        this.remote = new Map();
+        this.pendingEnterId = null; // Asked for, not answered yet
+
+        this.setupNetworkListeners();
+    }
+
+    setupNetworkListeners() {
+        this.networkManager.on('snapshot', (snapshot) => {
+            if (Array.isArray(snapshot.vehicles)) this.applySnapshot(snapshot);
+        });
+
+        this.networkManager.on('vehicle-entered', (data) => {
+            const vehicle = this.vehicleManager.getVehicle(data.vehicleId);
+            if (vehicle) this.setOccupant(vehicle, data.seat, data.playerId);
+        });
+
+        this.networkManager.on('vehicle-exited', (data) => {
+            const vehicle = this.vehicleManager.getVehicle(data.vehicleId);
+            if (!vehicle) return;
+
+            this.setOccupant(vehicle, data.seat, null);
+            if (!this.isDrivenLocally(vehicle)) {
+                this.setPose(vehicle, data); // Parked where they left it
+            }
+        });
+
+        this.networkManager.on('vehicle-destroyed', (data) => {
+            const vehicle = this.vehicleManager.getVehicle(data.vehicleId);
+            if (!vehicle) return;
+
+            this.setPose(vehicle, { position: data.position, rotation: vehicle.mesh.rotation });
+            vehicle.health = 0;
+            vehicle.setDestroyed(true);
+            if (this.callbacks.onDestroyed) this.callbacks.onDestroyed(vehicle, data);
+        });
+
+        this.networkManager.on('vehicle-respawned', (data) => {
+            const vehicle = this.vehicleManager.getVehicle(data.vehicleId);
+            if (!vehicle) return;
+
+            this.getRemote(vehicle.id).snapshots.clear(); // Don't slide in from the wreck
+            this.setPose(vehicle, data);
+            vehicle.setDestroyed(false);
+        });
+
+        this.networkManager.on('vehicle-enter-rejected', (data) => {
+            if (data.vehicleId === this.pendingEnterId) this.pendingEnterId = null;
+            if (this.callbacks.onRejected) this.callbacks.onRejected(data.reason);
+        });
+
+        this.networkManager.on('disconnected', () => {
+            this.pendingEnterId = null;
+        });
+    }
+
+    /**
+     * Match our vehicles to the room's (on join / rejoin) - the server's
+     * replace whatever we spawned while offline
+     * @param {Object[]} states - Server vehicles { id, type, position, rotation, riderId, passengerId, ... }
+     */
+    applyRoster(states) {
+        const ids = new Set(states.map(state => state.id));
+        this.vehicleManager.vehicles
+            .filter(vehicle => !ids.has(vehicle.id))
+            .forEach(vehicle => this.vehicleManager.removeVehicle(vehicle));
+
+        this.remote.clear();
+        this.pendingEnterId = null;
+
+        states.forEach(state => {
+            const vehicle = this.vehicleManager.getVehicle(state.id) ||
+                this.vehicleManager.createVehicle(state.type, new THREE.Vector3(), state.id);
+            if (!vehicle) return;
+
+            this.setPose(vehicle, state);
+            this.applyHealth(vehicle, state);
+            SEATS.forEach(seat => {
+                vehicle[SEAT_FIELDS[seat]] = null; // Riders are re-seated
+                this.setOccupant(vehicle, seat, state[SEAT_FIELDS[seat]]);
+            });
+        });
+    }
+
+    applySnapshot(snapshot) {
+        snapshot.vehicles.forEach(state => {
+            const vehicle = this.vehicleManager.getVehicle(state.id);
+            if (!vehicle) return;
+
+            SEATS.forEach(seat => {
+                const playerId = state[SEAT_FIELDS[seat]] || null;
+                if (vehicle.getOccupant(seat) !== playerId) this.setOccupant(vehicle, seat, playerId);
+            });
+            this.applyHealth(vehicle, state);
+            if (this.isDrivenLocally(vehicle)) return; // We're the one simulating it
+
+            const remote = this.getRemote(vehicle.id);
+            remote.snapshots.push(snapshot.timestamp, state.position, state.rotation);
+            remote.speed = state.speed;
+            remote.lean = state.lean;
+            remote.wheelSpin = state.wheelSpin;
+        });
+    }
+
+    /**
+     * Server's health - also catches wrecks that came back with a reset
+     */
+    applyHealth(vehicle, state) {
+        if (vehicle.isDestroyed !== !!state.destroyed) vehicle.setDestroyed(!!state.destroyed);
+        if (typeof state.health === 'number') vehicle.health = state.health;
+    }
+
+    getRemote(vehicleId) {
+        let remote = this.remote.get(vehicleId);
+        if (!remote) {
+            remote = { snapshots: new SnapshotBuffer(), speed: 0, lean: 0, wheelSpin: 0 };
+            this.remote.set(vehicleId, remote);
+        }
+        return remote;
+    }
+
+    /**
+     * Someone got in / out of (null) a seat
+     * @param {string} seat - 'driver' or 'passenger'
+     */
+    setOccupant(vehicle, seat, playerId) {
+        const field = SEAT_FIELDS[seat];
+        if (!field) return;
+
+        const previous = vehicle[field];
+        if (previous === playerId) return;
+
+        const localId = this.networkManager.getPlayerId();
+        vehicle[field] = playerId;
+        if (seat === 'driver') {
+            this.getRemote(vehicle.id).snapshots.clear(); // Don't blend in states from before the change
+        }
+
+        if (previous && previous !== localId) {
+            this.playerManager.setPlayerSeated(previous, false);
+        }
+
+        // Taken out of the seat we're in
+        if (previous === localId && vehicle === this.vehicleManager.getCurrentVehicle() &&
+            this.vehicleManager.getCurrentSeat() === seat) {
+            console.log(`🚶 Server took us off ${vehicle.id}`);
+            if (this.callbacks.onForcedExit) this.callbacks.onForcedExit(vehicle);
+        }
+
+        // The one we asked for
+        if (playerId === localId && this.pendingEnterId === vehicle.id) {
+            this.pendingEnterId = null;
+            const boarded = this.callbacks.onBoard ? this.callbacks.onBoard(vehicle, seat) : false;
+            if (!boarded) this.networkManager.sendVehicleExit(vehicle.id);
+        }
+    }
+
+    /**
+     * We're driving it - our simulation is the truth, not the snapshots
+     */
+    isDrivenLocally(vehicle) {
+        return vehicle === this.vehicleManager.getCurrentVehicle() && this.vehicleManager.isDriving();
+    }
+
+    /**
+     * Ask for a seat - we get on once the server gives us one (callbacks.onBoard)
+     */
+    requestEnter(vehicle) {
+        if (this.pendingEnterId) return;
+        this.pendingEnterId = vehicle.id;
+        this.networkManager.sendVehicleEnter(vehicle.id);
+    }
+
+    /**
+     * We got off - a driver sends where they left it, then gives the seat back
+     */
+    exit(vehicle) {
+        const localId = this.networkManager.getPlayerId();
+        if (vehicle.riderId === localId) {
+            this.networkManager.sendVehicleUpdate(vehicle.id, vehicle.getNetworkState(), true);
+        }
+        this.networkManager.sendVehicleExit(vehicle.id);
+
+        SEATS.forEach(seat => {
+            if (vehicle.getOccupant(seat) === localId) vehicle[SEAT_FIELDS[seat]] = null;
+        });
+    }
+
+    /**
+     * Stream the vehicle we're driving (throttled like player updates)
+     */
+    sendState() {
+        const vehicle = this.vehicleManager.getCurrentVehicle();
+        if (!vehicle || vehicle.riderId !== this.networkManager.getPlayerId()) return;
+        this.networkManager.sendVehicleUpdate(vehicle.id, vehicle.getNetworkState());
+    }
+
+    /**
+     * Pose the vehicles we don't drive and seat everyone else on them
+     * @param {number} delta - Seconds
+     * @param {number} serverTime - NetworkManager.getServerTime()
+     */
+    update(delta, serverTime) {
+        const renderTime = serverTime - INTERPOLATION_DELAY_MS;
+        const localId = this.networkManager.getPlayerId();
+
+        this.vehicleManager.vehicles.forEach(vehicle => {
+            if (vehicle.isDestroyed) return;
+
+            if (!this.isDrivenLocally(vehicle)) {
+                const remote = this.getRemote(vehicle.id);
+                const state = remote.snapshots.sample(renderTime);
+                if (state) this.setPose(vehicle, state);
+                vehicle.animateRemote(delta, remote);
+            }
+
+            SEATS.forEach(seat => {
+                const playerId = vehicle.getOccupant(seat);
+                if (playerId && playerId !== localId) this.seatRider(vehicle, seat, playerId, renderTime);
+            });
+        });
+    }
+
+    setPose(vehicle, state) {
+        vehicle.mesh.position.set(state.position.x, state.position.y, state.position.z);
+        vehicle.mesh.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z);
+    }
+
+    /**
+     * Rider's head at their seat's eye position, facing where they aim (the
+     * vehicle's way until we have their view)
+     */
+    seatRider(vehicle, seat, playerId, renderTime) {
+        const playerMesh = this.playerManager.getPlayer(playerId);
+        if (!playerMesh || playerMesh.userData.isDead) return;
+
+        this.playerManager.setPlayerSeated(playerId, true);
+
+        playerMesh.position.copy(vehicle.getSeatPosition(seat));
+        const view = playerMesh.userData.snapshots.sample(renderTime);
+        if (view) {
+            playerMesh.rotation.set(view.rotation.x, view.rotation.y, view.rotation.z);
+        } else {
+            playerMesh.quaternion.copy(vehicle.mesh.quaternion);
+        }
+        playerMesh.userData.renderTime = renderTime; // Hits on them are rewound to this time
+    }
+}
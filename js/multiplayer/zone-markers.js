@@ -0,0 +1,226 @@
+/**
+ * Zone Markers - In-world markers for the KOTH capture zones
+ * A ground ring + soft wall showing the zone edge, a progress ring filling in
+ * the capturing team's color, and a beam/letter visible from across the map.
+ * Only shown while the room's mode has capture zones.
+ */
+
+import * as THREE from 'three';
+import { CAPTURE_ZONES } from '../shared/capture-zones.js';
+import { TEAMS } from '../shared/game-modes.js';
+import { getTerrainHeight } from '../locations/mountains.js';
+
+const NEUTRAL_COLOR = '#ffffff';
+const WALL_HEIGHT = 4;
+const BEAM_HEIGHT = 80;
+
+export class ZoneMarkers {
+    constructor(scene, networkManager) {
+        this.scene = scene;
+        this.networkManager = networkManager;
+        this.markers = new Map();
+        this.visible = false;
+        this.time = 0;
+
+        CAPTURE_ZONES.forEach(zone => {
+            const marker = this.createMarker(zone);
+            marker.group.visible = false;
+            this.scene.add(marker.group);
+            this.markers.set(zone.id, marker);
+        });
+
+        this.setupNetworkListeners();
+
+        // State may have arrived before we were created
+        if (networkManager.matchState) {
+            this.setZones(networkManager.matchState.zones);
+        }
+    }
+
+    setupNetworkListeners() {
+        this.networkManager.on('match-state', (state) => {
+            this.setZones(state.zones);
+        });
+
+        // Progress rides along with every world snapshot
+        this.networkManager.on('snapshot', (snapshot) => {
+            if (snapshot.zones) this.setZones(snapshot.zones);
+        });
+
+        this.networkManager.on('disconnected', () => {
+            this.setZones(null);
+        });
+    }
+
+    /**
+     * Build the meshes for one zone
+     */
+    createMarker(zone) {
+        const group = new THREE.Group();
+        const groundY = getTerrainHeight(zone.position.x, zone.position.z) + 0.15;
+        group.position.set(zone.position.x, groundY, zone.position.z);
+
+        // Zone edge
+        const edgeMaterial = new THREE.MeshBasicMaterial({
+            color: NEUTRAL_COLOR,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const edge = new THREE.Mesh(new THREE.RingGeometry(zone.radius - 0.4, zone.radius, 64), edgeMaterial);
+        edge.rotation.x = -Math.PI / 2;
+        group.add(edge);
+
+        // Soft wall so the boundary reads on uneven ground
+        const wallMaterial = new THREE.MeshBasicMaterial({
+            color: NEUTRAL_COLOR,
+            transparent: true,
+            opacity: 0.12,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const wall = new THREE.Mesh(
+            new THREE.CylinderGeometry(zone.radius, zone.radius, WALL_HEIGHT, 64, 1, true),
+            wallMaterial
+        );
+        wall.position.y = WALL_HEIGHT / 2 - 1;
+        group.add(wall);
+
+        // Capture progress (rebuilt as it fills)
+        const progressMaterial = new THREE.MeshBasicMaterial({
+            color: NEUTRAL_COLOR,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const progressRing = new THREE.Mesh(new THREE.BufferGeometry(), progressMaterial);
+        progressRing.rotation.x = -Math.PI / 2;
+        progressRing.position.y = 0.05;
+        group.add(progressRing);
+
+        // Beam + letter, visible from far away
+        const beamMaterial = new THREE.MeshBasicMaterial({
+            color: NEUTRAL_COLOR,
+            transparent: true,
+            opacity: 0.25,
+            depthWrite: false
+        });
+        const beam = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, BEAM_HEIGHT, 8, 1, true), beamMaterial);
+        beam.position.y = BEAM_HEIGHT / 2;
+        group.add(beam);
+
+        const label = this.createLabel(zone.id);
+        label.position.y = zone.position.y - groundY + 30;
+        group.add(label);
+
+        return {
+            group,
+            zone,
+            edge,
+            wall,
+            beam,
+            label,
+            progressRing,
+            progress: -1,
+            team: undefined,
+            owner: undefined,
+            contested: false
+        };
+    }
+
+    /**
+     * Zone letter sprite
+     */
+    createLabel(text) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 128;
+        canvas.height = 128;
+
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.beginPath();
+        context.arc(64, 64, 60, 0, Math.PI * 2);
+        context.fill();
+
+        context.font = 'Bold 72px Arial';
+        context.fillStyle = 'white';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, 64, 68);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true });
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(4, 4, 1);
+        return sprite;
+    }
+
+    /**
+     * Apply zone states from the server (null hides the markers)
+     */
+    setZones(zones) {
+        this.visible = Array.isArray(zones);
+        this.markers.forEach(marker => { marker.group.visible = this.visible; });
+        if (!this.visible) return;
+
+        zones.forEach(state => {
+            const marker = this.markers.get(state.id);
+            if (!marker) return;
+
+            // Owner colors the edge, beam and label
+            if (state.owner !== marker.owner) {
+                marker.owner = state.owner;
+                const color = getTeamColor(state.owner);
+                marker.edge.material.color.set(color);
+                marker.wall.material.color.set(color);
+                marker.beam.material.color.set(color);
+                marker.label.material.color.set(color);
+            }
+
+            // Progress ring - only rebuild when it visibly changed
+            if (state.team !== marker.team || Math.abs(state.progress - marker.progress) > 0.005) {
+                marker.team = state.team;
+                marker.progress = state.progress;
+                this.updateProgressRing(marker);
+            }
+
+            marker.contested = state.contested;
+        });
+    }
+
+    updateProgressRing(marker) {
+        const { zone, progressRing } = marker;
+        progressRing.geometry.dispose();
+
+        if (marker.progress <= 0) {
+            progressRing.geometry = new THREE.BufferGeometry();
+            return;
+        }
+
+        progressRing.geometry = new THREE.RingGeometry(
+            zone.radius - 1.6, zone.radius - 0.6, 64, 1,
+            Math.PI / 2, -marker.progress * Math.PI * 2 // Clockwise from "north"
+        );
+        progressRing.material.color.set(getTeamColor(marker.team));
+    }
+
+    /**
+     * Contested zones pulse
+     */
+    update(delta) {
+        if (!this.visible) return;
+        this.time += delta;
+
+        this.markers.forEach(marker => {
+            const pulse = marker.contested ? 0.5 + 0.5 * Math.sin(this.time * 8) : 1;
+            marker.edge.material.opacity = 0.6 * pulse;
+            marker.wall.material.opacity = 0.12 * pulse;
+        });
+    }
+}
+
+function getTeamColor(team) {
+    return team && TEAMS[team] ? TEAMS[team].color : NEUTRAL_COLOR;
+}
@@ -0,0 +1,55 @@
+/**
+ * Capture Zones - Objective areas for King of the Hill
+ * Shared by the client (markers, "am I inside" HUD) and server/zone-control.js.
+ * No THREE/DOM imports.
+ *
+ * Each zone is an upright cylinder around a landmark: players count when their
+ * horizontal distance is within `radius` and their height is in [minY, maxY]
+ * (tall enough to include the tower platforms).
+ */
+
+import { TOWER_POSITION, LOOKOUT_POSITION, WAREHOUSE_POSITION } from './landmarks.js';
+
+export const CAPTURE_ZONES = [
+    {
+        id: 'A',
+        name: 'Radio Tower',
+        position: TOWER_POSITION,
+        radius: 18,
+        minY: TOWER_POSITION.y - 5,
+        maxY: TOWER_POSITION.y + 40
+    },
+    {
+        id: 'B',
+        name: 'Lookout',
+        position: LOOKOUT_POSITION,
+        radius: 12,
+        minY: LOOKOUT_POSITION.y - 5,
+        maxY: LOOKOUT_POSITION.y + 45
+    },
+    {
+        id: 'C',
+        name: 'Warehouse',
+        position: WAREHOUSE_POSITION,
+        radius: 20,
+        minY: WAREHOUSE_POSITION.y - 5,
+        maxY: WAREHOUSE_POSITION.y + 25
+    }
+];
+
+/**
+ * Is a (player eye) position inside the zone?
+ */
+export function isInsideZone(zone, position) {
+    if (position.y < zone.minY || position.y > zone.maxY) return false;
+    const dx = position.x - zone.position.x;
+    const dz = position.z - zone.position.z;
+    return dx * dx + dz * dz <= zone.radius * zone.radius;
+}
+
+/**
+ * Zone the position is in, or null
+ */
+export function findZoneAt(position, zones = CAPTURE_ZONES) {
+    return zones.find(zone => isInsideZone(zone, position)) || null;
+}
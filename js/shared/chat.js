@@ -0,0 +1,29 @@
+/**
+ * Chat - Limits and text cleanup shared by the chat overlay and server.js
+ * No THREE/DOM imports.
+ */
+
+export const CHAT_MAX_LENGTH = 200;
+
+// 'team' falls back to 'all' in modes without teams
+export const CHAT_CHANNELS = ['all', 'team'];
+
+// Messages the server keeps per room for late joiners
+export const CHAT_HISTORY_SIZE = 50;
+
+// Control characters and bidi overrides (could hide or flip text in the log)
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+
+/**
+ * Make a chat line safe to relay and display: no control/bidi characters,
+ * single spaces, capped length. Rendering must still use textContent.
+ * @returns {string} Clean text ('' if nothing is left)
+ */
+export function sanitizeChatText(text) {
+    if (typeof text !== 'string') return '';
+    return text
+        .replace(UNSAFE_CHARACTERS, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, CHAT_MAX_LENGTH);
+}
@@ -1,10 +1,11 @@
-import * as THREE from 'three';
+import { createTransform, toLocalPoint, toWorldVector } from './transform.js';
 
 /**
  * Collision System - Centralized collision detection for all game objects
+ * Shared by the client and server.js - no THREE/DOM imports.
  * 
  * Usage:
- *   import { CollisionManager, BoxCollider, CylinderCollider } from './collisions.js';
+ *   import { CollisionManager, BoxCollider, CylinderCollider } from '../shared/collisions.js';
  *   
  *   // Add colliders
  *   CollisionManager.addBox({ name: 'wall1', centerX: 0, centerZ: -25, width: 50, depth: 1, height: 10 });
@@ -104,6 +105,15 @@ export class BoxCollider {
 
         return { pushX, pushZ, zeroVelX, zeroVelZ, collider: this };
     }
+
+    /**
+     * Is a point inside the box? (bullets, line of sight)
+     */
+    containsPoint(x, y, z) {
+        return x >= this.minX && x <= this.maxX &&
+            z >= this.minZ && z <= this.maxZ &&
+            y >= this.baseY && y <= this.maxY;
+    }
 }
 
 /**
@@ -124,18 +134,17 @@ export class RotatedBoxCollider {
         // OR we just take an Euler object.
         // Let's assume standard Euler (radians) for config.rotation.
 
-        this.position = new THREE.Vector3(config.centerX, config.baseY + config.height / 2, config.centerZ);
+        this.position = { x: config.centerX, y: config.baseY + config.height / 2, z: config.centerZ };
 
         const rot = config.rotation || { x: 0, y: 0, z: 0 };
-        this.rotation = new THREE.Euler(rot.x, rot.y, rot.z);
-        this.quaternion = new THREE.Quaternion().setFromEuler(this.rotation);
+        this.rotation = { x: rot.x, y: rot.y, z: rot.z };
 
-        // Dimensions (Full width/height/depth)
-        this.size = new THREE.Vector3(config.width, config.height, config.depth);
-        this.halfSize = this.size.clone().multiplyScalar(0.5);
+        // Pre-calculates the inverse rotation for worldToLocal
+        this.transform = createTransform(this.position, this.rotation);
 
-        // Pre-calculate inverse transformation for worldToLocal
-        this.inverseQuaternion = this.quaternion.clone().invert();
+        // Dimensions (Full width/height/depth)
+        this.size = { x: config.width, y: config.height, z: config.depth };
+        this.halfSize = { x: config.width / 2, y: config.height / 2, z: config.depth / 2 };
 
         this.baseY = config.baseY; // For fast rejection if needed
     }
@@ -144,19 +153,24 @@ export class RotatedBoxCollider {
      * Convert World Point to Local Space (centered at box origin, aligned with axes)
      */
     worldToLocal(x, y, z) {
-        const v = new THREE.Vector3(x, y, z);
-        v.sub(this.position); // Translate to origin
-        v.applyQuaternion(this.inverseQuaternion); // Undo rotation
-        return v;
+        return toLocalPoint(this.transform, x, y, z);
     }
 
     /**
      * Convert Local Vector to World Space (Rotate only)
      */
     localToWorldVector(x, y, z) {
-        const v = new THREE.Vector3(x, y, z);
-        v.applyQuaternion(this.quaternion);
-        return v;
+        return toWorldVector(this.transform, x, y, z);
+    }
+
+    /**
+     * Is a point inside the box? (bullets, line of sight)
+     */
+    containsPoint(x, y, z) {
+        const local = this.worldToLocal(x, y, z);
+        return Math.abs(local.x) <= this.halfSize.x &&
+            Math.abs(local.y) <= this.halfSize.y &&
+            Math.abs(local.z) <= this.halfSize.z;
     }
 
     /**
@@ -208,7 +222,7 @@ export class RotatedBoxCollider {
         }
 
         // Create local push vector
-        const pushLocal = new THREE.Vector3(0, 0, 0);
+        const pushLocal = { x: 0, y: 0, z: 0 };
         let zeroVelX = false;
         let zeroVelZ = false;
 
@@ -230,7 +244,8 @@ export class RotatedBoxCollider {
         const pushWorld = this.localToWorldVector(pushLocal.x, pushLocal.y, pushLocal.z);
 
         // Determine velocity damping based on World Direction of push
-        const normal = pushWorld.clone().normalize();
+        const pushLength = Math.hypot(pushWorld.x, pushWorld.y, pushWorld.z) || 1;
+        const normal = { x: pushWorld.x / pushLength, z: pushWorld.z / pushLength };
 
         // Stop velocity against wall normal
         if (Math.abs(normal.x) > 0.5) zeroVelX = true;
@@ -261,6 +276,16 @@ export class CylinderCollider {
         this.maxY = this.baseY + this.height;
     }
 
+    /**
+     * Is a point inside the cylinder? (bullets, line of sight)
+     */
+    containsPoint(x, y, z) {
+        if (y > this.maxY || y < this.baseY) return false;
+        const dx = x - this.x;
+        const dz = z - this.z;
+        return dx * dx + dz * dz <= this.radius * this.radius;
+    }
+
     /**
      * Check collision with a sphere (player/vehicle)
      * @returns {Object|null} Push-out result or null if no collision
@@ -312,6 +337,16 @@ export class SphereCollider {
         this.radius = config.radius;
     }
 
+    /**
+     * Is a point inside the sphere? (bullets, line of sight)
+     */
+    containsPoint(x, y, z) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        const dz = z - this.z;
+        return dx * dx + dy * dy + dz * dz <= this.radius * this.radius;
+    }
+
     /**
      * Check collision with another sphere
      * @returns {Object|null} Push-out result or null if no collision
@@ -458,6 +493,13 @@ class CollisionManagerClass {
         };
     }
 
+    /**
+     * Is a point inside any collider? (bullets, line of sight)
+     */
+    isPointSolid(x, y, z) {
+        return this.colliders.some(collider => collider.containsPoint(x, y, z));
+    }
+
     /**
      * Get count of colliders
      */
@@ -0,0 +1,272 @@
+import { CollisionManager } from './collisions.js';
+import { createTransform, toLocalPoint, toWorldPoint, toWorldDirection } from './transform.js';
+
+/**
+ * Dirt Jump Physics - Layout + ground queries for the ramps and tabletop
+ * Shared by the client and server.js - no THREE/DOM imports.
+ * The meshes are built from the same layout in js/locations/dirt-jumps.js.
+ *
+ * Physics logic transforms Player (World) -> Local space for simplified checks.
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+export const DIRT_JUMPS_POSITION = { x: -60, y: 0, z: 0 };
+export const DIRT_JUMPS_ROTATION = { x: 0, y: 0, z: 0 }; // Rotation in degrees
+
+// Dimensions
+const rampWidth = 20;
+const rampLength = 25;
+const rampHeight = 8;
+const tabletopLength = 30;
+const tabletopWidth = 16;
+
+// Local Z coordinates
+const frontStart = -30;
+const frontEnd = frontStart + rampLength;
+const tabletopStart = frontEnd;
+const tabletopEnd = tabletopStart + tabletopLength;
+const backStart = tabletopEnd;
+const backEnd = backStart + rampLength;
+
+// Processed config + transform
+const jumpData = {
+    pos: DIRT_JUMPS_POSITION,
+    rot: { // Radian storage for internal math
+        x: DIRT_JUMPS_ROTATION.x * (Math.PI / 180),
+        y: DIRT_JUMPS_ROTATION.y * (Math.PI / 180),
+        z: DIRT_JUMPS_ROTATION.z * (Math.PI / 180)
+    },
+    rampWidth, rampLength, rampHeight,
+    tabletopWidth, tabletopLength,
+    frontStart, frontEnd, backStart, backEnd,
+    tabletopStart, tabletopEnd
+};
+jumpData.transform = createTransform(jumpData.pos, jumpData.rot);
+
+// Tabletop legs (local space)
+const LEG_RADIUS = 0.4;
+const LEG_HEIGHT = rampHeight - 0.5;
+const LEG_LOCAL_POSITIONS = [
+    { x: -tabletopWidth / 2 + 1.5, z: tabletopStart + 3 },
+    { x: tabletopWidth / 2 - 1.5, z: tabletopStart + 3 },
+    { x: -tabletopWidth / 2 + 1.5, z: tabletopEnd - 3 },
+    { x: tabletopWidth / 2 - 1.5, z: tabletopEnd - 3 }
+];
+
+/**
+ * Layout used by the mesh builder (dimensions in local space, rotation in radians)
+ */
+export function getDirtJumpLayout() {
+    return {
+        ...jumpData,
+        legRadius: LEG_RADIUS,
+        legHeight: LEG_HEIGHT,
+        legLocalPositions: LEG_LOCAL_POSITIONS
+    };
+}
+
+/**
+ * Transform Local point -> World point
+ */
+export function dirtJumpToWorld(lx, ly, lz) {
+    return toWorldPoint(jumpData.transform, lx, ly, lz);
+}
+
+// ========================================
+// PHYSICS EXPORTS
+// ========================================
+
+/**
+ * Get ground height for PLAYER (eye height currentY, feet ~1.7 below)
+ */
+export function getDirtJumpGroundHeight(x, z, currentY) {
+    const feetY = currentY - 1.7;
+    return getGroundHeightInternal(x, z, feetY);
+}
+
+/**
+ * Get ground height for VEHICLE (currentY is at wheel level)
+ */
+export function getDirtJumpGroundHeightVehicle(x, z, currentY) {
+    return getGroundHeightInternal(x, z, currentY);
+}
+
+/**
+ * Internal ground height calculation
+ */
+function getGroundHeightInternal(x, z, feetY) {
+    // Convert to local space using full 3D transform
+    const local = toLocalPoint(jumpData.transform, x, feetY, z);
+    const lx = local.x;
+    const ly = local.y; // Local height relative to floor of the object
+    const lz = local.z;
+
+    // NOTE: In local space, the object's "floor" is at y=0 (relative to its origin node).
+    // The ramps go UP from y=0 to y=rampHeight.
+    // If the whole object is tilted, 'ly' is the distance perpendicular to the object's base plane.
+
+    const halfWidth = rampWidth / 2;
+    const halfTabletopWidth = tabletopWidth / 2;
+
+    const inRampX = Math.abs(lx) <= halfWidth;
+    const inTabletopX = Math.abs(lx) <= halfTabletopWidth;
+
+    // Tolerance for snapping
+    const tolerance = 4.0; // Standard jump tolerance
+
+    // Helper: Check Surface
+    // Return world height if match
+    const checkSurface = (targetLocalY, slope) => {
+        // If feet are close to the target surface height (in local space)
+        if (ly >= targetLocalY - tolerance && ly <= targetLocalY + 2.0) {
+            // We know the LOCAL contact point is (lx, targetLocalY, lz).
+            // Transform it back to world to get the exact World Y height the player should be at.
+            const worldContact = dirtJumpToWorld(lx, targetLocalY, lz);
+
+            return {
+                height: worldContact.y,
+                slope: slope,
+                onRamp: true,
+                type: 'generic'
+            };
+        }
+        return null;
+    };
+
+    // Front ramp
+    if (inRampX && lz >= frontStart && lz <= frontEnd) {
+        const t = (lz - frontStart) / (frontEnd - frontStart);
+        const surfaceHeight = rampHeight * t;
+        const res = checkSurface(surfaceHeight, rampHeight / (frontEnd - frontStart));
+        if (res) { res.type = 'front'; return res; }
+    }
+
+    // Tabletop
+    if (inTabletopX && lz >= tabletopStart && lz <= tabletopEnd) {
+        const res = checkSurface(rampHeight, 0);
+        if (res) { res.type = 'tabletop'; return res; }
+    }
+
+    // Back ramp
+    if (inRampX && lz >= backStart && lz <= backEnd) {
+        const t = (lz - backStart) / (backEnd - backStart);
+        const surfaceHeight = rampHeight * (1 - t);
+        const res = checkSurface(surfaceHeight, -rampHeight / (backEnd - backStart));
+        if (res) { res.type = 'back'; return res; }
+    }
+
+    return null;
+}
+
+/**
+ * Check collision with ramp sides
+ */
+export function checkRampSideCollision(x, z, feetY, radius) {
+    const local = toLocalPoint(jumpData.transform, x, feetY, z);
+    const lx = local.x;
+    const ly = local.y; // Local height
+    const lz = local.z;
+
+    const halfWidth = rampWidth / 2;
+
+    // Helper: Side check in local space
+    const checkSide = (tStart, tEnd, isFront) => {
+        if (lz >= tStart && lz <= tEnd) {
+            const t = (lz - tStart) / (tEnd - tStart);
+            const surfaceHeight = isFront ? (rampHeight * t) : (rampHeight * (1 - t));
+
+            // Collision Check: Only if BELOW the ramp surface (hitting the side)
+            if (ly < surfaceHeight - 0.5) { // tighter tolerance for side hit
+                const playerMinX = lx - radius;
+                const playerMaxX = lx + radius;
+
+                // Ramp bounds in local space
+                const rampMinX = -halfWidth;
+                const rampMaxX = halfWidth;
+
+                if (playerMaxX > rampMinX && playerMinX < rampMaxX) {
+                    const distToLeft = playerMaxX - rampMinX; // penetrating left side
+                    const distToRight = rampMaxX - playerMinX; // penetrating right side
+
+                    const pushLocalX = distToLeft < distToRight
+                        ? -distToLeft - 0.1 // Push Left
+                        : distToRight + 0.1; // Push Right
+
+                    // Rotate push vector back to world space
+                    const worldPush = toWorldDirection(jumpData.transform, pushLocalX, 0, 0);
+                    return { x: worldPush.x, z: worldPush.z };
+                }
+            }
+        }
+        return null;
+    };
+
+    // Check Front
+    const resFront = checkSide(frontStart, frontEnd, true);
+    if (resFront) return resFront;
+
+    // Check Back
+    const resBack = checkSide(backStart, backEnd, false);
+    if (resBack) return resBack;
+
+    return null;
+}
+
+// ========================================
+// COLLIDERS
+// ========================================
+
+/**
+ * Register the solid parts (tabletop legs, walls behind the ramps)
+ */
+export function addDirtJumpColliders(collisions = CollisionManager) {
+    const pos = jumpData.pos;
+
+    // Solid collider for each leg - matches the visual position
+    LEG_LOCAL_POSITIONS.forEach((lPos, i) => {
+        const worldPos = dirtJumpToWorld(lPos.x, LEG_HEIGHT / 2, lPos.z);
+
+        collisions.addCylinder({
+            name: `tabletop_leg_${i}`,
+            x: worldPos.x,
+            z: worldPos.z,
+            radius: LEG_RADIUS,
+            height: LEG_HEIGHT,
+            baseY: pos.y
+        });
+    });
+
+    // Solid walls (Rotated Box Colliders) - rotation is same as the group
+    const wallWidth = rampWidth - 2;
+    const wallDepth = 0.5;
+    const wallHeight = 3;
+
+    // 1. Front Ramp Back Wall
+    const frontWallWorld = dirtJumpToWorld(0, wallHeight / 2, frontEnd + 0.25);
+    collisions.addRotatedBox({
+        name: 'frontRamp_backWall',
+        centerX: frontWallWorld.x,
+        centerZ: frontWallWorld.z,
+        baseY: frontWallWorld.y - wallHeight / 2, // Calculate base from center
+        width: wallWidth,
+        height: wallHeight,
+        depth: wallDepth,
+        rotation: jumpData.rot // {x,y,z} in radians
+    });
+
+    // 2. Back Ramp Front Wall
+    const backWallWorld = dirtJumpToWorld(0, wallHeight / 2, backStart - 0.25);
+    collisions.addRotatedBox({
+        name: 'backRamp_frontWall',
+        centerX: backWallWorld.x,
+        centerZ: backWallWorld.z,
+        baseY: backWallWorld.y - wallHeight / 2,
+        width: wallWidth,
+        height: wallHeight,
+        depth: wallDepth,
+        rotation: jumpData.rot
+    });
+}
@@ -0,0 +1,82 @@
+/**
+ * Game Modes - Rules for each match type
+ * Shared by the client (HUD labels/colors) and server.js (server/match.js runs them).
+ * No THREE/DOM imports.
+ */
+
+// Match flow: warmup -> live -> ended -> (round reset) -> warmup
+export const MATCH_STATES = {
+    WARMUP: 'warmup',
+    LIVE: 'live',
+    ENDED: 'ended'
+};
+
+export const TEAMS = {
+    red: { id: 'red', name: 'RED', color: '#ff4444' },
+    blue: { id: 'blue', name: 'BLUE', color: '#4499ff' }
+};
+
+export const TEAM_IDS = Object.keys(TEAMS);
+
+/**
+ * Mode definitions
+ * scoreLimit: points to win (FFA: per player, team modes: per team)
+ * killScore: team points per kill
+ * timeLimit / warmupTime / endScreenTime / captureTime / respawnDelay: seconds
+ * captureZones: zones from capture-zones.js are played, held zones earn zonePointsPerSecond
+ */
+export const GAME_MODES = {
+    ffa: {
+        name: 'Free-For-All',
+        shortName: 'FFA',
+        teams: false,
+        scoreLimit: 25,
+        timeLimit: 600,
+        warmupTime: 15,
+        endScreenTime: 12,
+        minPlayers: 2,
+        respawnDelay: 3,
+        friendlyFire: true
+    },
+    tdm: {
+        name: 'Team Deathmatch',
+        shortName: 'TDM',
+        teams: true,
+        scoreLimit: 50,
+        timeLimit: 600,
+        warmupTime: 15,
+        endScreenTime: 12,
+        minPlayers: 2,
+        respawnDelay: 5,
+        friendlyFire: false,
+        killScore: 1
+    },
+    koth: {
+        name: 'King of the Hill',
+        shortName: 'KOTH',
+        teams: true,
+        scoreLimit: 200,
+        timeLimit: 600,
+        warmupTime: 15,
+        endScreenTime: 12,
+        minPlayers: 2,
+        respawnDelay: 5,
+        friendlyFire: false,
+        killScore: 0,
+        captureZones: true,
+        captureTime: 10,
+        zonePointsPerSecond: 1
+    }
+};
+
+export const DEFAULT_GAME_MODE = 'ffa';
+
+/**
+ * Resolve a (possibly untrusted) mode key
+ * @returns {string|null} Known key or null
+ */
+export function normalizeGameMode(key) {
+    if (typeof key !== 'string') return null;
+    const lower = key.toLowerCase();
+    return GAME_MODES[lower] ? lower : null;
+}
@@ -0,0 +1,9 @@
+/**
+ * Landmarks - World placement of the big map set pieces
+ * Shared by the location builders (js/locations/*) and server.js, which needs
+ * to know where things are without loading the models.
+ */
+
+export const TOWER_POSITION = { x: 179.5, y: 24.7, z: 181.1 };
+export const LOOKOUT_POSITION = { x: -181.8, y: 15.7, z: 124.9 };
+export const WAREHOUSE_POSITION = { x: 152.06, y: -3.00, z: 23.70 };
@@ -0,0 +1,410 @@
+/**
+ * Lookout - Collision shapes of the lookout tower (floors, stairs, walls)
+ * Shared by the client and server.js - no THREE/DOM imports. The shapes are
+ * data, not sized from the model, so the server simulates the stairs exactly.
+ * The tower mesh and its debug view are in js/locations/lookout.js.
+ */
+
+import { CollisionManager } from './collisions.js';
+import { LOOKOUT_POSITION } from './landmarks.js';
+
+// Collision vertical offset - adjust this if collisions don't align with the model
+// Positive = move collisions UP, Negative = move collisions DOWN
+export const LOOKOUT_COLLISION_Y_OFFSET = 5; // Tweak this value to align collisions with the tower
+
+// Collision shapes for the lookout tower (relative to LOOKOUT_POSITION)
+// These define walkable floors, stairs, and blocking walls
+// Generated with collision-editor.html
+export const LOOKOUT_COLLISIONS = [
+    {
+        type: 'box',
+        offset: { x: 6, y: 0, z: 6 },
+        size: { width: 0.5, height: 38, depth: 0.5 },
+        name: 'box_3',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: -6, y: 0, z: 6 },
+        size: { width: 0.5, height: 38, depth: 0.5 },
+        name: 'box_4',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: -6, y: 0, z: -6 },
+        size: { width: 0.5, height: 38, depth: 0.5 },
+        name: 'box_5',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: 6, y: 0, z: -6 },
+        size: { width: 0.5, height: 38, depth: 0.5 },
+        name: 'box_6',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: 8.5, y: 0, z: 8.5 },
+        size: { width: 1, height: 38, depth: 1 },
+        name: 'box_7',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: 8.5, y: 0, z: -8.5 },
+        size: { width: 1, height: 38, depth: 1 },
+        name: 'box_8',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: -8.5, y: 0, z: 8.5 },
+        size: { width: 1, height: 38, depth: 1 },
+        name: 'box_9',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: -8.5, y: 0, z: -8.5 },
+        size: { width: 1, height: 38, depth: 1 },
+        name: 'box_10',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: 8.5, y: 29, z: 1.5 },
+        size: { width: 0.5, height: 2, depth: 14 },
+        name: 'box_11',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: -8.5, y: 29, z: 0 },
+        size: { width: 0.5, height: 2, depth: 16 },
+        name: 'box_12',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: 0, y: 29, z: 8.5 },
+        size: { width: 16, height: 2, depth: 0.5 },
+        name: 'box_13',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: 1.5, y: 29, z: -5.5 },
+        size: { width: 14.5, height: 2, depth: 0.5 },
+        name: 'box_14',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: -5.5, y: 29, z: 4 },
+        size: { width: 0.5, height: 9, depth: 4 },
+        name: 'box_15',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: -5.5, y: 29, z: -4 },
+        size: { width: 0.5, height: 9, depth: 4 },
+        name: 'box_16',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: 5.5, y: 29, z: -4 },
+        size: { width: 0.5, height: 9, depth: 4 },
+        name: 'box_17',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: 5.5, y: 29, z: 4 },
+        size: { width: 0.5, height: 9, depth: 4 },
+        name: 'box_18',
+        color: 0xff0000
+    },
+    {
+        type: 'box',
+        offset: { x: 0, y: 38, z: 0 },
+        size: { width: 21, height: 0.5, depth: 21 },
+        name: 'box_19',
+        color: 0x00ff00
+    },
+    {
+        type: 'box',
+        offset: { x: 0, y: 29, z: 1.5 },
+        size: { width: 18, height: 0.5, depth: 15 },
+        name: 'box_20',
+        color: 0x00ff00
+    },
+    {
+        type: 'box',
+        offset: { x: -1, y: 0, z: -7 },
+        size: { width: 1, height: 0.5, depth: 3.5 },
+        name: 'stairs_1',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -2, y: 0.5, z: -7 },
+        size: { width: 1, height: 0.5, depth: 3.5 },
+        name: 'stairs_2',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -3, y: 1, z: -7 },
+        size: { width: 1, height: 0.5, depth: 3.5 },
+        name: 'stairs_3',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -4, y: 1.5, z: -7 },
+        size: { width: 1, height: 0.5, depth: 3.5 },
+        name: 'stairs_4',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -5, y: 2, z: -7 },
+        size: { width: 1, height: 0.5, depth: 3.5 },
+        name: 'stairs_5',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 2.5, z: -7 },
+        size: { width: 4, height: 0.5, depth: 3.5 },
+        name: 'stairs_landing_1',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 3.5, z: -4 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_6',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 3, z: -5 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_7',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 4, z: -3 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_8',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 4.5, z: -2 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_9',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 5, z: -1 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_10',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 6, z: 1 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_11',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 5.5, z: 0 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_12',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 6.5, z: 2 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_13',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 7, z: 3 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_14',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 7.5, z: 4 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_15',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 8, z: 5 },
+        size: { width: 4, height: 0.5, depth: 1 },
+        name: 'stairs_16',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 8.5, z: 7.5 },
+        size: { width: 4, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: 7.5, y: 15.5, z: 7.5 },
+        size: { width: 4, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_mirrorX',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: 7.5, y: 22, z: -7.5 },
+        size: { width: 4, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_mirrorX_mirrorZ',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -7.5, y: 28.5, z: -7.5 },
+        size: { width: 4, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_mirrorX_mirrorZ_mirrorX',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -5, y: 9, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -4, y: 9.5, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -3, y: 10, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -2, y: 10.5, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy_copy_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: -1, y: 11, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy_copy_copy_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: 0, y: 11.5, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: 1, y: 12, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: 2, y: 12.5, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: 3, y: 13, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy_copy_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: 4, y: 13.5, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy_copy_copy_copy',
+        color: 0xffff00
+    },
+    {
+        type: 'box',
+        offset: { x: 5, y: 14, z: 7.5 },
+        size: { width: 1, height: 0.5, depth: 4 },
+        name: 'stairs_landing_2_copy_copy_copy_copy_copy_copy_copy_copy_copy_copy_copy',
+        color: 0xffff00
+    }
+];
+
+/**
+ * World position of a shape's base center
+ */
+export function getLookoutShapeBase(collisionDef) {
+    return {
+        x: LOOKOUT_POSITION.x + collisionDef.offset.x,
+        y: LOOKOUT_POSITION.y + collisionDef.offset.y + LOOKOUT_COLLISION_Y_OFFSET,
+        z: LOOKOUT_POSITION.z + collisionDef.offset.z
+    };
+}
+
+/**
+ * Register the tower's shapes
+ */
+export function addLookoutColliders(collisions = CollisionManager) {
+    LOOKOUT_COLLISIONS.forEach(collisionDef => {
+        const base = getLookoutShapeBase(collisionDef);
+
+        if (collisionDef.type === 'box') {
+            collisions.addBox({
+                name: `lookout_${collisionDef.name}`,
+                centerX: base.x,
+                centerZ: base.z,
+                width: collisionDef.size.width,
+                depth: collisionDef.size.depth,
+                height: collisionDef.size.height,
+                baseY: base.y
+            });
+        } else if (collisionDef.type === 'cylinder') {
+            collisions.addCylinder({
+                name: `lookout_${collisionDef.name}`,
+                x: base.x,
+                z: base.z,
+                radius: collisionDef.size.radius,
+                height: collisionDef.size.height,
+                baseY: base.y
+            });
+        }
+    });
+}
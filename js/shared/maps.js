@@ -0,0 +1,59 @@
+/**
+ * Maps - Playable maps
+ * Shared by the client (lobby) and server.js. No THREE/DOM imports.
+ * There is one world today; rooms carry a map id so more can be added.
+ *
+ * spawnPoints: ground positions the server picks from (server/spawns.js puts
+ * them on the terrain). Kept clear of buildings, ramps and the cinema stage.
+ * vehicleSpawns: where each of the map's vehicles starts (yaw in radians,
+ * types in js/shared/vehicle-types.js).
+ */
+
+export const MAPS = {
+    range: {
+        name: 'The Range',
+        spawnPoints: [
+            { x: 0, z: 0 }, // Firing range
+            { x: 0, z: 45 },
+            { x: -60, z: 45 }, // Past the dirt jumps
+            { x: -100, z: -30 },
+            { x: -45, z: -110 }, // Cinema, left of the stage
+            { x: 45, z: -110 }, // Cinema, right of the stage
+            { x: 80, z: -45 },
+            { x: 110, z: 70 }, // Between warehouse and tower hill
+            { x: 200, z: -20 }, // Behind the warehouse
+            { x: 140, z: 150 }, // Tower hill
+            { x: -150, z: 160 }, // Lookout hill
+            { x: -40, z: 120 }
+        ],
+        vehicleSpawns: [
+            { type: 'motorbike', x: 8, z: -5, yaw: 0 }, // Next to the firing range
+            { type: 'buggy', x: 14, z: 4, yaw: 0 }
+        ]
+    }
+};
+
+export const DEFAULT_MAP = 'range';
+
+/**
+ * Resolve a (possibly untrusted) map id
+ * @returns {string|null} Known id or null
+ */
+export function normalizeMapId(id) {
+    if (typeof id !== 'string') return null;
+    const lower = id.toLowerCase();
+    return MAPS[lower] ? lower : null;
+}
+
+/**
+ * A map's vehicles with the ids the client and server both use ("motorbike-1", ...)
+ * @returns {Object[]} [{ id, type, x, z, yaw }]
+ */
+export function getVehicleSpawns(mapId) {
+    const map = MAPS[mapId] || MAPS[DEFAULT_MAP];
+    const counts = {};
+    return (map.vehicleSpawns || []).map(spawn => {
+        counts[spawn.type] = (counts[spawn.type] || 0) + 1;
+        return { id: `${spawn.type}-${counts[spawn.type]}`, ...spawn };
+    });
+}
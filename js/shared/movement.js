@@ -0,0 +1,298 @@
+/**
+ * Player Movement - One fixed step of on-foot physics
+ * Shared by the client (prediction) and server.js (authority).
+ * No THREE/DOM imports, so Node can load it directly.
+ *
+ * Anything the step needs from the level is passed in as a `world` object.
+ * Terrain is always applied; every other query is optional so the server can
+ * run with whatever geometry it knows about:
+ *
+ *   world = {
+ *       collide(x, y, z, radius, velocity) -> { x, z, velocityX, velocityZ } | null
+ *       getRampHeight(x, z, y)             -> { onRamp, height, slope } | null
+ *       getFloorHeight(x, z, y, height)    -> { onFloor, height } | null
+ *       checkRampSideCollision(x, z, feetY, radius) -> { x, z } | null
+ *   }
+ *
+ * Cosmetics (head bob, landing dip, haptics, flip recovery) stay on the client
+ * and are driven from the returned step result.
+ */
+
+import { getTerrainHeight } from './terrain.js';
+
+export const MOVEMENT_CONFIG = {
+    walkSpeed: 10,
+    slideSpeed: 20,
+    slideDuration: 1.0,
+    jumpForce: 12,
+    sprintSpeed: 15,
+    crouchSpeed: 5,
+    airControl: 0.5,
+    gravity: 20,
+    baseHeight: 1.6,
+    slideHeight: 0.8,
+    playerRadius: 0.5, // Increased to prevent clipping
+    megaJumpChargeTime: 0.5, // Seconds to fully charge
+    megaJumpMultiplier: 2.5, // Max jump force multiplier
+    worldLimit: 1000
+};
+
+// Longest step the server will simulate for a single input (s)
+export const MAX_STEP_DELTA = 0.1;
+
+// Eye height above the feet used for floor / ramp side checks
+const EYE_TO_FEET = 1.7;
+
+/**
+ * Fresh movement state standing at `position` (eye height)
+ */
+export function createMovementState(position = { x: 0, y: MOVEMENT_CONFIG.baseHeight, z: 0 }) {
+    return {
+        position: { x: position.x, y: position.y, z: position.z },
+        velocity: { x: 0, y: 0, z: 0 },
+        isGrounded: true,
+        isSliding: false,
+        slideTimer: 0,
+        jumpHoldTime: 0,
+        lastJumpPressed: false
+    };
+}
+
+export function cloneMovementState(state) {
+    return {
+        ...state,
+        position: { ...state.position },
+        velocity: { ...state.velocity }
+    };
+}
+
+/**
+ * Coerce an input command from the network into something safe to simulate
+ * @returns {Object|null} Clean input or null if it isn't usable
+ */
+export function sanitizeInput(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (!Number.isInteger(raw.seq) || !isFinite(raw.delta)) return null;
+
+    return {
+        seq: raw.seq,
+        delta: clamp(raw.delta, 0, MAX_STEP_DELTA),
+        moveX: isFinite(raw.moveX) ? clamp(raw.moveX, -1, 1) : 0,
+        moveZ: isFinite(raw.moveZ) ? clamp(raw.moveZ, -1, 1) : 0,
+        yaw: isFinite(raw.yaw) ? raw.yaw : 0,
+        pitch: isFinite(raw.pitch) ? raw.pitch : 0,
+        jump: !!raw.jump,
+        sprint: !!raw.sprint,
+        crouch: !!raw.crouch,
+        slide: !!raw.slide,
+        ads: !!raw.ads
+    };
+}
+
+/**
+ * Advance `state` by one input
+ * @param {Object} state - From createMovementState (mutated)
+ * @param {Object} input - { moveX, moveZ, yaw, pitch, jump, sprint, crouch, slide, ads }
+ * @param {number} delta - Seconds
+ * @param {Object} [config] - Movement tunables (MOVEMENT_CONFIG shape)
+ * @param {Object} [world] - Level queries, see top of file
+ * @returns {Object} { speed, targetHeight, onRamp, landed, impactSpeed, jumpCharge }
+ */
+export function stepMovement(state, input, delta, config = MOVEMENT_CONFIG, world = {}) {
+    const { position, velocity } = state;
+    const result = { speed: 0, targetHeight: 0, onRamp: false, landed: false, impactSpeed: 0, jumpCharge: 0 };
+
+    let moveX = input.moveX || 0;
+    let moveZ = input.moveZ || 0;
+
+    if (Math.abs(moveX) + Math.abs(moveZ) > 1) {
+        const len = Math.sqrt(moveX * moveX + moveZ * moveZ);
+        moveX /= len;
+        moveZ /= len;
+    }
+
+    // === MEGA-JUMP SYSTEM ===
+    // Hold jump to charge, release for mega-jump
+    if (state.isGrounded) {
+        if (input.jump) {
+            // Charging
+            state.jumpHoldTime += delta;
+        } else if (state.lastJumpPressed && state.jumpHoldTime > 0) {
+            // Released - execute jump
+            const chargeRatio = Math.min(state.jumpHoldTime / config.megaJumpChargeTime, 1.0);
+            const jumpMultiplier = 1.0 + (config.megaJumpMultiplier - 1.0) * chargeRatio;
+            velocity.y = config.jumpForce * jumpMultiplier;
+            state.isGrounded = false;
+            state.jumpHoldTime = 0;
+            result.jumpCharge = chargeRatio;
+        }
+    } else {
+        state.jumpHoldTime = 0;
+    }
+    state.lastJumpPressed = !!input.jump;
+
+    if (input.slide && state.isGrounded && !state.isSliding && moveZ < -0.5) {
+        state.isSliding = true;
+        state.slideTimer = config.slideDuration;
+    }
+
+    // Camera forward flattened onto the ground - it flips while upside down mid-flip
+    const yaw = input.yaw || 0;
+    const flip = Math.cos(input.pitch || 0) < 0 ? -1 : 1;
+    const forwardX = -Math.sin(yaw) * flip;
+    const forwardZ = -Math.cos(yaw) * flip;
+    const rightX = Math.cos(yaw);
+    const rightZ = -Math.sin(yaw);
+
+    let speed = config.walkSpeed;
+    let targetHeight = config.baseHeight;
+
+    if (state.isSliding) {
+        speed = config.slideSpeed;
+        targetHeight = config.slideHeight;
+        state.slideTimer -= delta;
+        if (state.slideTimer <= 0) {
+            state.isSliding = false;
+        }
+    } else if (input.crouch) {
+        speed = config.crouchSpeed;
+        targetHeight = config.slideHeight; // Reuse slide height for crouch
+    } else if (input.sprint && state.isGrounded && !input.ads) {
+        speed = config.sprintSpeed;
+    }
+
+    result.speed = speed;
+    result.targetHeight = targetHeight;
+
+    if (state.isSliding) {
+        velocity.x = forwardX * speed;
+        velocity.z = forwardZ * speed;
+    } else {
+        const moveVectorX = rightX * moveX - forwardX * moveZ;
+        const moveVectorZ = rightZ * moveX - forwardZ * moveZ;
+
+        if (state.isGrounded) {
+            velocity.x = moveVectorX * speed;
+            velocity.z = moveVectorZ * speed;
+        } else {
+            // Air Control
+            const t = config.airControl * delta * 5;
+            velocity.x += (moveVectorX * speed - velocity.x) * t;
+            velocity.z += (moveVectorZ * speed - velocity.z) * t;
+        }
+    }
+
+    velocity.y -= config.gravity * delta;
+
+    // Calculate new position
+    let finalX = position.x + velocity.x * delta;
+    let finalZ = position.z + velocity.z * delta;
+    const playerRadius = config.playerRadius;
+
+    if (world.collide) {
+        const collision = world.collide(finalX, position.y, finalZ, playerRadius, velocity);
+        if (collision) {
+            finalX = collision.x;
+            finalZ = collision.z;
+            velocity.x = collision.velocityX;
+            velocity.z = collision.velocityZ;
+        }
+    }
+
+    position.x = finalX;
+    position.z = finalZ;
+    position.y += velocity.y * delta;
+
+    // Ramps and platforms override the terrain
+    let onRamp = false;
+    let rampHeight = 0;
+
+    const rampInfo = world.getRampHeight ? world.getRampHeight(finalX, finalZ, position.y) : null;
+    if (rampInfo && rampInfo.onRamp) {
+        onRamp = true;
+        rampHeight = rampInfo.height + targetHeight; // Add player height to ramp surface
+    }
+
+    // Mountains are base terrain - only used when we're not on a ramp
+    if (!onRamp) {
+        const mountainSurfaceHeight = getTerrainHeight(finalX, finalZ) + targetHeight;
+        if (mountainSurfaceHeight > targetHeight) {
+            rampHeight = mountainSurfaceHeight;
+            onRamp = true; // Use logic for "on surface"
+        }
+    }
+
+    // Check box collider floors (tower platforms, etc.)
+    const floorInfo = world.getFloorHeight ? world.getFloorHeight(finalX, finalZ, position.y, EYE_TO_FEET) : null;
+    if (floorInfo && floorInfo.onFloor) {
+        const floorSurfaceHeight = floorInfo.height + targetHeight;
+        // Use this floor if it's higher than current ground
+        if (!onRamp || floorSurfaceHeight > rampHeight) {
+            rampHeight = floorSurfaceHeight;
+            onRamp = true;
+        }
+    }
+
+    // Check for ramp side collisions (prevents clipping through sides from below)
+    if (world.checkRampSideCollision) {
+        const push = world.checkRampSideCollision(finalX, finalZ, position.y - EYE_TO_FEET, playerRadius);
+        if (push) {
+            position.x += push.x;
+            position.z += push.z;
+            velocity.x = 0;
+            velocity.z = 0;
+        }
+    }
+
+    result.onRamp = onRamp;
+
+    // Ground collision (modified to account for ramps)
+    const effectiveGroundHeight = onRamp ? rampHeight : targetHeight;
+    if (position.y < effectiveGroundHeight) {
+        // === LANDING DETECTED ===
+        result.landed = true;
+        result.impactSpeed = Math.abs(velocity.y);
+
+        position.y = effectiveGroundHeight;
+        velocity.y = 0;
+        state.isGrounded = true;
+    } else if (position.y > effectiveGroundHeight + 0.1 && state.isGrounded && !onRamp) {
+        // Snap down if the drop is small (walking down a slope), otherwise fall
+        const snapDistance = 0.8;
+        if (position.y - effectiveGroundHeight < snapDistance && velocity.y <= 0) {
+            position.y = effectiveGroundHeight;
+            velocity.y = 0;
+        } else {
+            state.isGrounded = false;
+        }
+    }
+
+    // Keep grounded while on ramp and snap to surface
+    if (onRamp) {
+        const distToGround = position.y - effectiveGroundHeight;
+        const isWalkingDown = velocity.y > -10.0; // Don't snap if falling faster than 10m/s
+
+        if (velocity.y <= 0 && isWalkingDown && distToGround < 0.5 && distToGround > -0.5) {
+            position.y = effectiveGroundHeight;
+            velocity.y = 0;
+            state.isGrounded = true;
+        } else if (distToGround > 0.1) {
+            // High above (jumping or falling)
+            state.isGrounded = false;
+        }
+    }
+
+    // Smooth height transition (only when grounded and not on ramp)
+    if (state.isGrounded && !onRamp) {
+        position.y += (targetHeight - position.y) * Math.min(1, 10 * delta);
+    }
+
+    position.x = clamp(position.x, -config.worldLimit, config.worldLimit);
+    position.z = clamp(position.z, -config.worldLimit, config.worldLimit);
+
+    return result;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,97 @@
+/**
+ * Replay Format - Recorded match files (replays/*.replay.gz)
+ * Shared by server/replays.js (writes them) and the replay viewer (reads
+ * them). No THREE/DOM imports.
+ *
+ * A replay is gzipped newline-delimited JSON. The first line is the header:
+ *   { version, roomId, roomName, mode, map, startedAt }
+ * Every other line is one event: [t, type, data] with t in ms since startedAt.
+ * Snapshots are the bulk of a file, so their players are packed into rows
+ * (see packSnapshotPlayers).
+ *
+ * Usage:
+ *   recorder.record('snapshot', packSnapshotPlayers(snapshot.players));
+ *   const { header, events, duration } = parseReplay(text);
+ */
+
+export const REPLAY_VERSION = 1;
+export const REPLAY_EXTENSION = '.replay.gz';
+
+/**
+ * Event types and their data
+ *   join     { id, name, team }
+ *   leave    { id }
+ *   snapshot [[id, x, y, z, rx, ry, rz, health, weapon], ...]
+ *   respawn  { id, position }
+ *   fire     { id, position, direction, weapon, vehicleId }
+ *   hit      'player-damaged' payload
+ *   kill     'player-killed' payload
+ *   chat     { name, team, type, message } - room-wide messages only
+ *   match    'match-state' payload
+ */
+export const REPLAY_EVENTS = ['join', 'leave', 'snapshot', 'respawn', 'fire', 'hit', 'kill', 'chat', 'match'];
+
+// Centimeters / milliradians are plenty for a viewer and keep the rows short
+const round = (value, places) => {
+    const scale = 10 ** places;
+    return Math.round(value * scale) / scale;
+};
+
+/**
+ * Snapshot players -> compact rows
+ * @param {Object[]} players - { id, position, rotation, health, weapon }
+ * @returns {Array[]}
+ */
+export function packSnapshotPlayers(players) {
+    return players.map(({ id, position, rotation, health, weapon }) => [
+        id,
+        round(position.x, 2), round(position.y, 2), round(position.z, 2),
+        round(rotation.x, 3), round(rotation.y, 3), round(rotation.z, 3),
+        Math.round(health),
+        weapon
+    ]);
+}
+
+/**
+ * Compact rows -> snapshot players (inverse of packSnapshotPlayers)
+ */
+export function unpackSnapshotPlayers(rows) {
+    return rows.map(([id, x, y, z, rx, ry, rz, health, weapon]) => ({
+        id,
+        position: { x, y, z },
+        rotation: { x: rx, y: ry, z: rz },
+        health,
+        weapon
+    }));
+}
+
+/**
+ * Read a (decompressed) replay file
+ * @param {string} text
+ * @returns {Object} { header, events: [{ t, type, data }], duration } - duration in ms
+ * @throws {Error} If it isn't a replay this version can read
+ */
+export function parseReplay(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    if (lines.length === 0) throw new Error('Empty replay');
+
+    const header = JSON.parse(lines[0]);
+    if (!header || header.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version (${header && header.version})`);
+    }
+
+    const events = [];
+    for (let i = 1; i < lines.length; i++) {
+        let line;
+        try {
+            line = JSON.parse(lines[i]);
+        } catch (error) {
+            break; // Cut off mid-write (server crashed) - keep what we have
+        }
+        const [t, type, data] = line;
+        if (REPLAY_EVENTS.includes(type)) events.push({ t, type, data });
+    }
+
+    const duration = events.length > 0 ? events[events.length - 1].t : 0;
+    return { header, events, duration };
+}
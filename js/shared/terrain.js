@@ -0,0 +1,160 @@
+/**
+ * Terrain Heights - Shared by the client and server.js
+ * Pure math, no THREE/DOM imports, so Node can load it directly.
+ *
+ * The heights are sampled onto a coarse grid once and then interpolated per
+ * triangle, so physics on both sides matches the low-poly mesh built in
+ * js/locations/mountains.js exactly.
+ */
+
+// ==========================================
+// CONFIGURATION & FEATURES
+// ==========================================
+
+// List of mountain features to shape the world
+// x, z: Center position
+// height: Peak height
+// radius: Base radius (how wide it spreads)
+// type: 'peak' (sharp), 'dome' (round), or 'mesa' (flat top)
+export const MOUNTAIN_FEATURES = [
+    // Distant mountains to frame the scene (pushed out to ~300-400 range)
+    { x: 350, z: 350, height: 50, radius: 500, type: 'peak' },
+    { x: -350, z: 350, height: 25, radius: 200, type: 'peak' },
+    { x: 350, z: -350, height: 20, radius: 300, type: 'dome' },
+    { x: -400, z: -300, height: 110, radius: 500, type: 'peak' },
+
+    // Rolling hills closer to play area (but pushed back from <100 to >150 range)
+    { x: 180, z: 180, height: 25, radius: 80, type: 'dome' },
+    { x: -180, z: 120, height: 20, radius: 70, type: 'dome' },
+    { x: 0, z: -200, height: 20, radius: 80, type: 'mesa' },  // behind cinema
+];
+
+// Grid settings for the visual mesh
+export const GRID_SIZE = 1000; // Expanded to full map size to replace floor
+export const GRID_SEGMENTS = 28; // Aggressive optimization (128x128 = ~16k polys, extremely fast)
+
+const HALF_SIZE = GRID_SIZE / 2;
+const SEGMENT_SIZE = GRID_SIZE / GRID_SEGMENTS;
+
+// Heights at every grid vertex, row-major (built on first use)
+let heightMap = null;
+
+// ==========================================
+// MATH FUNCTIONS
+// ==========================================
+
+/**
+ * RAW Mathematical height calculation
+ * Used ONLY to populate the height map.
+ */
+export function computeRawHeight(x, z) {
+    let y = 0;
+
+    for (const feature of MOUNTAIN_FEATURES) {
+        const dx = x - feature.x;
+        const dz = z - feature.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+
+        if (dist > feature.radius) continue;
+
+        const t = dist / feature.radius;
+        let influence = 0;
+
+        if (feature.type === 'peak') {
+            influence = 0.5 * (1 + Math.cos(Math.PI * t));
+            influence = Math.pow(influence, 2);
+        } else if (feature.type === 'dome') {
+            influence = Math.sqrt(1 - t * t);
+        } else if (feature.type === 'mesa') {
+            if (t < 0.5) influence = 1;
+            else influence = 0.5 * (1 + Math.cos(Math.PI * (t - 0.5) * 2));
+        }
+
+        const featureHeight = feature.height * influence;
+        y = Math.max(y, featureHeight);
+    }
+    return y;
+}
+
+/**
+ * Heights at every grid vertex - row-major, (GRID_SEGMENTS + 1)^2 entries
+ */
+export function getHeightMap() {
+    if (heightMap) return heightMap;
+
+    heightMap = new Float32Array((GRID_SEGMENTS + 1) * (GRID_SEGMENTS + 1));
+    let idx = 0;
+    for (let i = 0; i <= GRID_SEGMENTS; i++) {
+        const z = -HALF_SIZE + i * SEGMENT_SIZE;
+        for (let j = 0; j <= GRID_SEGMENTS; j++) {
+            const x = -HALF_SIZE + j * SEGMENT_SIZE;
+            heightMap[idx++] = computeRawHeight(x, z);
+        }
+    }
+    return heightMap;
+}
+
+/**
+ * Find the grid cell under x, z
+ * @returns {Object|null} Corner heights + local coords, or null off the map
+ */
+function getCell(x, z) {
+    // Convert world coord to grid coord (float)
+    // Grid starts at -HALF_SIZE (index 0)
+    const gridX = (x + HALF_SIZE) / SEGMENT_SIZE;
+    const gridZ = (z + HALF_SIZE) / SEGMENT_SIZE;
+
+    if (gridX < 0 || gridX >= GRID_SEGMENTS || gridZ < 0 || gridZ >= GRID_SEGMENTS) {
+        return null;
+    }
+
+    const ix = Math.floor(gridX);
+    const iz = Math.floor(gridZ);
+
+    // Row-major order: index = iz * (segments + 1) + ix
+    const map = getHeightMap();
+    const rowLength = GRID_SEGMENTS + 1;
+
+    return {
+        fx: gridX - ix,
+        fz: gridZ - iz,
+        hTL: map[iz * rowLength + ix],
+        hTR: map[iz * rowLength + (ix + 1)],
+        hBL: map[(iz + 1) * rowLength + ix],
+        hBR: map[(iz + 1) * rowLength + (ix + 1)]
+    };
+}
+
+/**
+ * Public physics function: Gets height from the discretised height map.
+ * Performs Barycentric interpolation to match the low-poly visual mesh exactly.
+ */
+export function getTerrainHeight(x, z) {
+    const cell = getCell(x, z);
+    if (!cell) return 0; // Off map
+
+    const { fx, fz, hTL, hTR, hBL, hBR } = cell;
+
+    // Triangle 1 (TL, BL, TR) if fx + fz < 1
+    // Triangle 2 (TR, BL, BR) if fx + fz >= 1
+    if (fx + fz < 1) {
+        return hTL + fz * (hBL - hTL) + fx * (hTR - hTL);
+    }
+    return hBR + (1 - fx) * (hBL - hBR) + (1 - fz) * (hTR - hBR);
+}
+
+/**
+ * Unnormalized surface normal at x, z as a plain {x, y, z}
+ */
+export function getTerrainNormalVector(x, z) {
+    const cell = getCell(x, z);
+    if (!cell) return { x: 0, y: 1, z: 0 };
+
+    const { fx, fz, hTL, hTR, hBL, hBR } = cell;
+
+    // Normal = (-SlopeX, segmentSize, -SlopeZ) of whichever triangle we're on
+    if (fx + fz < 1) {
+        return { x: hTL - hTR, y: SEGMENT_SIZE, z: hTL - hBL };
+    }
+    return { x: hBL - hBR, y: SEGMENT_SIZE, z: hTR - hBR };
+}
@@ -0,0 +1,92 @@
+/**
+ * Rigid Transforms - Minimal position + rotation math on plain {x, y, z} objects
+ * Matches THREE's conventions (Euler order 'XYZ', radians) so shared physics
+ * gives the same answers as the old THREE-based code, without importing THREE.
+ */
+
+/**
+ * Quaternion from Euler angles (radians, XYZ order like THREE.Euler's default)
+ */
+export function quaternionFromEuler(rotation) {
+    const c1 = Math.cos(rotation.x / 2);
+    const c2 = Math.cos(rotation.y / 2);
+    const c3 = Math.cos(rotation.z / 2);
+    const s1 = Math.sin(rotation.x / 2);
+    const s2 = Math.sin(rotation.y / 2);
+    const s3 = Math.sin(rotation.z / 2);
+
+    return {
+        x: s1 * c2 * c3 + c1 * s2 * s3,
+        y: c1 * s2 * c3 - s1 * c2 * s3,
+        z: c1 * c2 * s3 + s1 * s2 * c3,
+        w: c1 * c2 * c3 - s1 * s2 * s3
+    };
+}
+
+/**
+ * Inverse of a unit quaternion
+ */
+export function invertQuaternion(q) {
+    return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+/**
+ * Rotate vector v by unit quaternion q
+ */
+export function applyQuaternion(v, q) {
+    const tx = 2 * (q.y * v.z - q.z * v.y);
+    const ty = 2 * (q.z * v.x - q.x * v.z);
+    const tz = 2 * (q.x * v.y - q.y * v.x);
+
+    return {
+        x: v.x + q.w * tx + q.y * tz - q.z * ty,
+        y: v.y + q.w * ty + q.z * tx - q.x * tz,
+        z: v.z + q.w * tz + q.x * ty - q.y * tx
+    };
+}
+
+/**
+ * Build a transform for an object at `position` rotated by Euler `rotation` (radians)
+ */
+export function createTransform(position, rotation = { x: 0, y: 0, z: 0 }) {
+    const quaternion = quaternionFromEuler(rotation);
+    return {
+        position: { x: position.x, y: position.y, z: position.z },
+        quaternion,
+        inverseQuaternion: invertQuaternion(quaternion)
+    };
+}
+
+/**
+ * World point -> local space of the transform
+ */
+export function toLocalPoint(transform, x, y, z) {
+    const p = transform.position;
+    return applyQuaternion({ x: x - p.x, y: y - p.y, z: z - p.z }, transform.inverseQuaternion);
+}
+
+/**
+ * Local point -> world space
+ */
+export function toWorldPoint(transform, x, y, z) {
+    const v = applyQuaternion({ x, y, z }, transform.quaternion);
+    const p = transform.position;
+    return { x: v.x + p.x, y: v.y + p.y, z: v.z + p.z };
+}
+
+/**
+ * Local vector -> world space, rotation only (length preserved)
+ */
+export function toWorldVector(transform, x, y, z) {
+    return applyQuaternion({ x, y, z }, transform.quaternion);
+}
+
+/**
+ * Local direction -> normalized world direction (like THREE's transformDirection)
+ */
+export function toWorldDirection(transform, x, y, z) {
+    const v = toWorldVector(transform, x, y, z);
+    const len = Math.hypot(v.x, v.y, v.z);
+    if (len === 0) return v;
+    return { x: v.x / len, y: v.y / len, z: v.z / len };
+}
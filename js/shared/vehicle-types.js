@@ -0,0 +1,103 @@
+/**
+ * Vehicle Types - What each kind of vehicle is
+ * Shared by js/entities/vehicles.js and server/vehicles.js. No THREE/DOM imports.
+ *
+ * seats: in boarding order - the driver simulates the vehicle and can only
+ * fire their sidearm (DRIVER_SIDEARM), a passenger rides along with their
+ * full loadout. groundOffset: height of the vehicle's origin above the
+ * ground it stands on. hitbox: capsule along the vehicle's length the server
+ * tests shots against - halfLength/radius, centered `height` above the origin.
+ *
+ * Usage:
+ *   const { seats, maxHealth } = getVehicleType(vehicle.type);
+ *   const damage = getLandingDamage(impactSpeed);
+ *   if (!isInDriverArc(vehicle.rotation.y, direction)) ... // Driver can't shoot that way
+ */
+
+export const VEHICLE_TYPES = {
+    motorbike: {
+        name: 'Motorbike',
+        seats: ['driver'],
+        groundOffset: 0.35,
+        maxHealth: 150,
+        hitbox: { halfLength: 1.0, radius: 0.6, height: 0.3 }
+    },
+    buggy: {
+        name: 'Buggy',
+        seats: ['driver', 'passenger'],
+        groundOffset: 0.55,
+        maxHealth: 250,
+        hitbox: { halfLength: 1.3, radius: 1.0, height: 0.5 }
+    }
+};
+
+// Seat -> vehicle field holding the player in it
+export const SEAT_FIELDS = {
+    driver: 'riderId',
+    passenger: 'passengerId'
+};
+
+// Damage, wrecks and respawns
+export const VEHICLE_DAMAGE = {
+    riderShare: 0.25, // Of every hit on a vehicle, each rider takes this much too
+    hardLandingSpeed: 16, // m/s into the ground before a landing does damage (~5m drop)
+    landingDamagePerSpeed: 8, // Per m/s over hardLandingSpeed
+    throwSpeed: 26, // m/s into the ground that throws the riders off (~13m drop)
+    maxImpactSpeed: 60, // Reports are capped here (terminal velocity is 50)
+    explosionRadius: 8, // m
+    explosionDamage: 150, // At the wreck, down to nothing at explosionRadius
+    respawnDelayMs: 15000 // A wreck is back at its spawn after this
+};
+
+// Driver's sidearm - one hand off the bars: no aiming down sights, only
+// within the look arc around straight ahead (radians), and a wider spread
+export const DRIVER_SIDEARM = {
+    weapon: 'PISTOL',
+    maxYaw: 1.75, // ~100° either side
+    minPitch: -0.6,
+    maxPitch: 0.8,
+    spread: 0.05, // Cone half-angle shots go off in (rad)
+    arcTolerance: 0.35 // Server's allowance for the vehicle turning under a shot in flight
+};
+
+/**
+ * @returns {Object} The type's definition (a motorbike's for unknown types)
+ */
+export function getVehicleType(type) {
+    return VEHICLE_TYPES[type] || VEHICLE_TYPES.motorbike;
+}
+
+/**
+ * Damage a vehicle takes landing this fast into the ground
+ * @param {number} impactSpeed - m/s along the ground's normal
+ */
+export function getLandingDamage(impactSpeed) {
+    const excess = Math.min(impactSpeed, VEHICLE_DAMAGE.maxImpactSpeed) - VEHICLE_DAMAGE.hardLandingSpeed;
+    return excess > 0 ? Math.round(excess * VEHICLE_DAMAGE.landingDamagePerSpeed) : 0;
+}
+
+/**
+ * Damage from a wreck exploding this far away (m)
+ */
+export function getExplosionDamage(distance) {
+    const { explosionRadius, explosionDamage } = VEHICLE_DAMAGE;
+    if (!(distance < explosionRadius)) return 0;
+    return Math.round(explosionDamage * (1 - Math.max(0, distance) / explosionRadius));
+}
+
+/**
+ * Is a shot in the driver's look arc? Only the heading is checked - the
+ * vehicle's pitch and roll tilt the arc too much to bound the height.
+ * @param {number} vehicleYaw - rotation.y (the vehicle faces -z at 0)
+ * @param {{x: number, z: number}} direction - Shot direction
+ * @param {number} tolerance - Extra radians either side
+ */
+export function isInDriverArc(vehicleYaw, direction, tolerance = 0) {
+    const forwardX = -Math.sin(vehicleYaw);
+    const forwardZ = -Math.cos(vehicleYaw);
+    const angle = Math.atan2(
+        forwardX * direction.z - forwardZ * direction.x,
+        forwardX * direction.x + forwardZ * direction.z
+    );
+    return Math.abs(angle) <= DRIVER_SIDEARM.maxYaw + tolerance;
+}
@@ -0,0 +1,45 @@
+/**
+ * Vitals - Health / armor math
+ * Shared by the client and server.js - no THREE/DOM imports.
+ */
+
+export const MAX_HEALTH = 100;
+export const MAX_ARMOR = 150; // 3 plates
+
+// Health regeneration after taking no damage for a while
+export const REGEN_DELAY_MS = 10000; // 10 seconds
+export const REGEN_RATE = 10; // health per second
+
+/**
+ * Apply damage - armor absorbs first, the rest hits health
+ * @param {Object} vitals - { health, armor }
+ * @param {number} damage
+ * @returns {Object} { health, armor, absorbed, healthDamage }
+ */
+export function applyDamage(vitals, damage) {
+    let armor = isFinite(vitals.armor) ? vitals.armor : MAX_ARMOR;
+    let health = vitals.health;
+    let remaining = Math.max(0, damage);
+
+    const absorbed = Math.min(Math.max(armor, 0), remaining);
+    armor -= absorbed;
+    remaining -= absorbed;
+
+    const healthDamage = Math.min(health, remaining);
+    health = Math.max(0, health - remaining);
+
+    return { health, armor, absorbed, healthDamage };
+}
+
+/**
+ * Regenerate health
+ * @param {number} health - Current health (0 = dead, no regen)
+ * @param {number} msSinceDamage - Time since the last hit (ms)
+ * @param {number} delta - Frame time (s)
+ * @returns {number} New health
+ */
+export function regenerateHealth(health, msSinceDamage, delta) {
+    if (health <= 0 || health >= MAX_HEALTH) return health;
+    if (msSinceDamage <= REGEN_DELAY_MS) return health;
+    return Math.min(MAX_HEALTH, health + REGEN_RATE * delta);
+}
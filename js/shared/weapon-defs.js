@@ -0,0 +1,126 @@
+/**
+ * Weapon Definitions - Shared by the client and server.js
+ * Pure data + damage math, no THREE/DOM imports, so Node can load it directly.
+ *
+ * Balance changes go here. The gun modules in js/entities/guns/ spread these
+ * numbers into their *_DATA objects and only add visual config on top.
+ */
+
+export const WEAPON_DEFS = {
+    SMG: {
+        name: 'SMG',
+        damage: 12,
+        magSize: 50,
+        reserveAmmo: 150,
+        reloadTime: 1.5,
+        fireRate: 100,
+        barrelLength: 0.3,
+        zoomFOV: 60,
+        recoil: { hip: 0.03, ads: 0.01 },
+        spread: { hip: 0.015, ads: 0.005 },
+        falloff: { start: 20, end: 50, minMultiplier: 0.6 }
+    },
+    SMG2: {
+        name: 'SMG Type 2',
+        damage: 12,
+        magSize: 35,
+        reserveAmmo: 150,
+        reloadTime: 1.2,
+        fireRate: 150,
+        barrelLength: 0.3,
+        zoomFOV: 60,
+        recoil: { hip: 0.04, ads: 0.01 },
+        spread: { hip: 0.02, ads: 0.01 },
+        falloff: { start: 25, end: 60, minMultiplier: 0.6 }
+    },
+    PISTOL: {
+        name: 'Pistol',
+        damage: 20,
+        magSize: 30,
+        reserveAmmo: 120,
+        reloadTime: 2.0,
+        fireRate: 100,
+        barrelLength: 0.3,
+        zoomFOV: 50,
+        recoil: { hip: 0.03, ads: 0.01 },
+        spread: { hip: 0.02, ads: 0.005 },
+        falloff: { start: 15, end: 40, minMultiplier: 0.5 }
+    },
+    SNIPER: {
+        name: 'Sniper',
+        damage: 90,
+        magSize: 5,
+        reserveAmmo: 20,
+        reloadTime: 3.0,
+        fireRate: 800,
+        barrelLength: 0.6,
+        zoomFOV: 20,
+        recoil: { hip: 0.08, ads: 0.02 },
+        spread: { hip: 0.0, ads: 0.0 },
+        falloff: { start: 150, end: 400, minMultiplier: 0.8 }
+    },
+    CHLOBANATOR: {
+        name: 'CHLOBANATOR',
+        damage: 100,
+        magSize: 30,
+        reserveAmmo: 120,
+        reloadTime: 2.0,
+        fireRate: 100,
+        barrelLength: 0.3,
+        zoomFOV: 50,
+        recoil: { hip: 0.03, ads: 0.01 },
+        spread: { hip: 0.02, ads: 0.005 },
+        falloff: { start: 30, end: 80, minMultiplier: 0.7 }
+    }
+};
+
+// Damage multiplier per hit zone
+export const HIT_ZONE_MULTIPLIERS = {
+    head: 2.0,
+    torso: 1.0,
+    limbs: 0.75
+};
+
+export const DEFAULT_WEAPON = 'SMG';
+
+/**
+ * Resolve a weapon key sent over the network ('smg', 'SMG', ...)
+ * @returns {string|null} Key into WEAPON_DEFS or null if unknown
+ */
+export function normalizeWeaponKey(weapon) {
+    if (typeof weapon !== 'string') return null;
+    const key = weapon.toUpperCase();
+    return WEAPON_DEFS[key] ? key : null;
+}
+
+/**
+ * Distance falloff multiplier - full damage until falloff.start,
+ * linear down to falloff.minMultiplier at falloff.end
+ */
+export function getFalloffMultiplier(weaponKey, distance) {
+    const def = WEAPON_DEFS[weaponKey];
+    if (!def || !def.falloff || !(distance > 0)) return 1;
+
+    const { start, end, minMultiplier } = def.falloff;
+    if (distance <= start) return 1;
+    if (distance >= end) return minMultiplier;
+
+    const t = (distance - start) / (end - start);
+    return 1 + (minMultiplier - 1) * t;
+}
+
+/**
+ * Damage for a single hit
+ * @param {string} weaponKey - Key into WEAPON_DEFS
+ * @param {string} zone - 'head' | 'torso' | 'limbs'
+ * @param {number} distance - Shot distance in meters
+ * @returns {number} Rounded damage (0 for an unknown weapon)
+ */
+export function calculateDamage(weaponKey, zone, distance = 0) {
+    const def = WEAPON_DEFS[weaponKey];
+    if (!def) return 0;
+
+    const zoneMultiplier = HIT_ZONE_MULTIPLIERS[zone] ?? HIT_ZONE_MULTIPLIERS.torso;
+    const damage = def.damage * zoneMultiplier * getFalloffMultiplier(weaponKey, distance);
+    return Math.round(damage * 10) / 10;
+}
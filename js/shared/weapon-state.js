@@ -0,0 +1,100 @@
+/**
+ * Weapon State - Ammo, fire rate and reload timing for one equipped weapon
+ * Shared by the client and server.js - no THREE/DOM imports.
+ * Time is passed in (ms) so the same code runs on performance.now(),
+ * Date.now() or a simulated clock.
+ *
+ * Usage:
+ *   const weapon = new WeaponState('SMG');
+ *   if (weapon.tryFire(now) === 'fired') { ... }
+ *   weapon.startReload(now);
+ *   if (weapon.update(now)) { ... } // Reload finished
+ */
+
+import { WEAPON_DEFS, DEFAULT_WEAPON } from './weapon-defs.js';
+
+export class WeaponState {
+    constructor(weaponKey = DEFAULT_WEAPON) {
+        this.equip(weaponKey);
+    }
+
+    /**
+     * Switch weapon - full mag and reserve (simplified: refilled on swap for prototype)
+     */
+    equip(weaponKey) {
+        this.key = WEAPON_DEFS[weaponKey] ? weaponKey : DEFAULT_WEAPON;
+        this.def = WEAPON_DEFS[this.key];
+        this.ammo = this.def.magSize;
+        this.reserve = this.def.reserveAmmo;
+        this.lastShotTime = -Infinity;
+        this.reloadEndsAt = null;
+    }
+
+    get isReloading() {
+        return this.reloadEndsAt !== null;
+    }
+
+    /**
+     * Try to fire a shot at time `now` (ms)
+     * @returns {string} 'fired' | 'empty' | 'reloading' | 'cooldown'
+     */
+    tryFire(now) {
+        if (this.isReloading) return 'reloading';
+        if (this.ammo <= 0) return 'empty';
+        if (now - this.lastShotTime <= this.def.fireRate) return 'cooldown';
+
+        this.lastShotTime = now;
+        this.ammo--;
+        return 'fired';
+    }
+
+    /**
+     * Could a shot be fired at time `now` (ms)?
+     */
+    canFire(now) {
+        return !this.isReloading && this.ammo > 0 && now - this.lastShotTime > this.def.fireRate;
+    }
+
+    /**
+     * Start a reload
+     * @returns {boolean} False if already reloading, mag full or out of reserve
+     */
+    startReload(now) {
+        if (this.isReloading || this.ammo === this.def.magSize || this.reserve <= 0) return false;
+
+        this.reloadEndsAt = now + this.def.reloadTime * 1000;
+        return true;
+    }
+
+    /**
+     * Abort a reload without loading anything (reset / death)
+     */
+    cancelReload() {
+        this.reloadEndsAt = null;
+    }
+
+    /**
+     * 0..1 progress through the current reload (0 when not reloading)
+     */
+    getReloadProgress(now) {
+        if (!this.isReloading) return 0;
+        const duration = this.def.reloadTime * 1000;
+        return Math.min(1, 1 - (this.reloadEndsAt - now) / duration);
+    }
+
+    /**
+     * Advance timers
+     * @returns {boolean} True if a reload finished on this call
+     */
+    update(now) {
+        if (!this.isReloading || now < this.reloadEndsAt) return false;
+
+        const ammoNeeded = this.def.magSize - this.ammo;
+        const ammoToLoad = Math.min(ammoNeeded, this.reserve);
+
+        this.ammo += ammoToLoad;
+        this.reserve -= ammoToLoad;
+        this.reloadEndsAt = null;
+        return true;
+    }
+}
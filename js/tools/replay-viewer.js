@@ -0,0 +1,628 @@
+/**
+ * Replay Viewer - Plays recorded matches back in the real world
+ * Replays come from the server (GET /api/replays, written by server/replays.js)
+ * or a local .replay.gz file. Players are posed from the recorded snapshots;
+ * shots, kills and chat play out as they happened. Free camera, or follow a
+ * player through their own eyes.
+ *
+ * replay-viewer.html?file=<name> opens a server replay straight away.
+ */
+
+import * as THREE from 'three';
+
+// Import game assets
+import { createEnvironment, buildLights, preloadEnvironmentAssets } from '../locations/world.js';
+import { createMountains } from '../locations/mountains.js';
+import { createTrees, preloadTrees } from '../locations/trees.js';
+import { preloadRadioTower, createRadioTower } from '../locations/radiotower.js';
+import { preloadLookout, createLookout } from '../locations/lookout.js';
+import { preloadWarehouse, createWarehouse } from '../locations/warehouse.js';
+import { createFiringRange } from '../locations/firing-range.js';
+import { PublicCinema } from '../locations/public-cinema.js';
+import { createDirtJumps } from '../locations/dirt-jumps.js';
+import { CollisionManager } from '../shared/collisions.js';
+import { PlayerManager } from '../multiplayer/player-manager.js';
+import { lerpVector, lerpAngles } from '../multiplayer/interpolation.js';
+import { parseReplay, unpackSnapshotPlayers } from '../shared/replay-format.js';
+import { WEAPON_DEFS } from '../shared/weapon-defs.js';
+import { TEAMS, TEAM_IDS } from '../shared/game-modes.js';
+import { MAPS } from '../shared/maps.js';
+
+const SEEK_STEP_MS = 5000;
+const KILL_FEED_MS = 6000; // Kills stay in the feed this long (replay time)
+const CHAT_LINES = 8;
+
+// Free camera
+const FLY_SPEED = 20; // Units per second
+const FLY_FAST_MULTIPLIER = 4;
+const LOOK_SENSITIVITY = 0.002;
+
+const TRACER_LENGTH = 150;
+const TRACER_LIFE_MS = 150;
+
+let scene, camera, renderer;
+let playerManager;
+let lastFrameTime = performance.now();
+
+// Loaded replay: { header, duration, events (no snapshots), snapshots: [{ t, players: Map }], kills, chat }
+let replay = null;
+let currentTime = 0;
+let playing = false;
+let speed = 1;
+let nextEventIndex = 0; // Next discrete event to apply
+let matchState = null; // Latest 'match' event
+
+// Who is in the match at currentTime: id -> { name, team, dead }
+const roster = new Map();
+let rosterChanged = false;
+
+// Camera
+let followId = null;
+let yaw = 0;
+let pitch = -0.3;
+const heldKeys = new Set();
+let scrubbing = false;
+
+// Feed/chat only redrawn when what they show changes
+let shownFeedKey = '';
+let shownChatCount = -1;
+
+const els = {};
+
+function init() {
+    // 1. Scene Setup (same look as the game)
+    scene = new THREE.Scene();
+    scene.fog = new THREE.FogExp2(0xbba780, 0.003);
+
+    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera.position.set(0, 40, 60);
+    applyFreeLook();
+
+    renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
+    renderer.setClearColor(0xbba780, 1);
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = 0.6;
+    document.body.appendChild(renderer.domElement);
+
+    buildLights(scene);
+    playerManager = new PlayerManager(scene);
+
+    // 2. Load World
+    loadWorld();
+
+    // 3. UI + input
+    setupUI();
+    setupInput();
+    window.addEventListener('resize', onWindowResize);
+
+    loadReplayList();
+    const fileParam = new URLSearchParams(window.location.search).get('file');
+    if (fileParam) openServerReplay(fileParam);
+
+    renderer.setAnimationLoop(animate);
+}
+
+async function loadWorld() {
+    const loadingOverlay = document.getElementById('loading-overlay');
+
+    try {
+        console.log('🌍 Loading world assets...');
+        CollisionManager.setDebug(false);
+
+        const texLoader = new THREE.TextureLoader();
+        const sandTex = await new Promise(r => texLoader.load('assets/textures/sand.jpg', r, undefined, () => r(null)));
+
+        await Promise.all([
+            preloadEnvironmentAssets(renderer),
+            preloadTrees(),
+            preloadRadioTower(),
+            preloadLookout(),
+            preloadWarehouse()
+        ]);
+
+        createEnvironment(scene, renderer);
+        createMountains(scene, sandTex);
+        createTrees(scene);
+        createRadioTower(scene);
+        createLookout(scene);
+        createWarehouse(scene);
+        createFiringRange(scene);
+        createDirtJumps(scene);
+
+        // Cinema building (no video sync in a replay)
+        const mockSocket = { on: () => { }, emit: () => { } };
+        const cinema = new PublicCinema(scene, mockSocket);
+        if (cinema.css3dRenderer) {
+            cinema.css3dRenderer.domElement.style.pointerEvents = 'none';
+        }
+
+        console.log('✅ World Loaded!');
+        loadingOverlay.style.display = 'none';
+    } catch (err) {
+        console.error('Failed to load world:', err);
+        loadingOverlay.innerHTML = `Error: ${err.message}`;
+    }
+}
+
+// === LOADING REPLAYS ===
+
+async function loadReplayList() {
+    try {
+        const response = await fetch('/api/replays');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Server error (${response.status})`);
+
+        els.list.replaceChildren();
+        if (data.replays.length === 0) {
+            setMessage('No replays recorded yet');
+            return;
+        }
+        data.replays.forEach(({ file, size }) => {
+            const button = document.createElement('button');
+            button.dataset.file = file;
+            button.textContent = `${file.replace('.replay.gz', '')} (${Math.max(1, Math.round(size / 1024))} KB)`;
+            button.onclick = () => openServerReplay(file);
+            els.list.append(button);
+        });
+    } catch (error) {
+        console.warn('⚠️ Replays: could not list:', error.message);
+        setMessage(`Couldn't list server replays (${error.message}) - open a file instead`);
+    }
+}
+
+async function openServerReplay(file) {
+    setMessage(`Loading ${file}…`);
+    try {
+        const response = await fetch(`/api/replays/${encodeURIComponent(file)}`);
+        if (!response.ok) throw new Error(response.status === 404 ? 'Replay not found' : `Server error (${response.status})`);
+        openReplay(await gunzipText(await response.blob()), file);
+        els.list.querySelectorAll('button').forEach(b => b.classList.toggle('active', b.dataset.file === file));
+    } catch (error) {
+        console.warn('⚠️ Replays: could not load:', error.message);
+        setMessage(`Couldn't load ${file}: ${error.message}`);
+    }
+}
+
+async function openLocalReplay(file) {
+    setMessage(`Loading ${file.name}…`);
+    try {
+        openReplay(await gunzipText(file), file.name);
+    } catch (error) {
+        console.warn('⚠️ Replays: could not read file:', error.message);
+        setMessage(`Couldn't read ${file.name}: ${error.message}`);
+    }
+}
+
+function gunzipText(blob) {
+    return new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+}
+
+/**
+ * Index a parsed replay and start it from the top
+ */
+function openReplay(text, label) {
+    const parsed = parseReplay(text);
+    const snapshots = [];
+    const events = [];
+    parsed.events.forEach(event => {
+        if (event.type === 'snapshot') {
+            const players = unpackSnapshotPlayers(event.data);
+            snapshots.push({ t: event.t, players: new Map(players.map(p => [p.id, p])) });
+        } else {
+            events.push(event);
+        }
+    });
+
+    replay = {
+        header: parsed.header,
+        duration: parsed.duration,
+        events,
+        snapshots,
+        kills: events.filter(e => e.type === 'kill'),
+        chat: events.filter(e => e.type === 'chat')
+    };
+
+    const { header } = replay;
+    const map = MAPS[header.map];
+    els.title.textContent = `${header.roomName || header.roomId} · ${map ? map.name : header.map} · ${new Date(header.startedAt).toLocaleString()}`;
+    els.timeline.max = String(replay.duration);
+    setMessage(`${label}: ${formatTime(replay.duration)}, ${snapshots.length} snapshots`);
+    console.log(`📼 Loaded replay ${label} (${formatTime(replay.duration)})`);
+
+    setFollow(null);
+    seek(0);
+    setPlaying(true);
+}
+
+// === PLAYBACK ===
+
+function setPlaying(value) {
+    playing = !!replay && value;
+    if (playing && currentTime >= replay.duration) seek(0); // Play again from the top
+    els.play.textContent = playing ? '❚❚' : '▶';
+}
+
+/**
+ * Jump to a time - rebuilds the roster from the start without effects
+ */
+function seek(time) {
+    if (!replay) return;
+
+    playerManager.clear();
+    roster.clear();
+    rosterChanged = true;
+    matchState = null;
+    nextEventIndex = 0;
+    advanceTo(Math.max(0, Math.min(time, replay.duration)), false);
+}
+
+/**
+ * Apply every event up to `time`
+ * @param {boolean} live - Show shots (tracers/flashes) - off while seeking
+ */
+function advanceTo(time, live) {
+    const { events } = replay;
+    while (nextEventIndex < events.length && events[nextEventIndex].t <= time) {
+        applyEvent(events[nextEventIndex++], live);
+    }
+    currentTime = time;
+}
+
+function applyEvent({ t, type, data }, live) {
+    switch (type) {
+        case 'join': {
+            if (roster.has(data.id)) break;
+            roster.set(data.id, { name: data.name, team: data.team, dead: false });
+            const state = samplePlayers(t).get(data.id);
+            playerManager.addPlayer({ id: data.id, name: data.name, team: data.team, position: state && state.position });
+            rosterChanged = true;
+            break;
+        }
+        case 'leave':
+            roster.delete(data.id);
+            playerManager.removePlayer(data.id);
+            if (followId === data.id) setFollow(null);
+            rosterChanged = true;
+            break;
+        case 'respawn':
+            setDead(data.id, false);
+            break;
+        case 'kill': {
+            // Lay the body down where they fell
+            const state = samplePlayers(t).get(data.victimId);
+            if (state) posePlayer(data.victimId, state);
+            setDead(data.victimId, true);
+            break;
+        }
+        case 'fire':
+            if (live) showShot(data);
+            break;
+        case 'match':
+            matchState = data;
+            break;
+    }
+}
+
+function setDead(id, dead) {
+    const entry = roster.get(id);
+    if (!entry || entry.dead === dead) return;
+    entry.dead = dead;
+    playerManager.setPlayerDead(id, dead);
+}
+
+// === POSING ===
+
+/**
+ * Everyone's interpolated state at a replay time
+ * @returns {Map} id -> { position, rotation, health, weapon }
+ */
+function samplePlayers(time) {
+    const { snapshots } = replay;
+    const result = new Map();
+    if (snapshots.length === 0) return result;
+
+    // Last snapshot at or before `time`
+    let lo = 0;
+    let hi = snapshots.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (snapshots[mid].t <= time) lo = mid;
+        else hi = mid - 1;
+    }
+
+    const a = snapshots[lo];
+    const b = snapshots[lo + 1];
+    const k = b && time > a.t ? (time - a.t) / (b.t - a.t) : 0;
+
+    a.players.forEach((stateA, id) => {
+        const stateB = b && b.players.get(id);
+        if (!stateB || k <= 0) {
+            result.set(id, stateA);
+            return;
+        }
+        result.set(id, {
+            ...stateA,
+            position: lerpVector(stateA.position, stateB.position, k),
+            rotation: lerpAngles(stateA.rotation, stateB.rotation, k)
+        });
+    });
+    return result;
+}
+
+function posePlayer(id, state) {
+    const mesh = playerManager.getPlayer(id);
+    if (!mesh) return;
+
+    // Exact pose - PlayerManager only animates legs/nametags on top of it
+    playerManager.updatePlayerPosition(id, state.position, state.rotation);
+    mesh.position.set(state.position.x, state.position.y, state.position.z);
+    mesh.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z);
+}
+
+function posePlayers(states) {
+    states.forEach((state, id) => {
+        const entry = roster.get(id);
+        if (!entry || entry.dead) return;
+        posePlayer(id, state);
+        playerManager.updatePlayerHealth(id, state.health);
+    });
+}
+
+function showShot(shot) {
+    playerManager.showMuzzleFlash(shot.id);
+
+    const start = new THREE.Vector3(shot.position.x, shot.position.y, shot.position.z);
+    const direction = new THREE.Vector3(shot.direction.x, shot.direction.y, shot.direction.z).normalize();
+    const end = start.clone().addScaledVector(direction, TRACER_LENGTH);
+
+    const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+    const material = new THREE.LineBasicMaterial({ color: 0xffdd88, transparent: true, opacity: 0.6 });
+    const tracer = new THREE.Line(geometry, material);
+    scene.add(tracer);
+
+    setTimeout(() => {
+        scene.remove(tracer);
+        geometry.dispose();
+        material.dispose();
+    }, TRACER_LIFE_MS);
+}
+
+// === CAMERA ===
+
+function setFollow(id) {
+    // Show the previously followed player again
+    const previous = followId && playerManager.getPlayer(followId);
+    if (previous) previous.visible = true;
+
+    followId = id || null;
+    els.follow.value = followId || '';
+
+    if (!followId) {
+        // Carry on flying from where the followed view was
+        const euler = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(camera.quaternion);
+        yaw = euler.y;
+        pitch = euler.x;
+    }
+}
+
+function followNextPlayer() {
+    const ids = Array.from(roster.keys());
+    if (ids.length === 0) return;
+    const index = followId ? ids.indexOf(followId) : -1;
+    setFollow(index + 1 < ids.length ? ids[index + 1] : null);
+}
+
+function updateCamera(delta, states) {
+    if (followId) {
+        // Through their eyes (rotation is their camera's)
+        const state = states.get(followId);
+        const mesh = playerManager.getPlayer(followId);
+        if (mesh) mesh.visible = false;
+        if (state) {
+            camera.position.set(state.position.x, state.position.y, state.position.z);
+            camera.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z);
+        }
+        return;
+    }
+
+    const move = new THREE.Vector3(
+        (heldKeys.has('KeyD') ? 1 : 0) - (heldKeys.has('KeyA') ? 1 : 0),
+        (heldKeys.has('KeyE') ? 1 : 0) - (heldKeys.has('KeyQ') ? 1 : 0),
+        (heldKeys.has('KeyS') ? 1 : 0) - (heldKeys.has('KeyW') ? 1 : 0)
+    );
+    if (move.lengthSq() > 0) {
+        const fast = heldKeys.has('ShiftLeft') || heldKeys.has('ShiftRight');
+        move.normalize().multiplyScalar(FLY_SPEED * (fast ? FLY_FAST_MULTIPLIER : 1) * delta);
+        move.applyQuaternion(camera.quaternion);
+        camera.position.add(move);
+    }
+}
+
+function applyFreeLook() {
+    camera.quaternion.setFromEuler(new THREE.Euler(pitch, yaw, 0, 'YXZ'));
+}
+
+// === HUD ===
+
+function updateHud() {
+    els.time.textContent = `${formatTime(currentTime)} / ${formatTime(replay ? replay.duration : 0)}`;
+    if (!scrubbing) els.timeline.value = String(Math.round(currentTime));
+
+    els.match.textContent = matchState ? describeMatch(matchState) : '';
+
+    if (rosterChanged) {
+        rosterChanged = false;
+        const options = [new Option('Free camera', '')];
+        roster.forEach((entry, id) => options.push(new Option(`Follow ${entry.name}`, id)));
+        els.follow.replaceChildren(...options);
+        els.follow.value = followId || '';
+    }
+
+    if (replay) {
+        updateKillFeed();
+        updateChat();
+    }
+}
+
+function describeMatch(state) {
+    const parts = [state.modeName, String(state.state).toUpperCase()];
+    if (state.teams) {
+        parts.push(TEAM_IDS.map(team => `${TEAMS[team].name} ${state.teamScores[team] || 0}`).join(' - '));
+    } else if (state.leader) {
+        parts.push(`Leader: ${state.leader.name} (${state.leader.score})`);
+    }
+    return parts.join(' · ');
+}
+
+function updateKillFeed() {
+    const kills = replay.kills.filter(e => e.t <= currentTime && currentTime - e.t < KILL_FEED_MS);
+    const key = kills.map(e => e.t).join(',');
+    if (key === shownFeedKey) return;
+    shownFeedKey = key;
+
+    // Names are player input - text nodes only
+    els.feed.replaceChildren(...kills.map(({ data }) => {
+        const line = document.createElement('div');
+        line.className = 'feed-line';
+        const weapon = WEAPON_DEFS[data.weapon] ? WEAPON_DEFS[data.weapon].name : data.weapon;
+        const details = [
+            data.cause || weapon,
+            data.headshot ? 'headshot' : '',
+            data.wallbang ? 'wallbang' : '',
+            typeof data.distance === 'number' ? `${data.distance}m` : ''
+        ].filter(Boolean).join(', ');
+
+        const detailEl = document.createElement('span');
+        detailEl.className = 'feed-detail';
+        detailEl.textContent = ` [${details}] `;
+        line.append(document.createTextNode(data.killerName), detailEl, document.createTextNode(data.victimName));
+        return line;
+    }));
+}
+
+function updateChat() {
+    let count = 0;
+    while (count < replay.chat.length && replay.chat[count].t <= currentTime) count++;
+    if (count === shownChatCount) return;
+    shownChatCount = count;
+
+    els.chat.replaceChildren(...replay.chat.slice(Math.max(0, count - CHAT_LINES), count).map(({ t, data }) => {
+        const line = document.createElement('div');
+        line.className = 'chat-line';
+        const team = data.team && TEAMS[data.team];
+        if (team) line.style.color = team.color;
+        line.textContent = data.type === 'system'
+            ? `[${formatTime(t)}] ${data.message}`
+            : `[${formatTime(t)}] ${data.name}${data.type === 'emote' ? ' ' : ': '}${data.message}`;
+        return line;
+    }));
+}
+
+function setMessage(text) {
+    els.message.textContent = text;
+}
+
+/**
+ * 83500 -> "1:23"
+ */
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// === UI / INPUT ===
+
+function setupUI() {
+    ['list', 'message', 'title', 'match', 'feed', 'chat', 'play', 'timeline', 'time', 'speed', 'follow'].forEach(key => {
+        els[key] = document.getElementById(`replay-${key}`);
+    });
+
+    document.getElementById('replay-file').addEventListener('change', (e) => {
+        if (e.target.files[0]) openLocalReplay(e.target.files[0]);
+    });
+
+    const browser = document.getElementById('replay-browser');
+    const browserToggle = document.getElementById('replay-browser-toggle');
+    document.getElementById('replay-browser-close').onclick = () => {
+        browser.style.display = 'none';
+        browserToggle.style.display = 'block';
+    };
+    browserToggle.onclick = () => {
+        browser.style.display = 'flex';
+        browserToggle.style.display = 'none';
+        loadReplayList();
+    };
+
+    els.play.onclick = () => {
+        setPlaying(!playing);
+        els.play.blur(); // Space is our play/pause key - don't also "click" the button
+    };
+    els.speed.onchange = () => { speed = Number(els.speed.value); };
+    els.follow.onchange = () => setFollow(els.follow.value);
+
+    els.timeline.addEventListener('pointerdown', () => { scrubbing = true; });
+    els.timeline.addEventListener('pointerup', () => { scrubbing = false; });
+    els.timeline.addEventListener('input', () => seek(Number(els.timeline.value)));
+}
+
+function setupInput() {
+    const isTyping = (target) => !!target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+
+    renderer.domElement.addEventListener('click', () => renderer.domElement.requestPointerLock());
+
+    document.addEventListener('mousemove', (e) => {
+        if (document.pointerLockElement !== renderer.domElement || followId) return;
+        yaw -= e.movementX * LOOK_SENSITIVITY;
+        pitch = THREE.MathUtils.clamp(pitch - e.movementY * LOOK_SENSITIVITY, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+        applyFreeLook();
+    });
+
+    window.addEventListener('keydown', (e) => {
+        if (isTyping(e.target) && e.target.type !== 'range') return;
+        heldKeys.add(e.code);
+
+        switch (e.code) {
+            case 'Space': setPlaying(!playing); break;
+            case 'ArrowLeft': seek(currentTime - SEEK_STEP_MS); break;
+            case 'ArrowRight': seek(currentTime + SEEK_STEP_MS); break;
+            case 'KeyF': followNextPlayer(); break;
+            default: return;
+        }
+        e.preventDefault();
+    });
+    window.addEventListener('keyup', (e) => heldKeys.delete(e.code));
+    window.addEventListener('blur', () => heldKeys.clear());
+}
+
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+function animate() {
+    const now = performance.now();
+    const delta = Math.min((now - lastFrameTime) / 1000, 0.1);
+    lastFrameTime = now;
+
+    if (replay) {
+        if (playing) {
+            advanceTo(Math.min(currentTime + delta * 1000 * speed, replay.duration), true);
+            if (currentTime >= replay.duration) setPlaying(false);
+        }
+
+        const states = samplePlayers(currentTime);
+        posePlayers(states);
+        updateCamera(delta, states);
+        playerManager.update(camera, delta);
+    } else {
+        updateCamera(delta, new Map());
+    }
+
+    updateHud();
+    renderer.render(scene, camera);
+}
+
+init();
@@ -13,7 +13,7 @@ import { preloadWarehouse, createWarehouse } from '../locations/warehouse.js';
 import { createFiringRange } from '../locations/firing-range.js';
 import { PublicCinema } from '../locations/public-cinema.js';
 import { createDirtJumps } from '../locations/dirt-jumps.js';
-import { CollisionManager } from '../core/collisions.js';
+import { CollisionManager } from '../shared/collisions.js';
 
 let scene, camera, renderer;
 let orbitControls, transformControls;
@@ -3,14 +3,67 @@
  * Simple Socket.io server for real-time multiplayer
  */
 
-const express = require('express');
-const http = require('http');
-const socketIO = require('socket.io');
-const path = require('path');
+import express from 'express';
+import http from 'http';
+import { Server as SocketIOServer } from 'socket.io';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PositionHistory, validateHit, validateVehicleHit } from './server/lag-compensation.js';
+import { PlayerMovement, initServerWorld } from './server/movement-authority.js';
+import { DEFAULT_WEAPON, normalizeWeaponKey, calculateDamage } from './js/shared/weapon-defs.js';
+import { MOVEMENT_CONFIG } from './js/shared/movement.js';
+import { MAX_HEALTH, MAX_ARMOR, applyDamage } from './js/shared/vitals.js';
+import { DEFAULT_GAME_MODE, MATCH_STATES, GAME_MODES, normalizeGameMode } from './js/shared/game-modes.js';
+import { MAPS, normalizeMapId } from './js/shared/maps.js';
+import {
+    DEFAULT_ROOM_ID,
+    sanitizeRoomOptions,
+    generateRoomId,
+    createRoom,
+    getJoinBlockReason,
+    hashRoomPassword,
+    getRoomSummary,
+    isRoomExpired
+} from './server/rooms.js';
+import { SessionStore, SESSION_GRACE_MS } from './server/sessions.js';
+import { validatePayload } from './server/validation.js';
+import { RateLimiter, ViolationTracker, getRateLimit, RATE_LIMITS } from './server/anti-cheat.js';
+import { chooseSpawnPoint } from './server/spawns.js';
+import { buildChatMessage, createSystemMessage } from './server/chat.js';
+import { Match } from './server/match.js';
+import { ProfileStore } from './server/profiles.js';
+import { DamageLedger } from './server/damage-ledger.js';
+import { ReplayRecorder, listReplays, getReplayPath, pruneReplays, removePartialReplays } from './server/replays.js';
+import { packSnapshotPlayers } from './js/shared/replay-format.js';
+import {
+    createRoomVehicles,
+    claimVehicle,
+    releaseVehicle,
+    applyVehicleState,
+    getRiderLeash,
+    getVehicleRiders,
+    getRiderShotBlockReason,
+    damageVehicle,
+    isVehicleDueRespawn,
+    respawnVehicle
+} from './server/vehicles.js';
+import { getVehicleType, getLandingDamage, getExplosionDamage, VEHICLE_DAMAGE } from './js/shared/vehicle-types.js';
+import {
+    ADMIN_HELP,
+    BanList,
+    isAdminEnabled,
+    checkAdminSecret,
+    requireAdmin,
+    getSocketIp,
+    sanitizeAdminParams,
+    parseAdminCommand
+} from './server/admin.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIO(server, {
+const io = new SocketIOServer(server, {
     cors: {
         origin: "*",
         methods: ["GET", "POST"]
@@ -19,21 +72,80 @@ const io = socketIO(server, {
 
 const PORT = process.env.PORT || 3000;
 
-// Serve static files from the game directory
-app.use(express.static(path.join(__dirname)));
+// Server-side state (bans, ...) - not under anything served
+const DATA_DIR = path.join(__dirname, 'data');
+
+// Recorded matches - not under anything served; finished ones go out through
+// /api/replays/:file only, never the .part of a match still being recorded
+const REPLAY_DIR = path.join(__dirname, 'replays');
+
+// Only what the game loads is served - the directory also holds server
+// sources and data/, which a denylist can't keep in (encoded paths get past it).
+// New top-level files and asset folders have to be added here.
+const PUBLIC_DIRS = ['js', 'assets', 'extras'];
+const PUBLIC_FILES = [
+    'index.html', 'replay-viewer.html',
+    'world-editor.html', 'character-editor.html', 'collision-editor.html', 'gun-editor.html', 'editor2.html',
+    'style.css', 'favicon.svg', 'DW_LOGO.png', 'DW_LOGO.webp', 'nunya.png', 'test.hdr', 'test.mp4'
+];
+
+PUBLIC_DIRS.forEach(dir => app.use(`/${dir}`, express.static(path.join(__dirname, dir))));
+PUBLIC_FILES.forEach(file => app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file))));
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.use(express.json({ limit: '10kb' }));
+
+// The game may be served from another origin (file://, CDN) - allow it to call the API
+app.use('/api', (req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+});
 
 // Game state
-const players = new Map();
+const players = new Map(); // Keyed by player id (stable across reconnects, unlike socket.id)
 const rooms = new Map();
+const sessions = new SessionStore();
+const bans = new BanList(path.join(DATA_DIR, 'bans.json'));
+const profiles = new ProfileStore(path.join(DATA_DIR, 'profiles.json'));
 
 // Defaults
-const DEFAULT_SPAWN = { x: 0, y: 1.6, z: 0 };
+const GAME_MODE = normalizeGameMode(process.env.GAME_MODE) || DEFAULT_GAME_MODE;
+const MAX_ROOMS = 50;
+const MAX_ROOM_ID_LENGTH = 64;
+
+// Password checks through POST /api/rooms/:id/verify, keyed by IP
+const verifyLimiter = new RateLimiter();
+const VERIFY_LIMIT_IDLE_MS = 60 * 1000;
+
+// Server tick - world snapshots are batched per room at this rate
+const TICK_RATE = 20; // Hz
+
+let serverTick = 0;
+let tickInterval = null;
+
+// Round-trip ping of every player (and scoreboard refresh) this often
+const PING_INTERVAL_MS = 2000;
+const PING_TICKS = Math.round(PING_INTERVAL_MS * TICK_RATE / 1000);
+const PING_TIMEOUT_MS = 5000;
+const PING_SMOOTHING = 0.3; // Weight of the newest sample
+
+// Spectators only watch - events that act on the world are refused
+const SPECTATOR_BLOCKED_EVENTS = new Set([
+    'player-update', 'player-fired', 'player-hit', 'cinema-url',
+    'vehicle-enter', 'vehicle-exit', 'vehicle-update', 'vehicle-hit', 'vehicle-landed'
+]);
 
 // Helper functions
 function generatePlayerId() {
     return Math.random().toString(36).substring(2, 15);
 }
 
+function distanceBetween(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
 function getPlayerCount() {
     return players.size;
 }
@@ -44,245 +156,1477 @@ function getRoomPlayers(roomId) {
     return Array.from(room.players.values());
 }
 
+/**
+ * Register a new room
+ */
+function addRoom(roomId, options, permanent = false) {
+    const room = createRoom(roomId, options, permanent);
+    rooms.set(roomId, room);
+    console.log(`🏠 Room ${roomId} created: "${room.name}" (${room.match.rules.name}, max ${room.maxPlayers}${room.password ? ', locked' : ''})`);
+    return room;
+}
+
+function getRoomId(raw) {
+    return typeof raw === 'string' && raw.trim()
+        ? raw.trim().slice(0, MAX_ROOM_ID_LENGTH)
+        : DEFAULT_ROOM_ID;
+}
+
+function broadcastMatchState(room) {
+    const state = room.match.getState(room.players);
+    io.to(room.id).emit('match-state', state);
+    recordEvent(room, 'match', state);
+    broadcastScoreboard(room); // Kills/deaths changed with it
+}
+
+// --- Replays ---
+
+/**
+ * Start a new recording for a room (closing any current one) - everyone
+ * already in the room is written as a join so the file stands on its own
+ */
+function startRecording(room) {
+    stopRecording(room);
+    room.recorder = new ReplayRecorder(REPLAY_DIR, {
+        roomId: room.id,
+        roomName: room.name,
+        mode: room.match.modeKey,
+        map: room.map
+    });
+    room.players.forEach(player => {
+        recordEvent(room, 'join', { id: player.id, name: player.name, team: player.team });
+    });
+    recordEvent(room, 'match', room.match.getState(room.players));
+    pruneReplays(REPLAY_DIR);
+}
+
+/**
+ * @returns {Promise<void>} Resolves once the file is saved
+ */
+function stopRecording(room) {
+    const recorder = room.recorder;
+    room.recorder = null;
+    return recorder ? recorder.close() : Promise.resolve();
+}
+
+function recordEvent(room, type, data) {
+    if (room.recorder) room.recorder.record(type, data);
+}
+
+/**
+ * Everyone in the room with their stats and ping (hold-to-show scoreboard)
+ */
+function broadcastScoreboard(room) {
+    io.to(room.id).emit('scoreboard', {
+        teams: !!room.match.rules.teams,
+        players: room.match.getStandings(room.players).map(row => {
+            const player = room.players.get(row.id);
+            return { ...row, ping: player.ping, connected: player.connected };
+        })
+    });
+}
+
+/**
+ * Time a round trip to a player's client (smoothed, kept on player.ping)
+ */
+function measurePing(player) {
+    const socket = io.sockets.sockets.get(player.socketId);
+    if (!player.connected || !socket) return;
+
+    const sentAt = Date.now();
+    socket.timeout(PING_TIMEOUT_MS).emit('ping-check', sentAt, (error) => {
+        if (error) return; // No answer - keep the last value
+        const rtt = Date.now() - sentAt;
+        player.ping = player.ping === null ? rtt : Math.round(player.ping + (rtt - player.ping) * PING_SMOOTHING);
+    });
+}
+
+/**
+ * Server-only bookkeeping on a player (kept off the wire)
+ */
+function defineHiddenProperty(player, key, value) {
+    Object.defineProperty(player, key, { value, enumerable: false, writable: true });
+}
+
+/**
+ * Tell a (re)joined socket who it is and what's in the room
+ */
+function sendPlayerAssigned(socket, player, room, resumed) {
+    socket.emit('player-assigned', {
+        id: player.id,
+        sessionToken: player.sessionToken, // Rejoin with this to reclaim the player after a drop
+        resumed,
+        position: player.position,
+        health: player.health,
+        armor: player.armor,
+        isAlive: player.isAlive,
+        respawnAt: player.respawnAt, // Server time (ms) - died while away, the countdown carries on
+        score: player.score,
+        movement: MOVEMENT_CONFIG, // Clients predict with the same tunables we simulate with
+        team: player.team,
+        profile: { id: player.profileId, token: player.profileToken }, // Lifetime stats - keep the token to stay this profile
+        room: getRoomSummary(room),
+        match: room.match.getState(room.players),
+        players: getRoomPlayers(room.id).filter(p => p.id !== player.id),
+        vehicles: Array.from(room.vehicles.values())
+    });
+
+    // Catch up on the conversation
+    socket.emit('chat-history', { messages: room.chatHistory.getVisibleTo(player) });
+}
+
+/**
+ * Deliver a chat message to whoever its channel reaches (and keep it for late joiners)
+ */
+function deliverChatMessage(room, message) {
+    if (message.type === 'whisper') {
+        io.to(message.targetId).to(message.playerId).emit('chat-message', message);
+        return;
+    }
+
+    if (message.channel === 'team') {
+        room.players.forEach(player => {
+            if (player.team === message.team) io.to(player.id).emit('chat-message', message);
+        });
+    } else {
+        io.to(room.id).emit('chat-message', message);
+        recordEvent(room, 'chat', { name: message.playerName, team: message.team, type: message.type, message: message.message });
+    }
+    room.chatHistory.push(message);
+}
+
+/**
+ * Room capacity / password for a socket join. The password check is async, so
+ * the socket can't start a second join meanwhile, and the room has to still be open after it.
+ * @returns {Promise<string|null>} Reason they can't join, or null
+ */
+async function getSocketJoinBlockReason(socket, room, password, spectator = false) {
+    if (!room) return 'Room not found';
+
+    socket.data.joining = true;
+    try {
+        const reason = await getJoinBlockReason(room, password, spectator);
+        return reason || (rooms.get(room.id) === room ? null : 'Room not found');
+    } finally {
+        socket.data.joining = false;
+    }
+}
+
+/**
+ * Watch a room without playing - no spawn, no player slot, nothing to shoot.
+ * Spectators get the room's broadcasts (snapshots, kills, chat) but never
+ * appear in them.
+ */
+async function joinAsSpectator(socket, data) {
+    const roomId = getRoomId(data.roomId);
+    const room = rooms.get(roomId);
+
+    const joinBlockReason = await getSocketJoinBlockReason(socket, room, data.password, true);
+    if (!socket.connected) return;
+    if (joinBlockReason) {
+        console.log(`🚫 ${data.name || socket.id} couldn't spectate ${roomId}: ${joinBlockReason}`);
+        socket.emit('join-error', { roomId, reason: joinBlockReason });
+        return;
+    }
+
+    const spectator = {
+        id: generatePlayerId(),
+        name: data.name || `Spectator${room.spectators.size + 1}`,
+        team: null, // Sees room-wide chat only
+        roomId
+    };
+    room.spectators.set(spectator.id, spectator);
+    socket.data.spectator = spectator;
+    socket.join(roomId);
+
+    console.log(`👁️ ${spectator.name} is spectating ${roomId}`);
+    socket.emit('player-assigned', {
+        id: spectator.id,
+        spectator: true,
+        room: getRoomSummary(room),
+        match: room.match.getState(room.players),
+        players: getRoomPlayers(roomId),
+        vehicles: Array.from(room.vehicles.values())
+    });
+    socket.emit('chat-history', { messages: room.chatHistory.getVisibleTo(spectator) });
+}
+
+function removeSpectator(spectator) {
+    const room = rooms.get(spectator.roomId);
+    if (room) room.spectators.delete(spectator.id);
+    console.log(`👁️ ${spectator.name} stopped spectating ${spectator.roomId}`);
+}
+
+/**
+ * Reclaim a dropped player with their session token
+ * @returns {boolean} True if the socket took over an existing player
+ */
+function resumeSession(socket, token) {
+    const player = players.get(sessions.resolve(token));
+    const room = player && rooms.get(player.roomId);
+    if (!room) return false;
+
+    clearTimeout(player.graceTimer);
+    player.graceTimer = null;
+
+    // Same session open elsewhere (second tab, stale socket) - the newest one wins
+    const oldSocketId = player.socketId;
+    const wasConnected = player.connected;
+    player.socketId = socket.id;
+    player.ip = getSocketIp(socket);
+    player.playCreditedAt = Date.now(); // Time away doesn't count as played
+    if (wasConnected && oldSocketId !== socket.id) {
+        const oldSocket = io.sockets.sockets.get(oldSocketId);
+        if (oldSocket) oldSocket.disconnect(true);
+    }
+
+    player.connected = true;
+    socket.data.playerId = player.id;
+    socket.join(player.roomId);
+    socket.join(player.id); // Personal room for direct relays (voice signaling)
+
+    // Client restarts its input numbering on a fresh connection
+    player.movement.resume(player.position);
+
+    console.log(`🔁 ${player.name} resumed their session in ${player.roomId}`);
+    sendPlayerAssigned(socket, player, room, true);
+    if (!wasConnected) {
+        socket.to(player.roomId).emit('player-connection', { id: player.id, connected: true });
+    }
+    return true; // Still dead? respawnDuePlayers brings them back on time
+}
+
+/**
+ * Drop a player for good (grace period over)
+ */
+function removePlayer(player) {
+    if (player.connected) creditPlayTime(player);
+    clearTimeout(player.graceTimer);
+    sessions.revoke(player.sessionToken);
+    players.delete(player.id);
+
+    dismountPlayer(player);
+
+    const room = rooms.get(player.roomId);
+    if (room) {
+        room.players.delete(player.id);
+        recordEvent(room, 'leave', { id: player.id });
+        if (room.players.size === 0) {
+            room.emptySince = Date.now(); // Closed by the tick once it expires
+            stopRecording(room); // Nothing left to record
+        } else {
+            broadcastMatchState(room); // Leader / player count may have changed
+        }
+    }
+
+    io.to(player.roomId).emit('player-left', {
+        id: player.id,
+        name: player.name
+    });
+
+    console.log(`❌ ${player.name} left`);
+    console.log(`📊 Remaining players: ${getPlayerCount()}`);
+}
+
+/**
+ * Throw a socket out (and its player, without the reconnect grace period)
+ */
+function kickSocket(socket, reason) {
+    const player = players.get(socket.data.playerId);
+    if (player) removePlayer(player);
+
+    socket.emit('kicked', { reason });
+    socket.disconnect(true);
+}
+
+// Corrected movement -> violation type (see server/anti-cheat.js) - anything else is 'movement'
+const MOVEMENT_VIOLATIONS = {
+    'teleport': 'teleport',
+    'moved too fast': 'moved too fast',
+    'climbed higher than inputs allow': 'climb',
+    'below terrain': 'below terrain',
+    'away from vehicle': 'vehicle'
+};
+
+function getMovementViolation(reason) {
+    return MOVEMENT_VIOLATIONS[reason] || 'movement';
+}
+
+/**
+ * Full health/armor back at the spawn - tells everyone in the room
+ */
+function respawnPlayer(player) {
+    const room = rooms.get(player.roomId);
+    const spawn = chooseSpawnPoint(room.map, player, room.players, room.match);
+
+    dismountPlayer(player);
+    player.health = MAX_HEALTH;
+    player.armor = MAX_ARMOR;
+    player.isAlive = true;
+    player.respawnAt = null;
+    player.damageLedger.clear();
+    player.movement.reset(spawn.position);
+    player.position = { ...spawn.position };
+    player.rotation = { x: 0, y: spawn.yaw, z: 0 };
+
+    recordEvent(room, 'respawn', { id: player.id, position: player.position });
+    io.to(player.roomId).emit('player-respawned', {
+        id: player.id,
+        position: player.position,
+        yaw: spawn.yaw,
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * Bring back anyone whose respawn delay is over
+ */
+function respawnDuePlayers(room, now) {
+    room.players.forEach(player => {
+        if (!player.isAlive && player.respawnAt !== null && now >= player.respawnAt) {
+            respawnPlayer(player);
+        }
+    });
+}
+
+/**
+ * Add the time since the last credit to a player's lifetime time played
+ */
+function creditPlayTime(player, now = Date.now()) {
+    profiles.addPlayTime(player.profileId, (now - player.playCreditedAt) / 1000);
+    player.playCreditedAt = now;
+}
+
+// --- Damage ---
+
+/**
+ * Hurt a player - tells everyone, and handles the kill if it took the last of their health
+ * @param {Object} room
+ * @param {Object} target - Player taking the damage
+ * @param {Object|null} attacker - Player it's credited to (null = nobody: crashes, wrecks nobody shot)
+ * @param {Object} hit - { damage, weapon, zone, distance, wallbang, cause, source }
+ *   cause: what hurt them when it wasn't a bullet ('explosion', 'crash')
+ *   source: name shown for it when there's no attacker (the vehicle's)
+ */
+function damagePlayer(room, target, attacker, hit) {
+    const { damage, zone = 'torso', distance = 0, wallbang = false, cause = null } = hit;
+    const attackerName = attacker ? attacker.name : hit.source;
+
+    console.log(`   Before: HP=${target.health} Armor=${target.armor} Zone=${zone}`);
+    const armorBefore = target.armor;
+    // Apply damage to Armor first
+    const vitals = applyDamage(target, damage);
+    target.health = vitals.health;
+    target.armor = vitals.armor;
+    console.log(`   After: HP=${target.health} Armor=${target.armor} HealthDmg=${vitals.healthDamage}`);
+
+    // Friendly fire (and hurting yourself) never earns an assist
+    if (attacker && attacker.id !== target.id && !room.match.isTeammate(attacker, target)) {
+        target.damageLedger.record(attacker.id, damage);
+    }
+
+    // Notify all players about the hit
+    const damaged = {
+        targetId: target.id,
+        shooterId: attacker ? attacker.id : null,
+        shooterName: attackerName,
+        weapon: hit.weapon,
+        cause,
+        damage: damage,
+        zone: zone,
+        headshot: zone === 'head',
+        armorDamage: Math.max(0, armorBefore - target.armor), // Death recap
+        healthDamage: vitals.healthDamage,
+        health: target.health,
+        armor: target.armor, // Send armor status
+        timestamp: Date.now()
+    };
+    io.to(room.id).emit('player-damaged', damaged);
+    recordEvent(room, 'hit', damaged);
+
+    // Check if player died
+    if (target.health > 0 || !target.isAlive) return;
+
+    target.isAlive = false;
+    dismountPlayer(target); // Falls off before anyone sees the corpse
+    target.respawnAt = Date.now() + room.match.rules.respawnDelay * 1000;
+    const kill = room.match.recordKill(attacker, target, room.players);
+    profiles.recordKill(attacker ? attacker.profileId : null, target.profileId, {
+        weapon: hit.weapon,
+        headshot: zone === 'head',
+        distance,
+        teamKill: kill.teamKill
+    });
+
+    // Everyone else who did enough damage recently
+    const assisters = target.damageLedger.getAssisters(attacker ? attacker.id : null)
+        .map(id => room.players.get(id))
+        .filter(Boolean);
+    assisters.forEach(assister => {
+        assister.assists++;
+        profiles.recordAssist(assister.profileId);
+    });
+    target.damageLedger.clear();
+
+    const killEvent = {
+        victimId: target.id,
+        victimName: target.name,
+        killerId: attacker ? attacker.id : null,
+        killerName: attackerName,
+        killerScore: attacker ? attacker.score : null,
+        teamKill: kill.teamKill,
+        weapon: hit.weapon,
+        cause,
+        headshot: zone === 'head',
+        distance: Math.round(distance * 10) / 10,
+        wallbang,
+        vehicle: !!(attacker && attacker.vehicleId),
+        assists: assisters.map(assister => ({ id: assister.id, name: assister.name })),
+        respawnAt: target.respawnAt,
+        timestamp: Date.now()
+    };
+    io.to(room.id).emit('player-killed', killEvent);
+    recordEvent(room, 'kill', killEvent);
+
+    console.log(`💀 ${attackerName} eliminated ${target.name} (${cause || hit.weapon}, ${distance.toFixed(1)}m${zone === 'head' ? ', headshot' : ''}${wallbang ? ', wallbang' : ''})${kill.teamKill ? ' (team kill)' : ''}${assisters.length ? ` assisted by ${assisters.map(a => a.name).join(', ')}` : ''}`);
+
+    if (kill.scoreLimitReached) {
+        endMatch(room, 'score');
+    } else {
+        broadcastMatchState(room); // Scores changed
+    }
+}
+
+// --- Vehicles ---
+
+/**
+ * Take a player off their vehicle, if they're on one - tells everyone in the room
+ */
+function dismountPlayer(player) {
+    if (!player.vehicleId) return;
+
+    const room = rooms.get(player.roomId);
+    const vehicle = room && room.vehicles.get(player.vehicleId);
+    const seat = vehicle ? releaseVehicle(vehicle, player) : null;
+    if (!seat) {
+        player.vehicleId = null; // Vehicle went away with a reset
+        return;
+    }
+
+    console.log(`🚶 ${player.name} got off ${vehicle.id} (${seat})`);
+    io.to(room.id).emit('vehicle-exited', {
+        vehicleId: vehicle.id,
+        playerId: player.id,
+        seat,
+        position: vehicle.position,
+        rotation: vehicle.rotation
+    });
+}
+
+/**
+ * Shots from a vehicle seat - drivers only get their sidearm, inside its arc
+ * @returns {string|null} Why the shot doesn't count, or null
+ */
+function getSeatShotBlockReason(room, shooter, direction) {
+    const vehicle = shooter.vehicleId && room.vehicles.get(shooter.vehicleId);
+    return vehicle ? getRiderShotBlockReason(vehicle, shooter, direction) : null;
+}
+
+/**
+ * Damage a vehicle and everyone riding it (their share of it) - wrecks it
+ * at 0 health
+ * @param {Object|null} attacker - Who shot it (null = a hard landing)
+ * @param {Object} hit - { damage, weapon, distance, cause } (see damagePlayer)
+ */
+function damageRoomVehicle(room, vehicle, attacker, hit) {
+    const riders = getVehicleRiders(vehicle, room.players);
+    const source = getVehicleType(vehicle.type).name;
+    const wrecked = damageVehicle(vehicle, hit.damage);
+    console.log(`🔧 ${vehicle.id} took ${hit.damage} (${attacker ? attacker.name : hit.cause}) - ${vehicle.health} left`);
+
+    // Riders feel it through the vehicle - teammates' shots only hurt with friendly fire
+    const share = Math.round(hit.damage * VEHICLE_DAMAGE.riderShare * 10) / 10;
+    riders.forEach(rider => {
+        if (!rider.isAlive || share <= 0) return;
+        if (attacker && room.match.getDamageBlockReason(attacker, rider)) return;
+        damagePlayer(room, rider, attacker, { ...hit, damage: share, source });
+    });
+
+    if (wrecked) wreckVehicle(room, vehicle, attacker);
+}
+
+/**
+ * A vehicle ran out of health - everyone off, and it blows up, hurting
+ * whoever is close (credited to whoever wrecked it)
+ */
+function wreckVehicle(room, vehicle, attacker) {
+    getVehicleRiders(vehicle, room.players).forEach(dismountPlayer);
+
+    console.log(`💥 ${vehicle.id} wrecked${attacker ? ` by ${attacker.name}` : ''}`);
+    io.to(room.id).emit('vehicle-destroyed', {
+        vehicleId: vehicle.id,
+        position: vehicle.position,
+        attackerId: attacker ? attacker.id : null,
+        respawnAt: vehicle.respawnAt,
+        timestamp: Date.now()
+    });
+
+    if (room.match.state === MATCH_STATES.ENDED) return;
+
+    const source = getVehicleType(vehicle.type).name;
+    room.players.forEach(player => {
+        if (!player.isAlive) return;
+        if (attacker && player !== attacker && room.match.getDamageBlockReason(attacker, player)) return;
+
+        const damage = getExplosionDamage(distanceBetween(player.position, vehicle.position));
+        if (damage <= 0) return;
+        damagePlayer(room, player, attacker, {
+            damage,
+            weapon: attacker ? attacker.weapon : null,
+            cause: 'explosion',
+            distance: attacker ? distanceBetween(attacker.position, player.position) : 0,
+            source
+        });
+    });
+}
+
+/**
+ * Bring back any wreck whose respawn delay is over
+ */
+function respawnDueVehicles(room, now) {
+    room.vehicles.forEach(vehicle => {
+        if (!isVehicleDueRespawn(vehicle, now)) return;
+
+        respawnVehicle(vehicle);
+        console.log(`🏍️ ${vehicle.id} respawned`);
+        io.to(room.id).emit('vehicle-respawned', {
+            vehicleId: vehicle.id,
+            position: vehicle.position,
+            rotation: vehicle.rotation,
+            health: vehicle.health
+        });
+    });
+}
+
+/**
+ * Everyone off, vehicles back at the map's spawns (new match / map)
+ */
+function resetRoomVehicles(room) {
+    room.players.forEach(dismountPlayer);
+    room.vehicles = createRoomVehicles(room.map);
+}
+
+// --- Admin ---
+
+/**
+ * Server notice to everyone in a room (kept in the chat history)
+ */
+function announce(room, text) {
+    deliverChatMessage(room, createSystemMessage(text));
+}
+
+/**
+ * Remove a player right away - connected or holding a spot in the grace period
+ */
+function kickPlayer(player, reason) {
+    const socket = io.sockets.sockets.get(player.socketId);
+    if (player.connected && socket) {
+        kickSocket(socket, reason);
+    } else {
+        removePlayer(player);
+    }
+}
+
+/**
+ * Start a fresh match in a room (new mode or map) - scores wiped, teams
+ * redrawn, everyone respawned and re-sent their room state
+ */
+function restartMatch(room, modeKey) {
+    resetRoomVehicles(room);
+    room.match = new Match(modeKey, room.rules);
+    room.match.resetScores(room.players);
+
+    room.players.forEach(player => { player.team = null; });
+    room.players.forEach(player => {
+        player.team = room.match.assignTeam(room.players.values());
+    });
+
+    room.players.forEach(player => {
+        respawnPlayer(player);
+        const socket = io.sockets.sockets.get(player.socketId);
+        if (player.connected && socket) sendPlayerAssigned(socket, player, room, true);
+    });
+    startRecording(room); // A new match gets its own replay
+}
+
+/**
+ * Run a moderation action (chat command or /admin page)
+ * @param {Object} room - Room the action applies to
+ * @param {string} action - One of ADMIN_ACTIONS
+ * @param {Object} params - From parseAdminCommand / sanitizeAdminParams
+ * @param {string} actorName - Who did it (logs, ban list)
+ * @returns {Object} { result } text for the admin, or { error }
+ */
+function runAdminAction(room, action, params, actorName) {
+    const target = params.playerId ? room.players.get(params.playerId) : null;
+    if (params.playerId && !target) return { error: 'Player not found' };
+
+    const reason = params.reason ? `: ${params.reason}` : '';
+    let result;
+
+    switch (action) {
+        case 'kick':
+            kickPlayer(target, `Kicked by an admin${reason}`);
+            announce(room, `${target.name} was kicked${reason}`);
+            result = `Kicked ${target.name}`;
+            break;
+
+        case 'ban':
+            bans.add({
+                ip: target.ip,
+                sessionToken: target.sessionToken,
+                name: target.name,
+                reason: params.reason || '',
+                bannedBy: actorName
+            });
+            kickPlayer(target, `Banned by an admin${reason}`);
+            announce(room, `${target.name} was banned${reason}`);
+            result = `Banned ${target.name} (${target.ip})`;
+            break;
+
+        case 'unban': {
+            const removed = bans.remove(params.ip);
+            if (!removed) return { error: `No ban for ${params.ip}` };
+            result = `Lifted ${removed} ban(s) for ${params.ip}`;
+            break;
+        }
+
+        case 'mute':
+            target.mutedUntil = Date.now() + params.minutes * 60000;
+            io.to(target.id).emit('chat-message', createSystemMessage(`You were muted for ${params.minutes} min`));
+            result = `Muted ${target.name} for ${params.minutes} min`;
+            break;
+
+        case 'unmute':
+            target.mutedUntil = 0;
+            io.to(target.id).emit('chat-message', createSystemMessage('You can chat again'));
+            result = `Unmuted ${target.name}`;
+            break;
+
+        case 'mode': {
+            const modeKey = normalizeGameMode(params.mode);
+            if (!modeKey) return { error: `Unknown mode (try ${Object.keys(GAME_MODES).join(', ')})` };
+            restartMatch(room, modeKey);
+            announce(room, `An admin changed the mode to ${room.match.rules.name}`);
+            result = `Mode set to ${room.match.rules.name}`;
+            break;
+        }
+
+        case 'map': {
+            const mapId = normalizeMapId(params.map);
+            if (!mapId) return { error: `Unknown map (try ${Object.keys(MAPS).join(', ')})` };
+            room.map = mapId;
+            restartMatch(room, room.match.modeKey);
+            announce(room, `An admin changed the map to ${MAPS[mapId].name}`);
+            result = `Map set to ${MAPS[mapId].name}`;
+            break;
+        }
+
+        case 'endmatch':
+            if (room.match.state === MATCH_STATES.ENDED) return { error: 'The match is already over' };
+            endMatch(room, 'admin');
+            announce(room, 'An admin ended the match');
+            result = 'Match ended';
+            break;
+
+        default:
+            return { error: `Unknown action ${action}` };
+    }
+
+    console.log(`🛡️ ${actorName} in ${room.id}: ${result}`);
+    return { result };
+}
+
+// The public room everyone lands in by default
+addRoom(DEFAULT_ROOM_ID, { name: 'Public', mode: GAME_MODE }, true);
+
+// --- Lobby API ---
+
+// List rooms (busiest first)
+app.get('/api/rooms', (req, res) => {
+    const list = Array.from(rooms.values())
+        .map(getRoomSummary)
+        .sort((a, b) => b.players - a.players);
+    res.json({ rooms: list });
+});
+
+app.get('/api/rooms/:id', (req, res) => {
+    const room = rooms.get(req.params.id);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    res.json({ room: getRoomSummary(room) });
+});
+
+// Create a room - { name, mode, map, maxPlayers, password, rules: { scoreLimit, timeLimit, friendlyFire } }
+app.post('/api/rooms', async (req, res) => {
+    const { options, error } = sanitizeRoomOptions(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const passwordHash = options.password ? await hashRoomPassword(options.password) : null;
+    if (rooms.size >= MAX_ROOMS) {
+        return res.status(503).json({ error: 'Too many rooms open, try again later' });
+    }
+
+    const room = addRoom(generateRoomId(), { ...options, passwordHash });
+    res.status(201).json({ room: getRoomSummary(room) });
+});
+
+// Lifetime stats of a profile (the id comes with 'player-assigned')
+app.get('/api/players/:id/stats', (req, res) => {
+    const stats = profiles.getStats(req.params.id);
+    if (!stats) return res.status(404).json({ error: 'Player not found' });
+    res.json(stats);
+});
+
+// --- Replays API ---
+
+// Finished match recordings, newest first
+app.get('/api/replays', async (req, res) => {
+    try {
+        res.json({ replays: await listReplays(REPLAY_DIR) });
+    } catch (error) {
+        console.error('❌ Couldn\'t list replays:', error.message);
+        res.status(500).json({ error: 'Couldn\'t list replays' });
+    }
+});
+
+// One replay file (gzipped - the viewer unpacks it)
+app.get('/api/replays/:file', (req, res) => {
+    const filePath = getReplayPath(REPLAY_DIR, req.params.file);
+    if (!filePath) return res.status(404).json({ error: 'Replay not found' });
+
+    res.sendFile(filePath, { headers: { 'Content-Type': 'application/gzip' } }, (error) => {
+        if (error && !res.headersSent) res.status(404).json({ error: 'Replay not found' });
+    });
+});
+
+// Check a password / free slot before connecting (the socket join checks again)
+app.post('/api/rooms/:id/verify', async (req, res) => {
+    verifyLimiter.prune(VERIFY_LIMIT_IDLE_MS);
+    if (!verifyLimiter.allow(req.ip, RATE_LIMITS['room-verify'])) {
+        return res.status(429).json({ error: 'Too many attempts, try again later' });
+    }
+
+    const room = rooms.get(req.params.id);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+
+    const body = req.body || {};
+    const reason = await getJoinBlockReason(room, body.password, body.spectator === true);
+    if (reason) return res.status(403).json({ error: reason });
+    res.json({ room: getRoomSummary(room) });
+});
+
+// --- Admin Page (HTTP basic auth, password = ADMIN_SECRET) ---
+
+app.use('/admin', requireAdmin);
+
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'server', 'admin.html'));
+});
+
+// Every room with its players (including what moderation needs: IPs, mutes)
+app.get('/admin/api/rooms', (req, res) => {
+    const now = Date.now();
+    const list = Array.from(rooms.values()).map(room => ({
+        ...getRoomSummary(room),
+        players: getRoomPlayers(room.id).map(player => ({
+            id: player.id,
+            name: player.name,
+            team: player.team,
+            score: player.score,
+            connected: player.connected,
+            ip: player.ip,
+            muted: player.mutedUntil > now
+        }))
+    }));
+    res.json({ rooms: list });
+});
+
+app.get('/admin/api/bans', (req, res) => {
+    res.json({ bans: bans.list() });
+});
+
+// { action, playerId, reason, minutes, mode, map } - see ADMIN_ACTIONS
+app.post('/admin/api/rooms/:id/actions', (req, res) => {
+    const room = rooms.get(req.params.id);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+
+    const body = req.body || {};
+    const { params, error } = sanitizeAdminParams(body.action, body);
+    if (error) return res.status(400).json({ error });
+
+    const outcome = runAdminAction(room, body.action, params, `admin page (${req.ip})`);
+    if (outcome.error) return res.status(400).json({ error: outcome.error });
+    res.json(outcome);
+});
+
+app.post('/admin/api/unban', (req, res) => {
+    const { params, error } = sanitizeAdminParams('unban', req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const removed = bans.remove(params.ip);
+    if (!removed) return res.status(404).json({ error: `No ban for ${params.ip}` });
+    console.log(`🛡️ admin page (${req.ip}): lifted ${removed} ban(s) for ${params.ip}`);
+    res.json({ result: `Lifted ${removed} ban(s)` });
+});
+
+// Banned addresses don't get a socket at all
+io.use((socket, next) => {
+    const ban = bans.find({ ip: getSocketIp(socket) });
+    if (!ban) return next();
+
+    const error = new Error(`Banned from this server${ban.reason ? `: ${ban.reason}` : ''}`);
+    error.data = { banned: true };
+    next(error);
+});
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
     console.log(`✅ Player connected: ${socket.id}`);
 
+    // Player this socket speaks for (set on join / resume)
+    const getPlayer = () => players.get(socket.data.playerId);
+
+    const rateLimiter = new RateLimiter();
+    const violations = new ViolationTracker();
+
+    /**
+     * Log a violation and escalate (drop -> warn -> kick)
+     * @returns {string} Action taken
+     */
+    const reportViolation = (type, detail) => {
+        const player = getPlayer() || socket.data.spectator;
+        const action = violations.record(type);
+        console.log(`🚨 ${player ? player.name : socket.id}: ${type} (${detail}) -> ${action}`);
+
+        if (action === 'warn') {
+            socket.emit('server-warning', { reason: type, message: `Warning: ${type}. Keep it up and you'll be kicked.` });
+        } else if (action === 'kick') {
+            kickSocket(socket, `Kicked: ${type}`);
+        }
+        return action;
+    };
+
+    /**
+     * Handle a client event - payload checked against its schema and rate limited first
+     */
+    const on = (event, handler) => {
+        socket.on(event, (raw) => {
+            const { value, error } = validatePayload(event, raw);
+            if (error) {
+                reportViolation('invalid payload', `${event}: ${error}`);
+                return;
+            }
+
+            if (socket.data.spectator && SPECTATOR_BLOCKED_EVENTS.has(event)) {
+                reportViolation('spectator action', event);
+                return;
+            }
+
+            const player = getPlayer();
+            if (!rateLimiter.allow(event, getRateLimit(event, player && player.weapon))) {
+                reportViolation('rate limit', event);
+                return;
+            }
+
+            handler(value);
+        });
+    };
+
     // Handle player join
-    socket.on('player-join', (data) => {
-        const playerId = socket.id;
+    on('player-join', async (data) => {
+        if (socket.data.playerId || socket.data.spectator || socket.data.joining) return; // Already in
+
+        // Banned session (the IP was already checked on connect)
+        if (data.sessionToken && bans.isBanned({ sessionToken: data.sessionToken })) {
+            socket.emit('kicked', { reason: 'Banned from this server' });
+            socket.disconnect(true);
+            return;
+        }
+
+        if (data.spectator) {
+            joinAsSpectator(socket, data);
+            return;
+        }
+
+        // Reclaim a dropped session instead of starting over
+        if (data.sessionToken && resumeSession(socket, data.sessionToken)) return;
+
+        const playerId = generatePlayerId();
+        const roomId = getRoomId(data.roomId);
+        const room = rooms.get(roomId); // Rooms are only made through POST /api/rooms
+
+        // Room capacity / password
+        const joinBlockReason = await getSocketJoinBlockReason(socket, room, data.password);
+        if (!socket.connected) return;
+        if (joinBlockReason) {
+            console.log(`🚫 ${data.name || playerId} couldn't join ${roomId}: ${joinBlockReason}`);
+            socket.emit('join-error', { roomId, reason: joinBlockReason });
+            return;
+        }
+
         const playerData = {
             id: playerId,
             name: data.name || `Player${getPlayerCount() + 1}`,
-            position: data.position && typeof data.position.y === 'number'
-                ? data.position
-                : { ...DEFAULT_SPAWN },
+            position: null, // Spawn point below
             rotation: { x: 0, y: 0, z: 0 },
-            health: 100,
+            health: MAX_HEALTH,
 
-            armor: 150, // Start with full armor
-            weapon: 'smg',
+            armor: MAX_ARMOR, // Start with full armor
+            weapon: DEFAULT_WEAPON,
             isAlive: true,
+            respawnAt: null, // Server time (ms) a dead player comes back
             score: 0,
-            roomId: data.roomId || 'default'
+            kills: 0,
+            deaths: 0,
+            assists: 0,
+            team: room.match.assignTeam(room.players.values()),
+            connected: true,
+            roomId
         };
 
+        // SERVER AUTHORITY: Everyone starts at a spawn point we pick, whatever the client says
+        const spawn = chooseSpawnPoint(room.map, playerData, room.players, room.match);
+        playerData.position = spawn.position;
+        playerData.rotation.y = spawn.yaw;
+
+        // Connection + session (kept off the wire)
+        defineHiddenProperty(playerData, 'socketId', socket.id);
+        defineHiddenProperty(playerData, 'sessionToken', sessions.issue(playerId));
+        defineHiddenProperty(playerData, 'graceTimer', null);
+        defineHiddenProperty(playerData, 'ping', null); // Round trip (ms), measured every PING_INTERVAL_MS
+
+        // Combat bookkeeping (kept off the wire)
+        defineHiddenProperty(playerData, 'damageLedger', new DamageLedger()); // Recent attackers, for assists
+        defineHiddenProperty(playerData, 'vehicleId', null); // Vehicle they're riding (server/vehicles.js)
+
+        // Lifetime stats (kept off the wire - the token is this player's secret)
+        const profile = profiles.resolve(data.profileToken, playerData.name);
+        defineHiddenProperty(playerData, 'profileId', profile.profile.id);
+        defineHiddenProperty(playerData, 'profileToken', profile.token || data.profileToken);
+        defineHiddenProperty(playerData, 'playCreditedAt', Date.now());
+
+        // Moderation (kept off the wire)
+        defineHiddenProperty(playerData, 'ip', getSocketIp(socket));
+        defineHiddenProperty(playerData, 'isAdmin', false);
+        defineHiddenProperty(playerData, 'mutedUntil', 0);
+
+        // Position history for lag compensation (kept off the wire)
+        Object.defineProperty(playerData, 'history', {
+            value: new PositionHistory(),
+            enumerable: false
+        });
+        playerData.history.record(Date.now(), playerData.position, playerData.rotation);
+
+        // Authoritative movement simulation (also kept off the wire)
+        Object.defineProperty(playerData, 'movement', {
+            value: new PlayerMovement(playerData.position),
+            enumerable: false
+        });
+
         players.set(playerId, playerData);
+        socket.data.playerId = playerId;
 
         // Join room
-        const roomId = playerData.roomId;
         socket.join(roomId);
+        socket.join(playerId); // Personal room for direct relays (voice signaling)
+        room.players.set(playerId, playerData);
 
-        if (!rooms.has(roomId)) {
-            rooms.set(roomId, {
-                id: roomId,
-                players: new Map()
-            });
-        }
-        rooms.get(roomId).players.set(playerId, playerData);
-
-        console.log(`👤 ${playerData.name} joined room: ${roomId}`);
+        console.log(`👤 ${playerData.name} joined room: ${roomId}${playerData.team ? ` (team ${playerData.team})` : ''}`);
         console.log(`📊 Total players: ${getPlayerCount()}`);
 
+        // First one in starts the recording (which writes their join)
+        if (room.recorder) {
+            recordEvent(room, 'join', { id: playerId, name: playerData.name, team: playerData.team });
+        } else {
+            startRecording(room);
+        }
+
         // Send current player their ID and existing players
-        socket.emit('player-assigned', {
-            id: playerId,
-            players: getRoomPlayers(roomId).filter(p => p.id !== playerId)
-        });
+        sendPlayerAssigned(socket, playerData, room, false);
 
         // Notify others in the room about new player
         socket.to(roomId).emit('player-joined', playerData);
+        socket.to(roomId).emit('match-state', room.match.getState(room.players));
     });
 
     // Handle player position updates
-    socket.on('player-update', (data) => {
-        const playerId = socket.id;
-        const player = players.get(playerId);
+    on('player-update', (data) => {
+        const player = getPlayer();
 
         if (player) {
-            // Update player data
-            player.position = data.position;
-            player.rotation = data.rotation;
-            player.weapon = data.weapon;
-            // player.health = data.health; // SERVER AUTHORITY: Ignore client health updates
+            // SERVER AUTHORITY: Re-simulate the client's inputs rather than trusting its position
+            // (none = standing still) - riders are kept with their vehicle instead
+            const room = rooms.get(player.roomId);
+            const vehicle = player.vehicleId && room.vehicles.get(player.vehicleId);
+            const ack = vehicle
+                ? player.movement.applyPosition(data.position, vehicle.position, getRiderLeash(vehicle, player.id))
+                : player.movement.applyInputs(data.inputs || [], data.position);
 
-            // Broadcast to others in the same room (but not to sender)
-            socket.to(player.roomId).emit('player-moved', {
-                id: playerId,
-                position: data.position,
-                rotation: data.rotation,
-                weapon: data.weapon,
-                health: data.health,
-                timestamp: Date.now()
-            });
+            socket.emit('movement-ack', ack);
+
+            // Updates sent before the client heard about a respawn/resume aren't cheating
+            if (ack.corrected && !player.movement.wasJustReset() && reportViolation(getMovementViolation(ack.reason), `corrected: ${ack.reason}`) === 'kick') {
+                return;
+            }
+
+            // Update player data - broadcast on the next server tick
+            player.position = { ...player.movement.position };
+            if (data.rotation) {
+                player.rotation = data.rotation;
+            }
+            player.weapon = normalizeWeaponKey(data.weapon) || player.weapon;
+            // player.health = data.health; // SERVER AUTHORITY: Ignore client health updates
+            player.reportedHealth = data.health; // Display only (includes client regen)
+            player.history.record(Date.now(), player.position, player.rotation);
         }
     });
 
     // Handle weapon firing
-    socket.on('player-fired', (data) => {
-        const playerId = socket.id;
-        const player = players.get(playerId);
+    on('player-fired', (data) => {
+        const player = getPlayer();
 
         if (player) {
+            profiles.recordShot(player.profileId, player.weapon);
+
             // Broadcast to others in the room
-            socket.to(player.roomId).emit('player-fired', {
-                id: playerId,
+            const shot = {
+                id: player.id,
                 position: data.position,
                 direction: data.direction,
                 weapon: player.weapon,
-                timestamp: Date.now()
-            });
+                vehicleId: player.vehicleId // Fired from a vehicle seat (null on foot)
+            };
+            socket.to(player.roomId).emit('player-fired', { ...shot, timestamp: Date.now() });
+            recordEvent(rooms.get(player.roomId), 'fire', shot);
         }
     });
 
     // Handle player hit
-    socket.on('player-hit', (data) => {
+    on('player-hit', (data) => {
         const targetPlayer = players.get(data.targetId);
-        const shooterPlayer = players.get(socket.id);
+        const shooterPlayer = getPlayer();
 
-        console.log(`🔫 Hit Event: Shooter=${socket.id} Target=${data.targetId} Dmg=${data.damage}`);
+        console.log(`🔫 Hit Event: Shooter=${socket.data.playerId} Target=${data.targetId} Dmg=${data.damage}`);
 
         if (targetPlayer && shooterPlayer) {
-            console.log(`   Before: HP=${targetPlayer.health} Armor=${targetPlayer.armor}`);
-            // Apply damage to Armor first
-            let remainingDamage = data.damage;
-
-            if (targetPlayer.armor > 0) {
-                const armorAbsorb = Math.min(targetPlayer.armor, remainingDamage);
-                targetPlayer.armor -= armorAbsorb;
-                remainingDamage -= armorAbsorb;
-            }
+            const room = rooms.get(shooterPlayer.roomId);
 
-            if (remainingDamage > 0) {
-                targetPlayer.health = Math.max(0, targetPlayer.health - remainingDamage);
+            // Game mode rules (friendly fire, match over)
+            const blockReason = room.match.getDamageBlockReason(shooterPlayer, targetPlayer) ||
+                getSeatShotBlockReason(room, shooterPlayer, data.direction);
+            if (blockReason) {
+                socket.emit('hit-rejected', {
+                    targetId: data.targetId,
+                    reason: blockReason
+                });
+                return;
             }
-            console.log(`   After: HP=${targetPlayer.health} Armor=${targetPlayer.armor} RemDmg=${remainingDamage}`);
-
-            // Notify all players about the hit
-            io.to(targetPlayer.roomId).emit('player-damaged', {
-                targetId: data.targetId,
-                shooterId: socket.id,
-                damage: data.damage,
-                health: targetPlayer.health,
-                armor: targetPlayer.armor, // Send armor status
-                timestamp: Date.now()
+
+            // SERVER AUTHORITY: Rewind the target and re-run the shot
+            const result = validateHit({
+                shooter: shooterPlayer,
+                target: targetPlayer,
+                origin: data.origin,
+                direction: data.direction,
+                timestamp: data.timestamp
             });
 
-            // Check if player died
-            if (targetPlayer.health <= 0 && targetPlayer.isAlive) {
-                targetPlayer.isAlive = false;
-                shooterPlayer.score += 1;
-
-                io.to(targetPlayer.roomId).emit('player-killed', {
-                    victimId: data.targetId,
-                    victimName: targetPlayer.name,
-                    killerId: socket.id,
-                    killerName: shooterPlayer.name,
-                    killerScore: shooterPlayer.score,
-                    timestamp: Date.now()
+            if (!result.valid) {
+                console.log(`   ⛔ Hit rejected: ${result.reason}`);
+                socket.emit('hit-rejected', {
+                    targetId: data.targetId,
+                    reason: result.reason
                 });
+                return;
+            }
 
-                console.log(`💀 ${shooterPlayer.name} eliminated ${targetPlayer.name}`);
+            // SERVER AUTHORITY: Damage comes from the shared weapon table, not the client
+            const damage = calculateDamage(shooterPlayer.weapon, result.zone, result.distance);
+            if (Math.abs(damage - Number(data.damage)) > 1) {
+                console.log(`   ⚠️ Damage corrected: ${data.damage} -> ${damage} (${shooterPlayer.weapon}, ${result.zone}, ${result.distance.toFixed(1)}m)`);
             }
+
+            profiles.recordHit(shooterPlayer.profileId, shooterPlayer.weapon);
+            damagePlayer(room, targetPlayer, shooterPlayer, {
+                damage,
+                weapon: shooterPlayer.weapon,
+                zone: result.zone,
+                distance: result.distance,
+                wallbang: result.wallbang
+            });
         }
     });
 
-    // Handle player respawn
-    socket.on('player-respawn', () => {
-        const player = players.get(socket.id);
-        if (player) {
-            player.health = 100;
-            player.armor = 150;
-            player.isAlive = true;
+    // --- Vehicles ---
 
-            io.to(player.roomId).emit('player-respawned', {
-                id: socket.id,
-                timestamp: Date.now()
-            });
+    // Get on - first free seat, first come, first served
+    on('vehicle-enter', (data) => {
+        const player = getPlayer();
+        if (!player) return;
+
+        const room = rooms.get(player.roomId);
+        const vehicle = room.vehicles.get(data.vehicleId);
+        const { seat, reason } = vehicle ? claimVehicle(vehicle, player) : { reason: 'No such vehicle' };
+        if (reason) {
+            socket.emit('vehicle-enter-rejected', { vehicleId: data.vehicleId, reason });
+            return;
+        }
+
+        console.log(`🏍️ ${player.name} got on ${vehicle.id} (${seat})`);
+        io.to(room.id).emit('vehicle-entered', { vehicleId: vehicle.id, playerId: player.id, seat });
+    });
+
+    // Shot a vehicle - rewound and re-tested like a player hit, then some of it goes to the riders
+    on('vehicle-hit', (data) => {
+        const shooter = getPlayer();
+        if (!shooter) return;
+
+        const room = rooms.get(shooter.roomId);
+        const vehicle = room.vehicles.get(data.vehicleId);
+        const reject = (reason) => socket.emit('hit-rejected', { targetId: data.vehicleId, reason });
+        if (!vehicle) return reject('no such vehicle');
+
+        const blockReason = room.match.getVehicleDamageBlockReason(shooter, getVehicleRiders(vehicle, room.players)) ||
+            getSeatShotBlockReason(room, shooter, data.direction);
+        if (blockReason) return reject(blockReason);
+
+        const result = validateVehicleHit({
+            shooter,
+            vehicle,
+            origin: data.origin,
+            direction: data.direction,
+            timestamp: data.timestamp
+        });
+        if (!result.valid) {
+            console.log(`   ⛔ Vehicle hit rejected: ${result.reason}`);
+            return reject(result.reason);
         }
+
+        profiles.recordHit(shooter.profileId, shooter.weapon);
+        damageRoomVehicle(room, vehicle, shooter, {
+            damage: calculateDamage(shooter.weapon, 'torso', result.distance),
+            weapon: shooter.weapon,
+            distance: result.distance
+        });
+    });
+
+    // Driver came down hard - the vehicle and its riders take the hit, a big one throws them off
+    on('vehicle-landed', (data) => {
+        const player = getPlayer();
+        if (!player || player.vehicleId !== data.vehicleId) return;
+
+        const room = rooms.get(player.roomId);
+        const vehicle = room.vehicles.get(data.vehicleId);
+        if (!vehicle || vehicle.riderId !== player.id || vehicle.destroyed) return;
+
+        const impactSpeed = Math.min(Math.max(data.impactSpeed, 0), VEHICLE_DAMAGE.maxImpactSpeed);
+        const damage = getLandingDamage(impactSpeed);
+        if (damage <= 0) return;
+
+        console.log(`🛬 ${player.name} landed ${vehicle.id} hard (${impactSpeed.toFixed(1)} m/s)`);
+        damageRoomVehicle(room, vehicle, null, { damage, weapon: null, cause: 'crash' });
+        if (impactSpeed >= VEHICLE_DAMAGE.throwSpeed) {
+            getVehicleRiders(vehicle, room.players).forEach(dismountPlayer);
+        }
+    });
+
+    on('vehicle-exit', (data) => {
+        const player = getPlayer();
+        if (player && player.vehicleId === data.vehicleId) dismountPlayer(player);
+    });
+
+    // Driver's simulated vehicle state - broadcast on the next server tick
+    on('vehicle-update', (data) => {
+        const player = getPlayer();
+        if (!player || player.vehicleId !== data.vehicleId) return; // Taken off it since (death, reset)
+
+        const vehicle = rooms.get(player.roomId).vehicles.get(data.vehicleId);
+        if (!vehicle || vehicle.riderId !== player.id) return; // Passengers don't drive
+
+        const error = applyVehicleState(vehicle, data, player);
+        if (error) reportViolation(MOVEMENT_VIOLATIONS[error] || 'vehicle', error);
     });
 
+    /**
+     * /login and admin-only chat commands
+     * @returns {boolean} True if the line was an admin command (handled here)
+     */
+    const handleAdminCommand = (player, room, text) => {
+        const parsed = parseAdminCommand(text.trim(), room.players);
+        if (!parsed) return false;
+
+        const reply = (message) => socket.emit('chat-message', createSystemMessage(message));
+
+        if (parsed.login !== undefined) {
+            if (!isAdminEnabled()) {
+                reply('Admin is disabled on this server');
+            } else if (checkAdminSecret(parsed.login)) {
+                player.isAdmin = true;
+                console.log(`🛡️ ${player.name} logged in as admin`);
+                reply('Logged in as admin - /admin for commands');
+            } else {
+                reply('Wrong admin secret');
+                reportViolation('admin login', 'wrong secret');
+            }
+            return true;
+        }
+
+        if (!player.isAdmin) {
+            reply('Admin only (/login <secret> first)');
+            return true;
+        }
+
+        if (parsed.help) {
+            ADMIN_HELP.forEach(reply);
+            return true;
+        }
+        if (parsed.error) {
+            reply(parsed.error);
+            return true;
+        }
+
+        const { result, error } = runAdminAction(room, parsed.action, parsed.params, player.name);
+        reply(error || result);
+        return true;
+    };
+
     // Handle chat messages
-    socket.on('chat-message', (data) => {
-        const player = players.get(socket.id);
-        if (player) {
-            io.to(player.roomId).emit('chat-message', {
-                playerId: socket.id,
-                playerName: player.name,
-                message: data.message,
-                timestamp: Date.now()
-            });
+    on('chat-message', (data) => {
+        const player = getPlayer();
+        if (!player) {
+            if (socket.data.spectator) socket.emit('chat-message', createSystemMessage("Spectators can't chat"));
+            return;
+        }
+
+        const room = rooms.get(player.roomId);
+
+        // Admin commands never reach the chat (not even a wrong /login)
+        if (data.message.startsWith('/') && handleAdminCommand(player, room, data.message)) return;
+
+        if (player.mutedUntil > Date.now()) {
+            const minutes = Math.ceil((player.mutedUntil - Date.now()) / 60000);
+            socket.emit('chat-message', createSystemMessage(`You are muted (${minutes} min left)`));
+            return;
+        }
+
+        const { message, error } = buildChatMessage(player, data, room);
+        if (error) {
+            socket.emit('chat-message', createSystemMessage(error));
+            return;
         }
+        deliverChatMessage(room, message);
     });
 
     // --- Voice Chat Signaling ---
 
+    // Signals only go to another player in the same room (targetId is a socket.io room name)
+    const canSignal = (targetId) => {
+        const sender = getPlayer();
+        const target = players.get(targetId);
+        return !!sender && !!target && target.id !== sender.id && target.roomId === sender.roomId;
+    };
+
     // Relay voice offer
-    socket.on('voice-offer', (data) => {
+    on('voice-offer', (data) => {
+        if (!canSignal(data.targetId)) return;
         io.to(data.targetId).emit('voice-offer', {
-            senderId: socket.id,
+            senderId: socket.data.playerId,
             offer: data.offer
         });
     });
 
     // Relay voice answer
-    socket.on('voice-answer', (data) => {
+    on('voice-answer', (data) => {
+        if (!canSignal(data.targetId)) return;
         io.to(data.targetId).emit('voice-answer', {
-            senderId: socket.id,
+            senderId: socket.data.playerId,
             answer: data.answer
         });
     });
 
     // Relay ICE candidate
-    socket.on('ice-candidate', (data) => {
+    on('ice-candidate', (data) => {
+        if (!canSignal(data.targetId)) return;
         io.to(data.targetId).emit('ice-candidate', {
-            senderId: socket.id,
-            candidate: data.candidate
+            senderId: socket.data.playerId,
+            candidate: data.candidate ?? null
         });
     });
 
     // --- Cinema URL Sync ---
-    socket.on('cinema-url', (data) => {
-        const player = players.get(socket.id);
+    on('cinema-url', (data) => {
+        const player = getPlayer();
         if (player) {
             console.log(`🎬 ${player.name} set cinema URL: ${data.url}`);
             // Broadcast to all others in the room
             socket.to(player.roomId).emit('cinema-url', {
                 url: data.url,
                 playerName: player.name,
-                playerId: socket.id
+                playerId: player.id
             });
         }
     });
 
-    // Handle player disconnect
+    // Handle player disconnect - hold their spot in case they come back
     socket.on('disconnect', () => {
-        const player = players.get(socket.id);
+        if (socket.data.spectator) {
+            removeSpectator(socket.data.spectator); // Nothing to hold - they just join again
+            return;
+        }
 
-        if (player) {
-            console.log(`❌ ${player.name} disconnected`);
+        const player = getPlayer();
 
-            // Remove from room
-            const room = rooms.get(player.roomId);
-            if (room) {
-                room.players.delete(socket.id);
-                if (room.players.size === 0) {
-                    rooms.delete(player.roomId);
-                }
-            }
+        // Ignore sockets that were taken over by a resumed session
+        if (player && player.socketId === socket.id) {
+            console.log(`📴 ${player.name} dropped - holding their spot for ${SESSION_GRACE_MS / 1000}s`);
+            creditPlayTime(player);
+            dismountPlayer(player); // Nobody is steering it now
+            player.connected = false;
+            player.graceTimer = setTimeout(() => removePlayer(player), SESSION_GRACE_MS);
 
-            // Notify others
-            socket.to(player.roomId).emit('player-left', {
-                id: socket.id,
-                name: player.name
-            });
-
-            players.delete(socket.id);
-            console.log(`📊 Remaining players: ${getPlayerCount()}`);
+            socket.to(player.roomId).emit('player-connection', { id: player.id, connected: false });
         }
     });
 });
 
+// --- Server Tick ---
+
+/**
+ * Build one snapshot of every player in a room
+ */
+function buildRoomSnapshot(room, tick, timestamp) {
+    const players = [];
+    room.players.forEach((player) => {
+        players.push({
+            id: player.id,
+            position: player.position,
+            rotation: player.rotation,
+            weapon: player.weapon,
+            health: typeof player.reportedHealth === 'number' ? player.reportedHealth : player.health
+        });
+    });
+    const snapshot = { tick, timestamp, players };
+    if (room.vehicles.size > 0) {
+        snapshot.vehicles = Array.from(room.vehicles.values());
+    }
+    if (room.match.zones) {
+        snapshot.zones = room.match.zones.getState(); // KOTH capture progress
+    }
+    return snapshot;
+}
+
+/**
+ * Send one batched snapshot per room per tick (instead of relaying every update)
+ */
+function runServerTick() {
+    serverTick++;
+    const now = Date.now();
+
+    rooms.forEach((room, roomId) => {
+        if (isRoomExpired(room, now)) {
+            stopRecording(room);
+            rooms.delete(roomId);
+            if (room.spectators.size > 0) {
+                io.to(roomId).emit('kicked', { reason: 'Room closed' });
+                io.in(roomId).disconnectSockets(true);
+            }
+            console.log(`🏚️ Room ${roomId} closed (empty)`);
+            return;
+        }
+        if (room.players.size === 0) return;
+        updateMatch(room, now);
+        respawnDuePlayers(room, now);
+        respawnDueVehicles(room, now);
+        if (serverTick % TICK_RATE === 0) {
+            room.players.forEach(player => { if (player.connected) creditPlayTime(player, now); });
+        }
+        if (serverTick % PING_TICKS === 0) {
+            room.players.forEach(measurePing);
+            broadcastScoreboard(room);
+        }
+        const snapshot = buildRoomSnapshot(room, serverTick, now);
+        io.to(roomId).emit('world-snapshot', snapshot);
+        recordEvent(room, 'snapshot', packSnapshotPlayers(snapshot.players));
+    });
+}
+
+// --- Match Flow ---
+
+/**
+ * Advance a room's match clock and broadcast any state change
+ */
+function updateMatch(room, now) {
+    const transition = room.match.update(now, room.players);
+
+    room.match.takeZoneEvents().forEach(event => {
+        io.to(room.id).emit('zone-event', event);
+    });
+
+    if (!transition) return;
+
+    if (transition === 'ended') {
+        broadcastMatchEnd(room);
+        return;
+    }
+
+    // Back to warmup after the end screen - the next match is a new replay
+    if (transition === 'reset') {
+        startRecording(room);
+    }
+
+    // Going live (and back to warmup) starts everyone fresh at the spawn
+    if (transition === 'live' || transition === 'reset') {
+        resetRoomVehicles(room);
+        room.players.forEach(respawnPlayer);
+    }
+    broadcastMatchState(room);
+}
+
+/**
+ * End a room's match early (score limit, admin)
+ */
+function endMatch(room, reason) {
+    room.match.end(Date.now(), room.players, reason);
+    broadcastMatchEnd(room);
+}
+
+function broadcastMatchEnd(room) {
+    broadcastMatchState(room);
+    io.to(room.id).emit('match-ended', {
+        ...room.match.result,
+        nextMatchAt: room.match.stateEndsAt,
+        serverTime: Date.now()
+    });
+}
+
+function startTickLoop() {
+    if (tickInterval) return;
+    tickInterval = setInterval(runServerTick, 1000 / TICK_RATE);
+    console.log(`⏱️ Server tick running at ${TICK_RATE} Hz`);
+}
+
+if (!isAdminEnabled()) {
+    console.warn('⚠️ ADMIN_SECRET not set - admin commands and /admin are disabled');
+}
+
+const partialReplays = removePartialReplays(REPLAY_DIR);
+if (partialReplays > 0) {
+    console.log(`🧹 Removed ${partialReplays} unfinished replay(s) from the last run`);
+}
+
+initServerWorld();
+startTickLoop();
+
 // Start server (listen on all interfaces for Tailscale/LAN access)
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`
@@ -296,11 +1640,22 @@ server.listen(PORT, '0.0.0.0', () => {
     `);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
+// Graceful shutdown - process managers send SIGTERM, Ctrl+C sends SIGINT (twice skips the saving)
+let shuttingDown = false;
+
+async function shutdown() {
+    if (shuttingDown) process.exit(1);
+    shuttingDown = true;
+
     console.log('🛑 Server shutting down...');
+    clearInterval(tickInterval);
+    players.forEach(player => { if (player.connected) creditPlayTime(player); });
+    await Promise.all([profiles.save(), ...Array.from(rooms.values()).map(stopRecording)]);
     server.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
     });
-});
+}
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,215 @@
+/**
+ * Admin - Moderation for server operators
+ * The admin role is unlocked with the ADMIN_SECRET environment variable: in
+ * game with "/login <secret>" in chat, on the /admin page with HTTP basic auth
+ * (any user name, the secret as password). Without ADMIN_SECRET admin is off.
+ *
+ * Chat commands are parsed here into actions; server.js runs them the same
+ * way for chat and for the /admin page.
+ *
+ * Bans (IP + session token) are kept in a JSON file so they survive restarts.
+ *
+ * Usage:
+ *   const bans = new BanList(path.join(DATA_DIR, 'bans.json'));
+ *   if (bans.isBanned({ ip, sessionToken })) { ... }
+ *
+ *   const parsed = parseAdminCommand('/kick Bob spamming', room.players);
+ *   // { action: 'kick', params: { playerId, reason } } | { error } | null (not an admin command)
+ */
+
+import crypto from 'crypto';
+import { findPlayerByName } from './chat.js';
+import { readJsonFile, writeJsonFile } from './json-file.js';
+
+const ADMIN_SECRET = process.env.ADMIN_SECRET || '';
+
+// Trust X-Forwarded-For for client IPs (only behind a reverse proxy)
+const TRUST_PROXY = !!process.env.TRUST_PROXY;
+
+export const DEFAULT_MUTE_MINUTES = 10;
+const MAX_MUTE_MINUTES = 24 * 60;
+const MAX_REASON_LENGTH = 100;
+
+export const ADMIN_ACTIONS = ['kick', 'ban', 'unban', 'mute', 'unmute', 'map', 'mode', 'endmatch'];
+
+export const ADMIN_HELP = [
+    '/kick <name> [reason] · /ban <name> [reason] · /unban <ip>',
+    '/mute <name> [minutes] · /unmute <name>',
+    '/map <id> · /mode <ffa|tdm|koth> · /endmatch'
+];
+
+export function isAdminEnabled() {
+    return ADMIN_SECRET.length > 0;
+}
+
+/**
+ * Constant-time check of a candidate secret
+ */
+export function checkAdminSecret(candidate) {
+    if (!isAdminEnabled() || typeof candidate !== 'string') return false;
+
+    // Hash both sides so lengths can't leak through timingSafeEqual
+    const a = crypto.createHash('sha256').update(candidate).digest();
+    const b = crypto.createHash('sha256').update(ADMIN_SECRET).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware - HTTP basic auth with the admin secret as password
+ */
+export function requireAdmin(req, res, next) {
+    if (!isAdminEnabled()) {
+        return res.status(503).send('Admin is disabled (set ADMIN_SECRET)');
+    }
+
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    const credentials = scheme === 'Basic' && encoded ? Buffer.from(encoded, 'base64').toString() : '';
+    const password = credentials.slice(credentials.indexOf(':') + 1);
+
+    if (!credentials || !checkAdminSecret(password)) {
+        res.set('WWW-Authenticate', 'Basic realm="FPS Admin"');
+        return res.status(401).send('Admin login required');
+    }
+    next();
+}
+
+/**
+ * Client address of a socket (first X-Forwarded-For hop when TRUST_PROXY is set)
+ */
+export function getSocketIp(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (TRUST_PROXY && typeof forwarded === 'string') {
+        return forwarded.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+}
+
+export class BanList {
+    /**
+     * @param {string} filePath - JSON file the bans are kept in (created on first ban)
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.bans = [];
+        this.load();
+    }
+
+    load() {
+        const data = readJsonFile(this.filePath, null);
+        this.bans = data && Array.isArray(data.bans) ? data.bans : [];
+        if (data) console.log(`🔨 Loaded ${this.bans.length} ban(s)`);
+    }
+
+    save() {
+        return writeJsonFile(this.filePath, { bans: this.bans });
+    }
+
+    /**
+     * @param {Object} who - { ip, sessionToken } (either may be missing)
+     * @returns {Object|null} Matching ban
+     */
+    find({ ip, sessionToken }) {
+        return this.bans.find(ban =>
+            (ip && ban.ip === ip) || (sessionToken && ban.sessionToken === sessionToken)
+        ) || null;
+    }
+
+    isBanned(who) {
+        return !!this.find(who);
+    }
+
+    add({ ip, sessionToken, name, reason, bannedBy }) {
+        const ban = { ip, sessionToken: sessionToken || null, name, reason, bannedBy, bannedAt: Date.now() };
+        this.bans.push(ban);
+        this.save();
+        return ban;
+    }
+
+    /**
+     * Lift bans on an IP (or a banned player's name)
+     * @returns {number} Bans removed
+     */
+    remove(ipOrName) {
+        const before = this.bans.length;
+        const lower = ipOrName.toLowerCase();
+        this.bans = this.bans.filter(ban => ban.ip !== ipOrName && (ban.name || '').toLowerCase() !== lower);
+
+        const removed = before - this.bans.length;
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+    /**
+     * For the /admin page
+     */
+    list() {
+        return this.bans.map(({ ip, name, reason, bannedBy, bannedAt }) => ({ ip, name, reason, bannedBy, bannedAt }));
+    }
+}
+
+/**
+ * Validate action parameters from the /admin page (same shape chat commands produce)
+ * @returns {Object} { params } or { error }
+ */
+export function sanitizeAdminParams(action, raw = {}) {
+    if (!ADMIN_ACTIONS.includes(action)) return { error: `Unknown action (try ${ADMIN_ACTIONS.join(', ')})` };
+    if (!raw || typeof raw !== 'object') return { error: 'Invalid parameters' };
+
+    const params = {};
+    if (['kick', 'ban', 'mute', 'unmute'].includes(action)) {
+        if (typeof raw.playerId !== 'string' || !raw.playerId) return { error: 'playerId is required' };
+        params.playerId = raw.playerId;
+    }
+    if (typeof raw.reason === 'string') params.reason = raw.reason.trim().slice(0, MAX_REASON_LENGTH);
+    if (action === 'mute') {
+        const minutes = raw.minutes === undefined ? DEFAULT_MUTE_MINUTES : Number(raw.minutes);
+        if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MUTE_MINUTES) {
+            return { error: `minutes must be 1-${MAX_MUTE_MINUTES}` };
+        }
+        params.minutes = minutes;
+    }
+    if (action === 'unban') {
+        if (typeof raw.ip !== 'string' || !raw.ip) return { error: 'ip is required' };
+        params.ip = raw.ip.trim();
+    }
+    if (action === 'map' || action === 'mode') {
+        if (typeof raw[action] !== 'string') return { error: `${action} is required` };
+        params[action] = raw[action];
+    }
+    return { params };
+}
+
+/**
+ * Parse an admin chat command
+ * @param {string} text - Chat line starting with '/'
+ * @param {Map} players - Room players (names -> ids)
+ * @returns {Object|null} { action, params } | { login: secret } | { help: true } | { error } | null if it isn't one
+ */
+export function parseAdminCommand(text, players) {
+    const [rawCommand, ...rest] = text.slice(1).split(' ');
+    const command = rawCommand.toLowerCase();
+    const args = rest.join(' ').trim();
+
+    if (command === 'login') return { login: args };
+    if (command === 'admin') return { help: true };
+    if (!ADMIN_ACTIONS.includes(command)) return null;
+
+    let raw = {};
+    if (['kick', 'ban', 'mute', 'unmute'].includes(command)) {
+        const match = findPlayerByName(players, args);
+        if (!match) return { error: 'No player by that name in this room' };
+        raw = { playerId: match.player.id };
+        if (command === 'mute') {
+            if (match.rest) raw.minutes = match.rest;
+        } else {
+            raw.reason = match.rest;
+        }
+    } else if (command === 'unban') {
+        raw = { ip: args };
+    } else if (command === 'map' || command === 'mode') {
+        raw = { [command]: args };
+    }
+
+    const { params, error } = sanitizeAdminParams(command, raw);
+    return error ? { error } : { action: command, params };
+}
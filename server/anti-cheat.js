@@ -0,0 +1,149 @@
+/**
+ * Anti-Cheat - Per-socket rate limits and escalating violation handling
+ * Every client event spends a token from its bucket; weapon events refill at
+ * the equipped weapon's fireRate. Invalid payloads, spam and movement
+ * corrections add violation points that decay over time. The action grows
+ * with the points: drop the event, then warn the player, then kick them.
+ *
+ * Usage:
+ *   const limiter = new RateLimiter();
+ *   if (!limiter.allow(event, getRateLimit(event, player.weapon))) { ... }
+ *
+ *   const violations = new ViolationTracker();
+ *   const action = violations.record('rate limit'); // 'drop' | 'warn' | 'kick'
+ */
+
+import { WEAPON_DEFS, DEFAULT_WEAPON } from '../js/shared/weapon-defs.js';
+
+/**
+ * Token buckets per event: refill per second, burst size
+ */
+export const RATE_LIMITS = {
+    'player-join': { perSecond: 1, burst: 3 },
+    'player-update': { perSecond: 40, burst: 20 }, // Clients send at 20Hz
+    'vehicle-update': { perSecond: 40, burst: 20 }, // Riders send at 20Hz too
+    'vehicle-enter': { perSecond: 2, burst: 5 },
+    'vehicle-exit': { perSecond: 2, burst: 5 },
+    'vehicle-landed': { perSecond: 2, burst: 3 },
+    'chat-message': { perSecond: 1, burst: 5 },
+    'voice-offer': { perSecond: 2, burst: 10 },
+    'voice-answer': { perSecond: 2, burst: 10 },
+    'ice-candidate': { perSecond: 20, burst: 50 },
+    'cinema-url': { perSecond: 0.2, burst: 2 },
+    'room-verify': { perSecond: 0.5, burst: 5 } // Password checks over HTTP, per IP
+};
+
+// One shot (and at most one hit) per fireRate interval, with some jitter allowed
+const WEAPON_EVENTS = ['player-fired', 'player-hit', 'vehicle-hit'];
+const FIRE_RATE_TOLERANCE = 1.25;
+const WEAPON_BURST = 3;
+
+/**
+ * Bucket settings for an event
+ * @param {string} event - Socket event name
+ * @param {string} weaponKey - Equipped weapon (weapon events only)
+ * @returns {Object|null} { perSecond, burst } or null if unlimited
+ */
+export function getRateLimit(event, weaponKey = DEFAULT_WEAPON) {
+    if (WEAPON_EVENTS.includes(event)) {
+        const weapon = WEAPON_DEFS[weaponKey] || WEAPON_DEFS[DEFAULT_WEAPON];
+        return { perSecond: (1000 / weapon.fireRate) * FIRE_RATE_TOLERANCE, burst: WEAPON_BURST };
+    }
+    return RATE_LIMITS[event] || null;
+}
+
+export class RateLimiter {
+    constructor() {
+        this.buckets = new Map(); // event -> { tokens, updatedAt }
+    }
+
+    /**
+     * Spend a token for an event
+     * @param {string} event
+     * @param {Object|null} limit - From getRateLimit (null = always allowed)
+     * @returns {boolean} False if the event is over its limit
+     */
+    allow(event, limit, now = Date.now()) {
+        if (!limit) return true;
+
+        let bucket = this.buckets.get(event);
+        if (!bucket) {
+            bucket = { tokens: limit.burst, updatedAt: now };
+            this.buckets.set(event, bucket);
+        }
+
+        const elapsed = (now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + elapsed * limit.perSecond);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens < 1) return false;
+        bucket.tokens--;
+        return true;
+    }
+
+    /**
+     * Forget buckets idle this long (they've refilled) - for limiters keyed by client
+     */
+    prune(maxIdleMs, now = Date.now()) {
+        this.buckets.forEach((bucket, key) => {
+            if (now - bucket.updatedAt > maxIdleMs) this.buckets.delete(key);
+        });
+    }
+}
+
+/**
+ * Points per violation type. Small corrections happen on laggy connections,
+ * so they only add up if they keep happening.
+ */
+export const VIOLATION_POINTS = {
+    'invalid payload': 3,
+    'rate limit': 1,
+    'movement': 1,
+    'moved too fast': 4,
+    'teleport': 10,
+    'climb': 2, // Rose higher than the inputs allow
+    'below terrain': 4, // Nothing legit puts the eye under the ground
+    'vehicle': 2, // Vehicle and rider reported apart
+    'admin login': 5 // Wrong /login secret
+};
+
+export const VIOLATION_THRESHOLDS = {
+    warn: 15,
+    kick: 40
+};
+
+// Points forgiven per second
+const VIOLATION_DECAY_PER_SECOND = 2;
+
+// Don't repeat warnings more often than this (ms)
+const WARN_COOLDOWN_MS = 10000;
+
+export class ViolationTracker {
+    constructor() {
+        this.points = 0;
+        this.updatedAt = Date.now();
+        this.lastWarnAt = 0;
+        this.counts = {}; // type -> total, for the logs
+    }
+
+    /**
+     * Add a violation and decide what to do about it
+     * @param {string} type - Key of VIOLATION_POINTS
+     * @returns {string} 'drop' (ignore the event), 'warn' or 'kick'
+     */
+    record(type, now = Date.now()) {
+        const elapsed = (now - this.updatedAt) / 1000;
+        this.points = Math.max(0, this.points - elapsed * VIOLATION_DECAY_PER_SECOND);
+        this.updatedAt = now;
+
+        this.points += VIOLATION_POINTS[type] ?? 1;
+        this.counts[type] = (this.counts[type] || 0) + 1;
+
+        if (this.points >= VIOLATION_THRESHOLDS.kick) return 'kick';
+        if (this.points >= VIOLATION_THRESHOLDS.warn && now - this.lastWarnAt > WARN_COOLDOWN_MS) {
+            this.lastWarnAt = now;
+            return 'warn';
+        }
+        return 'drop';
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Chat - Builds chat messages, runs slash commands and keeps room history
+ * server.js relays what buildChatMessage returns; this module never touches
+ * sockets. Whispers are never stored, team messages are only replayed to the
+ * team they were sent to.
+ *
+ * Commands:
+ *   /w <name> <message>  Whisper to a player in the room (also /whisper, /msg)
+ *   /me <action>         Emote ("* Alice reloads dramatically")
+ *
+ * Usage:
+ *   const { message, error } = buildChatMessage(player, data, room);
+ *   room.chatHistory.push(message);
+ *   socket.emit('chat-history', { messages: room.chatHistory.getVisibleTo(player) });
+ */
+
+import { CHAT_HISTORY_SIZE, sanitizeChatText } from '../js/shared/chat.js';
+
+const WHISPER_COMMANDS = ['w', 'whisper', 'msg'];
+
+export class ChatHistory {
+    constructor(size = CHAT_HISTORY_SIZE) {
+        this.size = size;
+        this.messages = [];
+    }
+
+    push(message) {
+        if (message.type === 'whisper') return; // Private
+        this.messages.push(message);
+        if (this.messages.length > this.size) this.messages.shift();
+    }
+
+    /**
+     * History a (late) joiner may see - everything public plus their team's messages
+     */
+    getVisibleTo(player) {
+        return this.messages.filter(m => m.channel !== 'team' || m.team === player.team);
+    }
+}
+
+/**
+ * Turn a validated 'chat-message' payload into a message to deliver
+ * @param {Object} sender - Sending player
+ * @param {Object} data - { message, channel }
+ * @param {Object} room - Sender's room (whisper targets)
+ * @returns {Object} { message } or { error } to show the sender
+ */
+export function buildChatMessage(sender, data, room) {
+    const text = sanitizeChatText(data.message);
+    if (!text) return { error: 'Empty message' };
+
+    const message = {
+        type: 'chat',
+        channel: data.channel === 'team' && sender.team ? 'team' : 'all',
+        team: sender.team || null,
+        playerId: sender.id,
+        playerName: sender.name,
+        message: text,
+        timestamp: Date.now()
+    };
+
+    if (!text.startsWith('/')) return { message };
+
+    const [command, ...rest] = text.slice(1).split(' ');
+    const args = rest.join(' ');
+
+    if (command.toLowerCase() === 'me') {
+        if (!args) return { error: 'Usage: /me <action>' };
+        return { message: { ...message, type: 'emote', message: args } };
+    }
+
+    if (WHISPER_COMMANDS.includes(command.toLowerCase())) {
+        const match = findPlayerByName(room.players, args);
+        if (!match) return { error: 'No player by that name in this room' };
+        if (match.player.id === sender.id) return { error: "You can't whisper to yourself" };
+        if (!match.rest) return { error: 'Usage: /w <name> <message>' };
+
+        return {
+            message: {
+                ...message,
+                type: 'whisper',
+                channel: 'whisper',
+                targetId: match.player.id,
+                targetName: match.player.name,
+                message: match.rest
+            }
+        };
+    }
+
+    return { error: `Unknown command /${command} (try /w <name> <message> or /me <action>)` };
+}
+
+/**
+ * Server notice for one player (command errors etc.)
+ */
+export function createSystemMessage(text) {
+    return { type: 'system', channel: 'all', message: text, timestamp: Date.now() };
+}
+
+/**
+ * Find the player whose name starts `text` - names can contain spaces, so the
+ * longest matching name wins
+ * @returns {Object|null} { player, rest } - rest is the text after the name
+ */
+export function findPlayerByName(players, text) {
+    const lower = text.toLowerCase();
+    let best = null;
+
+    players.forEach(player => {
+        const name = player.name.toLowerCase();
+        const fits = lower === name || lower.startsWith(`${name} `);
+        if (fits && (!best || name.length > best.player.name.length)) {
+            best = { player, rest: text.slice(name.length).trim() };
+        }
+    });
+
+    return best;
+}
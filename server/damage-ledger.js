@@ -0,0 +1,54 @@
+/**
+ * Damage Ledger - Who hurt a player recently (for assists)
+ * Every player keeps one. Hits add to the attacker's entry; when the player
+ * dies, everyone but the killer who did enough damage recently gets an
+ * assist. The ledger is cleared on death and respawn.
+ *
+ * Usage:
+ *   target.damageLedger.record(shooter.id, damage);
+ *   const assisterIds = target.damageLedger.getAssisters(killer.id);
+ *   target.damageLedger.clear();
+ */
+
+// Damage older than this doesn't earn an assist (ms)
+export const ASSIST_WINDOW_MS = 10000;
+
+// Minimum damage (within the window) for an assist
+export const ASSIST_MIN_DAMAGE = 20;
+
+export class DamageLedger {
+    constructor() {
+        this.entries = new Map(); // attackerId -> { damage, lastAt }
+    }
+
+    record(attackerId, damage, now = Date.now()) {
+        const entry = this.entries.get(attackerId);
+
+        // A long gap starts the count over
+        if (!entry || now - entry.lastAt > ASSIST_WINDOW_MS) {
+            this.entries.set(attackerId, { damage, lastAt: now });
+            return;
+        }
+        entry.damage += damage;
+        entry.lastAt = now;
+    }
+
+    /**
+     * @param {string} killerId - Gets the kill, not an assist
+     * @returns {string[]} Attacker ids earning an assist, most damage first
+     */
+    getAssisters(killerId, now = Date.now()) {
+        return Array.from(this.entries.entries())
+            .filter(([id, entry]) =>
+                id !== killerId &&
+                now - entry.lastAt <= ASSIST_WINDOW_MS &&
+                entry.damage >= ASSIST_MIN_DAMAGE
+            )
+            .sort((a, b) => b[1].damage - a[1].damage)
+            .map(([id]) => id);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * JSON File - Small state files under data/ (bans, profiles)
+ * Writes go to a temp file that is renamed over the old one, so a crash
+ * mid-write can't leave half a file behind.
+ *
+ * Usage:
+ *   const data = readJsonFile(filePath, { bans: [] }); // fallback if missing/broken
+ *   await writeJsonFile(filePath, data);
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Read a JSON file (sync - meant for startup)
+ * @param {*} fallback - Returned if the file is missing or can't be parsed
+ */
+export function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`❌ Couldn't read ${filePath}:`, error.message);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON file atomically (creates the directory if needed)
+ * @returns {Promise<boolean>} False if the write failed (already logged)
+ */
+export async function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+        return true;
+    } catch (error) {
+        console.error(`❌ Couldn't save ${filePath}:`, error.message);
+        return false;
+    }
+}
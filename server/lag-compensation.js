@@ -0,0 +1,375 @@
+/**
+ * Lag Compensation - Server-side hit validation
+ * Keeps a short position/rotation history per player so a shot can be
+ * re-tested against the target as the shooter actually saw it.
+ *
+ * Usage:
+ *   player.history = new PositionHistory();
+ *   player.history.record(Date.now(), position, rotation);
+ *
+ *   const result = validateHit({ shooter, target, origin, direction, timestamp });
+ *   if (!result.valid) console.log(result.reason);
+ *   if (result.wallbang) ... // Went through terrain/colliders on the way (still a hit)
+ *
+ *   const vehicleResult = validateVehicleHit({ shooter, vehicle, origin, direction, timestamp });
+ */
+
+import { getTerrainHeight } from '../js/shared/terrain.js';
+import { CollisionManager } from '../js/shared/collisions.js';
+import { getVehicleType } from '../js/shared/vehicle-types.js';
+
+// How much history each player keeps (ms)
+export const HISTORY_DURATION_MS = 1000;
+
+// Never rewind further than this, no matter what the client claims (ms)
+export const MAX_REWIND_MS = 400;
+
+// Max distance between the claimed shot origin and the shooter's known position
+const MAX_ORIGIN_ERROR = 3.0;
+
+// Max range of a hitscan shot
+const MAX_SHOT_DISTANCE = 500;
+
+// Extra radius added to every hitbox to absorb interpolation error
+const HITBOX_TOLERANCE = 0.15;
+
+// Spacing of the samples along a shot when looking for walls in the way (m)
+const WALLBANG_STEP = 0.25;
+
+/**
+ * Simple server-side hitboxes, relative to the player's eye position.
+ * Sized to match the remote player mesh built in PlayerManager.createPlayerMesh.
+ * Zones map to HIT_ZONE_MULTIPLIERS in js/shared/weapon-defs.js.
+ * The torso is wide enough to cover the arms so the boxes stay yaw-independent.
+ */
+export const HITBOXES = [
+    { zone: 'head', type: 'sphere', center: { x: 0, y: 0, z: 0 }, radius: 0.35 },
+    { zone: 'torso', type: 'capsule', top: { x: 0, y: -0.5, z: 0 }, bottom: { x: 0, y: -0.7, z: 0 }, radius: 0.5 },
+    { zone: 'limbs', type: 'capsule', top: { x: 0, y: -1.2, z: 0 }, bottom: { x: 0, y: -1.45, z: 0 }, radius: 0.4 }
+];
+
+// ============================================
+// POSITION HISTORY
+// ============================================
+
+/**
+ * Ring of timestamped states for a single player
+ */
+export class PositionHistory {
+    constructor(duration = HISTORY_DURATION_MS) {
+        this.duration = duration;
+        this.samples = [];
+    }
+
+    /**
+     * Record a new state (samples must arrive in time order)
+     */
+    record(time, position, rotation) {
+        if (!isVector(position)) return;
+
+        this.samples.push({
+            time,
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: isVector(rotation)
+                ? { x: rotation.x, y: rotation.y, z: rotation.z }
+                : { x: 0, y: 0, z: 0 }
+        });
+
+        // Drop samples older than the history window
+        const cutoff = time - this.duration;
+        while (this.samples.length > 2 && this.samples[0].time < cutoff) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Get the interpolated state at a given time
+     * @returns {Object|null} { position, rotation } or null if no history
+     */
+    sampleAt(time) {
+        const samples = this.samples;
+        if (samples.length === 0) return null;
+
+        if (time <= samples[0].time) return samples[0];
+        const last = samples[samples.length - 1];
+        if (time >= last.time) return last;
+
+        for (let i = samples.length - 1; i > 0; i--) {
+            const a = samples[i - 1];
+            const b = samples[i];
+            if (time >= a.time && time <= b.time) {
+                const span = b.time - a.time;
+                const t = span > 0 ? (time - a.time) / span : 1;
+                return {
+                    time,
+                    position: lerpVector(a.position, b.position, t),
+                    rotation: lerpVector(a.rotation, b.rotation, t)
+                };
+            }
+        }
+
+        return last;
+    }
+
+    clear() {
+        this.samples = [];
+    }
+}
+
+// ============================================
+// HIT TESTING
+// ============================================
+
+/**
+ * Raycast against the hitboxes of a player at the given state
+ * @returns {Object|null} { zone, distance } of the closest hit, or null on a miss
+ */
+export function raycastHitboxes(origin, direction, state, maxDistance = MAX_SHOT_DISTANCE) {
+    const dir = normalize(direction);
+    if (!dir) return null;
+
+    let closest = null;
+
+    for (const box of HITBOXES) {
+        let distance = null;
+
+        if (box.type === 'sphere') {
+            const center = add(state.position, box.center);
+            distance = raySphere(origin, dir, center, box.radius + HITBOX_TOLERANCE);
+        } else if (box.type === 'capsule') {
+            const top = add(state.position, box.top);
+            const bottom = add(state.position, box.bottom);
+            distance = rayCapsule(origin, dir, top, bottom, box.radius + HITBOX_TOLERANCE);
+        }
+
+        if (distance !== null && distance <= maxDistance && (!closest || distance < closest.distance)) {
+            closest = { zone: box.zone, distance };
+        }
+    }
+
+    return closest;
+}
+
+/**
+ * Did a shot pass through the world (terrain or a collider) before it hit?
+ * The client only raycasts players, so these hits count - they're just flagged.
+ */
+export function isShotThroughWall(origin, direction, hitDistance) {
+    const dir = normalize(direction);
+    if (!dir) return false;
+
+    for (let d = WALLBANG_STEP; d < hitDistance - WALLBANG_STEP; d += WALLBANG_STEP) {
+        const x = origin.x + dir.x * d;
+        const y = origin.y + dir.y * d;
+        const z = origin.z + dir.z * d;
+        if (getTerrainHeight(x, z) > y || CollisionManager.isPointSolid(x, y, z)) return true;
+    }
+    return false;
+}
+
+/**
+ * Re-run a client-reported hit against the rewound target
+ * @param {Object} params
+ * @param {Object} params.shooter - Server player data (needs history)
+ * @param {Object} params.target - Server player data (needs history)
+ * @param {Object} params.origin - Claimed ray origin {x, y, z}
+ * @param {Object} params.direction - Claimed ray direction {x, y, z}
+ * @param {number} params.timestamp - Server time of the world state the shooter was viewing
+ * @param {number} [params.now] - Current server time
+ * @returns {Object} { valid, reason, zone, distance, wallbang, rewindTime }
+ */
+export function validateHit({ shooter, target, origin, direction, timestamp, now = Date.now() }) {
+    if (!isVector(origin) || !isVector(direction)) {
+        return { valid: false, reason: 'missing shot ray' };
+    }
+    if (!shooter.isAlive) {
+        return { valid: false, reason: 'shooter is dead' };
+    }
+    if (!target.isAlive) {
+        return { valid: false, reason: 'target is dead' };
+    }
+    if (shooter.roomId !== target.roomId) {
+        return { valid: false, reason: 'target in another room' };
+    }
+
+    const { rewindTime, reason } = rewindShot(shooter, origin, timestamp, now);
+    if (reason) {
+        return { valid: false, reason, rewindTime };
+    }
+
+    const targetState = target.history ? target.history.sampleAt(rewindTime) : null;
+    if (!targetState) {
+        return { valid: false, reason: 'no target history', rewindTime };
+    }
+
+    const hit = raycastHitboxes(origin, direction, targetState);
+    if (!hit) {
+        return { valid: false, reason: 'shot missed rewound hitboxes', rewindTime };
+    }
+
+    return {
+        valid: true,
+        zone: hit.zone,
+        distance: hit.distance,
+        wallbang: isShotThroughWall(origin, direction, hit.distance),
+        rewindTime
+    };
+}
+
+/**
+ * Re-run a client-reported hit on a vehicle against where it was
+ * (vehicles keep a history while they're driven - parked ones don't move)
+ * @param {Object} params
+ * @param {Object} params.shooter - Server player data (needs history)
+ * @param {Object} params.vehicle - Server vehicle (server/vehicles.js)
+ * @param {Object} params.origin - Claimed ray origin {x, y, z}
+ * @param {Object} params.direction - Claimed ray direction {x, y, z}
+ * @param {number} params.timestamp - Server time of the world state the shooter was viewing
+ * @param {number} [params.now] - Current server time
+ * @returns {Object} { valid, reason, distance, rewindTime }
+ */
+export function validateVehicleHit({ shooter, vehicle, origin, direction, timestamp, now = Date.now() }) {
+    if (!isVector(origin) || !isVector(direction)) {
+        return { valid: false, reason: 'missing shot ray' };
+    }
+    if (!shooter.isAlive) {
+        return { valid: false, reason: 'shooter is dead' };
+    }
+    if (vehicle.destroyed) {
+        return { valid: false, reason: 'vehicle is a wreck' };
+    }
+    if (shooter.vehicleId === vehicle.id) {
+        return { valid: false, reason: 'shooter is riding it' };
+    }
+
+    const { rewindTime, reason } = rewindShot(shooter, origin, timestamp, now);
+    if (reason) {
+        return { valid: false, reason, rewindTime };
+    }
+
+    const state = (vehicle.history && vehicle.history.sampleAt(rewindTime)) || vehicle;
+    const hitDistance = raycastVehicle(origin, direction, state, getVehicleType(vehicle.type).hitbox);
+    if (hitDistance === null) {
+        return { valid: false, reason: 'shot missed rewound vehicle', rewindTime };
+    }
+
+    return { valid: true, distance: hitDistance, rewindTime };
+}
+
+/**
+ * Raycast against a vehicle's hitbox (a capsule along its length, turned with its yaw)
+ * @param {Object} state - { position, rotation }
+ * @param {Object} hitbox - { halfLength, radius, height } (js/shared/vehicle-types.js)
+ * @returns {number|null} Distance along the ray, or null on a miss
+ */
+export function raycastVehicle(origin, direction, state, hitbox, maxDistance = MAX_SHOT_DISTANCE) {
+    const dir = normalize(direction);
+    if (!dir) return null;
+
+    const yaw = state.rotation ? state.rotation.y : 0;
+    const along = { x: -Math.sin(yaw) * hitbox.halfLength, y: 0, z: -Math.cos(yaw) * hitbox.halfLength };
+    const center = add(state.position, { x: 0, y: hitbox.height, z: 0 });
+
+    const hit = rayCapsule(origin, dir, add(center, along), sub(center, along), hitbox.radius + HITBOX_TOLERANCE);
+    return hit !== null && hit <= maxDistance ? hit : null;
+}
+
+/**
+ * Time to rewind a shot to, once it's known to come from roughly where the shooter was
+ * @returns {Object} { rewindTime, reason } - reason set if the origin is off
+ */
+function rewindShot(shooter, origin, timestamp, now) {
+    // Clamp the rewind window so a client can't reach arbitrarily far into the past
+    const claimed = typeof timestamp === 'number' && isFinite(timestamp) ? timestamp : now;
+    const rewindTime = Math.max(now - MAX_REWIND_MS, Math.min(now, claimed));
+
+    // The shot has to come from roughly where the shooter was
+    const shooterState = shooter.history ? shooter.history.sampleAt(rewindTime) : null;
+    const shooterPosition = shooterState ? shooterState.position : shooter.position;
+    if (isVector(shooterPosition) && distance(origin, shooterPosition) > MAX_ORIGIN_ERROR) {
+        return { rewindTime, reason: 'shot origin too far from shooter' };
+    }
+    return { rewindTime, reason: null };
+}
+
+// ============================================
+// MATH HELPERS
+// ============================================
+
+function isVector(v) {
+    return !!v && isFinite(v.x) && isFinite(v.y) && isFinite(v.z);
+}
+
+function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function distance(a, b) {
+    return Math.sqrt(dot(sub(a, b), sub(a, b)));
+}
+
+function normalize(v) {
+    const len = Math.sqrt(dot(v, v));
+    if (len < 1e-6) return null;
+    return { x: v.x / len, y: v.y / len, z: v.z / len };
+}
+
+function lerpVector(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
+
+/**
+ * Ray vs sphere - returns distance along the ray or null
+ */
+function raySphere(origin, dir, center, radius) {
+    const oc = sub(origin, center);
+    const b = dot(oc, dir);
+    const c = dot(oc, oc) - radius * radius;
+    const disc = b * b - c;
+    if (disc < 0) return null;
+
+    const sqrtDisc = Math.sqrt(disc);
+    let t = -b - sqrtDisc;
+    if (t < 0) t = -b + sqrtDisc; // Origin inside the sphere
+    return t >= 0 ? t : null;
+}
+
+/**
+ * Ray vs capsule (segment top-bottom with radius) - returns distance along the ray or null
+ * Finds the closest approach between the ray and the segment.
+ */
+function rayCapsule(origin, dir, top, bottom, radius) {
+    const seg = sub(bottom, top);
+    const w = sub(origin, top);
+
+    const a = dot(dir, dir);
+    const b = dot(dir, seg);
+    const c = dot(seg, seg);
+    const d = dot(dir, w);
+    const e = dot(seg, w);
+    const denom = a * c - b * b;
+
+    // Parameter along the segment of the closest point
+    let s = denom > 1e-6 ? (a * e - b * d) / denom : 0;
+    s = Math.max(0, Math.min(1, s));
+
+    // Closest point on the segment, then test the ray against a sphere there
+    const point = {
+        x: top.x + seg.x * s,
+        y: top.y + seg.y * s,
+        z: top.z + seg.z * s
+    };
+    return raySphere(origin, dir, point, radius);
+}
@@ -0,0 +1,349 @@
+/**
+ * Match - Server-side game mode state for one room
+ * Runs the warmup -> live -> ended flow, keeps team scores, decides who can
+ * damage whom and when a round is won. Rules come from js/shared/game-modes.js.
+ *
+ * The match never talks to sockets - server.js asks it what changed and
+ * broadcasts the result.
+ *
+ * Usage:
+ *   room.match = new Match('tdm');
+ *   player.team = room.match.assignTeam(room.players.values());
+ *   room.match.recordKill(killer, victim, room.players);
+ *   const transition = room.match.update(Date.now(), room.players); // each tick
+ *   room.match.takeZoneEvents(); // KOTH captures since the last call
+ */
+
+import {
+    MATCH_STATES,
+    TEAMS,
+    TEAM_IDS,
+    GAME_MODES,
+    DEFAULT_GAME_MODE,
+    normalizeGameMode
+} from '../js/shared/game-modes.js';
+import { CAPTURE_ZONES } from '../js/shared/capture-zones.js';
+import { ZoneControl } from './zone-control.js';
+
+// Score lost for killing a teammate (only possible with friendly fire on)
+const TEAM_KILL_PENALTY = 1;
+
+export class Match {
+    /**
+     * @param {string} modeKey - Key into GAME_MODES
+     * @param {Object} rules - Per-room overrides (scoreLimit, timeLimit, friendlyFire, ...)
+     */
+    constructor(modeKey = DEFAULT_GAME_MODE, rules = {}) {
+        this.modeKey = normalizeGameMode(modeKey) || DEFAULT_GAME_MODE;
+        this.rules = { ...GAME_MODES[this.modeKey], ...rules };
+
+        this.state = MATCH_STATES.WARMUP;
+        this.stateEndsAt = null; // Server time (ms), null = waiting for players
+        this.teamScores = {};
+        TEAM_IDS.forEach(team => { this.teamScores[team] = 0; });
+        this.result = null;
+        this.round = 1;
+        this.lastUpdateTime = null;
+
+        // Objective zones (KOTH) - held zones trickle points into zonePoints until they add up to whole points
+        this.zones = this.rules.captureZones
+            ? new ZoneControl(CAPTURE_ZONES, { captureTime: this.rules.captureTime })
+            : null;
+        this.zonePoints = {};
+        this.zoneEvents = [];
+        this.resetZones();
+    }
+
+    get isLive() {
+        return this.state === MATCH_STATES.LIVE;
+    }
+
+    // --- Teams ---
+
+    /**
+     * Pick a team for a new player - the smaller one (ties go to the losing team)
+     * @param {Iterable} players - Players already in the room
+     * @returns {string|null} Team id, or null in modes without teams
+     */
+    assignTeam(players) {
+        if (!this.rules.teams) return null;
+
+        const counts = {};
+        TEAM_IDS.forEach(team => { counts[team] = 0; });
+        for (const player of players) {
+            if (counts[player.team] !== undefined) counts[player.team]++;
+        }
+
+        return TEAM_IDS.reduce((best, team) => {
+            if (counts[team] !== counts[best]) return counts[team] < counts[best] ? team : best;
+            return this.teamScores[team] < this.teamScores[best] ? team : best;
+        });
+    }
+
+    isTeammate(a, b) {
+        return !!this.rules.teams && a.id !== b.id && !!a.team && a.team === b.team;
+    }
+
+    /**
+     * Can `shooter` damage `target` right now?
+     * @returns {string|null} Reason it can't, or null if it can
+     */
+    getDamageBlockReason(shooter, target) {
+        if (this.state === MATCH_STATES.ENDED) return 'match over';
+        if (this.isTeammate(shooter, target) && !this.rules.friendlyFire) return 'friendly fire';
+        return null;
+    }
+
+    /**
+     * Can `shooter` damage a vehicle with these riders? (an empty one always can be)
+     * @returns {string|null} Reason it can't, or null if it can
+     */
+    getVehicleDamageBlockReason(shooter, riders) {
+        if (this.state === MATCH_STATES.ENDED) return 'match over';
+        const friendly = riders.length > 0 && riders.every(rider => this.isTeammate(shooter, rider));
+        if (friendly && !this.rules.friendlyFire) return 'friendly fire';
+        return null;
+    }
+
+    // --- Scoring ---
+
+    /**
+     * Count a kill. Scores move in warmup too (they're wiped when the match goes live),
+     * but only a live match can be won.
+     * @returns {Object} { teamKill, scoreLimitReached }
+     */
+    recordKill(killer, victim, players) {
+        victim.deaths = (victim.deaths || 0) + 1;
+
+        // Suicide / world kill - nobody scores
+        if (!killer || killer.id === victim.id) {
+            return { teamKill: false, scoreLimitReached: false };
+        }
+
+        if (this.isTeammate(killer, victim)) {
+            killer.score -= TEAM_KILL_PENALTY;
+            return { teamKill: true, scoreLimitReached: false };
+        }
+
+        killer.kills = (killer.kills || 0) + 1;
+        killer.score += 1;
+        if (this.rules.teams && killer.team) {
+            this.teamScores[killer.team] += this.rules.killScore ?? 1;
+        }
+
+        return { teamKill: false, scoreLimitReached: this.isLive && this.hasReachedScoreLimit(players) };
+    }
+
+    hasReachedScoreLimit(players) {
+        const limit = this.rules.scoreLimit;
+        if (!limit) return false;
+
+        if (this.rules.teams) {
+            return TEAM_IDS.some(team => this.teamScores[team] >= limit);
+        }
+        for (const player of players.values()) {
+            if (player.score >= limit) return true;
+        }
+        return false;
+    }
+
+    // --- Flow ---
+
+    /**
+     * Advance the match clock (call every server tick)
+     * @param {number} now - Server time (ms)
+     * @param {Map} players - Room players
+     * @returns {string|null} 'countdown' | 'live' | 'score' | 'ended' | 'reset' if something changed
+     */
+    update(now, players) {
+        const dt = this.lastUpdateTime === null ? 0 : (now - this.lastUpdateTime) / 1000;
+        this.lastUpdateTime = now;
+
+        switch (this.state) {
+            case MATCH_STATES.WARMUP:
+                if (players.size < this.rules.minPlayers) {
+                    this.stateEndsAt = null; // Wait for enough players
+                    return null;
+                }
+                if (this.stateEndsAt === null) {
+                    this.stateEndsAt = now + this.rules.warmupTime * 1000;
+                    return 'countdown';
+                }
+                if (now >= this.stateEndsAt) {
+                    this.start(now, players);
+                    return 'live';
+                }
+                return null;
+
+            case MATCH_STATES.LIVE: {
+                if (this.stateEndsAt !== null && now >= this.stateEndsAt) {
+                    this.end(now, players, 'time');
+                    return 'ended';
+                }
+                const scored = this.zones ? this.updateZones(dt, players) : false;
+                if (scored && this.hasReachedScoreLimit(players)) {
+                    this.end(now, players, 'score');
+                    return 'ended';
+                }
+                return scored ? 'score' : null;
+            }
+
+            case MATCH_STATES.ENDED:
+                if (now >= this.stateEndsAt) {
+                    this.reset(players);
+                    return 'reset';
+                }
+                return null;
+        }
+        return null;
+    }
+
+    /**
+     * Move zone capture progress and pay out held zones
+     * @returns {boolean} True if a team score changed
+     */
+    updateZones(dt, players) {
+        this.zoneEvents.push(...this.zones.update(dt, players));
+
+        let scored = false;
+        const owned = this.zones.getOwnedCounts();
+        TEAM_IDS.forEach(team => {
+            this.zonePoints[team] += owned[team] * this.rules.zonePointsPerSecond * dt;
+            const whole = Math.floor(this.zonePoints[team]);
+            if (whole > 0) {
+                this.zonePoints[team] -= whole;
+                this.teamScores[team] += whole;
+                scored = true;
+            }
+        });
+        return scored;
+    }
+
+    /**
+     * Capture / neutralize events since the last call
+     */
+    takeZoneEvents() {
+        const events = this.zoneEvents;
+        this.zoneEvents = [];
+        return events;
+    }
+
+    resetZones() {
+        TEAM_IDS.forEach(team => { this.zonePoints[team] = 0; });
+        this.zoneEvents = [];
+        if (this.zones) this.zones.reset();
+    }
+
+    /**
+     * Warmup over - wipe scores and start the clock
+     */
+    start(now, players) {
+        this.resetScores(players);
+        this.resetZones();
+        this.state = MATCH_STATES.LIVE;
+        this.stateEndsAt = this.rules.timeLimit ? now + this.rules.timeLimit * 1000 : null;
+        console.log(`🏁 Match live (${this.rules.name}, round ${this.round})`);
+    }
+
+    /**
+     * Finish the match and work out who won
+     * @param {string} reason - 'score' | 'time' | 'admin'
+     */
+    end(now, players, reason) {
+        this.state = MATCH_STATES.ENDED;
+        this.stateEndsAt = now + this.rules.endScreenTime * 1000;
+        this.result = {
+            reason,
+            winner: this.findWinner(players),
+            teamScores: { ...this.teamScores },
+            standings: this.getStandings(players)
+        };
+
+        const winner = this.result.winner;
+        console.log(`🏆 Match over (${reason}): ${winner ? winner.name : 'draw'}`);
+    }
+
+    /**
+     * Round reset - back to warmup with clean scores
+     */
+    reset(players) {
+        this.resetScores(players);
+        this.resetZones();
+        this.state = MATCH_STATES.WARMUP;
+        this.stateEndsAt = null;
+        this.result = null;
+        this.round++;
+    }
+
+    resetScores(players) {
+        TEAM_IDS.forEach(team => { this.teamScores[team] = 0; });
+        players.forEach(player => {
+            player.score = 0;
+            player.kills = 0;
+            player.deaths = 0;
+            player.assists = 0;
+        });
+    }
+
+    /**
+     * @returns {Object|null} { team } or { id, name } of the winner, null on a draw
+     */
+    findWinner(players) {
+        if (this.rules.teams) {
+            const [first, second] = [...TEAM_IDS].sort((a, b) => this.teamScores[b] - this.teamScores[a]);
+            if (this.teamScores[first] === this.teamScores[second]) return null;
+            return { team: first, name: TEAMS[first].name };
+        }
+
+        const [first, second] = this.getStandings(players);
+        if (!first || (second && second.score === first.score)) return null;
+        return { id: first.id, name: first.name };
+    }
+
+    /**
+     * Players sorted by score (then fewest deaths)
+     */
+    getStandings(players) {
+        return Array.from(players.values())
+            .map(p => ({
+                id: p.id,
+                name: p.name,
+                team: p.team,
+                score: p.score,
+                kills: p.kills || 0,
+                deaths: p.deaths || 0,
+                assists: p.assists || 0
+            }))
+            .sort((a, b) => (b.score - a.score) || (a.deaths - b.deaths));
+    }
+
+    /**
+     * Everything the HUD needs (sent on join and whenever it changes)
+     */
+    getState(players) {
+        const state = {
+            mode: this.modeKey,
+            modeName: this.rules.name,
+            teams: !!this.rules.teams,
+            friendlyFire: !!this.rules.friendlyFire,
+            state: this.state,
+            round: this.round,
+            endsAt: this.stateEndsAt,
+            scoreLimit: this.rules.scoreLimit,
+            timeLimit: this.rules.timeLimit,
+            minPlayers: this.rules.minPlayers,
+            teamScores: { ...this.teamScores },
+            zones: this.zones ? this.zones.getState() : null,
+            scores: {},
+            serverTime: Date.now()
+        };
+        players.forEach(player => { state.scores[player.id] = player.score; });
+
+        if (!this.rules.teams) {
+            const [leader] = this.getStandings(players);
+            state.leader = leader ? { id: leader.id, name: leader.name, score: leader.score } : null;
+        }
+
+        return state;
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * Movement Authority - Server side of client-predicted movement
+ * Clients send numbered inputs plus the position they predicted. The server
+ * runs the same step (js/shared/movement.js) and only accepts the predicted
+ * position if the inputs could actually have produced it. Otherwise the client
+ * is corrected and replays its unacknowledged inputs from our state.
+ *
+ * Terrain, the dirt jumps, the lookout tower and any colliders registered in
+ * the shared CollisionManager are simulated exactly. The server doesn't load the level
+ * models, so geometry sized from them (buildings, trees) is handled by
+ * tolerance: it can only shorten a move or hold the player up, never add distance.
+ * Moves far beyond what's allowed are reported as 'teleport' corrections.
+ * On foot every update is simulated - no inputs means standing still. Riders
+ * go where their vehicle goes, so their position only has to stay with it.
+ *
+ * Usage:
+ *   player.movement = new PlayerMovement(spawnPosition);
+ *   const ack = player.movement.applyInputs(data.inputs, data.position);
+ *   const ack = player.movement.applyPosition(data.position, vehicle.position, leash); // Riding
+ *
+ *   vehicle.travel = new TravelBudget(MAX_SPEEDS.vehicle); // Movers we can't simulate
+ *   const reason = vehicle.travel.spend(distanceMoved); // null = within its top speed
+ *   socket.emit('movement-ack', ack);
+ */
+
+import {
+    MOVEMENT_CONFIG,
+    createMovementState,
+    cloneMovementState,
+    sanitizeInput,
+    stepMovement
+} from '../js/shared/movement.js';
+import { getTerrainHeight } from '../js/shared/terrain.js';
+import { CollisionManager } from '../js/shared/collisions.js';
+import {
+    addDirtJumpColliders,
+    getDirtJumpGroundHeight,
+    checkRampSideCollision
+} from '../js/shared/dirt-jumps.js';
+import { addLookoutColliders } from '../js/shared/lookout.js';
+
+// Most inputs accepted in one player-update (~0.5s at 60fps)
+const MAX_INPUTS_PER_UPDATE = 30;
+
+// Simulated time may run ahead of wall-clock time by this much (ms) - absorbs jitter
+const TIME_BUDGET_SLACK_MS = 250;
+
+// Unused time a client can bank (ms) - stops idle-then-burst speed hacks
+const TIME_BUDGET_MAX_BANK_MS = 1000;
+
+// Extra horizontal distance allowed per update (collision push-outs, float error)
+const HORIZONTAL_SLACK = 0.25;
+
+// Rising above our simulation (steps and floors we don't model) is paid from a
+// credit that only comes back with time - a step up now and then is fine,
+// climbing update after update isn't
+const MAX_STEP_UP = 1.0; // Most credit (m)
+const STEP_UP_PER_SECOND = 0.5; // Credit regained
+const VERTICAL_SLACK = 0.05;
+
+// Corrections this soon after a server-side reset (ms) are expected - the client
+// was still sending from its old position
+const RESET_GRACE_MS = 1500;
+
+// Lowest the eye may go below the terrain-based crouch height
+const MAX_BELOW_TERRAIN = 0.5;
+
+// Top speeds that aren't simulated here (m/s) - on foot it comes out of the inputs
+export const MAX_SPEEDS = {
+    vehicle: 60
+};
+
+// Rider's eye above the vehicle's origin - where a rider who strays is put back
+const RIDER_EYE_HEIGHT = 1.5;
+
+// Landing this far (m) beyond what's allowed is a teleport, not just a fast move
+const TELEPORT_DISTANCE = 25;
+
+// Level queries the server can answer - terrain is built into the step
+const SERVER_WORLD = {
+    collide(x, y, z, radius, velocity) {
+        const result = CollisionManager.checkPlayerCollision(x, y, z, radius, velocity);
+        return result.collided ? result : null;
+    },
+    getRampHeight: getDirtJumpGroundHeight,
+    getFloorHeight: (x, z, y, height) => CollisionManager.getFloorHeight(x, z, y, height),
+    checkRampSideCollision
+};
+
+/**
+ * Register the level geometry the server knows without models - call once at startup
+ */
+export function initServerWorld() {
+    CollisionManager.clear();
+    addDirtJumpColliders();
+    addLookoutColliders();
+    console.log(`🧱 Server world ready (${CollisionManager.count} colliders)`);
+}
+
+/**
+ * Top speed for movers we can't simulate (vehicles, riders): distance is paid for in
+ * time at maxSpeed, from the same clock budget applyInputs uses. Standing
+ * still earns nothing, so only the slack can be spent at once.
+ */
+export class TravelBudget {
+    constructor(maxSpeed, now = Date.now()) {
+        this.maxSpeed = maxSpeed;
+        this.reset(now);
+    }
+
+    /**
+     * Start over (moved by the server - spawn, respawn)
+     */
+    reset(now = Date.now()) {
+        this.budgetStart = now;
+        this.spentMs = 0;
+    }
+
+    /**
+     * Pay for a move
+     * @param {number} distance - Meters since the last accepted position
+     * @returns {string|null} 'teleport' / 'moved too fast' (nothing spent), or null
+     */
+    spend(distance, now = Date.now()) {
+        this.budgetStart = Math.max(this.budgetStart, now - this.spentMs);
+
+        const available = (now - this.budgetStart - this.spentMs + TIME_BUDGET_SLACK_MS) / 1000 * this.maxSpeed;
+        if (distance > available + TELEPORT_DISTANCE) return 'teleport';
+        if (distance > available) return 'moved too fast';
+
+        this.spentMs += distance / this.maxSpeed * 1000;
+        return null;
+    }
+}
+
+export class PlayerMovement {
+    constructor(position, config = MOVEMENT_CONFIG) {
+        this.config = config;
+        this.reset(position);
+    }
+
+    /**
+     * Put the player somewhere new (join / respawn)
+     */
+    reset(position, now = Date.now()) {
+        this.state = createMovementState(position);
+        this.travel = new TravelBudget(MAX_SPEEDS.vehicle, now); // Riding (applyPosition)
+        this.lastUpdateTime = now;
+        this.budgetStart = now;
+        this.resetAt = now;
+        this.simulatedMs = 0;
+        this.stepUpCredit = MAX_STEP_UP;
+        // Keep counting - the client's input numbers carry on across respawns
+        this.lastSeq = this.lastSeq || 0;
+    }
+
+    /**
+     * Pick the player back up on a new connection (session resume)
+     * A reloaded client numbers its inputs from scratch, so forget the old sequence
+     */
+    resume(position, now = Date.now()) {
+        this.lastSeq = 0;
+        this.reset(position, now);
+    }
+
+    /**
+     * Were we just moved by the server (respawn / resume)?
+     */
+    wasJustReset(now = Date.now()) {
+        return now - this.resetAt < RESET_GRACE_MS;
+    }
+
+    get position() {
+        return this.state.position;
+    }
+
+    /**
+     * Simulate a batch of inputs and check the client's predicted position
+     * @param {Array} inputs - Raw input commands from the client
+     * @param {Object} claimed - Position the client predicted after the last input
+     * @returns {Object} Ack { seq, corrected, state?, reason? }
+     */
+    applyInputs(inputs, claimed, now = Date.now()) {
+        const start = { ...this.state.position };
+        let path = 0;
+        let overBudget = false;
+
+        // Don't let a client bank time while idle and spend it all at once
+        this.budgetStart = Math.max(this.budgetStart, now - this.simulatedMs - TIME_BUDGET_MAX_BANK_MS);
+
+        for (const raw of inputs.slice(0, MAX_INPUTS_PER_UPDATE)) {
+            const input = sanitizeInput(raw);
+            if (!input || input.seq <= this.lastSeq) continue;
+            this.lastSeq = input.seq;
+
+            const deltaMs = input.delta * 1000;
+            if (this.simulatedMs + deltaMs > now - this.budgetStart + TIME_BUDGET_SLACK_MS) {
+                overBudget = true; // Sent more time than has passed - drop it
+                continue;
+            }
+            this.simulatedMs += deltaMs;
+
+            const bx = this.state.position.x;
+            const bz = this.state.position.z;
+            stepMovement(this.state, input, input.delta, this.config, SERVER_WORLD);
+            path += Math.hypot(this.state.position.x - bx, this.state.position.z - bz);
+        }
+
+        const elapsed = Math.max(now - this.lastUpdateTime, 0) / 1000;
+        this.stepUpCredit = Math.min(MAX_STEP_UP, this.stepUpCredit + elapsed * STEP_UP_PER_SECOND);
+        this.lastUpdateTime = now;
+
+        const reason = overBudget ? 'inputs ahead of server clock' : this.checkClaim(start, claimed, path);
+        if (reason) {
+            return { seq: this.lastSeq, corrected: true, reason, state: cloneMovementState(this.state) };
+        }
+
+        this.acceptClaim(start, claimed);
+        return { seq: this.lastSeq, corrected: false };
+    }
+
+    /**
+     * Position update while riding - the vehicle (checked on its own) decides
+     * where the player is, the report only has to stay with it (and under its top speed)
+     * @param {Object} claimed - Reported eye position
+     * @param {Object} anchor - The vehicle's position
+     * @param {number} leash - Furthest the report may be from it (m)
+     * @returns {Object} Ack as in applyInputs
+     */
+    applyPosition(claimed, anchor, leash, now = Date.now()) {
+        this.lastUpdateTime = now;
+        this.state.velocity = { x: 0, y: 0, z: 0 };
+        this.state.isGrounded = true;
+
+        const reason = !isVector(claimed) ? 'bad position'
+            : distance(claimed, anchor) > leash ? 'away from vehicle'
+            : null;
+        if (reason) {
+            // Sit them back on it
+            this.state.position = { x: anchor.x, y: anchor.y + RIDER_EYE_HEIGHT, z: anchor.z };
+            return { seq: this.lastSeq, corrected: true, reason, state: cloneMovementState(this.state) };
+        }
+
+        const tooFast = this.travel.spend(distance(claimed, this.state.position), now);
+        if (tooFast) {
+            return { seq: this.lastSeq, corrected: true, reason: tooFast, state: cloneMovementState(this.state) };
+        }
+
+        this.state.position = { x: claimed.x, y: claimed.y, z: claimed.z };
+        return { seq: this.lastSeq, corrected: false };
+    }
+
+    /**
+     * Could the simulated inputs have produced the claimed position?
+     * @returns {string|null} Reason it couldn't, or null if it's fine
+     */
+    checkClaim(start, claimed, path) {
+        if (!isVector(claimed)) return 'bad position';
+
+        const sim = this.state.position;
+
+        // Level geometry only ever shortens a move - stopped or slid along something,
+        // the player ends up inside the circle with start -> simulated end across it
+        const offCenter = Math.hypot(claimed.x - (start.x + sim.x) / 2, claimed.z - (start.z + sim.z) / 2);
+        const maxOffCenter = path / 2 + HORIZONTAL_SLACK;
+        if (offCenter > maxOffCenter + TELEPORT_DISTANCE) return 'teleport';
+        if (offCenter > maxOffCenter) return 'moved further than inputs allow';
+
+        // Floors we don't model can hold the player up where they stood,
+        // anything higher than the simulation is paid from the step-up credit
+        const maxY = getSupportedHeight(start, sim) + this.stepUpCredit + VERTICAL_SLACK;
+        if (claimed.y > maxY) return 'climbed higher than inputs allow';
+
+        const minY = getTerrainHeight(claimed.x, claimed.z) + this.config.slideHeight - MAX_BELOW_TERRAIN;
+        if (claimed.y < minY) return 'below terrain';
+
+        return null;
+    }
+
+    acceptClaim(start, claimed) {
+        const sim = this.state.position;
+        this.stepUpCredit = Math.max(0, this.stepUpCredit - Math.max(0, claimed.y - getSupportedHeight(start, sim)));
+
+        // Held up by something we don't simulate - treat it as ground
+        if (claimed.y > sim.y + 0.05) {
+            this.state.isGrounded = true;
+            this.state.velocity.y = Math.max(this.state.velocity.y, 0);
+        }
+
+        this.state.position = { x: claimed.x, y: claimed.y, z: claimed.z };
+    }
+}
+
+/**
+ * Height a claim can sit at for free - the simulation, or where they stood
+ */
+function getSupportedHeight(start, sim) {
+    return Math.max(sim.y, start.y);
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function isVector(v) {
+    return !!v && isFinite(v.x) && isFinite(v.y) && isFinite(v.z);
+}
@@ -0,0 +1,240 @@
+/**
+ * Profiles - Lifetime player stats that survive server restarts
+ * A profile is created on a player's first join. The client keeps the secret
+ * profile token (localStorage) and sends it with every join; the public
+ * profile id is what GET /api/players/:id/stats takes. Only a hash of the
+ * token is stored.
+ *
+ * Stats are kept in memory and written to a JSON file a few seconds after
+ * they change (and on shutdown). A profile is only written once it has been
+ * used (see isProfileUsed) - one that never is gets dropped after a while, so
+ * drive-by connects don't pile up in the file.
+ *
+ * Usage:
+ *   const profiles = new ProfileStore(path.join(DATA_DIR, 'profiles.json'));
+ *   const { profile, token } = profiles.resolve(data.profileToken, player.name); // token only if new
+ *   profiles.recordKill(killer.profileId, victim.profileId, { weapon, headshot, distance, teamKill });
+ *   res.json(profiles.getStats(req.params.id));
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './json-file.js';
+
+// Wait this long after a change before writing (ms) - batches a busy match into one write
+const SAVE_DELAY_MS = 5000;
+
+// Play time (seconds) that makes a profile worth keeping on its own
+const MIN_SAVED_PLAY_TIME = 60;
+
+// Never-used profiles are forgotten once idle this long (ms) - connected
+// players are credited play time every second, so theirs stay fresh
+const UNUSED_PROFILE_TTL_MS = 10 * 60 * 1000;
+
+function createStats() {
+    return {
+        kills: 0,
+        deaths: 0,
+        assists: 0,
+        headshots: 0, // Kills with a head shot
+        shotsFired: 0,
+        shotsHit: 0,
+        timePlayed: 0, // Seconds
+        longestKill: 0, // Meters
+        weapons: {} // key -> { shotsFired, shotsHit, kills, headshots }
+    };
+}
+
+/**
+ * Has this profile recorded anything worth writing down?
+ */
+function isProfileUsed(profile) {
+    const { stats } = profile;
+    return stats.shotsFired > 0 || stats.kills > 0 || stats.deaths > 0 || stats.assists > 0 ||
+        stats.timePlayed >= MIN_SAVED_PLAY_TIME;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export class ProfileStore {
+    /**
+     * @param {string} filePath - JSON file the profiles are kept in (created on first save)
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.profiles = new Map(); // id -> profile
+        this.tokens = new Map(); // token hash -> id
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        const data = readJsonFile(this.filePath, null);
+        if (!data || !Array.isArray(data.profiles)) return;
+
+        data.profiles.forEach(profile => {
+            profile.stats = { ...createStats(), ...profile.stats };
+            this.profiles.set(profile.id, profile);
+            this.tokens.set(profile.tokenHash, profile.id);
+        });
+        console.log(`📇 Loaded ${this.profiles.size} profile(s)`);
+    }
+
+    /**
+     * Write soon (changes within SAVE_DELAY_MS share one write)
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write now - saves queue behind each other so they can't interleave.
+     * Only used profiles are written; stale unused ones are dropped here too.
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.pruneUnused();
+
+        const saved = Array.from(this.profiles.values()).filter(isProfileUsed);
+        this.saving = this.saving.then(() => writeJsonFile(this.filePath, { profiles: saved }));
+        return this.saving;
+    }
+
+    /**
+     * Forget profiles that were never used and haven't been seen for UNUSED_PROFILE_TTL_MS
+     */
+    pruneUnused(now = Date.now()) {
+        this.profiles.forEach((profile, id) => {
+            if (isProfileUsed(profile) || now - profile.lastSeen < UNUSED_PROFILE_TTL_MS) return;
+            this.profiles.delete(id);
+            this.tokens.delete(profile.tokenHash);
+        });
+    }
+
+    /**
+     * Profile for a joining player - the one the token belongs to, or a new one
+     * @param {string} token - Profile token the client sent (may be missing/unknown)
+     * @param {string} name - Current display name
+     * @returns {Object} { profile, token } - token is only set for a new profile
+     */
+    resolve(token, name) {
+        const id = typeof token === 'string' ? this.tokens.get(hashToken(token)) : null;
+        let profile = id ? this.profiles.get(id) : null;
+        let newToken = null;
+
+        if (!profile) {
+            newToken = crypto.randomBytes(24).toString('hex');
+            profile = {
+                id: crypto.randomBytes(8).toString('hex'),
+                tokenHash: hashToken(newToken),
+                createdAt: Date.now(),
+                stats: createStats()
+            };
+            this.profiles.set(profile.id, profile);
+            this.tokens.set(profile.tokenHash, profile.id);
+        }
+
+        profile.name = name;
+        profile.lastSeen = Date.now();
+        if (!newToken) this.scheduleSave(); // A new one has nothing to save yet
+        return { profile, token: newToken };
+    }
+
+    getWeaponStats(profile, weapon) {
+        if (!profile.stats.weapons[weapon]) {
+            profile.stats.weapons[weapon] = { shotsFired: 0, shotsHit: 0, kills: 0, headshots: 0 };
+        }
+        return profile.stats.weapons[weapon];
+    }
+
+    recordShot(profileId, weapon) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return;
+
+        profile.stats.shotsFired++;
+        this.getWeaponStats(profile, weapon).shotsFired++;
+        this.scheduleSave();
+    }
+
+    /**
+     * A hit the server accepted (see validateHit)
+     */
+    recordHit(profileId, weapon) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return;
+
+        profile.stats.shotsHit++;
+        this.getWeaponStats(profile, weapon).shotsHit++;
+        this.scheduleSave();
+    }
+
+    /**
+     * @param {Object} kill - { weapon, headshot, distance, teamKill } - team kills only count the death
+     */
+    recordKill(killerId, victimId, kill) {
+        const killer = this.profiles.get(killerId);
+        const victim = this.profiles.get(victimId);
+
+        if (killer && killerId !== victimId && !kill.teamKill) {
+            const weaponStats = this.getWeaponStats(killer, kill.weapon);
+            killer.stats.kills++;
+            weaponStats.kills++;
+            if (kill.headshot) {
+                killer.stats.headshots++;
+                weaponStats.headshots++;
+            }
+            killer.stats.longestKill = Math.max(killer.stats.longestKill, Math.round(kill.distance * 10) / 10);
+        }
+        if (victim) {
+            victim.stats.deaths++;
+        }
+        this.scheduleSave();
+    }
+
+    recordAssist(profileId) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return;
+
+        profile.stats.assists++;
+        this.scheduleSave();
+    }
+
+    /**
+     * @param {number} seconds - Time spent connected since the last call
+     */
+    addPlayTime(profileId, seconds) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return;
+
+        profile.stats.timePlayed += seconds;
+        profile.lastSeen = Date.now();
+        this.scheduleSave();
+    }
+
+    /**
+     * Public view of a profile (GET /api/players/:id/stats)
+     * @returns {Object|null}
+     */
+    getStats(profileId) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return null;
+
+        const { stats } = profile;
+        return {
+            id: profile.id,
+            name: profile.name,
+            createdAt: profile.createdAt,
+            lastSeen: profile.lastSeen,
+            stats: {
+                ...stats,
+                timePlayed: Math.round(stats.timePlayed),
+                kdRatio: stats.deaths ? Math.round((stats.kills / stats.deaths) * 100) / 100 : stats.kills,
+                accuracy: stats.shotsFired ? Math.round((stats.shotsHit / stats.shotsFired) * 1000) / 10 : 0
+            }
+        };
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * Replays - Records each room's event stream to replays/
+ * One file per match (js/shared/replay-format.js has the format). A file is
+ * written as <name>.part and only renamed to its final name once the
+ * recording is closed, so a match in progress can't be downloaded and
+ * watched live. Only the newest MAX_REPLAYS files are kept. A .part left
+ * by a crash never got its end written, so it's removed at the next start.
+ *
+ * Usage:
+ *   removePartialReplays(REPLAY_DIR); // Startup, before anything records
+ *   room.recorder = new ReplayRecorder(REPLAY_DIR, { roomId, roomName, mode, map });
+ *   room.recorder.record('kill', payload);
+ *   await room.recorder.close();
+ *   res.json({ replays: await listReplays(REPLAY_DIR) });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { REPLAY_VERSION, REPLAY_EXTENSION } from '../js/shared/replay-format.js';
+
+// Oldest recordings are deleted past this many
+export const MAX_REPLAYS = 200;
+
+// <date>_<time>_<room>.replay.gz - also what requests are checked against
+const REPLAY_FILE_PATTERN = /^[\w-]+\.replay\.gz$/;
+
+/**
+ * "2026-10-19T14:03:07.123Z" + "my room!" -> "2026-10-19_14-03-07-123_my-room"
+ */
+function buildFileName(startedAt, roomId) {
+    const stamp = new Date(startedAt).toISOString().slice(0, 23).replace('T', '_').replace(/[:.]/g, '-');
+    const room = roomId.replace(/[^\w-]+/g, '-').slice(0, 32) || 'room';
+    return `${stamp}_${room}${REPLAY_EXTENSION}`;
+}
+
+export class ReplayRecorder {
+    /**
+     * @param {string} dir - Directory replays are written to (created if needed)
+     * @param {Object} info - Header fields: { roomId, roomName, mode, map }
+     */
+    constructor(dir, info) {
+        this.startedAt = Date.now();
+        this.fileName = buildFileName(this.startedAt, info.roomId);
+        this.filePath = path.join(dir, this.fileName);
+        this.failed = false;
+        this.closing = null; // Promise once close() was called
+
+        fs.mkdirSync(dir, { recursive: true });
+        this.gzip = zlib.createGzip();
+        this.file = fs.createWriteStream(`${this.filePath}.part`);
+        this.gzip.pipe(this.file);
+
+        const onError = (error) => {
+            if (this.failed) return;
+            this.failed = true;
+            console.error(`❌ Replay ${this.fileName} failed:`, error.message);
+        };
+        this.gzip.on('error', onError);
+        this.file.on('error', onError);
+
+        this.writeLine({ version: REPLAY_VERSION, ...info, startedAt: this.startedAt });
+        console.log(`⏺️ Recording ${this.fileName}`);
+    }
+
+    writeLine(value) {
+        if (this.failed || this.closing) return;
+        this.gzip.write(JSON.stringify(value) + '\n');
+    }
+
+    /**
+     * @param {string} type - One of REPLAY_EVENTS
+     * @param {*} data
+     */
+    record(type, data, now = Date.now()) {
+        this.writeLine([now - this.startedAt, type, data]);
+    }
+
+    /**
+     * Finish the file and give it its final name
+     * @returns {Promise<void>} Resolves once it's on disk (never rejects)
+     */
+    close() {
+        if (this.closing) return this.closing;
+
+        this.closing = new Promise(resolve => {
+            if (this.failed) return resolve();
+            this.file.once('close', resolve);
+            this.file.once('error', resolve);
+            this.gzip.end();
+        }).then(async () => {
+            if (this.failed) return;
+            try {
+                await fs.promises.rename(`${this.filePath}.part`, this.filePath);
+                console.log(`💾 Saved replay ${this.fileName} (${Math.round((Date.now() - this.startedAt) / 1000)}s)`);
+            } catch (error) {
+                console.error(`❌ Couldn't save replay ${this.fileName}:`, error.message);
+            }
+        });
+        return this.closing;
+    }
+}
+
+/**
+ * Finished replays, newest first
+ * @returns {Promise<Object[]>} [{ file, size, savedAt }]
+ */
+export async function listReplays(dir) {
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const replays = await Promise.all(names
+        .filter(name => REPLAY_FILE_PATTERN.test(name))
+        .map(async name => {
+            const stats = await fs.promises.stat(path.join(dir, name));
+            return { file: name, size: stats.size, savedAt: stats.mtimeMs };
+        }));
+    return replays.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Path of a finished replay from an untrusted file name
+ * @returns {string|null} null if the name isn't a replay file name
+ */
+export function getReplayPath(dir, fileName) {
+    if (typeof fileName !== 'string' || !REPLAY_FILE_PATTERN.test(fileName)) return null;
+    return path.join(dir, fileName);
+}
+
+/**
+ * Delete recordings the last run didn't get to finish
+ * @returns {number} How many were removed
+ */
+export function removePartialReplays(dir) {
+    let names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    const partial = names.filter(name => name.endsWith('.part'));
+    partial.forEach(name => fs.unlinkSync(path.join(dir, name)));
+    return partial.length;
+}
+
+/**
+ * Delete the oldest replays past MAX_REPLAYS
+ */
+export async function pruneReplays(dir) {
+    const replays = await listReplays(dir).catch(() => []);
+    await Promise.all(replays.slice(MAX_REPLAYS).map(replay =>
+        fs.promises.unlink(path.join(dir, replay.file)).catch(() => {})
+    ));
+}
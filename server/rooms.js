@@ -0,0 +1,234 @@
+/**
+ * Rooms - Room creation, options and lobby listings
+ * A room is a set of players sharing a match (server/match.js). The default
+ * room always exists; rooms created from the lobby are removed once they've
+ * been empty for a while. Spectators watch a room on top of its player slots.
+ * Each room has its own copy of the map's vehicles (server/vehicles.js).
+ *
+ * Passwords are only ever stored hashed, on a non-enumerable property so they
+ * can't leak into anything that serializes the room. Hashing runs off the event
+ * loop (async scrypt), so everything that checks a password is async.
+ *
+ * Usage:
+ *   const { options, error } = sanitizeRoomOptions(req.body);
+ *   const passwordHash = options.password ? await hashRoomPassword(options.password) : null;
+ *   const room = createRoom(generateRoomId(), { ...options, passwordHash });
+ *   if (!(await checkRoomPassword(room, password))) { ... }
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { Match } from './match.js';
+import { ChatHistory } from './chat.js';
+import { GAME_MODES, DEFAULT_GAME_MODE, normalizeGameMode } from '../js/shared/game-modes.js';
+import { DEFAULT_MAP, MAPS, normalizeMapId } from '../js/shared/maps.js';
+import { createRoomVehicles } from './vehicles.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const DEFAULT_ROOM_ID = 'default';
+
+export const ROOM_LIMITS = {
+    nameLength: 32,
+    passwordLength: 64,
+    minPlayers: 2,
+    maxPlayers: 32,
+    defaultMaxPlayers: 16,
+    maxSpectators: 8, // On top of maxPlayers
+    scoreLimit: { min: 1, max: 1000 },
+    timeLimit: { min: 60, max: 3600 }, // seconds
+    respawnDelay: { min: 0, max: 30 } // seconds
+};
+
+// Lobby-created rooms are closed after being empty this long (ms)
+export const EMPTY_ROOM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Validate lobby input into room options
+ * @param {Object} raw - Untrusted request body
+ * @returns {Object} { options } or { error }
+ */
+export function sanitizeRoomOptions(raw = {}) {
+    if (!raw || typeof raw !== 'object') return { error: 'Invalid room options' };
+
+    const name = typeof raw.name === 'string' ? raw.name.trim().slice(0, ROOM_LIMITS.nameLength) : '';
+    if (!name) return { error: 'Room name is required' };
+
+    const mode = raw.mode === undefined ? DEFAULT_GAME_MODE : normalizeGameMode(raw.mode);
+    if (!mode) return { error: `Unknown mode (try ${Object.keys(GAME_MODES).join(', ')})` };
+
+    const map = raw.map === undefined ? DEFAULT_MAP : normalizeMapId(raw.map);
+    if (!map) return { error: `Unknown map (try ${Object.keys(MAPS).join(', ')})` };
+
+    let maxPlayers = ROOM_LIMITS.defaultMaxPlayers;
+    if (raw.maxPlayers !== undefined) {
+        maxPlayers = Number(raw.maxPlayers);
+        if (!Number.isInteger(maxPlayers) || maxPlayers < ROOM_LIMITS.minPlayers || maxPlayers > ROOM_LIMITS.maxPlayers) {
+            return { error: `Max players must be ${ROOM_LIMITS.minPlayers}-${ROOM_LIMITS.maxPlayers}` };
+        }
+    }
+
+    let password = null;
+    if (raw.password !== undefined && raw.password !== null && raw.password !== '') {
+        if (typeof raw.password !== 'string' || raw.password.length > ROOM_LIMITS.passwordLength) {
+            return { error: 'Invalid password' };
+        }
+        password = raw.password;
+    }
+
+    const { rules, error } = sanitizeRules(raw.rules);
+    if (error) return { error };
+
+    return { options: { name, mode, map, maxPlayers, password, rules } };
+}
+
+/**
+ * Per-room overrides of the mode rules - only the knobs the lobby exposes
+ */
+function sanitizeRules(raw) {
+    const rules = {};
+    if (raw === undefined || raw === null) return { rules };
+    if (typeof raw !== 'object') return { error: 'Invalid rules' };
+
+    for (const key of ['scoreLimit', 'timeLimit', 'respawnDelay']) {
+        if (raw[key] === undefined || raw[key] === '') continue;
+        const value = Number(raw[key]);
+        const { min, max } = ROOM_LIMITS[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { error: `${key} must be ${min}-${max}` };
+        }
+        rules[key] = value;
+    }
+
+    if (raw.friendlyFire !== undefined) {
+        rules.friendlyFire = !!raw.friendlyFire;
+    }
+
+    return { rules };
+}
+
+/**
+ * Short, URL-safe room id
+ */
+export function generateRoomId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Build a room (doesn't register it - the caller owns the rooms Map)
+ * @param {string} id
+ * @param {Object} options - From sanitizeRoomOptions, plus passwordHash (hashRoomPassword)
+ * @param {boolean} permanent - Never closed when empty (the default room)
+ */
+export function createRoom(id, options = {}, permanent = false) {
+    const room = {
+        id,
+        name: options.name || id,
+        map: options.map || DEFAULT_MAP,
+        maxPlayers: options.maxPlayers || ROOM_LIMITS.defaultMaxPlayers,
+        permanent,
+        createdAt: Date.now(),
+        emptySince: Date.now(),
+        players: new Map(),
+        spectators: new Map(), // Watching only - never in players, snapshots or standings
+        vehicles: createRoomVehicles(options.map || DEFAULT_MAP), // Reset with the match
+        chatHistory: new ChatHistory(),
+        rules: options.rules || {}, // Lobby overrides - reapplied if an admin changes the mode
+        match: new Match(options.mode || DEFAULT_GAME_MODE, options.rules || {})
+    };
+
+    Object.defineProperty(room, 'password', {
+        value: options.passwordHash || null,
+        enumerable: false,
+        writable: true
+    });
+
+    // Match being recorded to replays/ (server/replays.js) - set by server.js
+    Object.defineProperty(room, 'recorder', {
+        value: null,
+        enumerable: false,
+        writable: true
+    });
+
+    return room;
+}
+
+export function isRoomLocked(room) {
+    return !!room.password;
+}
+
+export function isRoomFull(room) {
+    return room.players.size >= room.maxPlayers;
+}
+
+export function hasSpectatorSlot(room) {
+    return room.spectators.size < ROOM_LIMITS.maxSpectators;
+}
+
+/**
+ * Salted hash of a room password, for createRoom
+ * @returns {Promise<Object>} { salt, hash }
+ */
+export async function hashRoomPassword(password) {
+    const salt = crypto.randomBytes(16);
+    return { salt, hash: await scrypt(password, salt, 32) };
+}
+
+/**
+ * @returns {Promise<boolean>} True if the room is open or the password matches
+ */
+export async function checkRoomPassword(room, password) {
+    if (!room.password) return true;
+    if (typeof password !== 'string') return false;
+
+    const { salt, hash } = room.password;
+    const candidate = await scrypt(password, salt, hash.length);
+    return crypto.timingSafeEqual(candidate, hash);
+}
+
+/**
+ * Can a player join this room?
+ * @returns {Promise<string|null>} Reason they can't, or null
+ */
+export async function getJoinBlockReason(room, password, spectator = false) {
+    if (!(await checkRoomPassword(room, password))) return 'Wrong password';
+
+    // Counted after the password - others may have joined while it was checked
+    if (spectator ? !hasSpectatorSlot(room) : isRoomFull(room)) {
+        return spectator ? 'No spectator slots left' : 'Room is full';
+    }
+    return null;
+}
+
+/**
+ * Public listing for the lobby (GET /api/rooms)
+ */
+export function getRoomSummary(room) {
+    const match = room.match;
+    return {
+        id: room.id,
+        name: room.name,
+        mode: match.modeKey,
+        modeName: match.rules.name,
+        map: room.map,
+        mapName: MAPS[room.map] ? MAPS[room.map].name : room.map,
+        players: room.players.size,
+        maxPlayers: room.maxPlayers,
+        spectators: room.spectators.size,
+        locked: isRoomLocked(room),
+        state: match.state,
+        rules: {
+            scoreLimit: match.rules.scoreLimit,
+            timeLimit: match.rules.timeLimit,
+            respawnDelay: match.rules.respawnDelay,
+            friendlyFire: !!match.rules.friendlyFire
+        }
+    };
+}
+
+/**
+ * Has a lobby room sat empty long enough to close?
+ */
+export function isRoomExpired(room, now = Date.now()) {
+    return !room.permanent && room.players.size === 0 && now - room.emptySince > EMPTY_ROOM_TIMEOUT_MS;
+}
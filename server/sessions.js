@@ -0,0 +1,43 @@
+/**
+ * Sessions - Resumable session tokens
+ * Every player gets a random token on 'player-assigned'. If their socket drops
+ * the player is kept for SESSION_GRACE_MS; joining again with the token
+ * reclaims the same player (id, score, health, room) instead of a new one.
+ *
+ * Usage:
+ *   const token = sessions.issue(player.id);
+ *   const playerId = sessions.resolve(data.sessionToken); // null if unknown
+ *   sessions.revoke(token); // Player is gone for good
+ */
+
+import crypto from 'crypto';
+
+// How long a dropped player's spot is held (ms)
+export const SESSION_GRACE_MS = 30000;
+
+export class SessionStore {
+    constructor() {
+        this.tokens = new Map(); // token -> playerId
+    }
+
+    /**
+     * New token for a player
+     */
+    issue(playerId) {
+        const token = crypto.randomBytes(24).toString('hex');
+        this.tokens.set(token, playerId);
+        return token;
+    }
+
+    /**
+     * @returns {string|null} Player id the token belongs to
+     */
+    resolve(token) {
+        if (typeof token !== 'string') return null;
+        return this.tokens.get(token) || null;
+    }
+
+    revoke(token) {
+        this.tokens.delete(token);
+    }
+}
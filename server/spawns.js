@@ -0,0 +1,108 @@
+/**
+ * Spawns - Picks where a player (re)spawns
+ * Every spawn point of the room's map is scored against the living enemies:
+ * further from the nearest one is better, being in someone's line of sight is
+ * much worse. One of the best few is picked at random so spawns don't become
+ * predictable.
+ *
+ * Line of sight is checked against the terrain only - the server doesn't load
+ * the building models.
+ *
+ * Usage:
+ *   const spawn = chooseSpawnPoint(room.map, player, room.players, room.match);
+ *   player.movement.reset(spawn.position);
+ */
+
+import { MAPS, DEFAULT_MAP } from '../js/shared/maps.js';
+import { MOVEMENT_CONFIG } from '../js/shared/movement.js';
+import { getTerrainHeight } from '../js/shared/terrain.js';
+
+// Enemies further than this (m) don't make a spawn any safer
+const SAFE_DISTANCE = 80;
+
+// Score lost per enemy that can see the spawn
+const VISIBLE_PENALTY = 60;
+
+// Spawns scoring within this of the best are all fair picks
+const SCORE_SLACK = 10;
+
+// Terrain sample spacing along a sight line (m)
+const LOS_STEP = 4;
+
+/**
+ * Eye position on the terrain for a spawn point
+ */
+function getSpawnPosition(point) {
+    return {
+        x: point.x,
+        y: getTerrainHeight(point.x, point.z) + MOVEMENT_CONFIG.baseHeight,
+        z: point.z
+    };
+}
+
+/**
+ * Does the terrain block the line between two eye positions?
+ */
+export function hasLineOfSight(from, to) {
+    const dist = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.floor(dist / LOS_STEP);
+
+    for (let i = 1; i < steps; i++) {
+        const t = i / steps;
+        const x = from.x + (to.x - from.x) * t;
+        const z = from.z + (to.z - from.z) * t;
+        const y = from.y + (to.y - from.y) * t;
+        if (getTerrainHeight(x, z) > y) return false;
+    }
+    return true;
+}
+
+/**
+ * How good a spawn is for someone with these enemies (higher is better)
+ */
+function scoreSpawn(position, enemies) {
+    if (enemies.length === 0) return SAFE_DISTANCE;
+
+    let nearest = Infinity;
+    let visible = 0;
+    enemies.forEach(enemy => {
+        const dist = Math.hypot(enemy.position.x - position.x, enemy.position.z - position.z);
+        nearest = Math.min(nearest, dist);
+        if (dist < SAFE_DISTANCE * 2 && hasLineOfSight(enemy.position, position)) visible++;
+    });
+
+    return Math.min(nearest, SAFE_DISTANCE) - visible * VISIBLE_PENALTY;
+}
+
+/**
+ * Pick a spawn point for a player
+ * @param {string} mapId - Room map
+ * @param {Object} player - Who's spawning
+ * @param {Map} players - Room players
+ * @param {Match} match - Decides who counts as an enemy
+ * @returns {Object} { position, yaw } - yaw faces the middle of the map
+ */
+export function chooseSpawnPoint(mapId, player, players, match) {
+    const map = MAPS[mapId] || MAPS[DEFAULT_MAP];
+
+    const enemies = [];
+    players.forEach(other => {
+        if (other.id !== player.id && other.isAlive && !match.isTeammate(player, other)) {
+            enemies.push(other);
+        }
+    });
+
+    const scored = map.spawnPoints.map(point => {
+        const position = getSpawnPosition(point);
+        return { point, position, score: scoreSpawn(position, enemies) };
+    });
+
+    const best = Math.max(...scored.map(s => s.score));
+    const candidates = scored.filter(s => s.score >= best - SCORE_SLACK);
+    const choice = candidates[Math.floor(Math.random() * candidates.length)];
+
+    return {
+        position: choice.position,
+        yaw: choice.point.yaw ?? Math.atan2(choice.position.x, choice.position.z)
+    };
+}
@@ -0,0 +1,190 @@
+/**
+ * Validation - Schemas for every client -> server socket event
+ * Payloads are checked field by field and rebuilt from the schema, so
+ * handlers only ever see declared fields with the right types and sizes.
+ * Unknown fields are dropped; anything malformed rejects the whole event.
+ *
+ * Usage:
+ *   const { value, error } = validatePayload('chat-message', data);
+ *   if (error) { ... } // Count it as a violation, drop the event
+ */
+
+import { ROOM_LIMITS } from './rooms.js';
+import { CHAT_MAX_LENGTH, CHAT_CHANNELS } from '../js/shared/chat.js';
+
+export const FIELD_LIMITS = {
+    id: 32,
+    name: 24,
+    weapon: 24,
+    sessionToken: 64,
+    chatMessage: CHAT_MAX_LENGTH,
+    url: 2048,
+    inputs: 240, // The movement authority only simulates the first 30 per update
+    signal: 16 * 1024 // Serialized size of a WebRTC offer/answer/candidate
+};
+
+// --- Field types ---
+
+const string = (maxLength, options = {}) => ({ type: 'string', maxLength, ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const vector = (options = {}) => ({ type: 'vector', ...options });
+const array = (maxItems, options = {}) => ({ type: 'array', maxItems, ...options });
+const object = (maxSize, options = {}) => ({ type: 'object', maxSize, ...options });
+const optional = (field) => ({ ...field, optional: true });
+
+/**
+ * Event name -> { field: type }
+ */
+export const EVENT_SCHEMAS = {
+    'player-join': {
+        name: optional(string(FIELD_LIMITS.name)),
+        roomId: optional(string(FIELD_LIMITS.id)),
+        password: optional(string(ROOM_LIMITS.passwordLength)),
+        position: optional(vector()),
+        sessionToken: optional(string(FIELD_LIMITS.sessionToken)),
+        profileToken: optional(string(FIELD_LIMITS.sessionToken)),
+        spectator: optional(boolean()) // Watch instead of play
+    },
+    'player-update': {
+        position: vector(),
+        rotation: optional(vector()),
+        weapon: optional(string(FIELD_LIMITS.weapon)),
+        health: optional(number()),
+        inputs: optional(array(FIELD_LIMITS.inputs))
+    },
+    'player-fired': {
+        position: optional(vector()),
+        direction: optional(vector())
+    },
+    'player-hit': {
+        targetId: string(FIELD_LIMITS.id),
+        damage: optional(number()),
+        origin: vector(),
+        direction: vector(),
+        timestamp: optional(number())
+    },
+    'vehicle-enter': {
+        vehicleId: string(FIELD_LIMITS.id)
+    },
+    'vehicle-exit': {
+        vehicleId: string(FIELD_LIMITS.id)
+    },
+    'vehicle-hit': {
+        vehicleId: string(FIELD_LIMITS.id),
+        origin: vector(),
+        direction: vector(),
+        timestamp: optional(number())
+    },
+    'vehicle-landed': {
+        vehicleId: string(FIELD_LIMITS.id),
+        impactSpeed: number()
+    },
+    'vehicle-update': {
+        vehicleId: string(FIELD_LIMITS.id),
+        position: vector(),
+        rotation: vector(),
+        speed: number(),
+        lean: optional(number()),
+        wheelSpin: optional(number())
+    },
+    'chat-message': {
+        message: string(FIELD_LIMITS.chatMessage, { trim: true }),
+        channel: optional(string(8, { values: CHAT_CHANNELS }))
+    },
+    'voice-offer': {
+        targetId: string(FIELD_LIMITS.id),
+        offer: object(FIELD_LIMITS.signal)
+    },
+    'voice-answer': {
+        targetId: string(FIELD_LIMITS.id),
+        answer: object(FIELD_LIMITS.signal)
+    },
+    'ice-candidate': {
+        targetId: string(FIELD_LIMITS.id),
+        candidate: optional(object(FIELD_LIMITS.signal)) // null = end of candidates
+    },
+    'cinema-url': {
+        url: string(FIELD_LIMITS.url, { url: true })
+    }
+};
+
+/**
+ * Check a payload against its event's schema
+ * @param {string} event - Socket event name
+ * @param {*} data - Untrusted payload
+ * @returns {Object} { value } (clean copy) or { error }
+ */
+export function validatePayload(event, data) {
+    if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) {
+        return { error: 'unknown event' };
+    }
+
+    const schema = EVENT_SCHEMAS[event];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { error: 'payload must be an object' };
+    }
+
+    const value = {};
+    for (const [key, field] of Object.entries(schema)) {
+        const raw = data[key];
+        if (raw === undefined || raw === null) {
+            if (field.optional) continue;
+            return { error: `${key} is required` };
+        }
+
+        const result = checkField(field, raw);
+        if (result.error) return { error: `${key} ${result.error}` };
+        value[key] = result.value;
+    }
+
+    return { value };
+}
+
+function checkField(field, raw) {
+    switch (field.type) {
+        case 'string': {
+            if (typeof raw !== 'string') return { error: 'must be a string' };
+            const text = field.trim ? raw.trim() : raw;
+            if (text.length > field.maxLength) return { error: `is longer than ${field.maxLength}` };
+            if (field.trim && !text) return { error: 'is empty' };
+            if (field.url && !isHttpUrl(text)) return { error: 'must be an http(s) URL' };
+            if (field.values && !field.values.includes(text)) return { error: `must be one of ${field.values.join(', ')}` };
+            return { value: text };
+        }
+        case 'number':
+            if (typeof raw !== 'number' || !isFinite(raw)) return { error: 'must be a finite number' };
+            return { value: raw };
+        case 'boolean':
+            if (typeof raw !== 'boolean') return { error: 'must be a boolean' };
+            return { value: raw };
+        case 'vector':
+            if (typeof raw !== 'object' || ![raw.x, raw.y, raw.z].every(n => typeof n === 'number' && isFinite(n))) {
+                return { error: 'must be an {x, y, z} vector' };
+            }
+            return { value: { x: raw.x, y: raw.y, z: raw.z } };
+        case 'array':
+            if (!Array.isArray(raw)) return { error: 'must be an array' };
+            if (raw.length > field.maxItems) return { error: `has more than ${field.maxItems} items` };
+            return { value: raw }; // Items are sanitized by whoever consumes them
+        case 'object':
+            if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'must be an object' };
+            if (JSON.stringify(raw).length > field.maxSize) return { error: `is larger than ${field.maxSize} bytes` };
+            return { value: raw };
+        default:
+            return { error: 'has an unknown type' };
+    }
+}
+
+/**
+ * http(s) URL - scheme-less links ("youtu.be/...") count too, other schemes don't
+ */
+function isHttpUrl(text) {
+    const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(text) && !/^[^:/]+:\d/.test(text);
+    try {
+        const url = new URL(hasScheme ? text : `https://${text}`);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
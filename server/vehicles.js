@@ -0,0 +1,227 @@
+/**
+ * Vehicles - A room's shared vehicles and who is riding them
+ * Every room has the vehicles of its map (js/shared/maps.js). Each seat
+ * (js/shared/vehicle-types.js) holds one player: getting on takes the first
+ * free one, first come, first served. The driver's client simulates the
+ * vehicle and streams its state, which is only taken while it stays with the
+ * driver and under the top speed; everyone else - passengers included - renders it from the snapshots.
+ * Drivers can only hit with their sidearm, inside its arc; passengers shoot
+ * like they're on foot. Health is the server's alone: shots and hard landings wear it down, and a
+ * wreck is back at its spawn after VEHICLE_DAMAGE.respawnDelayMs.
+ *
+ * Usage:
+ *   room.vehicles = createRoomVehicles(room.map);
+ *   const { seat, reason } = claimVehicle(vehicle, player); // reason null = they're on
+ *   const error = applyVehicleState(vehicle, data, player);
+ *   const ack = player.movement.applyPosition(data.position, vehicle.position, getRiderLeash(vehicle, player.id));
+ *   releaseVehicle(vehicle, player);
+ *   const reason = getRiderShotBlockReason(vehicle, shooter, direction); // null = the shot counts
+ *   if (damageVehicle(vehicle, 40)) ... // Wrecked it - everyone off, boom
+ *   if (isVehicleDueRespawn(vehicle, now)) respawnVehicle(vehicle);
+ */
+
+import { getVehicleSpawns } from '../js/shared/maps.js';
+import { getTerrainHeight } from '../js/shared/terrain.js';
+import { getVehicleType, SEAT_FIELDS, VEHICLE_DAMAGE, DRIVER_SIDEARM, isInDriverArc } from '../js/shared/vehicle-types.js';
+import { MAX_SPEEDS, TravelBudget } from './movement-authority.js';
+import { PositionHistory } from './lag-compensation.js';
+
+// Furthest a player's eye may be from a vehicle to get on (m) - the client
+// offers it from 3m, the rest is latency
+export const ENTER_DISTANCE = 5;
+
+// Furthest a reported vehicle may be from its rider's eye (m) - the rider sits
+// ~1.5m above it and the two updates can be a tick apart at full speed
+export const MAX_RIDER_OFFSET = 8;
+
+// How far in the past passengers see the vehicle (s) - interpolation plus both
+// hops through the server, so at speed they trail it
+const PASSENGER_VIEW_LAG = 0.4;
+
+// Wheel spin (rad/s) no real vehicle state goes past
+const MAX_WHEEL_SPIN = 300;
+
+/**
+ * The map's vehicles, parked at their spawns
+ * @returns {Map} id -> { id, type, position, rotation, speed, lean, wheelSpin, riderId, passengerId, health, destroyed }
+ */
+export function createRoomVehicles(mapId) {
+    const vehicles = new Map();
+    getVehicleSpawns(mapId).forEach(spawn => {
+        const vehicle = {
+            id: spawn.id,
+            type: spawn.type,
+            riderId: null, // Driver
+            passengerId: null
+        };
+
+        // Server-only bookkeeping (kept off the wire)
+        defineHiddenProperty(vehicle, 'spawn', spawn);
+        defineHiddenProperty(vehicle, 'history', new PositionHistory()); // Shots on it are rewound
+        defineHiddenProperty(vehicle, 'respawnAt', null); // Wrecks only
+        defineHiddenProperty(vehicle, 'travel', new TravelBudget(MAX_SPEEDS.vehicle)); // Top speed of driver reports
+
+        respawnVehicle(vehicle);
+        vehicles.set(spawn.id, vehicle);
+    });
+    return vehicles;
+}
+
+/**
+ * As good as new at its spawn (new vehicles, wrecks that are due back)
+ */
+export function respawnVehicle(vehicle) {
+    const { spawn } = vehicle;
+    vehicle.position = {
+        x: spawn.x,
+        y: getTerrainHeight(spawn.x, spawn.z) + getVehicleType(spawn.type).groundOffset,
+        z: spawn.z
+    };
+    vehicle.rotation = { x: 0, y: spawn.yaw, z: 0 };
+    vehicle.speed = 0;
+    vehicle.lean = 0; // Steering (-1..1)
+    vehicle.wheelSpin = 0; // rad/s
+    vehicle.health = getVehicleType(spawn.type).maxHealth;
+    vehicle.destroyed = false;
+    vehicle.respawnAt = null;
+    vehicle.history.clear();
+    vehicle.travel.reset();
+}
+
+/**
+ * Put a player in the vehicle's first free seat
+ * @returns {{seat: string|null, reason: string|null}} The seat, or why they can't get on
+ */
+export function claimVehicle(vehicle, player) {
+    const refuse = (reason) => ({ seat: null, reason });
+
+    if (!player.isAlive) return refuse("Can't get on while dead");
+    if (vehicle.destroyed) return refuse("It's a wreck");
+    if (player.vehicleId) return refuse('Already on a vehicle');
+    if (distance(player.position, vehicle.position) > ENTER_DISTANCE) return refuse('Too far away');
+
+    const seat = getVehicleType(vehicle.type).seats.find(s => !vehicle[SEAT_FIELDS[s]]);
+    if (!seat) return refuse('No free seat');
+
+    vehicle[SEAT_FIELDS[seat]] = player.id;
+    player.vehicleId = vehicle.id;
+    return { seat, reason: null };
+}
+
+/**
+ * Take a player off a vehicle - it stays where they left it
+ * @returns {string|null} The seat they were in
+ */
+export function releaseVehicle(vehicle, player) {
+    player.vehicleId = null;
+
+    const seat = getVehicleSeat(vehicle, player.id);
+    if (!seat) return null;
+
+    vehicle[SEAT_FIELDS[seat]] = null;
+    if (seat === 'driver') {
+        vehicle.speed = 0;
+        vehicle.lean = 0;
+        vehicle.wheelSpin = 0;
+    }
+    return seat;
+}
+
+/**
+ * @returns {string|null} Seat the player is in
+ */
+export function getVehicleSeat(vehicle, playerId) {
+    return Object.keys(SEAT_FIELDS).find(seat => vehicle[SEAT_FIELDS[seat]] === playerId) || null;
+}
+
+/**
+ * Furthest a rider's reported eye may be from the vehicle (m)
+ */
+export function getRiderLeash(vehicle, playerId) {
+    const trail = vehicle.riderId === playerId ? 0 : Math.abs(vehicle.speed) * PASSENGER_VIEW_LAG;
+    return MAX_RIDER_OFFSET + trail;
+}
+
+/**
+ * Take the driver's report of their vehicle
+ * @param {Object} state - Validated 'vehicle-update' payload
+ * @returns {string|null} Why it was refused ('teleport' / 'moved too fast' for speed), or null
+ */
+export function applyVehicleState(vehicle, state, rider, now = Date.now()) {
+    if (vehicle.riderId !== rider.id) return 'not the driver';
+
+    const offset = distance(state.position, rider.position);
+    if (offset > MAX_RIDER_OFFSET) return `${offset.toFixed(1)}m from its rider`;
+
+    // It stays where it was - the rider is held to it until the driver's reports catch up
+    const tooFast = vehicle.travel.spend(distance(state.position, vehicle.position), now);
+    if (tooFast) return tooFast;
+
+    vehicle.position = { ...state.position };
+    vehicle.rotation = { ...state.rotation };
+    vehicle.speed = clamp(state.speed, -MAX_SPEEDS.vehicle, MAX_SPEEDS.vehicle);
+    vehicle.lean = clamp(state.lean ?? 0, -1, 1);
+    vehicle.wheelSpin = clamp(state.wheelSpin ?? 0, -MAX_WHEEL_SPIN, MAX_WHEEL_SPIN);
+    vehicle.history.record(now, vehicle.position, vehicle.rotation);
+    return null;
+}
+
+/**
+ * Can a rider's shot count? Only the driver is limited.
+ * @param {Object} direction - Shot direction
+ * @returns {string|null} Why it doesn't, or null
+ */
+export function getRiderShotBlockReason(vehicle, player, direction) {
+    if (vehicle.riderId !== player.id) return null;
+    if (player.weapon !== DRIVER_SIDEARM.weapon) return 'drivers only have a sidearm';
+    if (!isInDriverArc(vehicle.rotation.y, direction, DRIVER_SIDEARM.arcTolerance)) return "outside the driver's arc";
+    return null;
+}
+
+/**
+ * Players in the vehicle's seats
+ * @param {Map} players - Room players by id
+ * @returns {Object[]}
+ */
+export function getVehicleRiders(vehicle, players) {
+    return Object.values(SEAT_FIELDS)
+        .map(field => vehicle[field] && players.get(vehicle[field]))
+        .filter(Boolean);
+}
+
+/**
+ * Wear a vehicle down - the riders have to be taken off a wreck by the caller
+ * @returns {boolean} True if this wrecked it
+ */
+export function damageVehicle(vehicle, damage, now = Date.now()) {
+    if (vehicle.destroyed || !(damage > 0)) return false;
+
+    vehicle.health = Math.max(0, Math.round((vehicle.health - damage) * 10) / 10);
+    if (vehicle.health > 0) return false;
+
+    vehicle.destroyed = true;
+    vehicle.speed = 0;
+    vehicle.lean = 0;
+    vehicle.wheelSpin = 0;
+    vehicle.respawnAt = now + VEHICLE_DAMAGE.respawnDelayMs;
+    return true;
+}
+
+export function isVehicleDueRespawn(vehicle, now = Date.now()) {
+    return vehicle.destroyed && vehicle.respawnAt !== null && now >= vehicle.respawnAt;
+}
+
+/**
+ * Server-only bookkeeping on a vehicle (kept off the wire)
+ */
+function defineHiddenProperty(vehicle, key, value) {
+    Object.defineProperty(vehicle, key, { value, enumerable: false, writable: true });
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
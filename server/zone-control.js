@@ -0,0 +1,139 @@
+/**
+ * Zone Control - Ownership and capture progress of the KOTH capture zones
+ * A zone moves towards a team while only that team has living players inside
+ * it. Taking an enemy zone first drains their progress to neutral, then fills
+ * it for you. Contested zones (both teams inside) freeze.
+ *
+ * Usage:
+ *   const zones = new ZoneControl(CAPTURE_ZONES, { captureTime: 10 });
+ *   const events = zones.update(dt, room.players); // [{ type: 'captured', zoneId, team }, ...]
+ *   zones.getOwnedCounts(); // { red: 1, blue: 0 }
+ */
+
+import { TEAM_IDS } from '../js/shared/game-modes.js';
+import { isInsideZone } from '../js/shared/capture-zones.js';
+
+// Extra capture speed per additional teammate inside (capped)
+const EXTRA_CAPPER_SPEEDUP = 0.25;
+const MAX_CAPPERS_COUNTED = 3;
+
+// Unowned zones with nobody inside lose partial progress at this fraction of capture speed
+const IDLE_DECAY = 0.5;
+
+export class ZoneControl {
+    /**
+     * @param {Array} zones - Zone definitions (js/shared/capture-zones.js)
+     * @param {Object} options - { captureTime } in seconds
+     */
+    constructor(zones, options = {}) {
+        this.definitions = zones;
+        this.captureTime = options.captureTime || 10;
+        this.reset();
+    }
+
+    /**
+     * Everything back to neutral (new round)
+     */
+    reset() {
+        this.zones = this.definitions.map(def => ({
+            id: def.id,
+            owner: null, // Team that captured it
+            team: null, // Team the progress belongs to (owner, or whoever is capturing)
+            progress: 0, // 0..1
+            contested: false,
+            occupants: {} // { red: 2, blue: 0 }
+        }));
+    }
+
+    /**
+     * Advance capture progress
+     * @param {number} dt - Seconds since the last update
+     * @param {Map} players - Room players (only living ones with a team count)
+     * @returns {Array} Events: { type: 'captured' | 'neutralized', zoneId, team }
+     */
+    update(dt, players) {
+        const events = [];
+
+        this.zones.forEach((zone, i) => {
+            const def = this.definitions[i];
+
+            const occupants = {};
+            TEAM_IDS.forEach(team => { occupants[team] = 0; });
+            players.forEach(player => {
+                if (player.isAlive && player.team && isInsideZone(def, player.position)) {
+                    occupants[player.team]++;
+                }
+            });
+            zone.occupants = occupants;
+
+            const present = TEAM_IDS.filter(team => occupants[team] > 0);
+            zone.contested = present.length > 1;
+            if (zone.contested) return;
+
+            const rate = dt / this.captureTime;
+
+            // Nobody home - half-finished captures slip back, owned zones top back up
+            if (present.length === 0) {
+                if (zone.owner) {
+                    zone.progress = Math.min(1, zone.progress + rate);
+                } else if (zone.progress > 0) {
+                    zone.progress = Math.max(0, zone.progress - rate * IDLE_DECAY);
+                    if (zone.progress === 0) zone.team = null;
+                }
+                return;
+            }
+
+            const team = present[0];
+            const cappers = Math.min(occupants[team], MAX_CAPPERS_COUNTED);
+            const step = rate * (1 + EXTRA_CAPPER_SPEEDUP * (cappers - 1));
+
+            if (zone.team === null || zone.team === team) {
+                // Filling our own progress
+                zone.team = team;
+                zone.progress = Math.min(1, zone.progress + step);
+                if (zone.progress >= 1 && zone.owner !== team) {
+                    zone.owner = team;
+                    events.push({ type: 'captured', zoneId: zone.id, team });
+                }
+            } else {
+                // Draining the other team's progress first
+                zone.progress = Math.max(0, zone.progress - step);
+                if (zone.progress === 0) {
+                    if (zone.owner) {
+                        events.push({ type: 'neutralized', zoneId: zone.id, team, previousOwner: zone.owner });
+                    }
+                    zone.owner = null;
+                    zone.team = team;
+                }
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * How many zones each team holds
+     */
+    getOwnedCounts() {
+        const counts = {};
+        TEAM_IDS.forEach(team => { counts[team] = 0; });
+        this.zones.forEach(zone => {
+            if (zone.owner) counts[zone.owner]++;
+        });
+        return counts;
+    }
+
+    /**
+     * Compact state for the wire (sent with every world snapshot)
+     */
+    getState() {
+        return this.zones.map(zone => ({
+            id: zone.id,
+            owner: zone.owner,
+            team: zone.team,
+            progress: Math.round(zone.progress * 1000) / 1000,
+            contested: zone.contested,
+            occupants: zone.occupants
+        }));
+    }
+}